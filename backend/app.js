@@ -4,9 +4,14 @@ const { Server } = require('socket.io');
 const swaggerDocs = require('./src/core/config/swaggerConfig');
 const SocketManager = require('./src/core/sockets/socketManager');
 const MonitoringMiddleware = require('./src/middlewares/MonitoringMiddleware');
+const captureRoutes = require('./src/routes/captureRoutes');
 const cleanUpRoutes = require('./src/routes/cleanupRoutes');
 const requestsRoutes = require('./src/routes/requestsRoutes');
 const statsRoutes = require('./src/routes/statsRoutes');
+const tracesRoutes = require('./src/routes/tracesRoutes');
+const exceptionsRoutes = require('./src/routes/exceptionsRoutes');
+const issuesRoutes = require('./src/routes/issuesRoutes');
+const queriesRoutes = require('./src/routes/queriesRoutes');
 require('dotenv').config();
 
 // Inicializar Express y HTTP server
@@ -44,6 +49,11 @@ app.get('/health', (req, res) => {
 app.use('/api/v1/modr/requests', requestsRoutes);
 app.use('/api/v1/modr/stats', statsRoutes);
 app.use('/api/v1/modr/cleanup', cleanUpRoutes);
+app.use('/api/v1/modr/capture', captureRoutes);
+app.use('/api/v1/modr/traces', tracesRoutes);
+app.use('/api/v1/modr/exceptions', exceptionsRoutes);
+app.use('/api/v1/modr/issues', issuesRoutes);
+app.use('/api/v1/modr/queries', queriesRoutes);
 
 // Swagger docs
 swaggerDocs(app);
@@ -82,11 +92,36 @@ monitoringMiddleware.configure({
     captureResponseBody: true,
     maxBodySize: 100000, // 100KB
     onlyErrors: false,
-    captureMethods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH']
+    slowQueryThreshold: 500, // ms; las requests con queries más lentas quedan marcadas
+    captureMethods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH'],
+    redaction: {
+        useDefaults: true,
+        rules: [
+            // { path: '$.user.email', strategy: 'hash' },
+            // { key: 'ssn', strategy: 'drop' },
+            // { value: 'email', scope: 'body', strategy: 'mask' }
+        ]
+    },
+    sampling: {
+        rate: 1, // Guardar todo; bajar en producción con mucho tráfico
+        routes: [
+            // { path: '/health', rate: 0.01 }
+        ],
+        alwaysKeep: { errors: true, slowerThan: 1000 }
+    },
+    queue: {
+        enabled: true,
+        batchSize: 50,
+        flushInterval: 1000, // 1s
+        maxQueueSize: 5000
+    }
 });
 app.use(monitoringMiddleware.capture());
 app.use(monitoringMiddleware.captureErrors());
 
+// Errores fuera de Express (timers, promesas sin catch) como excepciones de proceso
+monitoringMiddleware.instrumentProcess();
+
 // Por si ocurre un error global
 app.use((error, req, res, next) => {
     console.error('Unhandled error:', error);
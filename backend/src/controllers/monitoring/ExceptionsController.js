@@ -0,0 +1,110 @@
+const ExceptionService = require('../../services/monitoring/ExceptionService');
+const { ResponseSanitizer } = require('../../utils/ErrorHandler');
+
+/**
+ * ExceptionsController
+ * Controlador para consultar excepciones capturadas
+ */
+class ExceptionsController {
+    constructor() {
+        this.service = new ExceptionService();
+    }
+
+    /**
+     * Obtiene excepciones con filtros y paginación
+     */
+    async getExceptions(req, res) {
+        try {
+            const standalone = req.query.standalone;
+
+            const filters = {
+                page: req.query.page,
+                limit: req.query.limit,
+                source: req.query.source,
+                type: req.query.type,
+                search: req.query.search,
+                route: req.query.route,
+                issueId: req.query.issue_id,
+                standalone: standalone === 'true' ? true : (standalone === 'false' ? false : undefined),
+                from: req.query.from,
+                to: req.query.to
+            };
+
+            const result = await this.service.getExceptions(filters);
+
+            return ResponseSanitizer.handleControllerResponse(
+                res,
+                result,
+                'Exceptions retrieved successfully'
+            );
+
+        } catch (error) {
+            console.error('[MODR] Unexpected error in ExceptionsController:', error);
+            const errorResponse = ResponseSanitizer.error({
+                type: 'INTERNAL_ERROR',
+                message: 'An unexpected error occurred while fetching exceptions',
+                timestamp: new Date().toISOString()
+            });
+            return res.status(errorResponse.httpCode).json(errorResponse);
+        }
+    }
+
+    /**
+     * Obtiene el detalle de una excepción
+     */
+    async getExceptionDetails(req, res) {
+        try {
+            const { id } = req.params;
+
+            const result = await this.service.getExceptionDetails(id);
+
+            return ResponseSanitizer.handleControllerResponse(
+                res,
+                result,
+                'Exception details retrieved successfully'
+            );
+
+        } catch (error) {
+            console.error('[MODR] Unexpected error in ExceptionsController:', error);
+            const errorResponse = ResponseSanitizer.error({
+                type: 'INTERNAL_ERROR',
+                message: 'An unexpected error occurred while fetching exception details',
+                timestamp: new Date().toISOString()
+            });
+            return res.status(errorResponse.httpCode).json(errorResponse);
+        }
+    }
+
+    /**
+     * Obtiene estadísticas de excepciones en el tiempo y por tipo
+     */
+    async getExceptionStats(req, res) {
+        try {
+            const filters = {
+                period: req.query.period,
+                interval: req.query.interval,
+                source: req.query.source,
+                type: req.query.type
+            };
+
+            const result = await this.service.getExceptionStats(filters);
+
+            return ResponseSanitizer.handleControllerResponse(
+                res,
+                result,
+                'Exception statistics retrieved successfully'
+            );
+
+        } catch (error) {
+            console.error('[MODR] Unexpected error in ExceptionsController:', error);
+            const errorResponse = ResponseSanitizer.error({
+                type: 'INTERNAL_ERROR',
+                message: 'An unexpected error occurred while fetching exception statistics',
+                timestamp: new Date().toISOString()
+            });
+            return res.status(errorResponse.httpCode).json(errorResponse);
+        }
+    }
+}
+
+module.exports = ExceptionsController;
@@ -0,0 +1,99 @@
+const IssueService = require('../../services/monitoring/IssueService');
+const { ResponseSanitizer } = require('../../utils/ErrorHandler');
+
+/**
+ * IssuesController
+ * Controlador para consultar issues y cambiar su estado
+ */
+class IssuesController {
+    constructor() {
+        this.service = new IssueService();
+    }
+
+    /**
+     * Obtiene issues con filtros y paginación
+     */
+    async getIssues(req, res) {
+        try {
+            const filters = {
+                page: req.query.page,
+                limit: req.query.limit,
+                status: req.query.status,
+                type: req.query.type,
+                from: req.query.from,
+                to: req.query.to
+            };
+
+            const result = await this.service.getIssues(filters);
+
+            return ResponseSanitizer.handleControllerResponse(
+                res,
+                result,
+                'Issues retrieved successfully'
+            );
+
+        } catch (error) {
+            console.error('[MODR] Unexpected error in IssuesController:', error);
+            const errorResponse = ResponseSanitizer.error({
+                type: 'INTERNAL_ERROR',
+                message: 'An unexpected error occurred while fetching issues',
+                timestamp: new Date().toISOString()
+            });
+            return res.status(errorResponse.httpCode).json(errorResponse);
+        }
+    }
+
+    /**
+     * Obtiene el detalle de un issue
+     */
+    async getIssueDetails(req, res) {
+        try {
+            const { id } = req.params;
+
+            const result = await this.service.getIssueDetails(id);
+
+            return ResponseSanitizer.handleControllerResponse(
+                res,
+                result,
+                'Issue details retrieved successfully'
+            );
+
+        } catch (error) {
+            console.error('[MODR] Unexpected error in IssuesController:', error);
+            const errorResponse = ResponseSanitizer.error({
+                type: 'INTERNAL_ERROR',
+                message: 'An unexpected error occurred while fetching issue details',
+                timestamp: new Date().toISOString()
+            });
+            return res.status(errorResponse.httpCode).json(errorResponse);
+        }
+    }
+
+    /**
+     * Cambia el estado de un issue
+     */
+    async updateIssueStatus(req, res) {
+        try {
+            const { id } = req.params;
+
+            const result = await this.service.updateIssueStatus(id, req.body?.status);
+
+            return ResponseSanitizer.handleControllerResponse(
+                res,
+                result,
+                'Issue status updated successfully'
+            );
+
+        } catch (error) {
+            console.error('[MODR] Unexpected error in IssuesController:', error);
+            const errorResponse = ResponseSanitizer.error({
+                type: 'INTERNAL_ERROR',
+                message: 'An unexpected error occurred while updating issue status',
+                timestamp: new Date().toISOString()
+            });
+            return res.status(errorResponse.httpCode).json(errorResponse);
+        }
+    }
+}
+
+module.exports = IssuesController;
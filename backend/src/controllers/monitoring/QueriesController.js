@@ -0,0 +1,106 @@
+const QueryService = require('../../services/monitoring/QueryService');
+const { ResponseSanitizer } = require('../../utils/ErrorHandler');
+
+/**
+ * QueriesController
+ * Controlador para el ranking de queries por fingerprint y las requests con queries lentas
+ */
+class QueriesController {
+    constructor() {
+        this.service = new QueryService();
+    }
+
+    /**
+     * Obtiene el ranking de fingerprints de queries
+     */
+    async getQueryFingerprints(req, res) {
+        try {
+            const filters = {
+                limit: req.query.limit,
+                sort: req.query.sort,
+                period: req.query.period,
+                route: req.query.route,
+                type: req.query.type,
+                search: req.query.search
+            };
+
+            const result = await this.service.getQueryFingerprints(filters);
+
+            return ResponseSanitizer.handleControllerResponse(
+                res,
+                result,
+                'Query fingerprints retrieved successfully'
+            );
+
+        } catch (error) {
+            console.error('[MODR] Unexpected error in QueriesController:', error);
+            const errorResponse = ResponseSanitizer.error({
+                type: 'INTERNAL_ERROR',
+                message: 'An unexpected error occurred while fetching query fingerprints',
+                timestamp: new Date().toISOString()
+            });
+            return res.status(errorResponse.httpCode).json(errorResponse);
+        }
+    }
+
+    /**
+     * Obtiene el detalle de un fingerprint
+     */
+    async getQueryFingerprintDetails(req, res) {
+        try {
+            const { id } = req.params;
+
+            const result = await this.service.getQueryFingerprintDetails(id, {
+                period: req.query.period
+            });
+
+            return ResponseSanitizer.handleControllerResponse(
+                res,
+                result,
+                'Query fingerprint details retrieved successfully'
+            );
+
+        } catch (error) {
+            console.error('[MODR] Unexpected error in QueriesController:', error);
+            const errorResponse = ResponseSanitizer.error({
+                type: 'INTERNAL_ERROR',
+                message: 'An unexpected error occurred while fetching query fingerprint details',
+                timestamp: new Date().toISOString()
+            });
+            return res.status(errorResponse.httpCode).json(errorResponse);
+        }
+    }
+
+    /**
+     * Obtiene las requests con queries lentas
+     */
+    async getSlowQueryRequests(req, res) {
+        try {
+            const filters = {
+                page: req.query.page,
+                limit: req.query.limit,
+                period: req.query.period,
+                route: req.query.route
+            };
+
+            const result = await this.service.getSlowQueryRequests(filters);
+
+            return ResponseSanitizer.handleControllerResponse(
+                res,
+                result,
+                'Requests with slow queries retrieved successfully'
+            );
+
+        } catch (error) {
+            console.error('[MODR] Unexpected error in QueriesController:', error);
+            const errorResponse = ResponseSanitizer.error({
+                type: 'INTERNAL_ERROR',
+                message: 'An unexpected error occurred while fetching requests with slow queries',
+                timestamp: new Date().toISOString()
+            });
+            return res.status(errorResponse.httpCode).json(errorResponse);
+        }
+    }
+}
+
+module.exports = QueriesController;
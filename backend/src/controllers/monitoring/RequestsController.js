@@ -10,6 +10,19 @@ class RequestsController {
         this.service = new RequestsService();
     }
 
+    /**
+     * Filtros por parámetro de la query capturada: ?param.status=active → { status: 'active' }
+     */
+    getParamFilters(query = {}) {
+        const params = {};
+        Object.entries(query).forEach(([key, value]) => {
+            if (key.startsWith('param.') && key.length > 'param.'.length) {
+                params[key.substring('param.'.length)] = value;
+            }
+        });
+        return params;
+    }
+
     /**
      * Obtiene requests con paginación y filtros
      */
@@ -21,9 +34,14 @@ class RequestsController {
                 method: req.query.method,
                 status: req.query.status,
                 search: req.query.search,
+                route: req.query.route,
+                outcome: req.query.outcome,
+                header: req.query.header,
+                params: this.getParamFilters(req.query),
                 from: req.query.from,
                 to: req.query.to,
-                onlyErrors: req.query.onlyErrors === 'true' || req.query.only_errors === 'true'
+                onlyErrors: req.query.onlyErrors === 'true' || req.query.only_errors === 'true',
+                slowQueries: req.query.slow_queries === 'true'
             };
 
             const result = await this.service.getRequests(filters);
@@ -39,7 +39,9 @@ class StatsController {
      */
     async getErrorStats(req, res) {
         try {
-            const result = await this.service.getErrorStats();
+            const { route } = req.query;
+
+            const result = await this.service.getErrorStats({ route });
             
             return ResponseSanitizer.handleControllerResponse(
                 res, 
@@ -63,9 +65,9 @@ class StatsController {
      */
     async getTopEndpoints(req, res) {
         try {
-            const { limit = 10 } = req.query;
+            const { limit = 10, groupBy = 'route' } = req.query;
 
-            const result = await this.service.getTopEndpoints(limit);
+            const result = await this.service.getTopEndpoints(limit, groupBy);
             
             return ResponseSanitizer.handleControllerResponse(
                 res, 
@@ -89,7 +91,9 @@ class StatsController {
      */
     async getPerformanceStats(req, res) {
         try {
-            const result = await this.service.getPerformanceStats();
+            const { route } = req.query;
+
+            const result = await this.service.getPerformanceStats({ route });
             
             return ResponseSanitizer.handleControllerResponse(
                 res, 
@@ -107,6 +111,134 @@ class StatsController {
             return res.status(errorResponse.httpCode).json(errorResponse);
         }
     }
+
+    /**
+     * Obtiene las rutas con mayor consumo de recursos
+     */
+    async getResourceStats(req, res) {
+        try {
+            const { limit = 10, metric = 'cpu' } = req.query;
+
+            const result = await this.service.getResourceStats(limit, metric);
+            
+            return ResponseSanitizer.handleControllerResponse(
+                res, 
+                result, 
+                'Resource statistics retrieved successfully'
+            );
+
+        } catch (error) {
+            console.error('[MODR] Unexpected error in StatsController:', error);
+            const errorResponse = ResponseSanitizer.error({
+                type: 'INTERNAL_ERROR',
+                message: 'An unexpected error occurred while fetching resource statistics',
+                timestamp: new Date().toISOString()
+            });
+            return res.status(errorResponse.httpCode).json(errorResponse);
+        }
+    }
+
+    /**
+     * Obtiene las requests con mayor consumo de recursos
+     */
+    async getResourceHeavyRequests(req, res) {
+        try {
+            const { limit = 10, metric = 'cpu' } = req.query;
+
+            const result = await this.service.getResourceHeavyRequests(limit, metric);
+            
+            return ResponseSanitizer.handleControllerResponse(
+                res, 
+                result, 
+                'Resource heavy requests retrieved successfully'
+            );
+
+        } catch (error) {
+            console.error('[MODR] Unexpected error in StatsController:', error);
+            const errorResponse = ResponseSanitizer.error({
+                type: 'INTERNAL_ERROR',
+                message: 'An unexpected error occurred while fetching resource heavy requests',
+                timestamp: new Date().toISOString()
+            });
+            return res.status(errorResponse.httpCode).json(errorResponse);
+        }
+    }
+
+    /**
+     * Obtiene los parámetros de query recibidos por ruta y sus valores más comunes
+     */
+    async getQueryParamStats(req, res) {
+        try {
+            const { route, limit, values } = req.query;
+
+            const result = await this.service.getQueryParamStats({ route, limit, values });
+            
+            return ResponseSanitizer.handleControllerResponse(
+                res, 
+                result, 
+                'Query parameter statistics retrieved successfully'
+            );
+
+        } catch (error) {
+            console.error('[MODR] Unexpected error in StatsController:', error);
+            const errorResponse = ResponseSanitizer.error({
+                type: 'INTERNAL_ERROR',
+                message: 'An unexpected error occurred while fetching query parameter statistics',
+                timestamp: new Date().toISOString()
+            });
+            return res.status(errorResponse.httpCode).json(errorResponse);
+        }
+    }
+
+    /**
+     * Obtiene las rutas con peores patrones de queries N+1
+     */
+    async getNPlusOneStats(req, res) {
+        try {
+            const { route, limit } = req.query;
+
+            const result = await this.service.getNPlusOneStats({ route, limit });
+            
+            return ResponseSanitizer.handleControllerResponse(
+                res, 
+                result, 
+                'N+1 query statistics retrieved successfully'
+            );
+
+        } catch (error) {
+            console.error('[MODR] Unexpected error in StatsController:', error);
+            const errorResponse = ResponseSanitizer.error({
+                type: 'INTERNAL_ERROR',
+                message: 'An unexpected error occurred while fetching N+1 query statistics',
+                timestamp: new Date().toISOString()
+            });
+            return res.status(errorResponse.httpCode).json(errorResponse);
+        }
+    }
+
+    /**
+     * Obtiene métricas del pipeline de captura
+     */
+    async getPipelineStats(req, res) {
+        try {
+            const result = await this.service.getPipelineStats();
+            
+            return ResponseSanitizer.handleControllerResponse(
+                res, 
+                result, 
+                'Capture pipeline statistics retrieved successfully'
+            );
+
+        } catch (error) {
+            console.error('[MODR] Unexpected error in StatsController:', error);
+            const errorResponse = ResponseSanitizer.error({
+                type: 'INTERNAL_ERROR',
+                message: 'An unexpected error occurred while fetching capture pipeline statistics',
+                timestamp: new Date().toISOString()
+            });
+            return res.status(errorResponse.httpCode).json(errorResponse);
+        }
+    }
 }
 
 module.exports = StatsController;
\ No newline at end of file
@@ -0,0 +1,40 @@
+const TraceService = require('../../services/monitoring/TraceService');
+const { ResponseSanitizer } = require('../../utils/ErrorHandler');
+
+/**
+ * TracesController
+ * Controlador para consultar trazas distribuidas entre servicios
+ */
+class TracesController {
+    constructor() {
+        this.service = new TraceService();
+    }
+
+    /**
+     * Obtiene el árbol de requests de una traza
+     */
+    async getTrace(req, res) {
+        try {
+            const { traceId } = req.params;
+
+            const result = await this.service.getTrace(traceId);
+
+            return ResponseSanitizer.handleControllerResponse(
+                res,
+                result,
+                'Trace retrieved successfully'
+            );
+
+        } catch (error) {
+            console.error('[MODR] Unexpected error in TracesController:', error);
+            const errorResponse = ResponseSanitizer.error({
+                type: 'INTERNAL_ERROR',
+                message: 'An unexpected error occurred while fetching trace',
+                timestamp: new Date().toISOString()
+            });
+            return res.status(errorResponse.httpCode).json(errorResponse);
+        }
+    }
+}
+
+module.exports = TracesController;
@@ -1,4 +1,5 @@
 const CaptureService = require('../../services/request/CaptureService');
+const OtlpIngestService = require('../../services/request/OtlpIngestService');
 const { ResponseSanitizer } = require('../../utils/ErrorHandler');
 
 /**
@@ -8,30 +9,49 @@ const { ResponseSanitizer } = require('../../utils/ErrorHandler');
 class CaptureController {
     constructor(io = null) {
         this.service = new CaptureService(io);
+        this.otlpService = new OtlpIngestService(io);
     }
 
+    /**
+     * Captura una request enviada por un servicio externo
+     */
     async captureRequest(req, res) {
         try {
+            const body = req.body || {};
+
             // Extraer y normalizar datos de entrada
             const requestData = {
-                method: req.body.method || req.method || 'GET',
-                path: req.body.path || req.path || req.originalUrl || '/',
-                statusCode: req.body.statusCode || req.body.status_code,
-                requestBody: req.body.requestBody || req.body.request_body || req.body.payload,
-                responseBody: req.body.responseBody || req.body.response_body || req.body.response,
-                headers: req.body.headers || req.headers || {},
-                ipAddress: req.body.ipAddress || req.body.ip_address || req.ip || req.connection?.remoteAddress,
-                responseTime: req.body.responseTime || req.body.response_time || req.body.duration,
-                user_id: req.body.user_id || req.body.userId,
-                controller: req.body.controller,
-                uuid: req.body.uuid || req.body.request_id,
-                error: req.body.error,
-                duration: req.body.duration
+                method: body.method,
+                path: body.path,
+                statusCode: body.statusCode || body.status_code,
+                requestBody: body.requestBody || body.request_body || body.payload,
+                responseBody: body.responseBody || body.response_body || body.response,
+                response: body.responseInfo || body.response_info,
+                resources: body.resources,
+                timing: body.timing,
+                headers: body.headers || {},
+                responseHeaders: body.responseHeaders || body.response_headers || {},
+                ipAddress: body.ipAddress || body.ip_address,
+                responseTime: body.responseTime || body.response_time,
+                user_id: body.user_id || body.userId,
+                identity: body.identity,
+                controller: body.controller,
+                route: body.route,
+                queryParams: body.queryParams || body.query_params,
+                uuid: body.uuid || body.request_id,
+                error: body.error,
+                duration: body.duration,
+                happened: body.happened || body.timestamp,
+                sampleRate: body.sampleRate ?? body.sample_rate,
+                outcome: body.outcome,
+                traceId: body.traceId || body.trace_id,
+                spanId: body.spanId || body.span_id,
+                parentSpanId: body.parentSpanId || body.parent_span_id
             };
 
             // Ejecutar validaciones a través del servicio
             const result = await this.service.captureRequest(requestData);
-            
+
             return ResponseSanitizer.handleControllerResponse(
                 res,
                 result,
@@ -49,6 +69,152 @@ class CaptureController {
             return res.status(errorResponse.httpCode).json(errorResponse);
         }
     }
+
+    /**
+     * Captura una query SQL asociada a una request existente
+     */
+    async captureQuery(req, res) {
+        try {
+            const body = req.body || {};
+
+            const queryData = {
+                requestId: body.requestId || body.request_id,
+                sql: body.sql,
+                duration: body.duration,
+                happened: body.happened || body.timestamp,
+                type: body.type,
+                bindings: body.bindings
+            };
+
+            const result = await this.service.captureQuery(queryData);
+
+            return ResponseSanitizer.handleControllerResponse(
+                res,
+                result,
+                'Query captured successfully',
+                201
+            );
+
+        } catch (error) {
+            console.error('[MODR] Unexpected error in CaptureController:', error);
+            const errorResponse = ResponseSanitizer.error({
+                type: 'INTERNAL_ERROR',
+                message: 'An unexpected error occurred while capturing query',
+                timestamp: new Date().toISOString()
+            });
+            return res.status(errorResponse.httpCode).json(errorResponse);
+        }
+    }
+
+    /**
+     * Captura una excepción asociada a una request existente o, sin requestId, a nivel de proceso
+     */
+    async captureException(req, res) {
+        try {
+            const body = req.body || {};
+
+            const exceptionData = {
+                requestId: body.requestId || body.request_id,
+                message: body.message,
+                type: body.type,
+                stackTrace: body.stackTrace || body.stack_trace || body.stack,
+                file: body.file,
+                line: body.line,
+                code: body.code,
+                source: body.source,
+                processInfo: body.processInfo || body.process_info
+            };
+
+            const result = await this.service.captureException(exceptionData);
+
+            return ResponseSanitizer.handleControllerResponse(
+                res,
+                result,
+                'Exception captured successfully',
+                201
+            );
+
+        } catch (error) {
+            console.error('[MODR] Unexpected error in CaptureController:', error);
+            const errorResponse = ResponseSanitizer.error({
+                type: 'INTERNAL_ERROR',
+                message: 'An unexpected error occurred while capturing exception',
+                timestamp: new Date().toISOString()
+            });
+            return res.status(errorResponse.httpCode).json(errorResponse);
+        }
+    }
+
+    /**
+     * Captura una línea de log asociada a una request existente
+     */
+    async captureLog(req, res) {
+        try {
+            const body = req.body || {};
+
+            const logData = {
+                requestId: body.requestId || body.request_id,
+                level: body.level,
+                message: body.message,
+                context: body.context,
+                source: body.source,
+                loggedAt: body.loggedAt || body.logged_at || body.timestamp
+            };
+
+            const result = await this.service.captureLog(logData);
+
+            return ResponseSanitizer.handleControllerResponse(
+                res,
+                result,
+                'Log captured successfully',
+                201
+            );
+
+        } catch (error) {
+            console.error('[MODR] Unexpected error in CaptureController:', error);
+            const errorResponse = ResponseSanitizer.error({
+                type: 'INTERNAL_ERROR',
+                message: 'An unexpected error occurred while capturing log',
+                timestamp: new Date().toISOString()
+            });
+            return res.status(errorResponse.httpCode).json(errorResponse);
+        }
+    }
+
+    /**
+     * Recibe spans OpenTelemetry (OTLP/HTTP JSON) y los mapea a requests, queries y excepciones
+     */
+    async captureOtlpTraces(req, res) {
+        try {
+            // Solo se soporta la codificación JSON de OTLP
+            if (!req.is('application/json')) {
+                const errorResponse = ResponseSanitizer.error({
+                    type: 'VALIDATION_ERROR',
+                    message: 'Only OTLP/HTTP JSON is supported',
+                    details: ['Content-Type must be application/json (protobuf encoding is not supported)'],
+                    timestamp: new Date().toISOString()
+                }, 415);
+                return res.status(errorResponse.httpCode).json(errorResponse);
+            }
+
+            const result = await this.otlpService.ingestTraces(req.body);
+
+            return ResponseSanitizer.handleControllerResponse(
+                res,
+                result,
+                'OTLP traces ingested successfully'
+            );
+
+        } catch (error) {
+            console.error('[MODR] Unexpected error in CaptureController:', error);
+            const errorResponse = ResponseSanitizer.error({
+                type: 'INTERNAL_ERROR',
+                message: 'An unexpected error occurred while ingesting OTLP traces',
+                timestamp: new Date().toISOString()
+            });
+            return res.status(errorResponse.httpCode).json(errorResponse);
+        }
+    }
 }
 
-module.exports = CaptureController;
\ No newline at end of file
+module.exports = CaptureController;
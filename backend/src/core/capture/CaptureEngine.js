@@ -0,0 +1,608 @@
+const { v4: uuidv4 } = require('uuid');
+const CaptureService = require('../../services/request/CaptureService');
+const RequestContext = require('../context/RequestContext');
+const ResponseTap = require('./ResponseTap');
+const RequestTimer = require('../metrics/RequestTimer');
+const IdentityResolver = require('../identity/IdentityResolver');
+const SequelizeInstrumentation = require('../../instrumentation/SequelizeInstrumentation');
+const PgInstrumentation = require('../../instrumentation/PgInstrumentation');
+const HttpInstrumentation = require('../../instrumentation/HttpInstrumentation');
+const ConsoleInstrumentation = require('../../instrumentation/ConsoleInstrumentation');
+const PinoInstrumentation = require('../../instrumentation/PinoInstrumentation');
+const WinstonInstrumentation = require('../../instrumentation/WinstonInstrumentation');
+const ProcessInstrumentation = require('../../instrumentation/ProcessInstrumentation');
+const TraceContext = require('../../utils/TraceContext');
+
+/**
+ * CaptureEngine
+ * Núcleo de captura común a todos los frameworks: opciones, rutas ignoradas,
+ * muestreo, traza, recursos, identidad y armado de los datos de la request.
+ *
+ * Cada adaptador (Express, Koa, Fastify, node:http) solo traduce su objeto de
+ * request/respuesta y llama a startCapture; la respuesta se mide siempre sobre
+ * el http.ServerResponse nativo
+ */
+class CaptureEngine {
+    constructor(socketIO = null) {
+        this.captureService = new CaptureService(socketIO);
+        this.options = {
+            ignorePaths: [
+                // '/modr',           // Dashboard
+                // '/api/modr',       // API del dashboard
+                // '/api/v1/docs',    // Swagger docs
+                // '/health',         // Health check
+                // '/socket.io',      // WebSocket
+                // '/public',         // Archivos estáticos
+                // '/static',         // Archivos estáticos
+                // '/favicon.ico'     // Favicon
+            ],
+            captureResponseBody: true,
+            captureHeaders: true,
+            maxBodySize: 100000, // 100KB
+            maxResponseBytes: 65536, // Bytes de la respuesta guardados como preview (64KB)
+            onlyErrors: false,
+            captureMethods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH'],
+            redaction: {
+                enabled: true,
+                useDefaults: true, // authorization, cookies, passwords, tokens, tarjetas, JWTs
+                rules: []          // { path | key | value, strategy: 'mask' | 'hash' | 'drop', scope }
+            },
+            sampling: {
+                enabled: true,
+                rate: 1,                // Tasa head global (0 - 1)
+                routes: [],             // { path, method, rate } tasas head por ruta
+                alwaysKeep: {
+                    errors: true,       // Status >= 500 o error registrado
+                    slowerThan: null,   // ms
+                    users: []           // ids de usuario resueltos por identity
+                },
+                tail: null              // (summary) => rate | boolean, evaluada al terminar
+            },
+            tracing: {
+                enabled: true,          // Leer traceparent/tracestate y continuar la traza
+                responseHeaders: true   // Emitir traceparent/tracestate en la respuesta
+            },
+            resources: {
+                enabled: true,          // Medir heap, CPU y retraso del event loop por request
+                resolution: 10          // ms entre muestras del event loop
+            },
+            sourceMaps: {
+                enabled: true,          // Resolver los frames de las excepciones con los .map locales
+                cacheSize: 100,
+                roots: [process.cwd()], // Directorios de los que se pueden leer archivos y mapas
+                maxFileSize: 5 * 1024 * 1024
+            },
+            watchdog: {
+                enabled: false,         // Registrar como timeout las requests que siguen abiertas
+                timeout: 30000          // ms; lo que ocurra después ya no se asocia a la captura
+            },
+            identity: {
+                enabled: true,
+                provider: 'default',    // Esquema de ids de la aplicación (default, email, jwt...)
+                resolve: null           // (req) => id | { id, provider, email, name }; por defecto req.user / req.auth
+            },
+            otlp: {
+                enabled: false,         // Exportar capturas como spans/logs OTLP/HTTP JSON
+                endpoint: process.env.OTEL_EXPORTER_OTLP_ENDPOINT || 'http://localhost:4318',
+                headers: {},
+                serviceName: process.env.OTEL_SERVICE_NAME || 'modr'
+            },
+            captureQueries: true,
+            captureQueryBindings: true,
+            maxQueriesPerRequest: 500,
+            slowQueryThreshold: 500,    // ms; las queries más lentas marcan su request (null lo desactiva)
+            nPlusOne: {
+                enabled: true,          // Detectar el mismo fingerprint ejecutado en bucle dentro de una request
+                threshold: 5,           // Repeticiones a partir de las cuales se advierte
+                maxGap: 3               // Queries distintas permitidas entre dos repeticiones del bucle
+            },
+            captureLogs: true,
+            maxLogsPerRequest: 1000,
+            queue: {
+                enabled: true,       // Escribir capturas en lote en segundo plano
+                batchSize: 50,
+                flushInterval: 1000, // ms
+                maxQueueSize: 5000
+            },
+            spill: {
+                enabled: true,       // Guardar en disco (<tmpdir>/modr-spill o directory) lo que no se pudo escribir
+                maxFileSize: 10 * 1024 * 1024, // bytes
+                maxFiles: 10,
+                replayInterval: 5000 // ms entre intentos de reescritura
+            }
+        };
+        this.identity = new IdentityResolver(this.options.identity);
+        this.applyOptions();
+    }
+
+    /**
+     * Configura las opciones de captura
+     */
+    configure(options = {}) {
+        this.options = {
+            ...this.options,
+            ...options,
+            queue: { ...this.options.queue, ...options.queue },
+            spill: { ...this.options.spill, ...options.spill },
+            redaction: { ...this.options.redaction, ...options.redaction },
+            tracing: { ...this.options.tracing, ...options.tracing },
+            otlp: { ...this.options.otlp, ...options.otlp },
+            resources: { ...this.options.resources, ...options.resources },
+            watchdog: { ...this.options.watchdog, ...options.watchdog },
+            sourceMaps: { ...this.options.sourceMaps, ...options.sourceMaps },
+            nPlusOne: { ...this.options.nPlusOne, ...options.nPlusOne },
+            identity: { ...this.options.identity, ...options.identity },
+            sampling: {
+                ...this.options.sampling,
+                ...options.sampling,
+                alwaysKeep: { ...this.options.sampling.alwaysKeep, ...options.sampling?.alwaysKeep }
+            }
+        };
+        this.applyOptions();
+        return this;
+    }
+
+    /**
+     * Aplica las opciones a los componentes compartidos del proceso
+     */
+    applyOptions() {
+        this.captureService.useQueue(this.options.queue);
+        this.captureService.configureSpill(this.options.spill);
+        this.captureService.configureRedaction(this.options.redaction);
+        this.sampler = this.captureService.configureSampling(this.options.sampling);
+        this.captureService.configureExport(this.options.otlp);
+        this.resources = this.captureService.configureResources(this.options.resources);
+        this.captureService.configureSourceMaps(this.options.sourceMaps);
+        this.captureService.configureSlowQueries({ threshold: this.options.slowQueryThreshold });
+        this.captureService.configureNPlusOne(this.options.nPlusOne);
+        this.identity.configure(this.options.identity);
+    }
+
+    /**
+     * Instrumenta la instancia de Sequelize de la aplicación para capturar sus queries
+     */
+    instrumentSequelize(sequelize) {
+        const instrumentation = new SequelizeInstrumentation({
+            captureBindings: this.options.captureQueryBindings
+        });
+        return instrumentation.instrument(sequelize);
+    }
+
+    /**
+     * Instrumenta el módulo pg de la aplicación para capturar sus queries
+     */
+    instrumentPg(pg) {
+        const instrumentation = new PgInstrumentation({
+            captureBindings: this.options.captureQueryBindings
+        });
+        return instrumentation.instrument(pg);
+    }
+
+    /**
+     * Instrumenta el módulo http o https para propagar la traza en llamadas salientes
+     */
+    instrumentHttp(httpModule) {
+        return new HttpInstrumentation().instrument(httpModule);
+    }
+
+    /**
+     * Instrumenta fetch global para propagar la traza en llamadas salientes
+     */
+    instrumentFetch(target = globalThis) {
+        return new HttpInstrumentation().instrumentFetch(target);
+    }
+
+    /**
+     * Registra handlers de uncaughtException y unhandledRejection para guardar los
+     * errores que ocurren fuera de las requests como excepciones de proceso
+     */
+    instrumentProcess(options = {}, target = process) {
+        return new ProcessInstrumentation(this.captureService, options).instrument(target);
+    }
+
+    /**
+     * Instrumenta console para asociar sus líneas a la request en curso
+     */
+    instrumentConsole(target = console) {
+        return new ConsoleInstrumentation().instrument(target);
+    }
+
+    /**
+     * Stream de destino para pino (usar con pino.multistream junto a la salida habitual)
+     */
+    pinoStream(options = {}) {
+        return new PinoInstrumentation(options).createStream();
+    }
+
+    /**
+     * Transport de winston que asocia sus líneas a la request en curso
+     */
+    winstonTransport(winston, options = {}) {
+        return new WinstonInstrumentation().createTransport(winston, options);
+    }
+
+    /**
+     * Headers traceparent/tracestate para propagar manualmente la traza de la request en curso
+     */
+    getTraceHeaders() {
+        return RequestContext.getTraceHeaders();
+    }
+
+    /**
+     * Captura una query SQL. Sin requestId se asocia a la request en curso
+     */
+    async captureQuery(queryData) {
+        return await this.captureService.captureQuery(queryData);
+    }
+
+    /**
+     * Captura una excepción (Error o datos planos). Sin requestId se asocia a la request en curso,
+     * y fuera de una request se guarda como excepción de proceso
+     */
+    async captureException(errorOrData, extra = {}) {
+        const exceptionData = errorOrData instanceof Error
+            ? {
+                message: errorOrData.message,
+                stackTrace: errorOrData.stack,
+                code: errorOrData.code !== undefined ? String(errorOrData.code) : undefined,
+                ...extra
+            }
+            : { ...errorOrData, ...extra };
+
+        if (!exceptionData.requestId && !RequestContext.current() && !exceptionData.processInfo) {
+            exceptionData.processInfo = ProcessInstrumentation.getProcessInfo();
+        }
+
+        return await this.captureService.captureException(exceptionData);
+    }
+
+    /**
+     * Registra una línea de log. Sin requestId se asocia a la request en curso
+     */
+    async captureLog(level, message, context = null, extra = {}) {
+        return await this.captureService.captureLog({
+            level,
+            message,
+            context,
+            source: 'api',
+            ...extra
+        });
+    }
+
+    /**
+     * Asocia un dato propio a la request en curso
+     */
+    setMetadata(key, value) {
+        return RequestContext.setMetadata(key, value);
+    }
+
+    /**
+     * Obtiene el id de la request en curso (null fuera de una request)
+     */
+    getCurrentRequestId() {
+        return RequestContext.getRequestId();
+    }
+
+    /**
+     * Inicia la captura de una request. Retorna el contexto en que el adaptador debe
+     * continuar la cadena (RequestContext.run), o null si la request no se captura
+     *
+     *  request: { method, url, path, headers, query, ip, socket, res, source, bypass }
+     *    - res: http.ServerResponse nativo (res, ctx.res, reply.raw)
+     *    - source: objeto de request del framework, lo recibe el resolver de identidad
+     *  collect: () => { route, controller, requestBody, responseBody, error }, se llama al terminar
+     */
+    startCapture(request, collect) {
+        // Fases de tiempo en alta resolución (cola, headers, handler, escritura)
+        const timer = new RequestTimer(request.headers);
+        const requestId = uuidv4();
+        const res = request.res;
+
+        // Verificar si debe capturar esta request
+        if (!this.shouldCapture(request)) {
+            return null;
+        }
+
+        // Muestreo head: si se descarta y ninguna regla puede rescatarla al final, no se captura
+        const head = this.sampler.decideHead(request.method, request.path);
+        if (!head.sampled && !this.sampler.canKeepLate()) {
+            return null;
+        }
+
+        // Traza W3C: continuar la del llamador o iniciar una nueva
+        const trace = this.options.tracing.enabled
+            ? { ...TraceContext.fromHeaders(request.headers), sampled: head.sampled }
+            : null;
+
+        if (trace && this.options.tracing.responseHeaders && !res.headersSent) {
+            res.setHeader('traceparent', TraceContext.formatTraceparent(trace.traceId, trace.spanId, trace.sampled));
+            if (trace.traceState) {
+                res.setHeader('tracestate', trace.traceState);
+            }
+        }
+
+        // Contexto asíncrono donde se acumulan queries, excepciones y metadata de esta request
+        const context = RequestContext.create(requestId, {
+            maxQueries: this.options.maxQueriesPerRequest,
+            maxLogs: this.options.maxLogsPerRequest,
+            trace
+        });
+
+        // Muestra inicial de CPU, heap y event loop
+        const resourceSample = this.resources.begin();
+
+        // Bytes, tipo y preview de todo lo que se escribe (write/end, pipe, sendFile, plantillas)
+        const responseTap = new ResponseTap(res, {
+            maxBytes: this.options.maxResponseBytes,
+            keepBody: this.options.captureResponseBody
+        }).attach();
+        timer.attach(res);
+
+        const ipAddress = this.getClientIp(request);
+
+        // Cada request se registra una sola vez: al terminar ('finish'), al cerrarse la
+        // conexión sin terminar ('close') o cuando el watchdog la marca como timeout
+        let settled = false;
+        let socketTimedOut = false;
+        const socket = res.socket;
+        const onSocketTimeout = () => { socketTimedOut = true; };
+        let watchdog = null;
+
+        const settle = (outcome) => {
+            if (settled) return;
+            settled = true;
+            clearTimeout(watchdog);
+            socket?.removeListener('timeout', onSocketTimeout);
+            record(outcome);
+        };
+
+        const record = async (outcome) => {
+            context.finished = true;
+
+            try {
+                const timing = timer.phases();
+                const responseTime = timing.totalMs;
+                const resources = this.resources.end(resourceSample);
+                const details = collect();
+                const error = details.error || null;
+                // Se resuelve al terminar: la autenticación corre después del middleware de captura
+                const identity = this.identity.resolve(request.source);
+                const statusCode = CaptureEngine.statusCodeFor(res, outcome);
+
+                // Solo errores: se decide al terminar, cuando el status ya es conocido
+                if (this.options.onlyErrors && statusCode < 400 && !error && outcome === 'completed') {
+                    return;
+                }
+
+                // Decisión final de muestreo (always keep y tail)
+                const sampling = this.sampler.decideTail(head, {
+                    method: request.method,
+                    path: request.path,
+                    route: details.route,
+                    statusCode,
+                    duration: responseTime,
+                    userId: identity?.id || null,
+                    error,
+                    outcome
+                });
+                if (!sampling.keep) {
+                    return;
+                }
+
+                // Preparar datos de la request (el path se recorta al largo de su columna:
+                // la captura local no tiene a quién reportarle el rechazo)
+                const path = request.path.substring(0, CaptureService.maxPathLength);
+                const requestData = {
+                    uuid: requestId,
+                    happened: context.startedAt,
+                    method: request.method,
+                    path,
+                    controller: (details.controller || path).substring(0, CaptureService.maxPathLength),
+                    route: details.route,
+                    queryParams: request.query,
+                    statusCode,
+                    outcome,
+                    responseTime: responseTime,
+                    timing,
+                    resources,
+                    ipAddress,
+                    userAgent: request.headers['user-agent'],
+                    headers: this.sanitizeHeaders(request.headers),
+                    responseHeaders: this.sanitizeHeaders(res.getHeaders()),
+                    requestBody: this.prepareBody(details.requestBody),
+                    responseBody: this.options.captureResponseBody ?
+                        this.prepareBody(details.responseBody) : null,
+                    response: await responseTap.summary(),
+                    identity,
+                    error: error,
+                    sampleRate: sampling.rate,
+                    traceId: trace?.traceId || null,
+                    spanId: trace?.spanId || null,
+                    parentSpanId: trace?.parentSpanId || null,
+                    queries: this.options.captureQueries ? context.queries : [],
+                    exceptions: context.exceptions,
+                    logs: this.options.captureLogs ? context.logs : [],
+                    metadata: this.buildMetadata(context)
+                };
+
+                // Encolar la captura (o escribirla directamente si la cola está deshabilitada)
+                // (fuera del contexto de la request para no capturar las queries de MODR)
+                const result = await RequestContext.exit(() => this.options.queue.enabled
+                    ? this.captureService.enqueueCapture(requestData)
+                    : this.captureService.captureRequest(requestData));
+                if (!result.success) {
+                    console.error('[MODR] Request capture rejected:', result.error);
+                }
+
+            } catch (error) {
+                console.error('[MODR] Error capturing request:', error);
+            }
+        };
+
+        socket?.on('timeout', onSocketTimeout);
+        res.on('finish', () => settle('completed'));
+        res.on('close', () => settle(socketTimedOut ? 'timeout' : 'aborted'));
+
+        if (this.options.watchdog.enabled) {
+            watchdog = setTimeout(() => settle('timeout'), this.options.watchdog.timeout);
+            watchdog.unref?.();
+        }
+
+        return context;
+    }
+
+    /**
+     * Status registrado según cómo terminó la request. Si no se alcanzó a enviar, se usa
+     * 499 (el cliente cerró la conexión, convención de nginx) o 504 (timeout)
+     */
+    static statusCodeFor(res, outcome) {
+        if (outcome === 'completed' || res.headersSent) {
+            return res.statusCode;
+        }
+        return outcome === 'timeout' ? 504 : 499;
+    }
+
+    /**
+     * Verifica si debe capturar esta request
+     */
+    shouldCapture(request) {
+        // Verificar bypass flag
+        if (request.bypass) {
+            return false;
+        }
+
+        // Verificar método HTTP
+        if (!this.options.captureMethods.includes(request.method)) {
+            return false;
+        }
+
+        // Verificar rutas ignoradas
+        const reqPath = (request.url || '').toLowerCase();
+        const shouldIgnore = this.options.ignorePaths.some(ignorePath => {
+            const normalizedIgnorePath = ignorePath.toLowerCase();
+            return reqPath === normalizedIgnorePath ||
+                   reqPath.startsWith(normalizedIgnorePath + '/') ||
+                   reqPath.startsWith(normalizedIgnorePath + '?');
+        });
+
+        if (shouldIgnore) {
+            return false;
+        }
+
+        // Verificar WebSocket requests
+        if (request.headers.upgrade === 'websocket' ||
+            request.headers['sec-websocket-key'] ||
+            request.url?.includes('socket.io')) {
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Obtiene la IP real del cliente
+     */
+    getClientIp(request) {
+        return request.ip ||
+               request.socket?.remoteAddress ||
+               request.headers['x-forwarded-for']?.split(',')[0] ||
+               request.headers['x-real-ip'] ||
+               'unknown';
+    }
+
+    /**
+     * Metadata de la request con los datos que el contexto descartó por límite (clave reservada _modr_dropped)
+     */
+    buildMetadata(context) {
+        const { queries, exceptions, logs } = context.dropped;
+        if (queries + exceptions + logs === 0) {
+            return context.metadata;
+        }
+        return { ...context.metadata, _modr_dropped: { ...context.dropped } };
+    }
+
+    /**
+     * Copia los headers a capturar (la redacción se aplica en el servicio antes de persistir)
+     */
+    sanitizeHeaders(headers) {
+        if (!this.options.captureHeaders) return {};
+
+        return { ...headers };
+    }
+
+    /**
+     * Prepara el cuerpo para almacenamiento
+     */
+    prepareBody(body) {
+        if (!body || !CaptureEngine.isCapturableBody(body)) return null;
+
+        // Los strings solo se guardan si son JSON: el texto (HTML, texto plano, vistas
+        // renderizadas) queda únicamente en el preview de la respuesta
+        let parsed = body;
+        if (typeof body === 'string') {
+            try {
+                parsed = JSON.parse(body);
+            } catch (e) {
+                return null;
+            }
+            if (parsed === null || typeof parsed !== 'object') return null;
+        }
+
+        // Verificar tamaño
+        const bodyStr = typeof body === 'string' ? body : JSON.stringify(body);
+        if (Buffer.byteLength(bodyStr, 'utf8') > this.options.maxBodySize) {
+            // El preview se arma sobre el body ya redactado
+            const redacted = CaptureService.redactor.redact(parsed, 'body');
+            return {
+                _modr_truncated: true,
+                _size: Buffer.byteLength(bodyStr, 'utf8'),
+                _preview: JSON.stringify(redacted).substring(0, 500) + '...'
+            };
+        }
+
+        return parsed;
+    }
+
+    /**
+     * Los Buffers y streams (archivos, descargas) solo quedan en el preview de la respuesta
+     */
+    static isCapturableBody(body) {
+        return !Buffer.isBuffer(body) &&
+            !(body instanceof Uint8Array) &&
+            typeof body?.pipe !== 'function';
+    }
+
+    /**
+     * Datos de un error atrapado por el adaptador
+     */
+    static describeError(error, statusCode = 500) {
+        return {
+            message: error?.message || String(error),
+            stack: error?.stack,
+            type: error?.name || 'Error',
+            code: error?.code,
+            statusCode: error?.statusCode || error?.status || statusCode || 500
+        };
+    }
+
+    /**
+     * Query string de una URL cruda (los parámetros repetidos quedan como arreglo)
+     */
+    static parseQuery(url) {
+        const query = {};
+        const index = (url || '').indexOf('?');
+        if (index === -1) return query;
+
+        new URLSearchParams(url.substring(index + 1)).forEach((value, name) => {
+            if (!Object.prototype.hasOwnProperty.call(query, name)) {
+                query[name] = value;
+            } else {
+                query[name] = [].concat(query[name], value);
+            }
+        });
+
+        return query;
+    }
+}
+
+module.exports = CaptureEngine;
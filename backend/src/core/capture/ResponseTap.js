@@ -0,0 +1,165 @@
+const zlib = require('zlib');
+
+/**
+ * ResponseTap
+ * Intercepta res.write/res.end, el punto por el que pasa toda respuesta
+ * (res.json, res.send, sendFile, pipe, motores de plantillas), para contar los
+ * bytes exactos del body y guardar los primeros bytes como preview
+ */
+class ResponseTap {
+
+    /**
+     * Content types que se guardan como texto
+     */
+    static TEXT_TYPES = [
+        /^text\//i,
+        /^application\/([a-z0-9.-]+\+)?(json|xml)\b/i,
+        /^application\/(javascript|ecmascript|graphql|x-ndjson|x-www-form-urlencoded)\b/i,
+        /^image\/svg\+xml\b/i
+    ];
+
+    constructor(res, options = {}) {
+        this.res = res;
+        this.options = {
+            maxBytes: 64 * 1024, // bytes máximos guardados para el preview
+            keepBody: true,      // false: solo se cuentan bytes
+            ...options
+        };
+        this.bytes = 0;
+        this.chunks = [];
+        this.kept = 0;
+    }
+
+    /**
+     * Envuelve res.write y res.end de esta respuesta
+     */
+    attach() {
+        const tap = this;
+        const originalWrite = this.res.write;
+        const originalEnd = this.res.end;
+
+        this.res.write = function(chunk, encoding, callback) {
+            tap.record(chunk, encoding);
+            return originalWrite.call(this, chunk, encoding, callback);
+        };
+
+        this.res.end = function(chunk, encoding, callback) {
+            tap.record(chunk, encoding);
+            return originalEnd.call(this, chunk, encoding, callback);
+        };
+
+        return this;
+    }
+
+    record(chunk, encoding) {
+        if (chunk === null || chunk === undefined || typeof chunk === 'function') return;
+
+        // Node no envía body en HEAD, 204 ni 304
+        if (this.res.req?.method === 'HEAD' || [204, 304].includes(this.res.statusCode)) return;
+
+        try {
+            const buffer = typeof chunk === 'string'
+                ? Buffer.from(chunk, typeof encoding === 'string' && Buffer.isEncoding(encoding) ? encoding : 'utf8')
+                : Buffer.from(chunk.buffer, chunk.byteOffset, chunk.byteLength);
+
+            this.bytes += buffer.length;
+
+            const remaining = this.options.maxBytes - this.kept;
+            if (this.options.keepBody && remaining > 0) {
+                const kept = buffer.length > remaining ? Buffer.from(buffer.subarray(0, remaining)) : Buffer.from(buffer);
+                this.chunks.push(kept);
+                this.kept += kept.length;
+            }
+        } catch (e) {
+            // Un chunk que no se puede leer no debe afectar la respuesta
+        }
+    }
+
+    /**
+     * Resumen de lo enviado: bytes, content type, encoding y preview (solo tipos de texto)
+     */
+    async summary() {
+        const contentType = this.header('content-type');
+        const encoding = this.header('content-encoding');
+
+        let truncated = this.kept < this.bytes;
+        let preview = null;
+        if (this.options.keepBody && this.kept > 0 && ResponseTap.isText(contentType)) {
+            const body = await ResponseTap.decompress(Buffer.concat(this.chunks), encoding, this.options.maxBytes);
+            if (body) {
+                truncated = truncated || body.length > this.options.maxBytes;
+                preview = ResponseTap.decode(body.subarray(0, this.options.maxBytes), contentType);
+            }
+        }
+
+        return {
+            bytes: this.bytes,
+            contentType: contentType ? contentType.substring(0, 255) : null,
+            encoding: encoding ? encoding.substring(0, 50) : null,
+            preview,
+            truncated: preview !== null && truncated
+        };
+    }
+
+    header(name) {
+        const value = this.res.getHeader?.(name);
+        if (value === undefined || value === null) return null;
+        return Array.isArray(value) ? value.join(', ') : String(value);
+    }
+
+    static isText(contentType) {
+        return typeof contentType === 'string' && this.TEXT_TYPES.some(pattern => pattern.test(contentType.trim()));
+    }
+
+    /**
+     * Descomprime el preview si la respuesta salió comprimida. Admite bodies cortados
+     * y deja de leer al pasar maxBytes (evita inflar bodies muy comprimidos)
+     */
+    static decompress(buffer, encoding, maxBytes) {
+        const name = (encoding || 'identity').toLowerCase().trim();
+        if (name === 'identity') return Promise.resolve(buffer);
+
+        const flush = { finishFlush: zlib.constants.Z_SYNC_FLUSH };
+        const factories = {
+            gzip: () => zlib.createGunzip(flush),
+            'x-gzip': () => zlib.createGunzip(flush),
+            deflate: () => zlib.createInflate(flush),
+            br: () => zlib.createBrotliDecompress({ finishFlush: zlib.constants.BROTLI_OPERATION_FLUSH })
+        };
+
+        if (!factories[name]) return Promise.resolve(null);
+
+        return new Promise(resolve => {
+            const stream = factories[name]();
+            const chunks = [];
+            let length = 0;
+
+            const done = () => resolve(length > 0 ? Buffer.concat(chunks) : null);
+
+            stream.on('data', chunk => {
+                chunks.push(chunk);
+                length += chunk.length;
+                if (length > maxBytes) {
+                    stream.destroy();
+                    done();
+                }
+            });
+            stream.on('end', done);
+            stream.on('error', done); // body inválido: se usa lo que se alcanzó a leer
+            stream.end(buffer);
+        });
+    }
+
+    /**
+     * Decodifica con el charset del content type (utf-8 por defecto)
+     */
+    static decode(buffer, contentType) {
+        const charset = /charset=["']?([\w-]+)/i.exec(contentType || '')?.[1]?.toLowerCase();
+        const encoding = ['iso-8859-1', 'latin1', 'us-ascii', 'ascii'].includes(charset) ? 'latin1' : 'utf8';
+
+        // Quita el carácter incompleto que puede dejar el corte por bytes
+        return buffer.toString(encoding).replace(/\uFFFD$/, '');
+    }
+}
+
+module.exports = ResponseTap;
@@ -121,6 +121,28 @@ const options = {
                             type: 'string',
                             description: 'Controller that handled the request'
                         },
+                        route: {
+                            type: 'string',
+                            nullable: true,
+                            description: 'Route template used to group endpoints (matched Express route, or the path with ids, UUIDs and hashes normalized)',
+                            example: '/api/users/:id'
+                        },
+                        query_params: {
+                            type: 'object',
+                            nullable: true,
+                            description: 'Parsed query string after redaction; repeated parameters are stored as arrays',
+                            example: { status: 'active', page: '2' }
+                        },
+                        outcome: {
+                            type: 'string',
+                            enum: ['completed', 'aborted', 'timeout'],
+                            description: 'How the request ended: response finished, client disconnected first, or socket timeout / watchdog'
+                        },
+                        slow_queries: {
+                            type: 'integer',
+                            description: 'Queries of the request that exceeded the slow query threshold configured at capture time',
+                            example: 0
+                        },
                         happened: {
                             type: 'string',
                             format: 'date-time',
@@ -133,7 +155,8 @@ const options = {
                         made_by: {
                             type: 'string',
                             format: 'uuid',
-                            description: 'User ID who made the request'
+                            nullable: true,
+                            description: 'MODR user linked to the identity that made the request (null when anonymous)'
                         },
                         status: {
                             type: 'object',
@@ -259,10 +282,26 @@ const options = {
         },
         
         tags: [
+            {
+                name: 'Capture',
+                description: 'Ingest endpoints for services that report captures over HTTP'
+            },
             {
                 name: 'CleanUp',
                 description: 'Operations for cleaning up old monitoring data'
             },
+            {
+                name: 'Exceptions',
+                description: 'Operations for retrieving exceptions captured during requests and at process level'
+            },
+            {
+                name: 'Issues',
+                description: 'Exceptions grouped by fingerprint, with an open/resolved/ignored workflow'
+            },
+            {
+                name: 'Queries',
+                description: 'Captured SQL grouped into fingerprints (literals and bindings stripped) and requests flagged by slow queries'
+            },
             {
                 name: 'Requests',
                 description: 'Operations for retrieving and filtering request data'
@@ -270,6 +309,10 @@ const options = {
             {
                 name: 'Stats',
                 description: 'Operations for retrieving system statistics and metrics'
+            },
+            {
+                name: 'Traces',
+                description: 'Operations for retrieving distributed traces across services'
             }
         ]
     },
@@ -0,0 +1,161 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const TraceContext = require('../../utils/TraceContext');
+
+const storage = new AsyncLocalStorage();
+
+// Queries, excepciones y logs descartados (todas las requests) por superar el límite del contexto
+const dropped = { queries: 0, exceptions: 0, logs: 0 };
+
+/**
+ * RequestContext
+ * Contexto asíncrono (AsyncLocalStorage) de la request en curso, para asociarle
+ * queries, excepciones, logs y datos propios desde cualquier punto del call stack
+ */
+class RequestContext {
+
+    /**
+     * Crea el contexto de una request
+     */
+    static create(requestId, options = {}) {
+        return {
+            requestId,
+            startedAt: new Date(),
+            finished: false,
+            maxQueries: options.maxQueries || 500,
+            maxExceptions: options.maxExceptions || 100,
+            maxLogs: options.maxLogs || 1000,
+            trace: options.trace || null, // { traceId, spanId, parentSpanId, traceState, sampled }
+            queries: [],
+            exceptions: [],
+            logs: [],
+            dropped: { queries: 0, exceptions: 0, logs: 0 },
+            metadata: {}
+        };
+    }
+
+    /**
+     * Totales de datos descartados por contextos llenos desde que arrancó el proceso
+     */
+    static getDropped() {
+        return { ...dropped };
+    }
+
+    /**
+     * Cuenta un dato descartado en la request y en los totales
+     */
+    static drop(context, kind) {
+        context.dropped[kind]++;
+        dropped[kind]++;
+        return false;
+    }
+
+    /**
+     * Ejecuta el callback dentro del contexto indicado
+     */
+    static run(context, callback) {
+        return storage.run(context, callback);
+    }
+
+    /**
+     * Ejecuta el callback fuera de cualquier contexto de request
+     */
+    static exit(callback) {
+        return storage.exit(callback);
+    }
+
+    /**
+     * Obtiene el contexto activo (solo si la request sigue en curso)
+     */
+    static current() {
+        const context = storage.getStore();
+        return context && !context.finished ? context : null;
+    }
+
+    /**
+     * Obtiene el id de la request en curso
+     */
+    static getRequestId() {
+        return this.current()?.requestId || null;
+    }
+
+    /**
+     * Headers W3C para propagar la traza en una llamada saliente de la request en curso
+     */
+    static getTraceHeaders() {
+        const trace = this.current()?.trace;
+        if (!trace) {
+            return {};
+        }
+
+        const headers = {
+            traceparent: TraceContext.formatTraceparent(trace.traceId, trace.spanId, trace.sampled)
+        };
+        if (trace.traceState) {
+            headers.tracestate = trace.traceState;
+        }
+        return headers;
+    }
+
+    /**
+     * Registra una query en la request en curso
+     */
+    static addQuery(query) {
+        const context = this.current();
+        if (!context) {
+            return false;
+        }
+        if (context.queries.length >= context.maxQueries) {
+            return this.drop(context, 'queries');
+        }
+
+        context.queries.push(query);
+        return true;
+    }
+
+    /**
+     * Registra una excepción en la request en curso
+     */
+    static addException(exception) {
+        const context = this.current();
+        if (!context) {
+            return false;
+        }
+        if (context.exceptions.length >= context.maxExceptions) {
+            return this.drop(context, 'exceptions');
+        }
+
+        context.exceptions.push(exception);
+        return true;
+    }
+
+    /**
+     * Registra una línea de log en la request en curso
+     */
+    static addLog(log) {
+        const context = this.current();
+        if (!context) {
+            return false;
+        }
+        if (context.logs.length >= context.maxLogs) {
+            return this.drop(context, 'logs');
+        }
+
+        context.logs.push(log);
+        return true;
+    }
+
+    /**
+     * Asocia un dato propio (instrumentación de la aplicación) a la request en curso
+     */
+    static setMetadata(key, value) {
+        const context = this.current();
+        if (!context || typeof key !== 'string' || key.length === 0) {
+            return false;
+        }
+
+        context.metadata[key] = value;
+        return true;
+    }
+}
+
+module.exports = RequestContext;
@@ -0,0 +1,312 @@
+const OtlpUtils = require('../../utils/OtlpUtils');
+const TraceContext = require('../../utils/TraceContext');
+const SqlUtils = require('../../utils/SqlUtils');
+
+const SCOPE = { name: 'modr', version: '1.0.0' };
+
+/**
+ * OtlpExporter
+ * Exporta las capturas ya persistidas a un collector OpenTelemetry (OTLP/HTTP JSON):
+ * requests y queries como spans, excepciones y líneas de log como logs
+ */
+class OtlpExporter {
+    constructor(options = {}) {
+        this.options = {
+            enabled: false,
+            endpoint: process.env.OTEL_EXPORTER_OTLP_ENDPOINT || 'http://localhost:4318',
+            headers: {},               // Headers extra (por ejemplo, autenticación del collector)
+            serviceName: process.env.OTEL_SERVICE_NAME || 'modr',
+            resourceAttributes: {},
+            timeout: 5000,             // ms
+            spans: true,
+            logs: true
+        };
+        this.metrics = {
+            exportedSpans: 0,
+            exportedLogs: 0,
+            failedExports: 0,
+            lastExportAt: null,
+            lastError: null
+        };
+        this.configure(options);
+    }
+
+    /**
+     * Configura el collector de destino
+     */
+    configure(options = {}) {
+        this.options = { ...this.options, ...options };
+
+        if (this.options.enabled && typeof fetch !== 'function') {
+            throw new Error('[MODR] OTLP export requires a global fetch implementation (Node 18+)');
+        }
+
+        return this;
+    }
+
+    /**
+     * Exporta un lote de requests capturadas (con sus queries y excepciones)
+     */
+    async export(items) {
+        if (!this.options.enabled || !items || items.length === 0) return;
+
+        const sends = [];
+
+        if (this.options.spans) {
+            const spans = items.flatMap(item => this.buildSpans(item));
+            if (spans.length > 0) {
+                sends.push(this.send('/v1/traces', this.wrapSpans(spans), 'exportedSpans', spans.length));
+            }
+        }
+
+        if (this.options.logs) {
+            const logs = items.flatMap(item => this.buildLogs(item));
+            if (logs.length > 0) {
+                sends.push(this.send('/v1/logs', this.wrapLogs(logs), 'exportedLogs', logs.length));
+            }
+        }
+
+        await Promise.all(sends);
+    }
+
+    /**
+     * Exporta excepciones registradas fuera de una request en curso
+     */
+    async exportExceptions(exceptions) {
+        if (!this.options.enabled || !this.options.logs || !exceptions || exceptions.length === 0) return;
+
+        const logs = exceptions.map(exception => this.buildLogRecord(exception, {
+            'modr.request_id': exception.requestId
+        }));
+
+        await this.send('/v1/logs', this.wrapLogs(logs), 'exportedLogs', logs.length);
+    }
+
+    /**
+     * Span SERVER de la request y spans CLIENT de sus queries
+     */
+    buildSpans(item) {
+        const ids = this.getIds(item);
+        const start = new Date(item.happened || Date.now()).getTime();
+        const end = start + (item.duration || 0);
+        const failed = item.statusCode >= 500 || Boolean(item.error?.message);
+
+        const requestSpan = {
+            traceId: ids.traceId,
+            spanId: ids.spanId,
+            parentSpanId: ids.parentSpanId || undefined,
+            name: `${item.method} ${item.route || item.controller || item.path}`,
+            kind: OtlpUtils.SPAN_KIND.SERVER,
+            startTimeUnixNano: OtlpUtils.toUnixNano(start),
+            endTimeUnixNano: OtlpUtils.toUnixNano(end),
+            attributes: OtlpUtils.toAttributes({
+                'http.request.method': item.method,
+                'url.path': item.path,
+                'http.route': item.route || item.controller,
+                'http.response.status_code': item.statusCode,
+                'http.response.body.size': item.response?.bytes,
+                'http.response.header.content-type': item.response?.contentType ? [item.response.contentType] : null,
+                'client.address': item.ipAddress,
+                'user_agent.original': item.headers?.['user-agent'],
+                'enduser.id': item.identity?.id,
+                'modr.identity.provider': item.identity?.provider,
+                'modr.request_id': item.uuid,
+                'modr.sample_rate': item.sampleRate,
+                'modr.outcome': item.outcome,
+                'modr.cpu.user_ms': item.resources?.cpuUserMs,
+                'modr.cpu.system_ms': item.resources?.cpuSystemMs,
+                'modr.heap.delta_mb': item.resources?.heapDeltaMb,
+                'modr.event_loop.delay_ms': item.resources?.eventLoopDelayMs,
+                'modr.timing.queue_ms': item.timing?.queueMs,
+                'modr.timing.time_to_headers_ms': item.timing?.timeToHeadersMs,
+                'modr.timing.handler_ms': item.timing?.handlerMs,
+                'modr.timing.response_write_ms': item.timing?.responseWriteMs
+            }),
+            events: this.getExceptions(item).map(exception => ({
+                name: 'exception',
+                timeUnixNano: OtlpUtils.toUnixNano(end),
+                attributes: OtlpUtils.toAttributes(this.exceptionAttributes(exception))
+            })),
+            status: failed
+                ? { code: OtlpUtils.STATUS_CODE.ERROR, message: item.error?.message || `HTTP ${item.statusCode}` }
+                : { code: OtlpUtils.STATUS_CODE.UNSET }
+        };
+
+        const querySpans = (item.queries || []).map(query => {
+            const queryEnd = new Date(query.executedAt || end).getTime();
+            return {
+                traceId: ids.traceId,
+                spanId: TraceContext.generateSpanId(),
+                parentSpanId: ids.spanId,
+                name: query.type || SqlUtils.detectType(query.sql) || 'query',
+                kind: OtlpUtils.SPAN_KIND.CLIENT,
+                startTimeUnixNano: OtlpUtils.toUnixNano(queryEnd - (query.duration || 0)),
+                endTimeUnixNano: OtlpUtils.toUnixNano(queryEnd),
+                attributes: OtlpUtils.toAttributes({
+                    'db.system': 'postgresql',
+                    'db.operation.name': query.type,
+                    'db.query.text': query.sql,
+                    'modr.request_id': item.uuid
+                }),
+                status: { code: OtlpUtils.STATUS_CODE.UNSET }
+            };
+        });
+
+        return [requestSpan, ...querySpans];
+    }
+
+    /**
+     * Logs de una request: sus excepciones y las líneas de log de la aplicación
+     */
+    buildLogs(item) {
+        const ids = this.getIds(item);
+        const timestamp = new Date(item.happened || Date.now()).getTime() + (item.duration || 0);
+
+        const exceptionLogs = this.getExceptions(item).map(exception => ({
+            ...this.buildLogRecord(exception, {
+                'modr.request_id': item.uuid,
+                'http.route': item.route || item.controller
+            }, timestamp),
+            traceId: ids.traceId,
+            spanId: ids.spanId
+        }));
+
+        const applicationLogs = (item.logs || []).map(log => {
+            const severity = String(log.level || 'info').toUpperCase();
+            return {
+                timeUnixNano: OtlpUtils.toUnixNano(new Date(log.loggedAt || timestamp)),
+                severityNumber: OtlpUtils.SEVERITY[severity] || OtlpUtils.SEVERITY.INFO,
+                severityText: severity,
+                body: { stringValue: log.message },
+                attributes: OtlpUtils.toAttributes({
+                    ...(log.context || {}),
+                    'log.source': log.source,
+                    'modr.request_id': item.uuid
+                }),
+                traceId: ids.traceId,
+                spanId: ids.spanId
+            };
+        });
+
+        return [...exceptionLogs, ...applicationLogs];
+    }
+
+    buildLogRecord(exception, attributes = {}, timestamp = Date.now()) {
+        return {
+            timeUnixNano: OtlpUtils.toUnixNano(timestamp),
+            severityNumber: OtlpUtils.SEVERITY.ERROR,
+            severityText: 'ERROR',
+            body: { stringValue: exception.message },
+            attributes: OtlpUtils.toAttributes({
+                ...this.exceptionAttributes(exception),
+                ...attributes
+            })
+        };
+    }
+
+    /**
+     * exception.type es la clase del error (de la primera línea del stack);
+     * el tipo de MODR (system, validation...) va en un atributo propio
+     */
+    exceptionAttributes(exception) {
+        const stack = exception.stack || exception.stackTrace;
+        const errorClass = typeof stack === 'string' ? (stack.match(/^([\w$.]+)(?::|\n|$)/) || [])[1] : undefined;
+
+        return {
+            'exception.type': errorClass,
+            'exception.message': exception.message,
+            'exception.stacktrace': stack,
+            'modr.exception.type': exception.type
+        };
+    }
+
+    getExceptions(item) {
+        return [
+            ...(item.error && item.error.message ? [item.error] : []),
+            ...(item.exceptions || [])
+        ];
+    }
+
+    /**
+     * Ids de traza de la request. Sin traza W3C se derivan del uuid de la request
+     */
+    getIds(item) {
+        const hex = String(item.uuid).replace(/-/g, '');
+        return {
+            traceId: item.traceId || hex,
+            spanId: item.spanId || hex.substring(16),
+            parentSpanId: item.parentSpanId || null
+        };
+    }
+
+    resource() {
+        return {
+            attributes: OtlpUtils.toAttributes({
+                'service.name': this.options.serviceName,
+                ...this.options.resourceAttributes
+            })
+        };
+    }
+
+    wrapSpans(spans) {
+        return {
+            resourceSpans: [{
+                resource: this.resource(),
+                scopeSpans: [{ scope: SCOPE, spans }]
+            }]
+        };
+    }
+
+    wrapLogs(logRecords) {
+        return {
+            resourceLogs: [{
+                resource: this.resource(),
+                scopeLogs: [{ scope: SCOPE, logRecords }]
+            }]
+        };
+    }
+
+    /**
+     * Envía el payload al collector. Los errores se registran en las métricas, nunca se propagan
+     */
+    async send(path, body, metric, count) {
+        const url = this.options.endpoint.replace(/\/+$/, '') + path;
+
+        try {
+            const response = await fetch(url, {
+                method: 'POST',
+                headers: {
+                    'content-type': 'application/json',
+                    ...this.options.headers
+                },
+                body: JSON.stringify(body),
+                signal: AbortSignal.timeout(this.options.timeout)
+            });
+
+            if (!response.ok) {
+                throw new Error(`Collector responded with HTTP ${response.status}`);
+            }
+
+            this.metrics[metric] += count;
+            this.metrics.lastExportAt = new Date().toISOString();
+
+        } catch (error) {
+            this.metrics.failedExports++;
+            this.metrics.lastError = error.message;
+            console.error(`[MODR] OTLP export to ${url} failed:`, error.message);
+        }
+    }
+
+    /**
+     * Métricas actuales del exportador
+     */
+    getMetrics() {
+        return {
+            ...this.metrics,
+            enabled: this.options.enabled,
+            endpoint: this.options.enabled ? this.options.endpoint : null
+        };
+    }
+}
+
+module.exports = OtlpExporter;
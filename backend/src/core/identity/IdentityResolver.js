@@ -0,0 +1,116 @@
+/**
+ * IdentityResolver
+ * Obtiene la identidad del usuario que hizo la request, con el esquema de ids que
+ * use la aplicación (UUID, id numérico, email, sub de un JWT)
+ *
+ * La identidad se guarda como { provider, id, email, name }; CaptureService la
+ * vincula a un usuario de MODR mediante la tabla user_identities
+ */
+class IdentityResolver {
+
+    static MAX_PROVIDER_LENGTH = 50;
+    static MAX_ID_LENGTH = 255;
+    static MAX_EMAIL_LENGTH = 255;
+    static MAX_NAME_LENGTH = 100;
+
+    constructor(options = {}) {
+        this.options = {
+            enabled: true,
+            provider: 'default', // Esquema asignado cuando el resolver no indica uno
+            resolve: null        // (req) => id | { id, provider, email, name } | null; req es el del framework (Koa: ctx)
+        };
+        this.configure(options);
+    }
+
+    /**
+     * Actualiza las opciones
+     */
+    configure(options = {}) {
+        this.options = { ...this.options, ...options };
+
+        if (this.options.resolve !== null && typeof this.options.resolve !== 'function') {
+            throw new Error('[MODR] Identity resolve must be a function');
+        }
+        if (!IdentityResolver.isValidProvider(this.options.provider)) {
+            throw new Error('[MODR] Identity provider must contain only letters, numbers, ".", "_" or "-"');
+        }
+
+        return this;
+    }
+
+    /**
+     * Identidad normalizada de la request, o null si es anónima
+     */
+    resolve(req) {
+        if (!this.options.enabled) return null;
+
+        try {
+            const resolved = this.options.resolve
+                ? this.options.resolve(req)
+                : IdentityResolver.fromRequest(req);
+
+            return IdentityResolver.normalize(resolved, this.options.provider);
+        } catch (error) {
+            // Un resolver con errores no debe afectar la request
+            console.error('[MODR] Error resolving user identity:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Resolver por defecto: req.user (passport, @fastify/jwt), req.auth (express-jwt)
+     * o ctx.state.user (koa-passport, koa-jwt)
+     */
+    static fromRequest(req) {
+        const user = req.user || req.auth || req.state?.user;
+        if (!user) return null;
+        if (typeof user !== 'object') return user;
+
+        return {
+            id: user.user_id ?? user.id ?? user.userId ?? user.sub ?? user.email,
+            email: user.email,
+            name: user.name || [user.first_name ?? user.firstName, user.last_name ?? user.lastName].filter(Boolean).join(' ')
+        };
+    }
+
+    /**
+     * Convierte lo que retorna un resolver en { provider, id, email, name }
+     */
+    static normalize(value, defaultProvider = 'default') {
+        if (value === null || value === undefined) return null;
+
+        const identity = typeof value === 'object' ? value : { id: value };
+        const id = identity.id ?? identity.sub ?? identity.user_id ?? identity.userId;
+        if ((typeof id !== 'string' && typeof id !== 'number') || String(id).trim() === '') return null;
+
+        const provider = identity.provider || defaultProvider;
+        if (!this.isValidProvider(provider)) return null;
+
+        const text = (field, max) => typeof field === 'string' && field.trim() !== ''
+            ? field.trim().substring(0, max)
+            : null;
+        const email = text(identity.email, this.MAX_EMAIL_LENGTH);
+
+        return {
+            provider,
+            id: String(id).trim().substring(0, this.MAX_ID_LENGTH),
+            email: email && /^[^\s@]+@[^\s@]+$/.test(email) ? email.toLowerCase() : null,
+            name: text(identity.name, this.MAX_NAME_LENGTH)
+        };
+    }
+
+    /**
+     * Clave única de una identidad (provider no puede contener ':')
+     */
+    static key(identity) {
+        return `${identity.provider}:${identity.id}`;
+    }
+
+    static isValidProvider(provider) {
+        return typeof provider === 'string' &&
+            provider.length <= this.MAX_PROVIDER_LENGTH &&
+            /^[\w.-]+$/.test(provider);
+    }
+}
+
+module.exports = IdentityResolver;
@@ -0,0 +1,93 @@
+/**
+ * RequestTimer
+ * Mide las fases de una request con process.hrtime.bigint():
+ *
+ *  - queue: desde que el proxy recibió la request (header X-Request-Start) hasta que llegó a la app
+ *  - timeToHeaders: hasta que se enviaron los headers de la respuesta (writeHead, explícito o implícito)
+ *  - handler: hasta que la aplicación llamó a res.end()
+ *  - responseWrite: desde res.end() hasta que la respuesta terminó de entregarse al socket ('finish')
+ *  - total: desde que la request llegó a la app hasta 'finish'
+ *
+ * Todas en milisegundos con precisión de microsegundos
+ */
+class RequestTimer {
+
+    // Máximo aceptado para el tiempo en cola (relojes desincronizados dan valores absurdos)
+    static MAX_QUEUE_MS = 60 * 60 * 1000;
+
+    constructor(headers = {}) {
+        this.start = process.hrtime.bigint();
+        this.queueMs = RequestTimer.parseRequestStart(headers['x-request-start'] ?? headers['x-queue-start'], Date.now());
+        this.headersAt = null;
+        this.endAt = null;
+    }
+
+    /**
+     * Envuelve res.writeHead y res.end de esta respuesta para marcar las fases
+     */
+    attach(res) {
+        const timer = this;
+        const originalWriteHead = res.writeHead;
+        const originalEnd = res.end;
+
+        // Node llama a writeHead también cuando los headers se envían implícitamente (primer write/end)
+        res.writeHead = function(...args) {
+            if (timer.headersAt === null) timer.headersAt = process.hrtime.bigint();
+            return originalWriteHead.apply(this, args);
+        };
+
+        res.end = function(...args) {
+            if (timer.endAt === null) timer.endAt = process.hrtime.bigint();
+            return originalEnd.apply(this, args);
+        };
+
+        return this;
+    }
+
+    /**
+     * Fases medidas hasta ahora (llamar en 'finish')
+     */
+    phases() {
+        const now = process.hrtime.bigint();
+        const since = (from, to) => from === null || to === null
+            ? null
+            : Number(to - from) / 1e6;
+        const round = value => value === null ? null : Math.round(value * 1000) / 1000;
+
+        return {
+            queueMs: round(this.queueMs),
+            timeToHeadersMs: round(since(this.start, this.headersAt)),
+            handlerMs: round(since(this.start, this.endAt)),
+            responseWriteMs: round(since(this.endAt, now)),
+            totalMs: round(since(this.start, now))
+        };
+    }
+
+    /**
+     * Tiempo en cola a partir de X-Request-Start. Acepta 't=<valor>' o el número solo,
+     * en segundos (con decimales), milisegundos o microsegundos (nginx, Heroku, HAProxy)
+     */
+    static parseRequestStart(header, now = Date.now()) {
+        if (header === undefined || header === null) return null;
+
+        const match = /(?:^|t=)\s*(\d+(?:\.\d+)?)/.exec(String(header).trim());
+        if (!match) return null;
+
+        const value = parseFloat(match[1]);
+        let startedMs;
+        if (value > 1e14) {
+            startedMs = value / 1000;      // microsegundos
+        } else if (value > 1e11) {
+            startedMs = value;             // milisegundos
+        } else if (value > 1e8) {
+            startedMs = value * 1000;      // segundos
+        } else {
+            return null;
+        }
+
+        const queueMs = now - startedMs;
+        return queueMs >= 0 && queueMs <= this.MAX_QUEUE_MS ? queueMs : null;
+    }
+}
+
+module.exports = RequestTimer;
@@ -0,0 +1,111 @@
+/**
+ * ResourceMonitor
+ * Mide el consumo de recursos durante cada request: variación del heap, tiempo de
+ * CPU (user/system) y el mayor retraso del event loop.
+ *
+ * Las tres métricas son del proceso completo: con requests concurrentes, cada una
+ * incluye el consumo de las demás que corrían al mismo tiempo
+ */
+class ResourceMonitor {
+    constructor(options = {}) {
+        this.options = {
+            enabled: true,
+            resolution: 10, // ms entre muestras del event loop
+            ...options
+        };
+        this.active = new Set();
+        this.timer = null;
+        this.lastTick = null;
+    }
+
+    /**
+     * Actualiza las opciones
+     */
+    configure(options = {}) {
+        this.options = { ...this.options, ...options };
+        return this;
+    }
+
+    /**
+     * Toma la muestra inicial de una request. Retorna null si está deshabilitado
+     */
+    begin() {
+        if (!this.options.enabled) return null;
+
+        const sample = {
+            heapUsed: process.memoryUsage().heapUsed,
+            cpu: process.cpuUsage(),
+            maxLag: 0
+        };
+
+        this.active.add(sample);
+        this.ensureTimer();
+        return sample;
+    }
+
+    /**
+     * Cierra la muestra y retorna las métricas de la request
+     */
+    end(sample) {
+        if (!sample) return null;
+
+        // Bloqueo en curso que el timer todavía no alcanzó a medir (handlers síncronos)
+        this.recordLag(this.currentLag());
+        this.active.delete(sample);
+        if (this.active.size === 0) this.stopTimer();
+
+        const heapUsed = process.memoryUsage().heapUsed;
+        const cpu = process.cpuUsage(sample.cpu);
+        const toMb = bytes => Math.round(bytes / 1024 / 1024 * 100) / 100;
+        const toMs = micros => Math.round(micros / 10) / 100;
+
+        return {
+            heapUsedMb: toMb(heapUsed),
+            heapDeltaMb: toMb(heapUsed - sample.heapUsed),
+            cpuUserMs: toMs(cpu.user),
+            cpuSystemMs: toMs(cpu.system),
+            eventLoopDelayMs: Math.round(sample.maxLag * 100) / 100
+        };
+    }
+
+    /**
+     * Muestreo del event loop solo mientras hay requests en curso
+     */
+    ensureTimer() {
+        if (this.timer) return;
+
+        const tick = () => {
+            this.recordLag(this.currentLag());
+            this.lastTick = performance.now();
+            this.timer = setTimeout(tick, this.options.resolution);
+            this.timer.unref?.();
+        };
+
+        this.lastTick = performance.now();
+        this.timer = setTimeout(tick, this.options.resolution);
+        this.timer.unref?.();
+    }
+
+    stopTimer() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.lastTick = null;
+    }
+
+    /**
+     * Retraso respecto del momento en que debía ejecutarse la siguiente muestra
+     */
+    currentLag() {
+        if (this.lastTick === null) return 0;
+        return Math.max(0, performance.now() - this.lastTick - this.options.resolution);
+    }
+
+    recordLag(lag) {
+        if (lag <= 0) return;
+        this.active.forEach(sample => {
+            if (lag > sample.maxLag) sample.maxLag = lag;
+        });
+    }
+}
+
+module.exports = ResourceMonitor;
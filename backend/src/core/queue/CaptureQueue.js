@@ -0,0 +1,165 @@
+/**
+ * CaptureQueue
+ * Cola en memoria que agrupa capturas y las escribe en lote
+ * al alcanzar un tamaño máximo o un intervalo de tiempo
+ */
+class CaptureQueue {
+    constructor(options = {}) {
+        this.buffer = [];
+        this.handler = null;
+        this.timer = null;
+        this.flushing = null;
+        this.options = {
+            enabled: true,
+            batchSize: 50,         // Capturas por lote
+            flushInterval: 1000,   // ms máximos que una captura espera en cola
+            maxQueueSize: 5000     // Capturas en memoria antes de descartar
+        };
+        this.metrics = {
+            enqueued: 0,
+            flushed: 0,
+            dropped: 0,
+            failed: 0,
+            batches: 0,
+            failedBatches: 0,
+            maxDepth: 0,
+            lastFlushAt: null,
+            lastFlushDuration: null,
+            lastError: null
+        };
+        this.configure(options);
+    }
+
+    /**
+     * Configura las opciones de la cola
+     */
+    configure(options = {}) {
+        this.options = { ...this.options, ...options };
+        return this;
+    }
+
+    /**
+     * Define la función que escribe un lote de capturas
+     */
+    setHandler(handler) {
+        this.handler = handler;
+        return this;
+    }
+
+    /**
+     * Agrega una captura a la cola. Retorna false si fue descartada
+     */
+    enqueue(item) {
+        if (this.buffer.length >= this.options.maxQueueSize) {
+            this.metrics.dropped++;
+            return false;
+        }
+
+        this.buffer.push(item);
+        this.metrics.enqueued++;
+        this.metrics.maxDepth = Math.max(this.metrics.maxDepth, this.buffer.length);
+
+        if (this.buffer.length >= this.options.batchSize) {
+            this.flush();
+        } else {
+            this.scheduleFlush();
+        }
+
+        return true;
+    }
+
+    /**
+     * Programa un flush por tiempo si no hay uno pendiente
+     */
+    scheduleFlush() {
+        if (this.timer) return;
+
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this.flush();
+        }, this.options.flushInterval);
+
+        // No mantener vivo el proceso solo por la cola
+        this.timer.unref?.();
+    }
+
+    /**
+     * Escribe los lotes pendientes. Solo un flush corre a la vez
+     */
+    flush(force = false) {
+        if (this.flushing) {
+            return this.flushing;
+        }
+
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+
+        this.flushing = this.processBatches(force).finally(() => {
+            this.flushing = null;
+            if (this.handler && this.buffer.length >= this.options.batchSize) {
+                this.flush();
+            } else if (this.buffer.length > 0) {
+                this.scheduleFlush();
+            }
+        });
+
+        return this.flushing;
+    }
+
+    async processBatches(force) {
+        // Un flush por tiempo escribe lo que haya; uno por tamaño solo lotes completos
+        let first = true;
+
+        while (this.handler && this.buffer.length > 0) {
+            if (!first && !force && this.buffer.length < this.options.batchSize) {
+                return;
+            }
+            first = false;
+
+            const batch = this.buffer.splice(0, this.options.batchSize);
+            const startTime = Date.now();
+
+            try {
+                await this.handler(batch);
+                this.metrics.flushed += batch.length;
+                this.metrics.batches++;
+            } catch (error) {
+                this.metrics.failed += batch.length;
+                this.metrics.failedBatches++;
+                this.metrics.lastError = error.message;
+                console.error(`[MODR] Error flushing capture batch (${batch.length} items):`, error);
+            }
+
+            this.metrics.lastFlushAt = new Date().toISOString();
+            this.metrics.lastFlushDuration = Date.now() - startTime;
+        }
+    }
+
+    /**
+     * Escribe todo lo pendiente (por ejemplo, antes de apagar el proceso)
+     */
+    async drain() {
+        while (this.handler && (this.flushing || this.buffer.length > 0)) {
+            await (this.flushing || this.flush(true));
+        }
+    }
+
+    /**
+     * Métricas actuales de la cola
+     */
+    getMetrics() {
+        return {
+            ...this.metrics,
+            depth: this.buffer.length,
+            flushing: Boolean(this.flushing),
+            enabled: this.options.enabled,
+            batchSize: this.options.batchSize,
+            flushInterval: this.options.flushInterval,
+            maxQueueSize: this.options.maxQueueSize
+        };
+    }
+}
+
+module.exports = CaptureQueue;
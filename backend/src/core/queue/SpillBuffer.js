@@ -0,0 +1,344 @@
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+
+const FILE_PATTERN = /^spill-\d+-\d+\.ndjson$/;
+
+// Las capturas incluyen headers y bodies: solo el usuario del proceso puede leerlas
+const DIRECTORY_MODE = 0o700;
+const FILE_MODE = 0o600;
+
+/**
+ * SpillBuffer
+ * Archivo local NDJSON (una captura por línea) donde se guardan las capturas que no se
+ * pudieron escribir porque la base de datos no estaba disponible. Rota por tamaño y
+ * un replayer en segundo plano las vuelve a escribir cuando la base se recupera
+ *
+ * Los archivos de un proceso anterior se recuperan al iniciar el replayer
+ */
+class SpillBuffer {
+    constructor(options = {}) {
+        this.options = {
+            enabled: true,
+            directory: path.join(os.tmpdir(), 'modr-spill'),
+            maxFileSize: 10 * 1024 * 1024, // bytes por archivo antes de rotar
+            maxFiles: 10,                  // Archivos en disco; al superarlo se descarta el más antiguo
+            replayInterval: 5000,          // ms entre intentos de reescritura
+            replayBatchSize: 50,           // Capturas por lote reescrito
+            retryable: () => true          // (error) => true si el lote debe reintentarse más tarde
+        };
+        this.handler = null;
+        this.timer = null;
+        this.replaying = null;
+        this.writing = Promise.resolve();
+        this.recovered = null;
+        this.active = null;        // Archivo en el que se está escribiendo
+        this.replayingFile = null; // Archivo que se está reescribiendo (no se descarta al rotar)
+        this.files = new Map();    // Archivo -> { items, bytes }
+        this.sequence = 0;
+        this.metrics = {
+            spilled: 0,
+            replayed: 0,
+            discarded: 0,
+            droppedFiles: 0,
+            failedWrites: 0,
+            lastSpillAt: null,
+            lastReplayAt: null,
+            lastError: null
+        };
+        this.configure(options);
+    }
+
+    /**
+     * Configura las opciones del buffer
+     */
+    configure(options = {}) {
+        const previousDirectory = this.options.directory;
+        this.options = { ...this.options, ...options };
+
+        // Otro directorio: se vuelven a cargar sus archivos
+        if (this.options.directory !== previousDirectory) {
+            this.recovered = null;
+            this.active = null;
+            this.files = new Map();
+        }
+
+        if (typeof this.options.retryable !== 'function') {
+            throw new Error('[MODR] Spill retryable must be a function');
+        }
+
+        // Reiniciar el replayer con el intervalo nuevo (o detenerlo si se deshabilitó)
+        if (this.timer) {
+            this.stop();
+            this.start();
+        }
+
+        return this;
+    }
+
+    /**
+     * Define la función que reescribe un lote de capturas recuperadas
+     */
+    setHandler(handler) {
+        this.handler = handler;
+        return this;
+    }
+
+    /**
+     * Inicia el replayer en segundo plano (idempotente)
+     */
+    start() {
+        if (!this.options.enabled || !this.handler || this.timer) return this;
+
+        this.recover();
+        this.timer = setInterval(() => this.replay(), this.options.replayInterval);
+
+        // No mantener vivo el proceso solo por el replayer
+        this.timer.unref?.();
+
+        return this;
+    }
+
+    /**
+     * Detiene el replayer (los archivos quedan en disco)
+     */
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+        return this;
+    }
+
+    /**
+     * Agrega capturas al archivo activo. Las escrituras se hacen en orden
+     */
+    write(items) {
+        if (!this.options.enabled || !items || items.length === 0) {
+            return Promise.resolve(false);
+        }
+
+        return this.serialize(async () => {
+            await this.recover();
+            await fs.mkdir(this.options.directory, { recursive: true, mode: DIRECTORY_MODE });
+
+            const content = items.map(item => JSON.stringify(item)).join('\n') + '\n';
+            const bytes = Buffer.byteLength(content);
+
+            if (!this.active || this.files.get(this.active)?.bytes + bytes > this.options.maxFileSize) {
+                await this.rotate();
+            }
+
+            await fs.appendFile(this.filePath(this.active), content, { mode: FILE_MODE });
+
+            const file = this.files.get(this.active);
+            file.items += items.length;
+            file.bytes += bytes;
+            this.metrics.spilled += items.length;
+            this.metrics.lastSpillAt = new Date().toISOString();
+
+            return true;
+        }).catch(error => {
+            this.metrics.failedWrites++;
+            this.metrics.lastError = error.message;
+            console.error(`[MODR] Error spilling ${items.length} captures to disk:`, error);
+            return false;
+        });
+    }
+
+    /**
+     * Reescribe las capturas guardadas, del archivo más antiguo al más nuevo.
+     * Se detiene en el primer lote que falla por un error reintentable
+     */
+    replay() {
+        if (this.replaying) {
+            return this.replaying;
+        }
+        if (!this.handler) {
+            return Promise.resolve();
+        }
+
+        this.replaying = this.replayFiles()
+            .finally(() => {
+                this.replayingFile = null;
+            })
+            .catch(error => {
+                this.metrics.lastError = error.message;
+                console.error('[MODR] Error replaying spilled captures:', error);
+            })
+            .finally(() => {
+                this.replaying = null;
+            });
+
+        return this.replaying;
+    }
+
+    async replayFiles() {
+        await this.recover();
+        if (this.files.size === 0) return;
+
+        // Cerrar el archivo activo para que las capturas nuevas vayan a otro
+        await this.serialize(async () => {
+            this.active = null;
+        });
+
+        const pending = [...this.files.keys()].sort(SpillBuffer.compareFiles);
+
+        for (const name of pending) {
+            if (!this.files.has(name)) continue; // Descartado por rotación
+            this.replayingFile = name;
+
+            const lines = (await fs.readFile(this.filePath(name), 'utf8'))
+                .split('\n')
+                .filter(line => line.trim() !== '');
+
+            for (let offset = 0; offset < lines.length; offset += this.options.replayBatchSize) {
+                const chunk = lines.slice(offset, offset + this.options.replayBatchSize);
+                const items = chunk.map(line => SpillBuffer.parse(line)).filter(Boolean);
+                this.metrics.discarded += chunk.length - items.length;
+
+                try {
+                    // El handler retorna lo escrito; lo que rechazó por datos inválidos se descarta
+                    const written = items.length > 0 ? await this.handler(items) : [];
+                    const replayed = Array.isArray(written) ? written.length : items.length;
+                    this.metrics.replayed += replayed;
+                    this.metrics.discarded += items.length - replayed;
+                    this.metrics.lastReplayAt = new Date().toISOString();
+
+                } catch (error) {
+                    this.metrics.lastError = error.message;
+
+                    if (this.options.retryable(error)) {
+                        // Dejar en el archivo solo lo que falta reescribir (pendingItems: el handler
+                        // alcanzó a escribir parte del lote)
+                        const remaining = error.pendingItems
+                            ? error.pendingItems.map(item => JSON.stringify(item))
+                            : chunk;
+                        await this.truncate(name, [...remaining, ...lines.slice(offset + chunk.length)]);
+                        return;
+                    }
+
+                    this.metrics.discarded += items.length;
+                    console.error(`[MODR] Discarding ${items.length} spilled captures that cannot be written:`, error);
+                }
+            }
+
+            await fs.rm(this.filePath(name), { force: true });
+            this.files.delete(name);
+        }
+    }
+
+    /**
+     * Carga los archivos que quedaron en disco (una sola vez por directorio)
+     */
+    recover() {
+        if (!this.recovered) {
+            this.recovered = this.scan().catch(error => {
+                if (error.code !== 'ENOENT') {
+                    this.metrics.lastError = error.message;
+                    console.error('[MODR] Error reading spill directory:', error);
+                }
+            });
+        }
+        return this.recovered;
+    }
+
+    async scan() {
+        const names = (await fs.readdir(this.options.directory)).filter(name => FILE_PATTERN.test(name));
+
+        for (const name of names) {
+            if (this.files.has(name)) continue;
+
+            const content = await fs.readFile(this.filePath(name), 'utf8');
+            this.files.set(name, {
+                items: content.split('\n').filter(line => line.trim() !== '').length,
+                bytes: Buffer.byteLength(content)
+            });
+        }
+    }
+
+    /**
+     * Abre un archivo nuevo y descarta los más antiguos si se supera maxFiles
+     */
+    async rotate() {
+        this.active = `spill-${Date.now()}-${this.sequence++}.ndjson`;
+        this.files.set(this.active, { items: 0, bytes: 0 });
+
+        const names = [...this.files.keys()]
+            .filter(name => name !== this.replayingFile)
+            .sort(SpillBuffer.compareFiles);
+        while (names.length > 0 && this.files.size > this.options.maxFiles) {
+            const oldest = names.shift();
+            const { items } = this.files.get(oldest);
+
+            await fs.rm(this.filePath(oldest), { force: true });
+            this.files.delete(oldest);
+            this.metrics.droppedFiles++;
+            this.metrics.discarded += items;
+            console.error(`[MODR] Spill buffer full, dropped ${items} captures from ${oldest}`);
+        }
+    }
+
+    async truncate(name, lines) {
+        const content = lines.join('\n') + '\n';
+        await fs.writeFile(this.filePath(name), content, { mode: FILE_MODE });
+        this.files.set(name, { items: lines.length, bytes: Buffer.byteLength(content) });
+    }
+
+    serialize(task) {
+        const run = this.writing.then(task);
+        this.writing = run.catch(() => {});
+        return run;
+    }
+
+    filePath(name) {
+        return path.join(this.options.directory, name);
+    }
+
+    /**
+     * Métricas actuales del buffer (backlog pendiente en disco)
+     */
+    getMetrics() {
+        const files = [...this.files.values()];
+
+        return {
+            ...this.metrics,
+            pending: files.reduce((sum, file) => sum + file.items, 0),
+            pendingBytes: files.reduce((sum, file) => sum + file.bytes, 0),
+            files: files.length,
+            replaying: Boolean(this.replaying),
+            enabled: this.options.enabled,
+            directory: this.options.directory,
+            maxFileSize: this.options.maxFileSize,
+            maxFiles: this.options.maxFiles
+        };
+    }
+
+    /**
+     * Convierte una línea en captura; las fechas vuelven a ser Date
+     */
+    static parse(line) {
+        try {
+            const item = JSON.parse(line);
+            if (!item || typeof item !== 'object') return null;
+
+            if (item.happened) {
+                item.happened = new Date(item.happened);
+            }
+            return item;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Orden cronológico de los archivos (timestamp y secuencia)
+     */
+    static compareFiles(a, b) {
+        const [, timeA, seqA] = a.match(/(\d+)-(\d+)/);
+        const [, timeB, seqB] = b.match(/(\d+)-(\d+)/);
+        return (Number(timeA) - Number(timeB)) || (Number(seqA) - Number(seqB));
+    }
+}
+
+module.exports = SpillBuffer;
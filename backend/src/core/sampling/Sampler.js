@@ -0,0 +1,185 @@
+/**
+ * Sampler
+ * Decide qué requests se persisten cuando el tráfico es alto
+ *
+ *  - Head: al inicio de la request, con una tasa global o por ruta
+ *  - Always keep: errores, requests lentas y usuarios específicos se guardan siempre
+ *  - Tail: una función evaluada en 'finish' (status y duración ya conocidos)
+ *
+ * Cada decisión retorna la tasa con que se guardó la request, para que las
+ * estadísticas puedan extrapolar totales (cada request guardada cuenta 1 / rate)
+ */
+class Sampler {
+    constructor(options = {}) {
+        this.options = {
+            enabled: true,
+            rate: 1,              // Tasa global (0 - 1)
+            routes: [],           // { path: '/api/health' | '/api/orders/*' | RegExp, method, rate }
+            alwaysKeep: {
+                errors: true,     // Status >= 500 o error registrado
+                slowerThan: null, // ms
+                users: []         // ids de usuario (de la identidad resuelta) que siempre se guardan
+            },
+            tail: null            // (summary) => rate (0 - 1) | boolean | null
+        };
+        this.routes = [];
+        this.metrics = {
+            seen: 0,
+            kept: 0,
+            dropped: 0,
+            keptBy: { head: 0, errors: 0, slow: 0, users: 0, tail: 0 }
+        };
+        this.configure(options);
+    }
+
+    /**
+     * Configura las reglas de muestreo
+     */
+    configure(options = {}) {
+        this.options = {
+            ...this.options,
+            ...options,
+            alwaysKeep: { ...this.options.alwaysKeep, ...options.alwaysKeep }
+        };
+
+        this.validateRate(this.options.rate, 'sampling rate');
+
+        if (this.options.tail !== null && typeof this.options.tail !== 'function') {
+            throw new Error('[MODR] Sampling tail must be a function');
+        }
+
+        this.routes = (this.options.routes || []).map((route, index) => {
+            if (!route || !route.path) {
+                throw new Error(`[MODR] Sampling route #${index} needs a path`);
+            }
+            this.validateRate(route.rate, `sampling route #${index} rate`);
+
+            return {
+                pattern: route.path instanceof RegExp ? route.path : this.globToRegExp(route.path),
+                method: route.method ? route.method.toUpperCase() : null,
+                rate: route.rate
+            };
+        });
+
+        return this;
+    }
+
+    validateRate(rate, name) {
+        if (typeof rate !== 'number' || isNaN(rate) || rate < 0 || rate > 1) {
+            throw new Error(`[MODR] Invalid ${name}: must be a number between 0 and 1`);
+        }
+    }
+
+    globToRegExp(glob) {
+        const pattern = String(glob)
+            .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+            .replace(/\*/g, '.*')
+            .replace(/\?/g, '.');
+        return new RegExp(`^${pattern}$`, 'i');
+    }
+
+    /**
+     * Tasa head aplicable a una ruta (la primera regla que coincide gana)
+     */
+    getRate(method, path) {
+        const route = this.routes.find(rule =>
+            (!rule.method || rule.method === method) && rule.pattern.test(path)
+        );
+        return route ? route.rate : this.options.rate;
+    }
+
+    /**
+     * Decisión al inicio de la request
+     */
+    decideHead(method, path) {
+        const rate = this.options.enabled ? this.getRate(method, path) : 1;
+        return {
+            sampled: rate >= 1 || (rate > 0 && Math.random() < rate),
+            rate
+        };
+    }
+
+    /**
+     * Indica si una request descartada en head aún puede guardarse al terminar
+     * (si no, el middleware puede omitir la captura por completo)
+     */
+    canKeepLate() {
+        const { alwaysKeep, tail } = this.options;
+        return Boolean(
+            alwaysKeep.errors ||
+            alwaysKeep.slowerThan !== null ||
+            (alwaysKeep.users && alwaysKeep.users.length > 0) ||
+            tail
+        );
+    }
+
+    /**
+     * Decisión final, al terminar. summary: { method, path, route, statusCode, duration, userId, error, outcome }
+     */
+    decideTail(head, summary) {
+        this.metrics.seen++;
+
+        const decision = this.evaluate(head, summary);
+        if (decision.keep) {
+            this.metrics.kept++;
+            this.metrics.keptBy[decision.reason]++;
+        } else {
+            this.metrics.dropped++;
+        }
+
+        return decision;
+    }
+
+    evaluate(head, summary) {
+        if (!this.options.enabled) {
+            return { keep: true, rate: 1, reason: 'head' };
+        }
+
+        // Reglas "always keep": se guardan con certeza (rate 1)
+        const { alwaysKeep } = this.options;
+        // Las requests abortadas o con timeout cuentan como errores
+        const interrupted = summary.outcome && summary.outcome !== 'completed';
+        if (alwaysKeep.errors && (summary.statusCode >= 500 || summary.error || interrupted)) {
+            return { keep: true, rate: 1, reason: 'errors' };
+        }
+        if (alwaysKeep.slowerThan !== null && summary.duration > alwaysKeep.slowerThan) {
+            return { keep: true, rate: 1, reason: 'slow' };
+        }
+        if (summary.userId && alwaysKeep.users && alwaysKeep.users.map(String).includes(String(summary.userId))) {
+            return { keep: true, rate: 1, reason: 'users' };
+        }
+
+        // Tail: reemplaza la decisión head cuando retorna una tasa
+        if (this.options.tail) {
+            const tailRate = this.normalizeTailRate(this.options.tail(summary));
+            if (tailRate !== null) {
+                const keep = tailRate >= 1 || (tailRate > 0 && Math.random() < tailRate);
+                return { keep, rate: tailRate, reason: 'tail' };
+            }
+        }
+
+        return { keep: head.sampled, rate: head.rate, reason: 'head' };
+    }
+
+    normalizeTailRate(value) {
+        if (value === null || value === undefined) return null;
+        if (typeof value === 'boolean') return value ? 1 : 0;
+        if (typeof value !== 'number' || isNaN(value)) return null;
+        return Math.min(Math.max(value, 0), 1);
+    }
+
+    /**
+     * Métricas actuales del muestreo
+     */
+    getMetrics() {
+        return {
+            ...this.metrics,
+            keptBy: { ...this.metrics.keptBy },
+            enabled: this.options.enabled,
+            rate: this.options.rate,
+            routes: this.routes.length
+        };
+    }
+}
+
+module.exports = Sampler;
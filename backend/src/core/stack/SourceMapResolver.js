@@ -0,0 +1,182 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { SourceMap } = require('module');
+const BoundedCache = require('../../utils/BoundedCache');
+
+const MAPPING_URL_PATTERN = /\/\/[#@]\s*sourceMappingURL=(\S+)\s*$/;
+
+/**
+ * SourceMapResolver
+ * Traduce los frames de código transpilado o empaquetado a su fuente original
+ * usando los archivos .map locales (junto al archivo o indicados por su comentario
+ * sourceMappingURL, incluidos los data: URL en línea)
+ *
+ * Solo lee archivos regulares del disco local, dentro de los directorios configurados
+ * (roots) y hasta maxFileSize: los stacks pueden venir de clientes de la API, así que
+ * sus rutas no son de confianza. Los frames sin mapa se dejan como están
+ */
+class SourceMapResolver {
+    constructor(options = {}) {
+        this.options = {
+            enabled: true,
+            cacheSize: 100,                 // Archivos con su mapa (o sin mapa) en memoria
+            roots: [process.cwd()],         // Directorios de los que se leen archivos generados y mapas
+            maxFileSize: 5 * 1024 * 1024    // bytes; los archivos más grandes no se leen
+        };
+        this.cache = new BoundedCache(this.options.cacheSize);
+        this.configure(options);
+    }
+
+    /**
+     * Configura la resolución de source maps
+     */
+    configure(options = {}) {
+        this.options = { ...this.options, ...options };
+
+        if (this.cache.maxEntries !== this.options.cacheSize) {
+            this.cache = new BoundedCache(this.options.cacheSize);
+        }
+
+        return this;
+    }
+
+    /**
+     * Frames resueltos; cada frame traducido guarda su posición generada en `generated`
+     */
+    async resolve(frames) {
+        if (!this.options.enabled || !Array.isArray(frames) || frames.length === 0) {
+            return frames;
+        }
+
+        return Promise.all(frames.map(frame => this.resolveFrame(frame)));
+    }
+
+    async resolveFrame(frame) {
+        if (frame.internal || !frame.file || frame.line === null || !path.isAbsolute(frame.file)) {
+            return frame;
+        }
+
+        // Rutas fuera de los roots ni se consultan en el disco
+        if (!await this.isWithinRoots(path.resolve(frame.file))) {
+            return frame;
+        }
+
+        try {
+            const map = await this.load(frame.file);
+            if (!map) return frame;
+
+            // findEntry usa líneas y columnas desde 0
+            const entry = map.sourceMap.findEntry(frame.line - 1, Math.max((frame.column || 1) - 1, 0));
+            if (!entry || entry.originalSource === undefined) return frame;
+
+            const file = SourceMapResolver.sourcePath(entry.originalSource, map.directory, map.sourceRoot);
+
+            return {
+                ...frame,
+                function: entry.name || frame.function,
+                file,
+                line: entry.originalLine + 1,
+                column: entry.originalColumn + 1,
+                inApp: !frame.internal && !file.includes('/node_modules/'),
+                generated: {
+                    file: frame.file,
+                    line: frame.line,
+                    column: frame.column
+                }
+            };
+        } catch (error) {
+            return frame;
+        }
+    }
+
+    /**
+     * Mapa del archivo generado (cacheado, también cuando no tiene)
+     */
+    async load(file) {
+        if (this.cache.has(file)) {
+            return this.cache.get(file);
+        }
+
+        const map = await this.read(file).catch(() => null);
+        this.cache.set(file, map);
+        return map;
+    }
+
+    async read(file) {
+        let payload = null;
+        let mapFile = `${file}.map`;
+
+        const url = await this.findMappingUrl(file);
+        if (url && url.startsWith('data:')) {
+            const [, encoding, data] = /^data:[^,]*?(;base64)?,(.*)$/.exec(url) || [];
+            if (data === undefined) return null;
+            payload = JSON.parse(encoding ? Buffer.from(data, 'base64').toString('utf8') : decodeURIComponent(data));
+            mapFile = file;
+        } else {
+            if (url && !/^[a-z]+:\/\//i.test(url)) {
+                mapFile = path.resolve(path.dirname(file), url);
+            }
+            const content = await this.readFile(mapFile);
+            if (content === null) return null;
+            payload = JSON.parse(content);
+        }
+
+        return {
+            sourceMap: new SourceMap(payload),
+            directory: path.dirname(mapFile),
+            sourceRoot: payload.sourceRoot || ''
+        };
+    }
+
+    /**
+     * URL del comentario sourceMappingURL al final del archivo generado
+     */
+    async findMappingUrl(file) {
+        const content = await this.readFile(file).catch(() => null);
+        if (!content) return null;
+
+        const trimmed = content.trimEnd();
+        const lastLine = trimmed.substring(trimmed.lastIndexOf('\n') + 1);
+        const match = MAPPING_URL_PATTERN.exec(lastLine);
+        return match ? match[1] : null;
+    }
+
+    /**
+     * Contenido de un archivo permitido: regular, dentro de un root (resueltos los
+     * symlinks) y no más grande que maxFileSize. null si no se puede leer
+     */
+    async readFile(file) {
+        const realFile = await fs.realpath(file);
+        if (!await this.isWithinRoots(realFile)) return null;
+
+        const stats = await fs.stat(realFile);
+        if (!stats.isFile() || stats.size > this.options.maxFileSize) return null;
+
+        return fs.readFile(realFile, 'utf8');
+    }
+
+    async isWithinRoots(file) {
+        const roots = await Promise.all((this.options.roots || []).map(root =>
+            fs.realpath(root).catch(() => path.resolve(root))));
+
+        return roots.some(root => {
+            const relative = path.relative(root, file);
+            return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+        });
+    }
+
+    /**
+     * Ruta del archivo fuente: absoluta si es relativa al mapa, tal cual si es una URL (webpack://)
+     */
+    static sourcePath(source, directory, sourceRoot = '') {
+        const fullSource = sourceRoot ? `${sourceRoot.replace(/\/$/, '')}/${source}` : source;
+
+        if (/^[a-z][\w+.-]*:\/\//i.test(fullSource)) {
+            return fullSource.replace(/^file:\/\//, '');
+        }
+
+        return path.resolve(directory, fullSource);
+    }
+}
+
+module.exports = SourceMapResolver;
@@ -0,0 +1,72 @@
+const FRAME_PATTERN = /^\s*at\s+(?:(.+?)\s+\((.+?)(?::(\d+))?(?::(\d+))?\)|(.+?)(?::(\d+))?(?::(\d+))?)\s*$/;
+
+/**
+ * StackTraceParser
+ * Convierte un stack trace de V8 en frames estructurados:
+ * { function, file, line, column, inApp, internal }
+ *
+ *  - internal: frames de Node (node:*, internal/*, native), sin archivo real
+ *  - inApp: código de la aplicación (ni interno ni dentro de node_modules)
+ */
+class StackTraceParser {
+
+    // Frames guardados por excepción
+    static MAX_FRAMES = 50;
+
+    /**
+     * Frames del stack, del más cercano al error al más lejano
+     */
+    static parse(stack, maxFrames = this.MAX_FRAMES) {
+        if (!stack || typeof stack !== 'string') return [];
+
+        const frames = [];
+
+        for (const line of stack.split('\n')) {
+            const match = FRAME_PATTERN.exec(line);
+            if (!match) continue;
+
+            const frame = match[2] !== undefined
+                ? this.buildFrame(match[1], match[2], match[3], match[4])
+                : this.buildFrame(null, match[5], match[6], match[7]);
+
+            frames.push(frame);
+            if (frames.length >= maxFrames) break;
+        }
+
+        return frames;
+    }
+
+    static buildFrame(name, location, line, column) {
+        const file = location.replace(/^file:\/\//, '');
+        const internal = file.startsWith('node:') ||
+            file.startsWith('internal/') ||
+            file === 'native' ||
+            /^index \d+$/.test(file); // Promise.all / Promise.any
+
+        return {
+            function: name ? name.replace(/^(?:async|new)\s+/, '') : null,
+            file,
+            line: line !== undefined ? parseInt(line) : null,
+            column: column !== undefined ? parseInt(column) : null,
+            inApp: !internal && !file.includes('/node_modules/'),
+            internal
+        };
+    }
+
+    /**
+     * Ruta del archivo sin el directorio del proyecto (o desde node_modules)
+     */
+    static relativeFile(file) {
+        if (!file) return file;
+
+        const nodeModules = file.lastIndexOf('/node_modules/');
+        if (nodeModules >= 0) {
+            return file.substring(nodeModules + 1);
+        }
+
+        const cwd = process.cwd();
+        return file.startsWith(cwd + '/') ? file.substring(cwd.length + 1) : file;
+    }
+}
+
+module.exports = StackTraceParser;
@@ -0,0 +1,76 @@
+const util = require('util');
+const RequestContext = require('../core/context/RequestContext');
+const LogUtils = require('../utils/LogUtils');
+
+const ORIGINAL = Symbol('modrOriginal');
+
+/**
+ * ConsoleInstrumentation
+ * Envuelve los métodos de console para asociar cada línea impresa durante
+ * una request a la request en curso. La salida original no se modifica
+ */
+class ConsoleInstrumentation {
+    constructor(options = {}) {
+        this.options = {
+            methods: ['log', 'info', 'debug', 'warn', 'error', 'trace'],
+            ...options
+        };
+    }
+
+    /**
+     * Instrumenta un objeto console (idempotente por método)
+     */
+    instrument(target = console) {
+        if (!target || typeof target.log !== 'function') {
+            throw new Error('[MODR] instrumentConsole expects a console object');
+        }
+
+        this.options.methods.forEach(method => {
+            const original = target[method];
+            if (typeof original !== 'function' || original[ORIGINAL]) return;
+
+            const level = LogUtils.normalizeLevel(method) || 'info';
+            const patched = function () {
+                ConsoleInstrumentation.record(level, arguments);
+                return original.apply(this, arguments);
+            };
+
+            patched[ORIGINAL] = original;
+            target[method] = patched;
+        });
+
+        return target;
+    }
+
+    /**
+     * Restaura los métodos originales de console
+     */
+    restore(target = console) {
+        this.options.methods.forEach(method => {
+            if (target[method] && target[method][ORIGINAL]) {
+                target[method] = target[method][ORIGINAL];
+            }
+        });
+
+        return target;
+    }
+
+    static record(level, args) {
+        if (!RequestContext.current()) return;
+
+        const message = util.format(...args);
+
+        // Los mensajes propios de MODR no son logs de la aplicación
+        if (message.startsWith('[MODR]')) return;
+
+        RequestContext.addLog({
+            level,
+            message: LogUtils.truncateMessage(message),
+            context: null,
+            source: 'console',
+            loggedAt: new Date()
+        });
+    }
+}
+
+module.exports = ConsoleInstrumentation;
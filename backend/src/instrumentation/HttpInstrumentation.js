@@ -0,0 +1,103 @@
+const RequestContext = require('../core/context/RequestContext');
+
+const PATCHED = Symbol('modrPatched');
+
+/**
+ * HttpInstrumentation
+ * Agrega los headers traceparent/tracestate de la request en curso a las
+ * llamadas salientes (http, https y fetch), para enlazar las requests
+ * entre servicios en una misma traza
+ */
+class HttpInstrumentation {
+
+    /**
+     * Instrumenta el módulo http o https (idempotente)
+     */
+    instrument(httpModule) {
+        if (!httpModule || typeof httpModule.request !== 'function') {
+            throw new Error('[MODR] instrumentHttp expects the http or https module');
+        }
+
+        if (httpModule.request[PATCHED]) {
+            return httpModule;
+        }
+
+        const originalRequest = httpModule.request;
+        const instrumentation = this;
+
+        const patchedRequest = function () {
+            const clientRequest = originalRequest.apply(this, arguments);
+            instrumentation.inject(clientRequest);
+            return clientRequest;
+        };
+
+        // http.get usa la función request interna del módulo, no la exportada
+        const patchedGet = function () {
+            const clientRequest = patchedRequest.apply(this, arguments);
+            clientRequest.end();
+            return clientRequest;
+        };
+
+        patchedRequest[PATCHED] = true;
+        patchedGet[PATCHED] = true;
+        httpModule.request = patchedRequest;
+        httpModule.get = patchedGet;
+
+        return httpModule;
+    }
+
+    /**
+     * Instrumenta fetch global (idempotente)
+     */
+    instrumentFetch(target = globalThis) {
+        const originalFetch = target.fetch;
+        if (typeof originalFetch !== 'function') {
+            throw new Error('[MODR] instrumentFetch requires a global fetch implementation');
+        }
+
+        if (originalFetch[PATCHED]) {
+            return target;
+        }
+
+        const patchedFetch = function (input, init = {}) {
+            const traceHeaders = RequestContext.getTraceHeaders();
+            if (!traceHeaders.traceparent) {
+                return originalFetch.apply(this, arguments);
+            }
+
+            const headers = new Headers(
+                init.headers || (typeof Request !== 'undefined' && input instanceof Request ? input.headers : undefined)
+            );
+            Object.entries(traceHeaders).forEach(([name, value]) => {
+                if (!headers.has(name)) {
+                    headers.set(name, value);
+                }
+            });
+
+            return originalFetch.call(this, input, { ...init, headers });
+        };
+
+        patchedFetch[PATCHED] = true;
+        target.fetch = patchedFetch;
+
+        return target;
+    }
+
+    /**
+     * Agrega los headers de traza a una ClientRequest que aún no los envió
+     */
+    inject(clientRequest) {
+        if (!clientRequest || clientRequest.headersSent || typeof clientRequest.setHeader !== 'function') {
+            return;
+        }
+
+        const traceHeaders = RequestContext.getTraceHeaders();
+        Object.entries(traceHeaders).forEach(([name, value]) => {
+            if (!clientRequest.getHeader(name)) {
+                clientRequest.setHeader(name, value);
+            }
+        });
+    }
+}
+
+module.exports = HttpInstrumentation;
@@ -0,0 +1,96 @@
+const RequestContext = require('../core/context/RequestContext');
+const SqlUtils = require('../utils/SqlUtils');
+
+const PATCHED = Symbol('modrPatched');
+
+/**
+ * PgInstrumentation
+ * Envuelve Client.prototype.query del módulo pg para asociar cada
+ * sentencia SQL a la request en curso. No usar junto con la
+ * instrumentación de Sequelize sobre el mismo pool (se duplicarían las queries)
+ */
+class PgInstrumentation {
+    constructor(options = {}) {
+        this.options = {
+            captureBindings: true,
+            ...options
+        };
+    }
+
+    /**
+     * Instrumenta el módulo pg (idempotente)
+     */
+    instrument(pg) {
+        const Client = pg?.Client;
+        if (!Client || typeof Client.prototype.query !== 'function') {
+            throw new Error('[MODR] instrumentPg expects the pg module');
+        }
+
+        const originalQuery = Client.prototype.query;
+        if (originalQuery[PATCHED]) {
+            return pg;
+        }
+
+        const instrumentation = this;
+
+        const patchedQuery = function (config, values, callback) {
+            if (!RequestContext.current()) {
+                return originalQuery.apply(this, arguments);
+            }
+
+            const start = process.hrtime.bigint();
+            const sql = typeof config === 'string' ? config : config?.text;
+            const bindings = Array.isArray(values) ? values : config?.values;
+            let recorded = false;
+
+            const record = () => {
+                if (recorded) return;
+                recorded = true;
+                instrumentation.record(sql, bindings, start);
+            };
+
+            const args = Array.from(arguments);
+            const callbackIndex = args.findIndex(arg => typeof arg === 'function');
+            if (callbackIndex !== -1) {
+                const originalCallback = args[callbackIndex];
+                args[callbackIndex] = function () {
+                    record();
+                    return originalCallback.apply(this, arguments);
+                };
+            }
+
+            const result = originalQuery.apply(this, args);
+
+            if (result && typeof result.then === 'function') {
+                result.then(record, record);
+            } else if (config && typeof config.submit === 'function' && typeof config.on === 'function') {
+                // Submittable (Cursor, QueryStream, ...)
+                config.on('end', record);
+                config.on('error', record);
+            }
+
+            return result;
+        };
+
+        patchedQuery[PATCHED] = true;
+        Client.prototype.query = patchedQuery;
+
+        return pg;
+    }
+
+    record(sql, bindings, start) {
+        if (!sql) return;
+
+        const duration = Number(process.hrtime.bigint() - start) / 1e6;
+
+        RequestContext.addQuery({
+            sql: SqlUtils.truncate(sql),
+            duration: Math.round(duration * 1000) / 1000,
+            type: SqlUtils.detectType(sql),
+            bindings: this.options.captureBindings ? SqlUtils.normalizeBindings(bindings) : null,
+            executedAt: new Date()
+        });
+    }
+}
+
+module.exports = PgInstrumentation;
@@ -0,0 +1,58 @@
+const RequestContext = require('../core/context/RequestContext');
+const LogUtils = require('../utils/LogUtils');
+
+// Campos que pino agrega a cada línea y que no forman parte del contexto
+const PINO_FIELDS = ['level', 'time', 'msg', 'pid', 'hostname', 'v'];
+
+/**
+ * PinoInstrumentation
+ * Destino para pino (p. ej. dentro de pino.multistream) que asocia cada línea
+ * de log a la request en curso. pino escribe de forma síncrona en el contexto
+ * de quien llama, por eso debe usarse como stream y no como transport (worker)
+ */
+class PinoInstrumentation {
+    constructor(options = {}) {
+        this.options = {
+            messageKey: 'msg',
+            ...options
+        };
+    }
+
+    /**
+     * Crea el stream de destino
+     */
+    createStream() {
+        return {
+            write: (line) => {
+                this.record(line);
+                return true;
+            }
+        };
+    }
+
+    record(line) {
+        if (!RequestContext.current()) return;
+
+        let entry;
+        try {
+            entry = typeof line === 'string' ? JSON.parse(line) : line;
+        } catch (e) {
+            entry = { [this.options.messageKey]: String(line).trim() };
+        }
+        if (!entry || typeof entry !== 'object') return;
+
+        const messageKey = this.options.messageKey;
+        const error = entry.err && typeof entry.err === 'object' ? entry.err : null;
+        const loggedAt = new Date(entry.time || Date.now());
+
+        RequestContext.addLog({
+            level: LogUtils.normalizeLevel(entry.level) || 'info',
+            message: LogUtils.truncateMessage(entry[messageKey] ?? error?.message ?? ''),
+            context: LogUtils.toContext(entry, [...PINO_FIELDS, messageKey]),
+            source: 'pino',
+            loggedAt: isNaN(loggedAt.getTime()) ? new Date() : loggedAt
+        });
+    }
+}
+
+module.exports = PinoInstrumentation;
@@ -0,0 +1,166 @@
+const os = require('os');
+const RequestContext = require('../core/context/RequestContext');
+
+const INSTRUMENTED = Symbol('modrProcessInstrumented');
+
+/**
+ * ProcessInstrumentation
+ * Registra handlers de uncaughtException y unhandledRejection para guardar los
+ * errores que nunca llegan a Express (timers, consumidores de colas, promesas).
+ *
+ * Registrar un handler desactiva el cierre por defecto de Node; si MODR es el
+ * único handler, el proceso se cierra igual (código 1) después de guardar el error
+ */
+class ProcessInstrumentation {
+    constructor(captureService, options = {}) {
+        this.captureService = captureService;
+        this.options = {
+            exitOnUncaughtException: true,
+            exitOnUnhandledRejection: true,
+            flushTimeout: 2000, // ms máximos esperando la escritura antes de cerrar
+            ...options
+        };
+        this.handling = false;
+    }
+
+    /**
+     * Instrumenta el proceso (idempotente)
+     */
+    instrument(target = process) {
+        if (!target || typeof target.on !== 'function') {
+            throw new Error('[MODR] instrumentProcess expects the process object');
+        }
+
+        if (target[INSTRUMENTED]) {
+            return target;
+        }
+
+        target.on('uncaughtException', (error, origin) => {
+            const source = origin === 'unhandledRejection' ? 'unhandledRejection' : 'uncaughtException';
+            this.handle(error, source, 'uncaughtException', target);
+        });
+
+        target.on('unhandledRejection', (reason) => {
+            this.handle(reason, 'unhandledRejection', 'unhandledRejection', target);
+        });
+
+        target[INSTRUMENTED] = true;
+        return target;
+    }
+
+    /**
+     * Guarda el error y, si nadie más lo maneja, cierra el proceso como lo haría Node
+     */
+    async handle(reason, source, event, target) {
+        const error = ProcessInstrumentation.toError(reason);
+        const exitOption = event === 'uncaughtException'
+            ? this.options.exitOnUncaughtException
+            : this.options.exitOnUnhandledRejection;
+        const shouldExit = exitOption && target.listenerCount(event) <= 1;
+
+        // Un error mientras se guarda otro no debe generar un ciclo: no se guarda, pero queda en el log
+        if (this.handling) {
+            if (shouldExit) {
+                this.exit(error, target);
+            } else {
+                console.error(`[MODR] ${source} raised while capturing another process exception, not captured:`, error);
+            }
+            return;
+        }
+        this.handling = true;
+
+        try {
+            const exceptionData = {
+                message: String(error.message || error.name || reason).substring(0, 2000),
+                stackTrace: error.stack,
+                code: error.code !== undefined ? String(error.code) : undefined,
+                type: 'system',
+                source,
+                processInfo: ProcessInstrumentation.getProcessInfo()
+            };
+
+            // Si el proceso sigue vivo y hay una request en curso, el error se asocia a ella;
+            // si va a cerrarse, la request nunca termina y el error se guarda por separado
+            const capture = shouldExit || !RequestContext.current()
+                ? RequestContext.exit(() => this.captureService.captureException(exceptionData))
+                : this.captureService.captureException(exceptionData);
+
+            if (!shouldExit) {
+                await capture;
+                return;
+            }
+
+            await this.withTimeout(Promise.all([
+                capture,
+                this.captureService.drainQueue()
+            ]));
+
+        } catch (captureError) {
+            console.error('[MODR] Error capturing process exception:', captureError);
+        } finally {
+            this.handling = false;
+        }
+
+        if (shouldExit) {
+            this.exit(error, target);
+        }
+    }
+
+    exit(error, target) {
+        console.error(error);
+        target.exit(1);
+    }
+
+    withTimeout(promise) {
+        let timer;
+        const timeout = new Promise(resolve => {
+            timer = setTimeout(resolve, this.options.flushTimeout);
+            timer.unref?.();
+        });
+
+        return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+    }
+
+    /**
+     * Las promesas pueden rechazarse con cualquier valor, no solo con Error
+     */
+    static toError(reason) {
+        if (reason instanceof Error) return reason;
+
+        let message;
+        try {
+            message = typeof reason === 'string' ? reason : JSON.stringify(reason);
+        } catch (e) {
+            message = String(reason);
+        }
+
+        const error = new Error(`Non-error rejection: ${message}`);
+        error.stack = error.message;
+        return error;
+    }
+
+    /**
+     * Metadata del proceso en el momento del error
+     */
+    static getProcessInfo() {
+        const memory = process.memoryUsage();
+        const toMb = bytes => Math.round(bytes / 1024 / 1024 * 100) / 100;
+
+        return {
+            pid: process.pid,
+            ppid: process.ppid,
+            hostname: os.hostname(),
+            platform: process.platform,
+            node: process.version,
+            title: process.title,
+            uptime: Math.round(process.uptime()), // segundos
+            memory: {
+                rss: toMb(memory.rss),
+                heapUsed: toMb(memory.heapUsed),
+                heapTotal: toMb(memory.heapTotal)
+            }
+        };
+    }
+}
+
+module.exports = ProcessInstrumentation;
@@ -0,0 +1,61 @@
+const RequestContext = require('../core/context/RequestContext');
+const SqlUtils = require('../utils/SqlUtils');
+
+/**
+ * SequelizeInstrumentation
+ * Registra hooks beforeQuery/afterQuery en la instancia de Sequelize de la
+ * aplicación para asociar cada sentencia SQL a la request en curso
+ */
+class SequelizeInstrumentation {
+    constructor(options = {}) {
+        this.options = {
+            captureBindings: true,
+            ...options
+        };
+        this.startTimes = new WeakMap();
+        this.instrumented = new WeakSet();
+    }
+
+    /**
+     * Instrumenta una instancia de Sequelize (idempotente)
+     */
+    instrument(sequelize) {
+        if (!sequelize || typeof sequelize.addHook !== 'function') {
+            throw new Error('[MODR] instrumentSequelize expects a Sequelize instance');
+        }
+
+        if (this.instrumented.has(sequelize)) {
+            return sequelize;
+        }
+
+        sequelize.addHook('beforeQuery', 'modrBeforeQuery', (options, query) => {
+            if (RequestContext.current()) {
+                this.startTimes.set(query, process.hrtime.bigint());
+            }
+        });
+
+        sequelize.addHook('afterQuery', 'modrAfterQuery', (options, query) => {
+            const start = this.startTimes.get(query);
+            if (start === undefined) return;
+            this.startTimes.delete(query);
+
+            const duration = Number(process.hrtime.bigint() - start) / 1e6;
+            const sql = query.sql;
+
+            RequestContext.addQuery({
+                sql: SqlUtils.truncate(sql),
+                duration: Math.round(duration * 1000) / 1000,
+                type: options.type || SqlUtils.detectType(sql),
+                bindings: this.options.captureBindings
+                    ? SqlUtils.normalizeBindings(options.bind || options.replacements)
+                    : null,
+                executedAt: new Date()
+            });
+        });
+
+        this.instrumented.add(sequelize);
+        return sequelize;
+    }
+}
+
+module.exports = SequelizeInstrumentation;
@@ -0,0 +1,55 @@
+const RequestContext = require('../core/context/RequestContext');
+const LogUtils = require('../utils/LogUtils');
+
+const LEVEL = Symbol.for('level');
+
+// Campos de winston que no forman parte del contexto
+const WINSTON_FIELDS = ['level', 'message', 'timestamp'];
+
+/**
+ * WinstonInstrumentation
+ * Crea un transport de winston que asocia cada línea de log a la request en curso.
+ * Recibe el módulo winston de la aplicación para no depender de él
+ */
+class WinstonInstrumentation {
+
+    /**
+     * Crea una instancia del transport (opciones estándar de winston: level, silent, format...)
+     */
+    createTransport(winston, options = {}) {
+        if (!winston || typeof winston.Transport !== 'function') {
+            throw new Error('[MODR] winstonTransport expects the winston module');
+        }
+
+        class ModrTransport extends winston.Transport {
+            log(info, callback) {
+                WinstonInstrumentation.record(info);
+                setImmediate(() => this.emit('logged', info));
+                callback();
+            }
+        }
+
+        return new ModrTransport(options);
+    }
+
+    static record(info) {
+        if (!RequestContext.current() || !info) return;
+
+        // info[LEVEL] conserva el nivel sin colores aunque se use format.colorize
+        const level = LogUtils.normalizeLevel(info[LEVEL] || info.level) || 'info';
+        const message = typeof info.message === 'string'
+            ? info.message
+            : (info.message instanceof Error ? info.message.message : JSON.stringify(info.message) ?? '');
+        const loggedAt = info.timestamp ? new Date(info.timestamp) : new Date();
+
+        RequestContext.addLog({
+            level,
+            message: LogUtils.truncateMessage(message),
+            context: LogUtils.toContext(info, WINSTON_FIELDS),
+            source: 'winston',
+            loggedAt: isNaN(loggedAt.getTime()) ? new Date() : loggedAt
+        });
+    }
+}
+
+module.exports = WinstonInstrumentation;
@@ -0,0 +1,90 @@
+const CaptureEngine = require('../core/capture/CaptureEngine');
+const RequestContext = require('../core/context/RequestContext');
+const RouteUtils = require('../utils/RouteUtils');
+
+// Estado de la captura guardado en la request de Fastify
+const kCapture = Symbol('modr.capture');
+
+/**
+ * FastifyMonitoringPlugin
+ * Adaptador de Fastify del sistema MODR: mismas opciones y captura que el middleware
+ * de Express (CaptureEngine), con hooks en lugar de middleware. La plantilla de ruta
+ * es la URL registrada de la ruta (request.routeOptions.url)
+ *
+ *   const modr = new FastifyMonitoringPlugin().configure({ ... });
+ *   fastify.register(modr.plugin());
+ */
+class FastifyMonitoringPlugin extends CaptureEngine {
+    /**
+     * Plugin de Fastify. Sus hooks aplican a toda la instancia (como con fastify-plugin)
+     */
+    plugin() {
+        const plugin = (fastify, options, done) => {
+            fastify.addHook('onRequest', (request, reply, next) => this.onRequest(request, reply, next));
+
+            // El body se lee fuera del contexto: se vuelve a entrar antes de validar y del handler
+            fastify.addHook('preValidation', (request, reply, next) => {
+                const capture = request[kCapture];
+                return capture ? RequestContext.run(capture.context, next) : next();
+            });
+
+            fastify.addHook('preSerialization', (request, reply, payload, next) => {
+                if (request[kCapture]) {
+                    request[kCapture].responseBody = payload;
+                }
+                next(null, payload);
+            });
+
+            fastify.addHook('onError', (request, reply, error, next) => {
+                if (request[kCapture]) {
+                    request[kCapture].error = CaptureEngine.describeError(error, reply.statusCode);
+                }
+                next();
+            });
+
+            done();
+        };
+
+        plugin[Symbol.for('skip-override')] = true;
+        plugin[Symbol.for('fastify.display-name')] = 'modr';
+        return plugin;
+    }
+
+    onRequest(request, reply, next) {
+        const url = request.raw.url || request.url;
+        const path = url.split('?')[0];
+        const capture = { context: null, responseBody: null, error: null };
+
+        capture.context = this.startCapture({
+            method: request.method,
+            url,
+            path,
+            headers: request.headers,
+            query: request.query,
+            ip: request.ip,
+            socket: request.raw.socket,
+            res: reply.raw,
+            source: request,
+            bypass: request.modrBypass
+        }, () => {
+            const routeUrl = request.routeOptions?.url ?? request.routerPath;
+
+            return {
+                route: routeUrl ? RouteUtils.clean(routeUrl) : RouteUtils.normalizePath(path),
+                controller: routeUrl || path,
+                requestBody: request.body,
+                responseBody: capture.responseBody,
+                error: capture.error
+            };
+        });
+
+        if (!capture.context) {
+            return next();
+        }
+
+        request[kCapture] = capture;
+        RequestContext.run(capture.context, next);
+    }
+}
+
+module.exports = FastifyMonitoringPlugin;
@@ -0,0 +1,67 @@
+const CaptureEngine = require('../core/capture/CaptureEngine');
+const RequestContext = require('../core/context/RequestContext');
+const RouteUtils = require('../utils/RouteUtils');
+
+/**
+ * HttpMonitoringMiddleware
+ * Adaptador para servidores node:http sin framework: mismas opciones y captura que el
+ * middleware de Express (CaptureEngine). Como no hay router, la plantilla de ruta se
+ * obtiene normalizando el path (o con la opción route del handler)
+ *
+ *   const modr = new HttpMonitoringMiddleware().configure({ ... });
+ *   http.createServer(modr.wrap((req, res) => { ... }));
+ */
+class HttpMonitoringMiddleware extends CaptureEngine {
+    /**
+     * Envuelve el handler del servidor. options.route: (req) => plantilla de la ruta
+     */
+    wrap(handler, options = {}) {
+        return (req, res) => {
+            const url = req.url || '/';
+            const path = url.split('?')[0];
+            let error = null;
+
+            const context = this.startCapture({
+                method: req.method,
+                url,
+                path,
+                headers: req.headers,
+                query: CaptureEngine.parseQuery(url),
+                socket: req.socket,
+                res,
+                source: req,
+                bypass: req.modrBypass
+            }, () => {
+                const route = options.route ? options.route(req) : null;
+
+                return {
+                    route: route ? RouteUtils.clean(String(route)) : RouteUtils.normalizePath(path),
+                    controller: route || path,
+                    requestBody: req.body,
+                    responseBody: null,
+                    error
+                };
+            });
+
+            if (!context) {
+                return handler(req, res);
+            }
+
+            const fail = (thrown) => {
+                error = CaptureEngine.describeError(thrown);
+                throw thrown;
+            };
+
+            return RequestContext.run(context, () => {
+                try {
+                    const result = handler(req, res);
+                    return typeof result?.then === 'function' ? result.then(undefined, fail) : result;
+                } catch (thrown) {
+                    return fail(thrown);
+                }
+            });
+        };
+    }
+}
+
+module.exports = HttpMonitoringMiddleware;
@@ -0,0 +1,58 @@
+const CaptureEngine = require('../core/capture/CaptureEngine');
+const RequestContext = require('../core/context/RequestContext');
+const RouteUtils = require('../utils/RouteUtils');
+
+/**
+ * KoaMonitoringMiddleware
+ * Adaptador de Koa del sistema MODR: mismas opciones y captura que el middleware
+ * de Express (CaptureEngine). La plantilla de ruta se toma de @koa/router
+ * (ctx._matchedRoute); sin router se normaliza el path
+ *
+ *   const modr = new KoaMonitoringMiddleware().configure({ ... });
+ *   app.use(modr.capture());
+ */
+class KoaMonitoringMiddleware extends CaptureEngine {
+    /**
+     * Middleware principal para capturar requests. Registrarlo antes de los routers
+     */
+    capture() {
+        return async (ctx, next) => {
+            // koa-mount recorta ctx.path dentro de la app montada, por eso se guarda al entrar
+            const path = ctx.path;
+            let error = null;
+
+            const context = this.startCapture({
+                method: ctx.method,
+                url: ctx.originalUrl || ctx.url,
+                path,
+                headers: ctx.headers,
+                query: ctx.query,
+                ip: ctx.ip,
+                socket: ctx.req.socket,
+                res: ctx.res,
+                source: ctx,
+                bypass: ctx.state?.modrBypass
+            }, () => ({
+                route: ctx._matchedRoute ? RouteUtils.clean(String(ctx._matchedRoute)) : RouteUtils.normalizePath(path),
+                controller: ctx._matchedRouteName || ctx._matchedRoute || path,
+                requestBody: ctx.request.body,
+                responseBody: ctx.body,
+                error
+            }));
+
+            if (!context) {
+                return next();
+            }
+
+            try {
+                await RequestContext.run(context, next);
+            } catch (thrown) {
+                // Koa responde el error después de este middleware: se registra y se relanza
+                error = CaptureEngine.describeError(thrown);
+                throw thrown;
+            }
+        };
+    }
+}
+
+module.exports = KoaMonitoringMiddleware;
@@ -1,104 +1,67 @@
-const CaptureController = require('../controllers/request/CaptureController');
+const CaptureEngine = require('../core/capture/CaptureEngine');
+const RequestContext = require('../core/context/RequestContext');
+const RouteUtils = require('../utils/RouteUtils');
 
 /**
  * MonitoringMiddleware
- * Middleware principal para capturar requests HTTP del sistema MODR
+ * Middleware principal para capturar requests HTTP del sistema MODR (adaptador de Express).
+ * Opciones, instrumentación y captura son las de CaptureEngine, compartidas con
+ * los adaptadores de Koa, Fastify y node:http
  */
-class ModrMiddleware {
-    constructor(socketIO = null) {
-        this.captureController = new CaptureController(socketIO);
-        this.options = {
-            ignorePaths: [
-                // '/modr',           // Dashboard
-                // '/api/modr',       // API del dashboard  
-                // '/api/v1/docs',    // Swagger docs
-                // '/health',         // Health check
-                // '/socket.io',      // WebSocket
-                // '/public',         // Archivos estáticos
-                // '/static',         // Archivos estáticos
-                // '/favicon.ico'     // Favicon
-            ],
-            captureResponseBody: true,
-            captureHeaders: true,
-            maxBodySize: 100000, // 100KB
-            onlyErrors: false,
-            captureMethods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH']
-        };
-    }
-
-    /**
-     * Configura las opciones del middleware
-     */
-    configure(options = {}) {
-        this.options = { ...this.options, ...options };
-        return this;
-    }
-
+class ModrMiddleware extends CaptureEngine {
     /**
      * Middleware principal para capturar requests
      */
     capture() {
-        return async (req, res, next) => {
-            const startTime = Date.now();
-            const requestId = require('uuid').v4();
-            
-            // Verificar si debe capturar esta request
-            if (!this.shouldCapture(req, res)) {
+        return (req, res, next) => {
+            // Dentro de un router montado req.path pierde el prefijo, por eso se guarda al entrar
+            const path = req.path || req.url;
+            let getRoute = () => RouteUtils.resolve(req);
+            let responseBody = null;
+
+            const context = this.startCapture({
+                method: req.method,
+                url: req.originalUrl || req.url,
+                path,
+                headers: req.headers,
+                query: req.query,
+                ip: req.ip,
+                socket: req.socket,
+                res,
+                source: req,
+                bypass: req.modrBypass
+            }, () => ({
+                route: getRoute(),
+                controller: req.route?.path || path,
+                requestBody: req.body,
+                responseBody,
+                error: res.locals.error
+            }));
+
+            if (!context) {
                 return next();
             }
 
+            // Plantilla de la ruta que atiende la request (se fija cuando Express la despacha)
+            getRoute = this.trackRoute(req);
+
             // Capturar el cuerpo original de la respuesta
             const originalJson = res.json;
             const originalSend = res.send;
-            let responseBody = null;
-            
+
             res.json = function(body) {
                 responseBody = body;
                 return originalJson.call(this, body);
             };
 
             res.send = function(body) {
-                if (!responseBody) {
+                if (!responseBody && CaptureEngine.isCapturableBody(body)) {
                     responseBody = body;
                 }
                 return originalSend.call(this, body);
             };
 
-            // Cuando la respuesta termine
-            res.on('finish', async () => {
-                try {
-                    const endTime = Date.now();
-                    const responseTime = endTime - startTime;
-                    const memoryUsage = this.getMemoryUsage();
-
-                    // Preparar datos de la request
-                    const requestData = {
-                        uuid: requestId,
-                        method: req.method,
-                        path: req.path || req.url,
-                        controller: req.route?.path || req.path,
-                        statusCode: res.statusCode,
-                        responseTime: responseTime,
-                        memoryUsage: memoryUsage,
-                        ipAddress: this.getClientIp(req),
-                        userAgent: req.headers['user-agent'],
-                        headers: this.sanitizeHeaders(req.headers),
-                        requestBody: this.prepareBody(req.body),
-                        responseBody: this.options.captureResponseBody ? 
-                            this.prepareBody(responseBody) : null,
-                        userId: req.user?.user_id || null,
-                        error: res.locals.error || null
-                    };
-
-                    // Capturar la request usando el servicio
-                    await this.captureController.captureRequest(requestData);
-
-                } catch (error) {
-                    console.error('[MODR] Error capturing request:', error);
-                }
-            });
-
-            next();
+            RequestContext.run(context, next);
         };
     }
 
@@ -112,6 +75,7 @@ class ModrMiddleware {
                 message: error.message,
                 stack: error.stack,
                 type: error.name || 'Error',
+                code: error.code,
                 statusCode: error.statusCode || res.statusCode || 500
             };
             
@@ -120,108 +84,30 @@ class ModrMiddleware {
     }
 
     /**
-     * Verifica si debe capturar esta request
+     * Registra la plantilla de ruta en el momento en que Express asigna req.route,
+     * cuando req.baseUrl todavía tiene el prefijo del router (se restaura al salir de él)
      */
-    shouldCapture(req, res) {
-        // Verificar bypass flag
-        if (req.modrBypass) {
-            return false;
-        }
-
-        // Verificar método HTTP
-        if (!this.options.captureMethods.includes(req.method)) {
-            return false;
-        }
-
-        // Verificar rutas ignoradas
-        const reqPath = (req.originalUrl || req.url || '').toLowerCase();
-        const shouldIgnore = this.options.ignorePaths.some(ignorePath => {
-            const normalizedIgnorePath = ignorePath.toLowerCase();
-            return reqPath === normalizedIgnorePath || 
-                   reqPath.startsWith(normalizedIgnorePath + '/') ||
-                   reqPath.startsWith(normalizedIgnorePath + '?');
-        });
-
-        if (shouldIgnore) {
-            return false;
-        }
-
-        // Verificar WebSocket requests
-        if (req.headers.upgrade === 'websocket' || 
-            req.headers['sec-websocket-key'] ||
-            req.url?.includes('socket.io')) {
-            return false;
-        }
-
-        // Si solo captura errores
-        if (this.options.onlyErrors && res.statusCode < 400) {
-            return false;
-        }
-
-        return true;
-    }
-
-    /**
-     * Obtiene la IP real del cliente
-     */
-    getClientIp(req) {
-        return req.ip || 
-               req.connection?.remoteAddress || 
-               req.headers['x-forwarded-for']?.split(',')[0] ||
-               req.headers['x-real-ip'] ||
-               'unknown';
-    }
-
-    /**
-     * Sanitiza headers sensibles
-     */
-    sanitizeHeaders(headers) {
-        if (!this.options.captureHeaders) return {};
-        
-        const sanitized = { ...headers };
-        const excludeHeaders = ['authorization', 'cookie', 'set-cookie', 'x-api-key'];
-        
-        excludeHeaders.forEach(header => {
-            delete sanitized[header.toLowerCase()];
-        });
-        
-        return sanitized;
-    }
-
-    /**
-     * Prepara el cuerpo para almacenamiento
-     */
-    prepareBody(body) {
-        if (!body) return null;
-        
-        // Verificar tamaño
-        const bodyStr = typeof body === 'string' ? body : JSON.stringify(body);
-        if (Buffer.byteLength(bodyStr, 'utf8') > this.options.maxBodySize) {
-            return {
-                _modr_truncated: true,
-                _size: Buffer.byteLength(bodyStr, 'utf8'),
-                _preview: bodyStr.substring(0, 500) + '...'
-            };
-        }
-
-        // Si es string, intentar parsear como JSON
-        if (typeof body === 'string') {
-            try {
-                return JSON.parse(body);
-            } catch (e) {
-                return body;
-            }
+    trackRoute(req) {
+        let route = req.route;
+        let template = null;
+
+        try {
+            Object.defineProperty(req, 'route', {
+                configurable: true,
+                enumerable: true,
+                get: () => route,
+                set: (value) => {
+                    route = value;
+                    if (value) {
+                        template = RouteUtils.fromExpress({ route: value, baseUrl: req.baseUrl });
+                    }
+                }
+            });
+        } catch (e) {
+            // Si req.route no se puede interceptar, se usa lo que haya al terminar
         }
 
-        return body;
-    }
-
-    /**
-     * Obtiene el uso de memoria actual
-     */
-    getMemoryUsage() {
-        const usage = process.memoryUsage();
-        return Math.round(usage.heapUsed / 1024 / 1024 * 100) / 100; // MB
+        return () => template || RouteUtils.resolve(req);
     }
 }
 
@@ -9,12 +9,20 @@ module.exports = (sequelize) => {
     },
     request_id: {
       type: DataTypes.UUID,
-      allowNull: false,
+      allowNull: true, // NULL para errores a nivel de proceso
       references: {
         model: 'requests',
         key: 'request_id'
       }
     },
+    issue_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'issues',
+        key: 'issue_id'
+      }
+    },
     message: {
       type: DataTypes.TEXT,
       allowNull: false
@@ -27,6 +35,31 @@ module.exports = (sequelize) => {
       type: DataTypes.TEXT,
       allowNull: true
     },
+    frames: {
+      type: DataTypes.JSONB,
+      allowNull: true
+    },
+    file: {
+      type: DataTypes.STRING(500),
+      allowNull: true
+    },
+    line: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    code: {
+      type: DataTypes.STRING(100),
+      allowNull: true
+    },
+    source: {
+      type: DataTypes.STRING(30),
+      allowNull: false,
+      defaultValue: 'request'
+    },
+    process_info: {
+      type: DataTypes.JSONB,
+      allowNull: true
+    },
     occurred_at: {
       type: DataTypes.DATE,
       defaultValue: DataTypes.NOW
@@ -41,6 +74,11 @@ module.exports = (sequelize) => {
       foreignKey: 'request_id',
       as: 'request'
     });
+
+    Exception.belongsTo(models.Issue, {
+      foreignKey: 'issue_id',
+      as: 'issue'
+    });
   };
 
   return Exception;
@@ -40,7 +40,7 @@ module.exports = (sequelize) => {
     });
     
     Header.belongsToMany(models.Request, {
-      through: 'request_headers',
+      through: models.RequestHeader,
       foreignKey: 'header_id',
       otherKey: 'request_id',
       as: 'requests'
@@ -0,0 +1,32 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const HeaderValue = sequelize.define('HeaderValue', {
+    value_id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    value_hash: {
+      type: DataTypes.CHAR(32),
+      allowNull: false,
+      unique: true
+    },
+    value: {
+      type: DataTypes.TEXT,
+      allowNull: false
+    }
+  }, {
+    tableName: 'header_values',
+    timestamps: false
+  });
+
+  HeaderValue.associate = function(models) {
+    HeaderValue.hasMany(models.RequestHeader, {
+      foreignKey: 'value_id',
+      as: 'usages'
+    });
+  };
+
+  return HeaderValue;
+};
@@ -0,0 +1,75 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const Issue = sequelize.define('Issue', {
+    issue_id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    fingerprint: {
+      type: DataTypes.STRING(40),
+      allowNull: false,
+      unique: true
+    },
+    type: {
+      type: DataTypes.STRING(100),
+      allowNull: true
+    },
+    message: {
+      type: DataTypes.TEXT,
+      allowNull: false
+    },
+    status: {
+      type: DataTypes.STRING(10),
+      allowNull: false,
+      defaultValue: 'open',
+      validate: {
+        isIn: [['open', 'resolved', 'ignored']]
+      }
+    },
+    occurrences: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    first_seen: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    last_seen: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    resolved_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    reopened_count: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: 'issues',
+    timestamps: false
+  });
+
+  Issue.associate = function(models) {
+    Issue.hasMany(models.Exception, {
+      foreignKey: 'issue_id',
+      as: 'exceptions'
+    });
+
+    Issue.hasMany(models.IssueRoute, {
+      foreignKey: 'issue_id',
+      as: 'routes'
+    });
+  };
+
+  return Issue;
+};
@@ -0,0 +1,39 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const IssueRoute = sequelize.define('IssueRoute', {
+    issue_id: {
+      type: DataTypes.UUID,
+      primaryKey: true,
+      references: {
+        model: 'issues',
+        key: 'issue_id'
+      }
+    },
+    route: {
+      type: DataTypes.STRING(500),
+      primaryKey: true
+    },
+    occurrences: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    last_seen: {
+      type: DataTypes.DATE,
+      allowNull: false
+    }
+  }, {
+    tableName: 'issue_routes',
+    timestamps: false
+  });
+
+  IssueRoute.associate = function(models) {
+    IssueRoute.belongsTo(models.Issue, {
+      foreignKey: 'issue_id',
+      as: 'issue'
+    });
+  };
+
+  return IssueRoute;
+};
@@ -0,0 +1,55 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const Log = sequelize.define('Log', {
+    log_id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    request_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'requests',
+        key: 'request_id'
+      }
+    },
+    level: {
+      type: DataTypes.STRING(10),
+      allowNull: false
+    },
+    message: {
+      type: DataTypes.TEXT,
+      allowNull: false
+    },
+    context: {
+      type: DataTypes.JSONB,
+      allowNull: true
+    },
+    source: {
+      type: DataTypes.STRING(20),
+      allowNull: true
+    },
+    logged_at: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: 'logs',
+    timestamps: false,
+    indexes: [
+      { fields: ['request_id', 'logged_at'] },
+      { fields: ['level'] }
+    ]
+  });
+
+  Log.associate = function(models) {
+    Log.belongsTo(models.Request, {
+      foreignKey: 'request_id',
+      as: 'request'
+    });
+  };
+
+  return Log;
+};
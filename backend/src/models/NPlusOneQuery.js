@@ -0,0 +1,61 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const NPlusOneQuery = sequelize.define('NPlusOneQuery', {
+    detection_id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    request_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'requests',
+        key: 'request_id'
+      }
+    },
+    fingerprint_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'query_fingerprints',
+        key: 'fingerprint_id'
+      }
+    },
+    sql: {
+      type: DataTypes.TEXT,
+      allowNull: false
+    },
+    repeat_count: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    total_duration: {
+      type: DataTypes.FLOAT,
+      allowNull: false,
+      defaultValue: 0
+    },
+    detected_at: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: 'n_plus_one_queries',
+    timestamps: false
+  });
+
+  NPlusOneQuery.associate = function(models) {
+    NPlusOneQuery.belongsTo(models.Request, {
+      foreignKey: 'request_id',
+      as: 'request'
+    });
+
+    NPlusOneQuery.belongsTo(models.QueryFingerprint, {
+      foreignKey: 'fingerprint_id',
+      as: 'fingerprint'
+    });
+  };
+
+  return NPlusOneQuery;
+};
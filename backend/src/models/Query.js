@@ -15,6 +15,14 @@ module.exports = (sequelize) => {
         key: 'request_id'
       }
     },
+    fingerprint_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'query_fingerprints',
+        key: 'fingerprint_id'
+      }
+    },
     sql: {
       type: DataTypes.TEXT,
       allowNull: false
@@ -23,6 +31,19 @@ module.exports = (sequelize) => {
       type: DataTypes.FLOAT,
       allowNull: false
     },
+    slow: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
+    type: {
+      type: DataTypes.STRING(30),
+      allowNull: true
+    },
+    bindings: {
+      type: DataTypes.JSON,
+      allowNull: true
+    },
     executed_at: {
       type: DataTypes.DATE,
       defaultValue: DataTypes.NOW
@@ -37,6 +58,11 @@ module.exports = (sequelize) => {
       foreignKey: 'request_id',
       as: 'request'
     });
+
+    Query.belongsTo(models.QueryFingerprint, {
+      foreignKey: 'fingerprint_id',
+      as: 'fingerprint'
+    });
   };
 
   return Query;
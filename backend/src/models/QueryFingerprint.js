@@ -0,0 +1,36 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const QueryFingerprint = sequelize.define('QueryFingerprint', {
+    fingerprint_id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    fingerprint: {
+      type: DataTypes.CHAR(32),
+      allowNull: false,
+      unique: true
+    },
+    normalized_sql: {
+      type: DataTypes.TEXT,
+      allowNull: false
+    },
+    type: {
+      type: DataTypes.STRING(30),
+      allowNull: true
+    }
+  }, {
+    tableName: 'query_fingerprints',
+    timestamps: false
+  });
+
+  QueryFingerprint.associate = function(models) {
+    QueryFingerprint.hasMany(models.Query, {
+      foreignKey: 'fingerprint_id',
+      as: 'queries'
+    });
+  };
+
+  return QueryFingerprint;
+};
@@ -47,6 +47,10 @@ module.exports = (sequelize) => {
       type: DataTypes.STRING(255),
       allowNull: false
     },
+    route: {
+      type: DataTypes.STRING(500),
+      allowNull: true
+    },
     happened: {
       type: DataTypes.DATE,
       allowNull: false,
@@ -64,6 +68,44 @@ module.exports = (sequelize) => {
         key: 'user_id'
       }
     },
+    trace_id: {
+      type: DataTypes.STRING(32),
+      allowNull: true
+    },
+    span_id: {
+      type: DataTypes.STRING(16),
+      allowNull: true
+    },
+    parent_span_id: {
+      type: DataTypes.STRING(16),
+      allowNull: true
+    },
+    sample_rate: {
+      type: DataTypes.FLOAT,
+      allowNull: false,
+      defaultValue: 1
+    },
+    query_params: {
+      type: DataTypes.JSONB,
+      allowNull: true
+    },
+    outcome: {
+      type: DataTypes.STRING(10),
+      allowNull: false,
+      defaultValue: 'completed',
+      validate: {
+        isIn: [['completed', 'aborted', 'timeout']]
+      }
+    },
+    slow_queries: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    metadata: {
+      type: DataTypes.JSONB,
+      allowNull: true
+    },
     created_at: {
       type: DataTypes.DATE,
       defaultValue: DataTypes.NOW
@@ -76,6 +118,8 @@ module.exports = (sequelize) => {
       { fields: ['status_id'] },
       { fields: ['method_id'] },
       { fields: ['path'] },
+      { fields: ['route', 'happened'] },
+      { fields: ['trace_id'] },
       { fields: ['created_at'] }
     ]
   });
@@ -116,9 +160,29 @@ module.exports = (sequelize) => {
       foreignKey: 'request_id',
       as: 'exceptions'
     });
+
+    Request.hasMany(models.NPlusOneQuery, {
+      foreignKey: 'request_id',
+      as: 'nPlusOne'
+    });
+    
+    Request.hasMany(models.Log, { 
+      foreignKey: 'request_id',
+      as: 'logs'
+    });
+    
+    Request.hasOne(models.RequestMetric, { 
+      foreignKey: 'request_id',
+      as: 'metrics'
+    });
+
+    Request.hasOne(models.RequestTiming, {
+      foreignKey: 'request_id',
+      as: 'timing'
+    });
     
     Request.belongsToMany(models.Header, {
-      through: 'request_headers',
+      through: models.RequestHeader,
       foreignKey: 'request_id',
       otherKey: 'header_id',
       as: 'headers'
@@ -0,0 +1,64 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const RequestHeader = sequelize.define('RequestHeader', {
+    request_id: {
+      type: DataTypes.UUID,
+      primaryKey: true,
+      references: {
+        model: 'requests',
+        key: 'request_id'
+      }
+    },
+    direction: {
+      type: DataTypes.STRING(8),
+      primaryKey: true,
+      defaultValue: 'request',
+      validate: {
+        isIn: [['request', 'response']]
+      }
+    },
+    header_id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      references: {
+        model: 'headers',
+        key: 'header_id'
+      }
+    },
+    value_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'header_values',
+        key: 'value_id'
+      }
+    }
+  }, {
+    tableName: 'request_headers',
+    timestamps: false,
+    indexes: [
+      { fields: ['request_id'] },
+      { fields: ['header_id', 'value_id'] }
+    ]
+  });
+
+  RequestHeader.associate = function(models) {
+    RequestHeader.belongsTo(models.Request, {
+      foreignKey: 'request_id',
+      as: 'request'
+    });
+
+    RequestHeader.belongsTo(models.Header, {
+      foreignKey: 'header_id',
+      as: 'header'
+    });
+
+    RequestHeader.belongsTo(models.HeaderValue, {
+      foreignKey: 'value_id',
+      as: 'headerValue'
+    });
+  };
+
+  return RequestHeader;
+};
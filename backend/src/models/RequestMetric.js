@@ -0,0 +1,46 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const RequestMetric = sequelize.define('RequestMetric', {
+    request_id: {
+      type: DataTypes.UUID,
+      primaryKey: true,
+      references: {
+        model: 'requests',
+        key: 'request_id'
+      }
+    },
+    heap_used_mb: {
+      type: DataTypes.REAL,
+      allowNull: true
+    },
+    heap_delta_mb: {
+      type: DataTypes.REAL,
+      allowNull: true
+    },
+    cpu_user_ms: {
+      type: DataTypes.REAL,
+      allowNull: true
+    },
+    cpu_system_ms: {
+      type: DataTypes.REAL,
+      allowNull: true
+    },
+    event_loop_delay_ms: {
+      type: DataTypes.REAL,
+      allowNull: true
+    }
+  }, {
+    tableName: 'request_metrics',
+    timestamps: false
+  });
+
+  RequestMetric.associate = function(models) {
+    RequestMetric.belongsTo(models.Request, {
+      foreignKey: 'request_id',
+      as: 'request'
+    });
+  };
+
+  return RequestMetric;
+};
@@ -0,0 +1,46 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const RequestTiming = sequelize.define('RequestTiming', {
+    request_id: {
+      type: DataTypes.UUID,
+      primaryKey: true,
+      references: {
+        model: 'requests',
+        key: 'request_id'
+      }
+    },
+    queue_ms: {
+      type: DataTypes.DOUBLE,
+      allowNull: true
+    },
+    time_to_headers_ms: {
+      type: DataTypes.DOUBLE,
+      allowNull: true
+    },
+    handler_ms: {
+      type: DataTypes.DOUBLE,
+      allowNull: true
+    },
+    response_write_ms: {
+      type: DataTypes.DOUBLE,
+      allowNull: true
+    },
+    total_ms: {
+      type: DataTypes.DOUBLE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'request_timings',
+    timestamps: false
+  });
+
+  RequestTiming.associate = function(models) {
+    RequestTiming.belongsTo(models.Request, {
+      foreignKey: 'request_id',
+      as: 'request'
+    });
+  };
+
+  return RequestTiming;
+};
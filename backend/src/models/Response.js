@@ -15,6 +15,27 @@ module.exports = (sequelize) => {
       type: DataTypes.FLOAT,
       allowNull: true
     },
+    bytes: {
+      type: DataTypes.BIGINT,
+      allowNull: true
+    },
+    content_type: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    content_encoding: {
+      type: DataTypes.STRING(50),
+      allowNull: true
+    },
+    preview: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    truncated: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
     sent_at: {
       type: DataTypes.DATE,
       defaultValue: DataTypes.NOW
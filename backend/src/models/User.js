@@ -54,6 +54,11 @@ module.exports = (sequelize) => {
       foreignKey: 'created_by',
       as: 'headers'
     });
+
+    User.hasMany(models.UserIdentity, {
+      foreignKey: 'user_id',
+      as: 'identities'
+    });
   };
 
   return User;
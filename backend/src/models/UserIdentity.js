@@ -0,0 +1,49 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const UserIdentity = sequelize.define('UserIdentity', {
+    identity_id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    user_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'user_id'
+      }
+    },
+    provider: {
+      type: DataTypes.STRING(50),
+      allowNull: false
+    },
+    external_id: {
+      type: DataTypes.STRING(255),
+      allowNull: false
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: 'user_identities',
+    timestamps: false,
+    indexes: [
+      {
+        unique: true,
+        fields: ['provider', 'external_id']
+      }
+    ]
+  });
+
+  UserIdentity.associate = function(models) {
+    UserIdentity.belongsTo(models.User, {
+      foreignKey: 'user_id',
+      as: 'user'
+    });
+  };
+
+  return UserIdentity;
+};
@@ -40,6 +40,16 @@ const Header = require('./Header')(sequelize);
 const User = require('./User')(sequelize);
 const Exception = require('./Exception')(sequelize);
 const Query = require('./Query')(sequelize);
+const Log = require('./Log')(sequelize);
+const RequestMetric = require('./RequestMetric')(sequelize);
+const HeaderValue = require('./HeaderValue')(sequelize);
+const RequestHeader = require('./RequestHeader')(sequelize);
+const UserIdentity = require('./UserIdentity')(sequelize);
+const RequestTiming = require('./RequestTiming')(sequelize);
+const Issue = require('./Issue')(sequelize);
+const IssueRoute = require('./IssueRoute')(sequelize);
+const QueryFingerprint = require('./QueryFingerprint')(sequelize);
+const NPlusOneQuery = require('./NPlusOneQuery')(sequelize);
 
 // Agregar modelos al objeto db
 db.models.Request = Request;
@@ -51,6 +61,16 @@ db.models.Header = Header;
 db.models.User = User;
 db.models.Exception = Exception;
 db.models.Query = Query;
+db.models.Log = Log;
+db.models.RequestMetric = RequestMetric;
+db.models.HeaderValue = HeaderValue;
+db.models.RequestHeader = RequestHeader;
+db.models.UserIdentity = UserIdentity;
+db.models.RequestTiming = RequestTiming;
+db.models.Issue = Issue;
+db.models.IssueRoute = IssueRoute;
+db.models.QueryFingerprint = QueryFingerprint;
+db.models.NPlusOneQuery = NPlusOneQuery;
 
 // Establecer asociaciones
 Object.keys(db.models).forEach(modelName => {
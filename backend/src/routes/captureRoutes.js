@@ -0,0 +1,425 @@
+const express = require('express');
+const router = express.Router();
+const CaptureController = require('../controllers/request/CaptureController');
+
+const captureController = new CaptureController();
+
+/**
+ * @swagger
+ * /capture:
+ *   post:
+ *     summary: Ingest a request captured by an external service
+ *     description: Stores a request reported by a service that cannot use the Express middleware (Python, Go, etc.). Accepts the same fields validated by the capture service.
+ *     tags: [Capture]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [method, path]
+ *             properties:
+ *               uuid:
+ *                 type: string
+ *                 format: uuid
+ *                 description: Request identifier generated by the client (optional)
+ *               method:
+ *                 type: string
+ *                 enum: [GET, POST, PUT, DELETE, PATCH, OPTIONS, HEAD]
+ *                 example: GET
+ *               path:
+ *                 type: string
+ *                 maxLength: 255
+ *                 example: "/api/orders"
+ *               happened:
+ *                 type: string
+ *                 format: date-time
+ *                 description: When the request started (defaults to the time it is received)
+ *               controller:
+ *                 type: string
+ *                 maxLength: 255
+ *                 description: Handler or route template that served the request
+ *                 example: "/api/orders"
+ *               route:
+ *                 type: string
+ *                 maxLength: 500
+ *                 description: Route template used to group endpoints. When omitted, ids, UUIDs and hashes in the path are replaced by placeholders
+ *                 example: "/api/orders/:id"
+ *               queryParams:
+ *                 type: object
+ *                 description: Parsed query string. Repeated parameters are arrays
+ *                 example: { "status": "active", "tag": ["a", "b"] }
+ *               statusCode:
+ *                 type: integer
+ *                 minimum: 100
+ *                 maximum: 599
+ *                 example: 200
+ *               duration:
+ *                 type: number
+ *                 minimum: 0
+ *                 description: Duration in milliseconds, up to 300000 (aborted or timed out requests above it are clamped to 300000)
+ *                 example: 42
+ *               sampleRate:
+ *                 type: number
+ *                 minimum: 0
+ *                 exclusiveMinimum: true
+ *                 maximum: 1
+ *                 default: 1
+ *                 description: Probability with which the client kept this request, used to extrapolate totals
+ *               outcome:
+ *                 type: string
+ *                 enum: [completed, aborted, timeout]
+ *                 default: completed
+ *               traceId:
+ *                 type: string
+ *                 pattern: '^[0-9a-f]{32}$'
+ *                 description: W3C trace id shared by every service in the trace
+ *               spanId:
+ *                 type: string
+ *                 pattern: '^[0-9a-f]{16}$'
+ *                 description: W3C span id of this request
+ *               parentSpanId:
+ *                 type: string
+ *                 pattern: '^[0-9a-f]{16}$'
+ *                 description: Span id received in the incoming traceparent header
+ *               ipAddress:
+ *                 type: string
+ *                 example: "10.0.0.12"
+ *               user_id:
+ *                 type: string
+ *                 description: User id in the application's own scheme. Shorthand for identity with the default provider
+ *               identity:
+ *                 type: object
+ *                 description: |
+ *                   User who made the request. New identities are linked to the MODR user with that
+ *                   user id or email, or to a new user created for them.
+ *                 properties:
+ *                   id:
+ *                     oneOf:
+ *                       - type: string
+ *                       - type: integer
+ *                     example: 4521
+ *                   provider:
+ *                     type: string
+ *                     pattern: '^[A-Za-z0-9._-]+$'
+ *                     default: default
+ *                     example: billing-app
+ *                   email:
+ *                     type: string
+ *                     format: email
+ *                   name:
+ *                     type: string
+ *               headers:
+ *                 type: object
+ *                 additionalProperties:
+ *                   type: string
+ *               responseHeaders:
+ *                 type: object
+ *                 description: Headers sent with the response (redaction rules for headers apply)
+ *                 additionalProperties:
+ *                   type: string
+ *               requestBody:
+ *                 type: object
+ *               responseBody:
+ *                 type: object
+ *               resources:
+ *                 type: object
+ *                 description: Process resources consumed while the request was in flight
+ *                 properties:
+ *                   heapUsedMb:
+ *                     type: number
+ *                   heapDeltaMb:
+ *                     type: number
+ *                     description: Heap growth during the request (negative when GC ran)
+ *                   cpuUserMs:
+ *                     type: number
+ *                   cpuSystemMs:
+ *                     type: number
+ *                   eventLoopDelayMs:
+ *                     type: number
+ *                     description: Largest event-loop delay observed during the request
+ *               timing:
+ *                 type: object
+ *                 description: High resolution timing phases in milliseconds
+ *                 properties:
+ *                   queueMs:
+ *                     type: number
+ *                     description: Time behind the proxy, from the X-Request-Start header
+ *                   timeToHeadersMs:
+ *                     type: number
+ *                   handlerMs:
+ *                     type: number
+ *                   responseWriteMs:
+ *                     type: number
+ *                   totalMs:
+ *                     type: number
+ *               responseInfo:
+ *                 type: object
+ *                 description: What was actually written to the client
+ *                 properties:
+ *                   bytes:
+ *                     type: integer
+ *                     description: Exact number of body bytes sent
+ *                     example: 5120
+ *                   contentType:
+ *                     type: string
+ *                     example: "text/html; charset=utf-8"
+ *                   encoding:
+ *                     type: string
+ *                     description: Content-Encoding of the response
+ *                     example: "gzip"
+ *                   preview:
+ *                     type: string
+ *                     description: Leading part of the body (text content types only)
+ *                   truncated:
+ *                     type: boolean
+ *                     description: Whether the preview is shorter than the body
+ *               error:
+ *                 type: object
+ *                 properties:
+ *                   message:
+ *                     type: string
+ *                   type:
+ *                     type: string
+ *                   stack:
+ *                     type: string
+ *     responses:
+ *       201:
+ *         description: Request captured successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/RequestObject'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ */
+router.post('/', (req, res) => captureController.captureRequest(req, res));
+
+/**
+ * @swagger
+ * /capture/query:
+ *   post:
+ *     summary: Ingest a SQL query executed during a captured request
+ *     description: Attaches a SQL query to a request that was previously captured
+ *     tags: [Capture]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [requestId, sql]
+ *             properties:
+ *               requestId:
+ *                 type: string
+ *                 format: uuid
+ *               sql:
+ *                 type: string
+ *                 maxLength: 50000
+ *                 description: Stored with its text literals replaced by ? and the bindings-scope value rules applied while redaction is enabled
+ *                 example: "SELECT * FROM orders WHERE id = $1"
+ *               duration:
+ *                 type: integer
+ *                 minimum: 0
+ *                 description: Duration in milliseconds
+ *                 example: 3
+ *               type:
+ *                 type: string
+ *                 example: SELECT
+ *               bindings:
+ *                 type: array
+ *                 items: {}
+ *     responses:
+ *       201:
+ *         description: Query captured successfully
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ */
+router.post('/query', (req, res) => captureController.captureQuery(req, res));
+
+/**
+ * @swagger
+ * /capture/exception:
+ *   post:
+ *     summary: Ingest an exception raised during a captured request or at process level
+ *     description: Attaches an exception to a request that was previously captured. Without requestId the exception is stored as a standalone process-level exception
+ *     tags: [Capture]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [message]
+ *             properties:
+ *               requestId:
+ *                 type: string
+ *                 format: uuid
+ *                 description: Omit for errors that happened outside a request
+ *               message:
+ *                 type: string
+ *                 maxLength: 2000
+ *                 example: "Order not found"
+ *               type:
+ *                 type: string
+ *                 enum: [system, business, validation, authentication, authorization]
+ *                 default: system
+ *               stackTrace:
+ *                 type: string
+ *               file:
+ *                 type: string
+ *                 description: Defaults to the first in-app frame of stackTrace (resolved through local source maps)
+ *               line:
+ *                 type: integer
+ *                 minimum: 0
+ *               code:
+ *                 type: string
+ *                 example: ECONNREFUSED
+ *               source:
+ *                 type: string
+ *                 enum: [request, uncaughtException, unhandledRejection, process]
+ *                 description: Defaults to request when requestId is present, process otherwise
+ *               processInfo:
+ *                 type: object
+ *                 description: Process metadata of the reporting service (pid, hostname, node, uptime, memory)
+ *     responses:
+ *       201:
+ *         description: Exception captured successfully
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ */
+router.post('/exception', (req, res) => captureController.captureException(req, res));
+
+/**
+ * @swagger
+ * /capture/log:
+ *   post:
+ *     summary: Ingest a log line emitted during a captured request
+ *     description: Attaches a log line to a request that was previously captured. Redaction rules with the logs scope are applied to the message and context
+ *     tags: [Capture]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [requestId, message]
+ *             properties:
+ *               requestId:
+ *                 type: string
+ *                 format: uuid
+ *               level:
+ *                 type: string
+ *                 enum: [trace, debug, info, warn, error, fatal]
+ *                 default: info
+ *                 description: Winston and syslog level names (warning, verbose, silly...) and pino numeric levels are also accepted
+ *               message:
+ *                 type: string
+ *                 maxLength: 10000
+ *                 example: "Payment provider responded in 1200ms"
+ *               context:
+ *                 type: object
+ *                 description: Structured fields of the log line
+ *                 example: { orderId: 42, provider: "stripe" }
+ *               source:
+ *                 type: string
+ *                 maxLength: 20
+ *                 default: api
+ *               loggedAt:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       201:
+ *         description: Log captured successfully
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ */
+router.post('/log', (req, res) => captureController.captureLog(req, res));
+
+/**
+ * @swagger
+ * /capture/otlp/v1/traces:
+ *   post:
+ *     summary: Ingest OpenTelemetry spans (OTLP/HTTP JSON)
+ *     description: |
+ *       Accepts an OTLP ExportTraceServiceRequest in JSON encoding and maps it onto MODR models.
+ *       Point an OpenTelemetry collector or SDK exporter (otlphttp, encoding json) at this route.
+ *       - SERVER spans (or spans with an HTTP method) become requests
+ *       - Spans with `db.system` become queries of their closest request ancestor
+ *       - `exception` span events become exceptions of their closest request ancestor
+ *       The request id is derived from the span's traceId and spanId, so a retried export is not stored twice.
+ *     tags: [Capture]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [resourceSpans]
+ *             properties:
+ *               resourceSpans:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *     responses:
+ *       200:
+ *         description: Spans ingested (rejected spans are reported in partialSuccess)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         requests:
+ *                           type: integer
+ *                         queries:
+ *                           type: integer
+ *                         exceptions:
+ *                           type: integer
+ *                         ignoredSpans:
+ *                           type: integer
+ *                           description: Spans that are not requests, queries or exceptions
+ *                         duplicateSpans:
+ *                           type: integer
+ *                           description: Request spans already ingested by an earlier export (exporter retries); they and their child spans are skipped
+ *                         rejectedSpans:
+ *                           type: integer
+ *                         errors:
+ *                           type: array
+ *                           items:
+ *                             type: string
+ *                         partialSuccess:
+ *                           type: object
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       415:
+ *         description: Protobuf encoding is not supported
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ */
+router.post('/otlp/v1/traces', (req, res) => captureController.captureOtlpTraces(req, res));
+
+module.exports = router;
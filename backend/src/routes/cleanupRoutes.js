@@ -30,6 +30,14 @@ const cleanUpController = new CleanUpController();
  *                           type: integer
  *                           description: Number of requests that were deleted
  *                           example: 1250
+ *                         deleted_standalone_exceptions:
+ *                           type: integer
+ *                           description: Number of process-level exceptions (not linked to a request) that were deleted
+ *                           example: 3
+ *                         deleted_header_values:
+ *                           type: integer
+ *                           description: Number of stored header values no longer used by any request
+ *                           example: 420
  *                         cutoff_date:
  *                           type: string
  *                           format: date-time
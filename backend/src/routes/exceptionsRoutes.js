@@ -0,0 +1,357 @@
+const express = require('express');
+const router = express.Router();
+const ExceptionsController = require('../controllers/monitoring/ExceptionsController');
+
+const exceptionsController = new ExceptionsController();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     StackFrame:
+ *       type: object
+ *       properties:
+ *         function:
+ *           type: string
+ *           nullable: true
+ *           example: OrderService.getOrder
+ *         file:
+ *           type: string
+ *           example: /app/src/services/OrderService.ts
+ *         line:
+ *           type: integer
+ *           nullable: true
+ *         column:
+ *           type: integer
+ *           nullable: true
+ *         inApp:
+ *           type: boolean
+ *           description: Application code (not Node internals nor node_modules)
+ *         internal:
+ *           type: boolean
+ *           description: Node internal frame (node:*, internal/*, native)
+ *         generated:
+ *           type: object
+ *           description: Position in the transpiled or bundled file, present only when the frame was resolved through a source map
+ *           properties:
+ *             file:
+ *               type: string
+ *             line:
+ *               type: integer
+ *             column:
+ *               type: integer
+ *     ExceptionObject:
+ *       type: object
+ *       properties:
+ *         exception_id:
+ *           type: string
+ *           format: uuid
+ *         request_id:
+ *           type: string
+ *           format: uuid
+ *           nullable: true
+ *           description: Request in flight when the error happened; null for process-level errors
+ *         issue_id:
+ *           type: string
+ *           format: uuid
+ *           nullable: true
+ *           description: Issue grouping the exceptions with the same fingerprint
+ *         message:
+ *           type: string
+ *         type:
+ *           type: string
+ *           example: system
+ *         stack_trace:
+ *           type: string
+ *           nullable: true
+ *         frames:
+ *           type: array
+ *           nullable: true
+ *           description: Parsed stack frames, closest to the error first, resolved through local source maps when available
+ *           items:
+ *             $ref: '#/components/schemas/StackFrame'
+ *         file:
+ *           type: string
+ *           nullable: true
+ *           description: Reported file, or the first in-app frame when not reported
+ *         line:
+ *           type: integer
+ *           nullable: true
+ *         code:
+ *           type: string
+ *           nullable: true
+ *           example: ECONNREFUSED
+ *         source:
+ *           type: string
+ *           enum: [request, uncaughtException, unhandledRejection, process]
+ *         process_info:
+ *           type: object
+ *           nullable: true
+ *           description: Process metadata when the error happened
+ *           properties:
+ *             pid:
+ *               type: integer
+ *             hostname:
+ *               type: string
+ *             node:
+ *               type: string
+ *               example: v20.11.0
+ *             uptime:
+ *               type: integer
+ *               description: Process uptime in seconds
+ *             memory:
+ *               type: object
+ *               description: rss, heapUsed and heapTotal in MB
+ *         occurred_at:
+ *           type: string
+ *           format: date-time
+ *         request:
+ *           type: object
+ *           nullable: true
+ *           properties:
+ *             request_id:
+ *               type: string
+ *               format: uuid
+ *             path:
+ *               type: string
+ *             controller:
+ *               type: string
+ *             happened:
+ *               type: string
+ *               format: date-time
+ */
+
+/**
+ * @swagger
+ * /exceptions:
+ *   get:
+ *     summary: Retrieve captured exceptions with filters and pagination
+ *     description: Lists exceptions captured during requests and at process level (uncaught exceptions, unhandled rejections and errors captured outside a request), newest first
+ *     tags: [Exceptions]
+ *     parameters:
+ *       - $ref: '#/components/parameters/PageParam'
+ *       - $ref: '#/components/parameters/LimitParam'
+ *       - in: query
+ *         name: source
+ *         schema:
+ *           type: string
+ *           enum: [request, uncaughtException, unhandledRejection, process]
+ *         description: Filter by where the exception was captured
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *         description: Filter by exception type
+ *         example: TypeError
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *           maxLength: 100
+ *         description: Case-insensitive search in the exception message
+ *       - in: query
+ *         name: route
+ *         schema:
+ *           type: string
+ *         description: Route template or path of the request where the exception happened
+ *         example: /api/users/:id
+ *       - in: query
+ *         name: issue_id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Only occurrences of this issue
+ *       - in: query
+ *         name: standalone
+ *         schema:
+ *           type: boolean
+ *         description: true for exceptions not linked to a request, false for exceptions linked to one
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Filter exceptions from this date onwards
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Filter exceptions up to this date
+ *     responses:
+ *       200:
+ *         description: Exceptions retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/ExceptionObject'
+ *                     pagination:
+ *                       $ref: '#/components/schemas/Pagination'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ */
+router.get('/', (req, res) => exceptionsController.getExceptions(req, res));
+
+/**
+ * @swagger
+ * /exceptions/stats:
+ *   get:
+ *     summary: Retrieve exception counts over time and by type
+ *     tags: [Exceptions]
+ *     parameters:
+ *       - in: query
+ *         name: period
+ *         schema:
+ *           type: string
+ *           enum: [24h, 7d, 30d]
+ *           default: 24h
+ *       - in: query
+ *         name: interval
+ *         schema:
+ *           type: string
+ *           enum: [1h, 1d]
+ *           default: 1h
+ *       - in: query
+ *         name: source
+ *         schema:
+ *           type: string
+ *           enum: [request, uncaughtException, unhandledRejection, process]
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Exception statistics retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         period:
+ *                           type: string
+ *                         interval:
+ *                           type: string
+ *                         total:
+ *                           type: integer
+ *                           example: 312
+ *                         overTime:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               time_bucket:
+ *                                 type: string
+ *                                 format: date-time
+ *                               exception_count:
+ *                                 type: integer
+ *                               standalone_count:
+ *                                 type: integer
+ *                                 description: Exceptions not linked to a request
+ *                         byType:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               type:
+ *                                 type: string
+ *                                 example: TypeError
+ *                               exception_count:
+ *                                 type: integer
+ *                               issue_count:
+ *                                 type: integer
+ *                                 description: Distinct issues of this type
+ *                               last_seen:
+ *                                 type: string
+ *                                 format: date-time
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ */
+router.get('/stats', (req, res) => exceptionsController.getExceptionStats(req, res));
+
+/**
+ * @swagger
+ * /exceptions/{id}:
+ *   get:
+ *     summary: Retrieve an exception with its originating request
+ *     description: Returns the exception with its parsed stack frames, the request where it happened (method, status, route), its issue, and the latest other requests where the same issue occurred
+ *     tags: [Exceptions]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Exception details retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       allOf:
+ *                         - $ref: '#/components/schemas/ExceptionObject'
+ *                         - type: object
+ *                           properties:
+ *                             issue:
+ *                               nullable: true
+ *                               allOf:
+ *                                 - $ref: '#/components/schemas/IssueObject'
+ *                             related_requests:
+ *                               type: array
+ *                               description: Latest 10 other requests where the same issue occurred
+ *                               items:
+ *                                 type: object
+ *                                 properties:
+ *                                   exception_id:
+ *                                     type: string
+ *                                     format: uuid
+ *                                   occurred_at:
+ *                                     type: string
+ *                                     format: date-time
+ *                                   request_id:
+ *                                     type: string
+ *                                     format: uuid
+ *                                   path:
+ *                                     type: string
+ *                                   route:
+ *                                     type: string
+ *                                     nullable: true
+ *                                   happened:
+ *                                     type: string
+ *                                     format: date-time
+ *                                   method:
+ *                                     type: object
+ *                                   status:
+ *                                     type: object
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ */
+router.get('/:id', (req, res) => exceptionsController.getExceptionDetails(req, res));
+
+module.exports = router;
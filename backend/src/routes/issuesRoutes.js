@@ -0,0 +1,204 @@
+const express = require('express');
+const router = express.Router();
+const IssuesController = require('../controllers/monitoring/IssuesController');
+
+const issuesController = new IssuesController();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     IssueObject:
+ *       type: object
+ *       properties:
+ *         issue_id:
+ *           type: string
+ *           format: uuid
+ *         fingerprint:
+ *           type: string
+ *           description: sha1 of the exception type, the message without variable values and the top stack frames
+ *           example: 3f786850e387550fdab836ed7e6dc881de23001b
+ *         type:
+ *           type: string
+ *           nullable: true
+ *           example: TypeError
+ *         message:
+ *           type: string
+ *           description: Message of the first occurrence
+ *         status:
+ *           type: string
+ *           enum: [open, resolved, ignored]
+ *         occurrences:
+ *           type: integer
+ *           example: 1542
+ *         first_seen:
+ *           type: string
+ *           format: date-time
+ *         last_seen:
+ *           type: string
+ *           format: date-time
+ *         resolved_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         reopened_count:
+ *           type: integer
+ *           description: Times the issue came back after being resolved
+ *         updated_at:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /issues:
+ *   get:
+ *     summary: Retrieve issues with filters and pagination
+ *     description: Lists exceptions grouped by fingerprint (type, normalized message and top stack frames), most recently seen first
+ *     tags: [Issues]
+ *     parameters:
+ *       - $ref: '#/components/parameters/PageParam'
+ *       - $ref: '#/components/parameters/LimitParam'
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [open, resolved, ignored]
+ *         description: Filter by workflow status
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *         description: Filter by exception type
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Issues last seen from this date onwards
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Issues last seen up to this date
+ *     responses:
+ *       200:
+ *         description: Issues retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/IssueObject'
+ *                     pagination:
+ *                       $ref: '#/components/schemas/Pagination'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ */
+router.get('/', (req, res) => issuesController.getIssues(req, res));
+
+/**
+ * @swagger
+ * /issues/{id}:
+ *   get:
+ *     summary: Retrieve an issue with its affected routes and recent occurrences
+ *     tags: [Issues]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Issue details retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       allOf:
+ *                         - $ref: '#/components/schemas/IssueObject'
+ *                         - type: object
+ *                           properties:
+ *                             routes:
+ *                               type: array
+ *                               items:
+ *                                 type: object
+ *                                 properties:
+ *                                   route:
+ *                                     type: string
+ *                                     example: /api/users/:id
+ *                                   occurrences:
+ *                                     type: integer
+ *                                   last_seen:
+ *                                     type: string
+ *                                     format: date-time
+ *                             recent_exceptions:
+ *                               type: array
+ *                               description: Latest 20 occurrences, newest first
+ *                               items:
+ *                                 $ref: '#/components/schemas/ExceptionObject'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ *   patch:
+ *     summary: Change the status of an issue
+ *     description: Resolve, ignore or reopen an issue. A resolved issue is reopened automatically when a new occurrence is captured; an ignored one keeps counting occurrences but stays ignored
+ *     tags: [Issues]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [status]
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [open, resolved, ignored]
+ *     responses:
+ *       200:
+ *         description: Issue status updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/IssueObject'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ */
+router.get('/:id', (req, res) => issuesController.getIssueDetails(req, res));
+router.patch('/:id', (req, res) => issuesController.updateIssueStatus(req, res));
+
+module.exports = router;
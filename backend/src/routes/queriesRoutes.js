@@ -0,0 +1,252 @@
+const express = require('express');
+const router = express.Router();
+const QueriesController = require('../controllers/monitoring/QueriesController');
+
+const queriesController = new QueriesController();
+
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     QueryPeriodParam:
+ *       in: query
+ *       name: period
+ *       schema:
+ *         type: string
+ *         enum: [24h, 7d, 30d]
+ *         default: 24h
+ *       description: Time window of the executions considered
+ *   schemas:
+ *     QueryAggregates:
+ *       type: object
+ *       properties:
+ *         call_count:
+ *           type: integer
+ *           description: Estimated executions (each stored query counts as 1 / sample_rate of its request)
+ *           example: 12840
+ *         total_time:
+ *           type: number
+ *           description: Estimated total execution time in milliseconds
+ *           example: 48211.5
+ *         avg_duration:
+ *           type: number
+ *           example: 3.75
+ *         p95_duration:
+ *           type: number
+ *           example: 11.2
+ *         max_duration:
+ *           type: number
+ *           example: 184.3
+ *         slow_count:
+ *           type: integer
+ *           description: Stored executions that exceeded the slow query threshold
+ *         request_count:
+ *           type: integer
+ *           description: Stored requests that executed the statement
+ *         route_count:
+ *           type: integer
+ *           description: Routes that executed the statement
+ *         last_seen:
+ *           type: string
+ *           format: date-time
+ *     QueryFingerprintObject:
+ *       allOf:
+ *         - type: object
+ *           properties:
+ *             fingerprint_id:
+ *               type: integer
+ *             fingerprint:
+ *               type: string
+ *               description: md5 of the normalized SQL
+ *               example: 97c1c03662d587505454a908da447a8e
+ *             normalized_sql:
+ *               type: string
+ *               description: SQL without comments, with literals and bindings replaced by ? and IN lists / VALUES rows collapsed
+ *               example: SELECT "id", "email" FROM "users" WHERE "id" IN (?) LIMIT ?
+ *             type:
+ *               type: string
+ *               nullable: true
+ *               example: SELECT
+ *         - $ref: '#/components/schemas/QueryAggregates'
+ */
+
+/**
+ * @swagger
+ * /queries:
+ *   get:
+ *     summary: Rank SQL fingerprints by total time, call count or p95 duration
+ *     description: Groups captured queries that only differ in literals or bindings and ranks them over the selected period
+ *     tags: [Queries]
+ *     parameters:
+ *       - $ref: '#/components/parameters/LimitParam'
+ *       - $ref: '#/components/parameters/QueryPeriodParam'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [total_time, count, p95]
+ *           default: total_time
+ *         description: Ranking criteria
+ *       - in: query
+ *         name: route
+ *         schema:
+ *           type: string
+ *           maxLength: 500
+ *         description: Only executions issued by this route template
+ *         example: "/api/users/:id"
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *         description: Statement type
+ *         example: SELECT
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *           maxLength: 100
+ *         description: Search in the normalized SQL (case insensitive)
+ *         example: users
+ *     responses:
+ *       200:
+ *         description: Query fingerprints retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/QueryFingerprintObject'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ */
+router.get('/', (req, res) => queriesController.getQueryFingerprints(req, res));
+
+/**
+ * @swagger
+ * /queries/slow:
+ *   get:
+ *     summary: Retrieve requests flagged by slow queries
+ *     description: Requests that executed at least one query above the slow query threshold (slowQueryThreshold capture option, 500 ms by default), newest first, with their slow queries
+ *     tags: [Queries]
+ *     parameters:
+ *       - $ref: '#/components/parameters/PageParam'
+ *       - $ref: '#/components/parameters/LimitParam'
+ *       - $ref: '#/components/parameters/QueryPeriodParam'
+ *       - in: query
+ *         name: route
+ *         schema:
+ *           type: string
+ *           maxLength: 500
+ *         description: Exact route template
+ *         example: "/api/users/:id"
+ *     responses:
+ *       200:
+ *         description: Requests with slow queries retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: array
+ *                       items:
+ *                         allOf:
+ *                           - $ref: '#/components/schemas/RequestObject'
+ *                           - type: object
+ *                             properties:
+ *                               queries:
+ *                                 type: array
+ *                                 description: Slow queries of the request, slowest first
+ *                                 items:
+ *                                   type: object
+ *                                   properties:
+ *                                     query_id:
+ *                                       type: integer
+ *                                     fingerprint_id:
+ *                                       type: integer
+ *                                       nullable: true
+ *                                     sql:
+ *                                       type: string
+ *                                     duration:
+ *                                       type: number
+ *                                     type:
+ *                                       type: string
+ *                                     executed_at:
+ *                                       type: string
+ *                                       format: date-time
+ *                     pagination:
+ *                       $ref: '#/components/schemas/Pagination'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ */
+router.get('/slow', (req, res) => queriesController.getSlowQueryRequests(req, res));
+
+/**
+ * @swagger
+ * /queries/{id}:
+ *   get:
+ *     summary: Retrieve a SQL fingerprint with the routes that issue it
+ *     tags: [Queries]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - $ref: '#/components/parameters/QueryPeriodParam'
+ *     responses:
+ *       200:
+ *         description: Query fingerprint details retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       allOf:
+ *                         - $ref: '#/components/schemas/QueryFingerprintObject'
+ *                         - type: object
+ *                           properties:
+ *                             period:
+ *                               type: string
+ *                               example: 24h
+ *                             routes:
+ *                               type: array
+ *                               description: Routes that issue the statement, by total time
+ *                               items:
+ *                                 allOf:
+ *                                   - type: object
+ *                                     properties:
+ *                                       route:
+ *                                         type: string
+ *                                         example: /api/users/:id
+ *                                   - $ref: '#/components/schemas/QueryAggregates'
+ *                             slowest_queries:
+ *                               type: array
+ *                               description: Slowest 10 executions in the period, with their request
+ *                               items:
+ *                                 type: object
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ */
+router.get('/:id', (req, res) => queriesController.getQueryFingerprintDetails(req, res));
+
+module.exports = router;
@@ -37,6 +37,31 @@ const requestsController = new RequestsController();
  *         description: Search in request paths (case insensitive, max 100 characters)
  *         example: "/api/users"
  *       - in: query
+ *         name: route
+ *         schema:
+ *           type: string
+ *           maxLength: 500
+ *         description: Exact route template (e.g. /api/users/:id)
+ *         example: "/api/users/:id"
+ *       - in: query
+ *         name: outcome
+ *         schema:
+ *           type: string
+ *           enum: [completed, aborted, timeout]
+ *         description: How the request ended. aborted means the client disconnected before the response finished
+ *       - in: query
+ *         name: header
+ *         schema:
+ *           type: string
+ *         description: "Filter by a request or response header: name (header present), name:value (exact value) or name:value* (* wildcards, case insensitive)"
+ *         example: "x-tenant-id:acme"
+ *       - in: query
+ *         name: param.status
+ *         schema:
+ *           type: string
+ *         description: "Filter by a captured query parameter: param.<name>=<value> matches requests whose query string had <name>=<value> (also when <name> was repeated). Any parameter name can be used and up to 10 can be combined; param.status is an example"
+ *         example: "active"
+ *       - in: query
  *         name: from
  *         schema:
  *           type: string
@@ -56,6 +81,12 @@ const requestsController = new RequestsController();
  *           type: boolean
  *         description: Show only requests with error status codes (>=400)
  *         example: true
+ *       - in: query
+ *         name: slow_queries
+ *         schema:
+ *           type: boolean
+ *         description: Show only requests that executed queries above the slow query threshold
+ *         example: true
  *     responses:
  *       200:
  *         description: Requests retrieved successfully
@@ -232,7 +263,7 @@ router.get('/requests-over-time', (req, res) => requestsController.getRequestsOv
  * /requests/{id}:
  *   get:
  *     summary: Retrieve detailed information about a specific request
- *     description: Fetches complete details of a request including payload, response, headers, exceptions, and related queries
+ *     description: Fetches complete details of a request including payload, response, headers, exceptions, related queries and application logs
  *     tags: [Requests]
  *     parameters:
  *       - in: path
@@ -263,6 +294,9 @@ router.get('/requests-over-time', (req, res) => requestsController.getRequestsOv
  *                           type: string
  *                         controller:
  *                           type: string
+ *                         route:
+ *                           type: string
+ *                           nullable: true
  *                         happened:
  *                           type: string
  *                           format: date-time
@@ -278,21 +312,190 @@ router.get('/requests-over-time', (req, res) => requestsController.getRequestsOv
  *                         response:
  *                           type: object
  *                           nullable: true
+ *                           properties:
+ *                             content:
+ *                               type: object
+ *                               nullable: true
+ *                               description: Body passed to res.json/res.send
+ *                             size:
+ *                               type: number
+ *                               description: Body size in KB
+ *                             bytes:
+ *                               type: integer
+ *                               description: Exact body bytes written to the client (write/end, pipe, sendFile, templates)
+ *                             content_type:
+ *                               type: string
+ *                               nullable: true
+ *                             content_encoding:
+ *                               type: string
+ *                               nullable: true
+ *                             preview:
+ *                               type: string
+ *                               nullable: true
+ *                               description: Leading part of the body after redaction, for text content types only. Null for JSON responses whose whole body is stored in content
+ *                             truncated:
+ *                               type: boolean
+ *                               description: Whether the preview was cut at the byte cap
  *                         headers:
  *                           type: array
+ *                           description: Request and response headers after redaction
  *                           items:
  *                             type: object
+ *                             properties:
+ *                               direction:
+ *                                 type: string
+ *                                 enum: [request, response]
+ *                               name:
+ *                                 type: string
+ *                                 example: "user-agent"
+ *                               value:
+ *                                 type: string
+ *                                 nullable: true
  *                         exceptions:
  *                           type: array
+ *                           description: Exceptions with their stack frames resolved through local source maps
  *                           items:
- *                             type: object
+ *                             $ref: '#/components/schemas/ExceptionObject'
  *                         queries:
  *                           type: array
  *                           items:
  *                             type: object
+ *                         metrics:
+ *                           type: object
+ *                           nullable: true
+ *                           description: Process resources consumed during the request (concurrent requests are included)
+ *                           properties:
+ *                             heap_used_mb:
+ *                               type: number
+ *                             heap_delta_mb:
+ *                               type: number
+ *                             cpu_user_ms:
+ *                               type: number
+ *                             cpu_system_ms:
+ *                               type: number
+ *                             event_loop_delay_ms:
+ *                               type: number
+ *                         timing:
+ *                           type: object
+ *                           nullable: true
+ *                           description: High resolution timing phases in milliseconds
+ *                           properties:
+ *                             queue_ms:
+ *                               type: number
+ *                               nullable: true
+ *                               description: Time spent behind the proxy, from the X-Request-Start header
+ *                             time_to_headers_ms:
+ *                               type: number
+ *                             handler_ms:
+ *                               type: number
+ *                               description: Until the application called res.end()
+ *                             response_write_ms:
+ *                               type: number
+ *                               description: From res.end() until the response was handed to the socket
+ *                             total_ms:
+ *                               type: number
+ *                         waterfall:
+ *                           type: array
+ *                           description: |
+ *                             Timing phases relative to the proxy receiving the request (or the app,
+ *                             without X-Request-Start). time_to_headers overlaps the handler phase.
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               phase:
+ *                                 type: string
+ *                                 enum: [queue, time_to_headers, handler, response_write, total]
+ *                               startMs:
+ *                                 type: number
+ *                               durationMs:
+ *                                 type: number
+ *                               endMs:
+ *                                 type: number
+ *                         warnings:
+ *                           type: array
+ *                           description: |
+ *                             N+1 patterns detected at capture time (the most repeated first), followed by
+ *                             the queries, exceptions or logs dropped because the request reached its limit
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               type:
+ *                                 type: string
+ *                                 enum: [n_plus_one, context_limit]
+ *                               message:
+ *                                 type: string
+ *                                 example: Query executed 24 times in a loop
+ *                               kind:
+ *                                 type: string
+ *                                 enum: [queries, exceptions, logs]
+ *                                 description: Only for context_limit warnings
+ *                               dropped_count:
+ *                                 type: integer
+ *                                 description: Only for context_limit warnings
+ *                               fingerprint_id:
+ *                                 type: integer
+ *                                 nullable: true
+ *                               sql:
+ *                                 type: string
+ *                                 description: First execution of the loop
+ *                               normalized_sql:
+ *                                 type: string
+ *                                 nullable: true
+ *                               repeat_count:
+ *                                 type: integer
+ *                                 example: 24
+ *                               total_duration:
+ *                                 type: number
+ *                                 description: Milliseconds spent in the repeated executions
+ *                         logs:
+ *                           type: array
+ *                           description: Log lines emitted while the request was in flight, in emission order
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               log_id:
+ *                                 type: integer
+ *                               level:
+ *                                 type: string
+ *                                 enum: [trace, debug, info, warn, error, fatal]
+ *                               message:
+ *                                 type: string
+ *                               context:
+ *                                 type: object
+ *                                 nullable: true
+ *                               source:
+ *                                 type: string
+ *                                 example: pino
+ *                               logged_at:
+ *                                 type: string
+ *                                 format: date-time
  *                         user:
  *                           type: object
  *                           nullable: true
+ *                         trace_id:
+ *                           type: string
+ *                           nullable: true
+ *                         span_id:
+ *                           type: string
+ *                           nullable: true
+ *                         parent_span_id:
+ *                           type: string
+ *                           nullable: true
+ *                         trace:
+ *                           type: object
+ *                           nullable: true
+ *                           description: Caller and direct downstream requests of this request in its trace
+ *                           properties:
+ *                             trace_id:
+ *                               type: string
+ *                             parent:
+ *                               nullable: true
+ *                               allOf:
+ *                                 - $ref: '#/components/schemas/TraceSpan'
+ *                             children:
+ *                               type: array
+ *                               items:
+ *                                 $ref: '#/components/schemas/TraceSpan'
  *       400:
  *         $ref: '#/components/responses/ValidationError'
  *       404:
@@ -301,7 +504,7 @@ router.get('/requests-over-time', (req, res) => requestsController.getRequestsOv
  *         $ref: '#/components/responses/InternalError'
  *   delete:
  *     summary: Delete a specific request and all its associated data
- *     description: Permanently deletes a request and all its related data (payload, response, headers, exceptions, queries) in cascade
+ *     description: Permanently deletes a request and all its related data (payload, response, headers, exceptions, queries, logs) in cascade
  *     tags: [Requests]
  *     parameters:
  *       - in: path
@@ -347,6 +550,12 @@ router.get('/requests-over-time', (req, res) => requestsController.getRequestsOv
  *                               type: integer
  *                             queries:
  *                               type: integer
+ *                             logs:
+ *                               type: integer
+ *                             metrics:
+ *                               type: integer
+ *                             timing:
+ *                               type: integer
  *                         message:
  *                           type: string
  *                           description: Success message
@@ -26,8 +26,12 @@ const statsController = new StatsController();
  *                       properties:
  *                         total:
  *                           type: integer
- *                           description: Total number of requests in the system
+ *                           description: Total number of requests in the system, extrapolated from the stored sample rates
  *                           example: 15420
+ *                         stored:
+ *                           type: integer
+ *                           description: Requests actually stored after sampling
+ *                           example: 1542
  *                         errors:
  *                           type: integer
  *                           description: Total number of error requests (status >= 400)
@@ -83,6 +87,14 @@ router.get('/', (req, res) => statsController.getSystemStats(req, res));
  *     summary: Retrieve error statistics by status code
  *     description: Fetches detailed error statistics grouped by HTTP status codes, including count and average duration for each error type
  *     tags: [Stats]
+ *     parameters:
+ *       - name: route
+ *         in: query
+ *         required: false
+ *         description: Only include requests for this route template
+ *         schema:
+ *           type: string
+ *           example: "/api/users/:id"
  *     responses:
  *       200:
  *         description: Error statistics retrieved successfully
@@ -115,6 +127,8 @@ router.get('/', (req, res) => statsController.getSystemStats(req, res));
  *                             type: integer
  *                             description: Average duration for requests with this status code in milliseconds
  *                             example: 89
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
  *       500:
  *         $ref: '#/components/responses/InternalError'
  */
@@ -125,7 +139,7 @@ router.get('/error-stats', (req, res) => statsController.getErrorStats(req, res)
  * /stats/top-endpoints:
  *   get:
  *     summary: Retrieve top most used endpoints
- *     description: Fetches the most frequently accessed endpoints with their request counts, average duration, and error statistics
+ *     description: Fetches the most frequently accessed endpoints with their request counts, average duration, and error statistics. By default endpoints are grouped by route template, so /users/1 and /users/2 count as /users/:id
  *     tags: [Stats]
  *     parameters:
  *       - name: limit
@@ -138,6 +152,14 @@ router.get('/error-stats', (req, res) => statsController.getErrorStats(req, res)
  *           maximum: 100
  *           default: 10
  *           example: 15
+ *       - name: groupBy
+ *         in: query
+ *         required: false
+ *         description: Group by route template or by raw path
+ *         schema:
+ *           type: string
+ *           enum: [route, path]
+ *           default: route
  *     responses:
  *       200:
  *         description: Top endpoints retrieved successfully
@@ -154,10 +176,14 @@ router.get('/error-stats', (req, res) => statsController.getErrorStats(req, res)
  *                       items:
  *                         type: object
  *                         properties:
+ *                           route:
+ *                             type: string
+ *                             description: Route template (when groupBy=route)
+ *                             example: "/api/users/:id"
  *                           path:
  *                             type: string
- *                             description: Endpoint path
- *                             example: "/api/users"
+ *                             description: Endpoint path (when groupBy=path)
+ *                             example: "/api/users/42"
  *                           requestCount:
  *                             type: integer
  *                             description: Total number of requests to this endpoint
@@ -188,6 +214,14 @@ router.get('/top-endpoints', (req, res) => statsController.getTopEndpoints(req,
  *     summary: Retrieve performance statistics
  *     description: Fetches detailed performance metrics including response time percentiles and statistics for the last 24 hours
  *     tags: [Stats]
+ *     parameters:
+ *       - name: route
+ *         in: query
+ *         required: false
+ *         description: Only include requests for this route template
+ *         schema:
+ *           type: string
+ *           example: "/api/users/:id"
  *     responses:
  *       200:
  *         description: Performance statistics retrieved successfully
@@ -219,23 +253,515 @@ router.get('/top-endpoints', (req, res) => statsController.getTopEndpoints(req,
  *                           example: 4567
  *                         medianResponseTime:
  *                           type: integer
- *                           description: Median response time in milliseconds (50th percentile)
+ *                           description: Median response time in milliseconds (50th percentile, each stored request weighted by 1 / sample_rate)
  *                           example: 89
  *                         p95ResponseTime:
  *                           type: integer
- *                           description: 95th percentile response time in milliseconds
+ *                           description: 95th percentile response time in milliseconds (weighted by 1 / sample_rate)
  *                           example: 567
  *                         p99ResponseTime:
  *                           type: integer
- *                           description: 99th percentile response time in milliseconds
+ *                           description: 99th percentile response time in milliseconds (weighted by 1 / sample_rate)
  *                           example: 1234
+ *                         route:
+ *                           type: string
+ *                           nullable: true
+ *                           description: Route template the statistics were filtered by
+ *                           example: "/api/users/:id"
  *                         period:
  *                           type: string
  *                           description: Time period analyzed for these statistics
  *                           example: "Last 24 hours"
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
  *       500:
  *         $ref: '#/components/responses/InternalError'
  */
 router.get('/performance-stats', (req, res) => statsController.getPerformanceStats(req, res));
 
+/**
+ * @swagger
+ * /stats/resource-stats:
+ *   get:
+ *     summary: Rank routes by resource cost
+ *     description: Ranks route templates by the process resources their requests consumed in the last 24 hours. cpu orders by total CPU time (extrapolated with the sample rate), memory by average heap growth and event_loop by the worst event-loop delay. Measurements are process-wide, so concurrent requests are included
+ *     tags: [Stats]
+ *     parameters:
+ *       - name: limit
+ *         in: query
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 10
+ *       - name: metric
+ *         in: query
+ *         required: false
+ *         description: Resource used for the ranking
+ *         schema:
+ *           type: string
+ *           enum: [cpu, memory, event_loop]
+ *           default: cpu
+ *     responses:
+ *       200:
+ *         description: Resource statistics retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           route:
+ *                             type: string
+ *                             example: "/api/reports/:id"
+ *                           requestCount:
+ *                             type: integer
+ *                           totalCpuMs:
+ *                             type: number
+ *                           avgCpuMs:
+ *                             type: number
+ *                           avgCpuUserMs:
+ *                             type: number
+ *                           avgCpuSystemMs:
+ *                             type: number
+ *                           avgHeapDeltaMb:
+ *                             type: number
+ *                           maxHeapDeltaMb:
+ *                             type: number
+ *                           avgEventLoopDelayMs:
+ *                             type: number
+ *                           maxEventLoopDelayMs:
+ *                             type: number
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ */
+router.get('/resource-stats', (req, res) => statsController.getResourceStats(req, res));
+
+/**
+ * @swagger
+ * /stats/resource-stats/requests:
+ *   get:
+ *     summary: List the most resource-heavy requests
+ *     description: Lists individual requests from the last 24 hours ordered by CPU time, heap growth or event-loop delay
+ *     tags: [Stats]
+ *     parameters:
+ *       - name: limit
+ *         in: query
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 10
+ *       - name: metric
+ *         in: query
+ *         required: false
+ *         description: Resource used for the ranking
+ *         schema:
+ *           type: string
+ *           enum: [cpu, memory, event_loop]
+ *           default: cpu
+ *     responses:
+ *       200:
+ *         description: Resource heavy requests retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           request_id:
+ *                             type: string
+ *                             format: uuid
+ *                           method:
+ *                             type: string
+ *                           statusCode:
+ *                             type: integer
+ *                           path:
+ *                             type: string
+ *                           route:
+ *                             type: string
+ *                           happened:
+ *                             type: string
+ *                             format: date-time
+ *                           duration:
+ *                             type: number
+ *                           cpuMs:
+ *                             type: number
+ *                           cpuUserMs:
+ *                             type: number
+ *                           cpuSystemMs:
+ *                             type: number
+ *                           heapUsedMb:
+ *                             type: number
+ *                           heapDeltaMb:
+ *                             type: number
+ *                           eventLoopDelayMs:
+ *                             type: number
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ */
+router.get('/resource-stats/requests', (req, res) => statsController.getResourceHeavyRequests(req, res));
+
+/**
+ * @swagger
+ * /stats/query-params:
+ *   get:
+ *     summary: Get query parameter usage per route
+ *     description: |
+ *       Lists the query parameters each route received in the last 24 hours, how often
+ *       each one was sent, its most common values and the average duration with each of
+ *       them. Comparing the durations shows which filters make an endpoint slow.
+ *       Repeated parameters (?tag=a&tag=b) count every value.
+ *     tags: [Stats]
+ *     parameters:
+ *       - in: query
+ *         name: route
+ *         schema:
+ *           type: string
+ *         description: Only analyze this route template
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 10
+ *         description: Number of routes, ordered by requests with query parameters
+ *       - in: query
+ *         name: values
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 5
+ *         description: Most common values returned per parameter
+ *     responses:
+ *       200:
+ *         description: Query parameter statistics retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           route:
+ *                             type: string
+ *                           requestCount:
+ *                             type: integer
+ *                           avgDuration:
+ *                             type: number
+ *                           params:
+ *                             type: array
+ *                             items:
+ *                               type: object
+ *                               properties:
+ *                                 name:
+ *                                   type: string
+ *                                 requestCount:
+ *                                   type: integer
+ *                                 usage:
+ *                                   type: string
+ *                                   description: Percentage of the route's requests that sent the parameter
+ *                                 avgDuration:
+ *                                   type: number
+ *                                 values:
+ *                                   type: array
+ *                                   items:
+ *                                     type: object
+ *                                     properties:
+ *                                       value:
+ *                                         type: string
+ *                                       count:
+ *                                         type: integer
+ *                                       avgDuration:
+ *                                         type: number
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ */
+router.get('/query-params', (req, res) => statsController.getQueryParamStats(req, res));
+
+/**
+ * @swagger
+ * /stats/n-plus-one:
+ *   get:
+ *     summary: Get the routes with the worst N+1 query patterns
+ *     description: |
+ *       Lists the routes whose requests executed the same SQL fingerprint in a loop
+ *       (nPlusOne capture option, 5 repetitions by default) in the last 24 hours, ordered
+ *       by the estimated queries repeated in those loops, with the fingerprints that
+ *       repeat the most on each route.
+ *     tags: [Stats]
+ *     parameters:
+ *       - in: query
+ *         name: route
+ *         schema:
+ *           type: string
+ *         description: Only analyze this route template
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 10
+ *         description: Number of routes returned
+ *     responses:
+ *       200:
+ *         description: N+1 query statistics retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           route:
+ *                             type: string
+ *                           requestCount:
+ *                             type: integer
+ *                             description: Estimated requests with at least one N+1 pattern
+ *                           flaggedRate:
+ *                             type: string
+ *                             description: Percentage of the route's requests with an N+1 pattern
+ *                           repeatedQueries:
+ *                             type: integer
+ *                             description: Estimated queries executed inside the detected loops
+ *                           maxRepeatCount:
+ *                             type: integer
+ *                           totalDuration:
+ *                             type: number
+ *                             description: Estimated milliseconds spent inside the detected loops
+ *                           patterns:
+ *                             type: array
+ *                             description: Top 3 fingerprints repeated in a loop on the route
+ *                             items:
+ *                               type: object
+ *                               properties:
+ *                                 fingerprintId:
+ *                                   type: integer
+ *                                 normalizedSql:
+ *                                   type: string
+ *                                 requestCount:
+ *                                   type: integer
+ *                                 avgRepeatCount:
+ *                                   type: number
+ *                                 maxRepeatCount:
+ *                                   type: integer
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ */
+router.get('/n-plus-one', (req, res) => statsController.getNPlusOneStats(req, res));
+
+/**
+ * @swagger
+ * /stats/pipeline:
+ *   get:
+ *     summary: Retrieve capture pipeline metrics
+ *     description: Fetches in-process metrics of the batched capture queue (depth, flushed and dropped items), the on-disk spill buffer used while the database is unavailable, and the database connection pool
+ *     tags: [Stats]
+ *     responses:
+ *       200:
+ *         description: Capture pipeline statistics retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         queue:
+ *                           type: object
+ *                           properties:
+ *                             depth:
+ *                               type: integer
+ *                               description: Captures currently waiting in the queue
+ *                               example: 12
+ *                             maxDepth:
+ *                               type: integer
+ *                               description: Highest queue depth observed since startup
+ *                               example: 340
+ *                             enqueued:
+ *                               type: integer
+ *                               description: Captures accepted into the queue
+ *                               example: 15420
+ *                             flushed:
+ *                               type: integer
+ *                               description: Captures written to the database
+ *                               example: 15400
+ *                             dropped:
+ *                               type: integer
+ *                               description: Captures discarded because the queue was full
+ *                               example: 0
+ *                             failed:
+ *                               type: integer
+ *                               description: Captures lost in failed batch writes
+ *                               example: 8
+ *                             batches:
+ *                               type: integer
+ *                               description: Batches written successfully
+ *                               example: 410
+ *                             failedBatches:
+ *                               type: integer
+ *                               example: 1
+ *                             lastFlushAt:
+ *                               type: string
+ *                               format: date-time
+ *                               nullable: true
+ *                             lastFlushDuration:
+ *                               type: integer
+ *                               nullable: true
+ *                               description: Duration of the last batch write in milliseconds
+ *                             lastError:
+ *                               type: string
+ *                               nullable: true
+ *                         spill:
+ *                           type: object
+ *                           description: Captures written to local NDJSON files while the database was unavailable, waiting to be replayed
+ *                           properties:
+ *                             pending:
+ *                               type: integer
+ *                               description: Captures waiting on disk to be replayed
+ *                               example: 230
+ *                             pendingBytes:
+ *                               type: integer
+ *                               example: 481230
+ *                             files:
+ *                               type: integer
+ *                               example: 1
+ *                             spilled:
+ *                               type: integer
+ *                               description: Captures written to disk since startup
+ *                               example: 230
+ *                             replayed:
+ *                               type: integer
+ *                               description: Spilled captures written to the database after it recovered
+ *                               example: 0
+ *                             discarded:
+ *                               type: integer
+ *                               description: Spilled captures lost (unreadable, rejected by the database or rotated out)
+ *                               example: 0
+ *                             droppedFiles:
+ *                               type: integer
+ *                               example: 0
+ *                             failedWrites:
+ *                               type: integer
+ *                               example: 0
+ *                             replaying:
+ *                               type: boolean
+ *                             lastSpillAt:
+ *                               type: string
+ *                               format: date-time
+ *                               nullable: true
+ *                             lastReplayAt:
+ *                               type: string
+ *                               format: date-time
+ *                               nullable: true
+ *                             lastError:
+ *                               type: string
+ *                               nullable: true
+ *                         persist:
+ *                           type: object
+ *                           description: Captures dropped at write time because the database rejected their data (the rest of their batch is written row by row)
+ *                           properties:
+ *                             dropped:
+ *                               type: integer
+ *                               example: 0
+ *                             lastError:
+ *                               type: string
+ *                               nullable: true
+ *                         context:
+ *                           type: object
+ *                           description: Items dropped because the in-flight request already held its maximum (500 queries, 100 exceptions and 1000 logs by default), whether they came from the capture API or from the database and logger instrumentations
+ *                           properties:
+ *                             queries:
+ *                               type: integer
+ *                               example: 0
+ *                             exceptions:
+ *                               type: integer
+ *                               example: 0
+ *                             logs:
+ *                               type: integer
+ *                               example: 0
+ *                         sampling:
+ *                           type: object
+ *                           description: Sampling decisions made since startup
+ *                           properties:
+ *                             seen:
+ *                               type: integer
+ *                               description: Finished requests evaluated by the sampler
+ *                               example: 15420
+ *                             kept:
+ *                               type: integer
+ *                               example: 1542
+ *                             dropped:
+ *                               type: integer
+ *                               example: 13878
+ *                             keptBy:
+ *                               type: object
+ *                               description: Kept requests by reason (head, errors, slow, users, tail)
+ *                               additionalProperties:
+ *                                 type: integer
+ *                             rate:
+ *                               type: number
+ *                               description: Global head sample rate
+ *                               example: 0.1
+ *                         pool:
+ *                           type: object
+ *                           nullable: true
+ *                           description: Sequelize connection pool usage
+ *                           properties:
+ *                             size:
+ *                               type: integer
+ *                             available:
+ *                               type: integer
+ *                             using:
+ *                               type: integer
+ *                             waiting:
+ *                               type: integer
+ *                             maxSize:
+ *                               type: integer
+ *                         lastUpdated:
+ *                           type: string
+ *                           format: date-time
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ */
+router.get('/pipeline', (req, res) => statsController.getPipelineStats(req, res));
+
 module.exports = router;
\ No newline at end of file
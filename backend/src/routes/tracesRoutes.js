@@ -0,0 +1,109 @@
+const express = require('express');
+const router = express.Router();
+const TracesController = require('../controllers/monitoring/TracesController');
+
+const tracesController = new TracesController();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     TraceSpan:
+ *       type: object
+ *       properties:
+ *         request_id:
+ *           type: string
+ *           format: uuid
+ *         span_id:
+ *           type: string
+ *           example: "00f067aa0ba902b7"
+ *         parent_span_id:
+ *           type: string
+ *           nullable: true
+ *         method:
+ *           type: string
+ *           example: GET
+ *         path:
+ *           type: string
+ *           example: "/api/orders/42"
+ *         controller:
+ *           type: string
+ *         route:
+ *           type: string
+ *           example: "/api/orders/:id"
+ *         status_code:
+ *           type: integer
+ *           example: 200
+ *         happened:
+ *           type: string
+ *           format: date-time
+ *         duration:
+ *           type: number
+ *           description: Duration in milliseconds
+ *         orphan:
+ *           type: boolean
+ *           description: Root span whose parent was not captured (service without MODR or dropped by sampling)
+ *         children:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/TraceSpan'
+ */
+
+/**
+ * @swagger
+ * /traces/{traceId}:
+ *   get:
+ *     summary: Retrieve the cross-service request tree of a trace
+ *     description: Returns every captured request that shares the W3C trace id, linked by their span and parent span ids
+ *     tags: [Traces]
+ *     parameters:
+ *       - in: path
+ *         name: traceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-f]{32}$'
+ *         description: W3C trace id (32 hex characters)
+ *         example: "4bf92f3577b34da6a3ce929d0e0e4736"
+ *     responses:
+ *       200:
+ *         description: Trace retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         trace_id:
+ *                           type: string
+ *                         span_count:
+ *                           type: integer
+ *                         error_count:
+ *                           type: integer
+ *                         started_at:
+ *                           type: string
+ *                           format: date-time
+ *                         duration:
+ *                           type: number
+ *                           description: Time from the first request start to the last request end, in milliseconds
+ *                         truncated:
+ *                           type: boolean
+ *                           description: True when the trace has more spans than the response limit
+ *                         roots:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/TraceSpan'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ */
+router.get('/:traceId', (req, res) => tracesController.getTrace(req, res));
+
+module.exports = router;
@@ -2,6 +2,7 @@ const { models, sequelize } = require('../../models');
 const { Op } = require('sequelize');
 const ValidationUtils = require('../../utils/ValidationUtils');
 const { ErrorHandler } = require('../../utils/ErrorHandler');
+const CaptureService = require('../request/CaptureService');
 
 /**
  * CleanUpService
@@ -44,11 +45,19 @@ class CleanUpService {
                 }
             });
 
-            if (countToDelete === 0) {
+            // Las excepciones de proceso no tienen request y no se eliminan en cascada
+            const standaloneWhere = {
+                request_id: { [Op.is]: null },
+                occurred_at: { [Op.lt]: cutoffDate }
+            };
+            const standaloneToDelete = await models.Exception.count({ where: standaloneWhere });
+
+            if (countToDelete === 0 && standaloneToDelete === 0) {
                 return {
                     success: true,
                     data: {
                         deleted_count: 0,
+                        deleted_standalone_exceptions: 0,
                         cutoff_date: cutoffDate.toISOString(),
                         days_cleaned: validDays,
                         message: 'No requests found matching cleanup criteria'
@@ -63,10 +72,15 @@ class CleanUpService {
                 }
             });
 
+            const deletedExceptions = await models.Exception.destroy({ where: standaloneWhere });
+            const deletedHeaderValues = await this.pruneHeaderValues();
+
             return {
                 success: true,
                 data: {
                     deleted_count: deletedCount,
+                    deleted_standalone_exceptions: deletedExceptions,
+                    deleted_header_values: deletedHeaderValues,
                     cutoff_date: cutoffDate.toISOString(),
                     days_cleaned: validDays,
                     cleanup_completed_at: new Date().toISOString(),
@@ -82,6 +96,21 @@ class CleanUpService {
         }
     }
 
+    /**
+     * Elimina los valores de headers que ya no usa ninguna request
+     */
+    async pruneHeaderValues() {
+        const [, result] = await sequelize.query(`
+            DELETE FROM header_values
+            WHERE value_id NOT IN (SELECT value_id FROM request_headers WHERE value_id IS NOT NULL)
+        `);
+
+        // Los ids eliminados no deben seguir en la cache de captura
+        CaptureService.clearHeaderValueCache();
+
+        return result?.rowCount || 0;
+    }
+
     /**
      * Limpia requests por estado específico
      */
@@ -0,0 +1,322 @@
+const { models, sequelize } = require('../../models');
+const { Op } = require('sequelize');
+const ValidationUtils = require('../../utils/ValidationUtils');
+const { ErrorHandler } = require('../../utils/ErrorHandler');
+
+// Otras requests del mismo issue incluidas en el detalle de una excepción
+const RELATED_REQUESTS = 10;
+
+const PERIOD_HOURS = { '24h': 24, '7d': 24 * 7, '30d': 24 * 30 };
+const INTERVAL_UNITS = { '1h': 'hour', '1d': 'day' };
+
+/**
+ * ExceptionService
+ * Servicio para consultar las excepciones capturadas, incluidas las de nivel de proceso
+ */
+class ExceptionService {
+
+    /**
+     * Obtiene excepciones con paginación y filtros
+     */
+    async getExceptions(filters = {}) {
+        try {
+            // Validar paginación
+            const paginationValidation = ValidationUtils.validatePagination(
+                filters.page,
+                filters.limit
+            );
+
+            if (!paginationValidation.isValid) {
+                return {
+                    success: false,
+                    error: ErrorHandler.handleValidationError(
+                        paginationValidation.errors,
+                        'pagination'
+                    )
+                };
+            }
+
+            // Validar origen si se proporciona
+            const sourceValidation = ValidationUtils.validateExceptionSource(filters.source);
+            if (!sourceValidation.isValid) {
+                return {
+                    success: false,
+                    error: ErrorHandler.handleValidationError([sourceValidation.error], 'source')
+                };
+            }
+
+            // Validar fechas si se proporcionan
+            const dateValidation = ValidationUtils.validateDateFilters(filters.from, filters.to);
+            if (!dateValidation.isValid) {
+                return {
+                    success: false,
+                    error: ErrorHandler.handleValidationError(dateValidation.errors, 'date filters')
+                };
+            }
+
+            // Validar ruta si se proporciona (plantilla o path de la request)
+            const routeValidation = ValidationUtils.validateRoute(filters.route);
+            if (!routeValidation.isValid) {
+                return {
+                    success: false,
+                    error: ErrorHandler.handleValidationError([routeValidation.error], 'route')
+                };
+            }
+
+            // Validar issue si se proporciona
+            if (filters.issueId && !ValidationUtils.isValidUUID(filters.issueId)) {
+                return {
+                    success: false,
+                    error: ErrorHandler.handleValidationError(['Invalid UUID format'], 'issueId')
+                };
+            }
+
+            // Sanitizar búsqueda en el mensaje
+            const sanitizedSearch = ValidationUtils.sanitizeSearch(filters.search);
+
+            const { page, limit } = paginationValidation;
+            const offset = (page - 1) * limit;
+            const where = {};
+
+            if (sourceValidation.source) {
+                where.source = sourceValidation.source;
+            }
+
+            if (filters.type) {
+                where.type = ValidationUtils.sanitizeInput(filters.type).substring(0, 100);
+            }
+
+            if (sanitizedSearch) {
+                where.message = { [Op.iLike]: `%${sanitizedSearch}%` };
+            }
+
+            if (filters.issueId) {
+                where.issue_id = filters.issueId;
+            }
+
+            if (routeValidation.route) {
+                where[Op.or] = [
+                    { '$request.route$': routeValidation.route },
+                    { '$request.path$': routeValidation.route }
+                ];
+            }
+
+            // standalone=true: solo las que ocurrieron fuera de una request
+            if (filters.standalone === true) {
+                where.request_id = { [Op.is]: null };
+            } else if (filters.standalone === false) {
+                where.request_id = { [Op.not]: null };
+            }
+
+            if (dateValidation.fromDate || dateValidation.toDate) {
+                where.occurred_at = {};
+                if (dateValidation.fromDate) where.occurred_at[Op.gte] = dateValidation.fromDate;
+                if (dateValidation.toDate) where.occurred_at[Op.lte] = dateValidation.toDate;
+            }
+
+            const { count, rows } = await models.Exception.findAndCountAll({
+                where,
+                include: [{
+                    model: models.Request,
+                    as: 'request',
+                    required: Boolean(routeValidation.route),
+                    attributes: ['request_id', 'path', 'route', 'controller', 'happened']
+                }],
+                limit: parseInt(limit),
+                offset: parseInt(offset),
+                order: [['occurred_at', 'DESC']]
+            });
+
+            return {
+                success: true,
+                data: rows.map(row => row.toJSON()),
+                pagination: {
+                    current_page: parseInt(page),
+                    per_page: parseInt(limit),
+                    total: count,
+                    total_pages: Math.ceil(count / limit),
+                    has_next: page * limit < count,
+                    has_prev: page > 1
+                }
+            };
+
+        } catch (error) {
+            return {
+                success: false,
+                error: ErrorHandler.handleDatabaseError(error, 'getExceptions')
+            };
+        }
+    }
+
+    /**
+     * Obtiene una excepción con su request de origen, su issue y otras requests
+     * donde ocurrió el mismo issue
+     */
+    async getExceptionDetails(exceptionId) {
+        try {
+            // Validar UUID
+            if (!ValidationUtils.isValidUUID(exceptionId)) {
+                return {
+                    success: false,
+                    error: ErrorHandler.handleValidationError(
+                        ['Invalid UUID format'],
+                        'exceptionId'
+                    )
+                };
+            }
+
+            const requestInclude = {
+                model: models.Request,
+                as: 'request',
+                required: false,
+                attributes: ['request_id', 'path', 'route', 'controller', 'happened', 'duration', 'outcome', 'trace_id'],
+                include: [
+                    { model: models.Method, as: 'method', attributes: ['name'] },
+                    { model: models.Status, as: 'status', attributes: ['code'] }
+                ]
+            };
+
+            const exception = await models.Exception.findByPk(exceptionId, {
+                include: [
+                    requestInclude,
+                    { model: models.Issue, as: 'issue', required: false }
+                ]
+            });
+
+            if (!exception) {
+                return {
+                    success: false,
+                    error: ErrorHandler.handleNotFoundError('Exception', exceptionId)
+                };
+            }
+
+            const data = exception.toJSON();
+
+            // Requests más recientes donde ocurrió el mismo issue
+            data.related_requests = [];
+            if (exception.issue_id) {
+                const related = await models.Exception.findAll({
+                    attributes: ['exception_id', 'occurred_at'],
+                    where: {
+                        issue_id: exception.issue_id,
+                        exception_id: { [Op.ne]: exceptionId }
+                    },
+                    // required: solo las que ocurrieron dentro de una request
+                    include: [{ ...requestInclude, required: true }],
+                    order: [['occurred_at', 'DESC']],
+                    limit: RELATED_REQUESTS
+                });
+
+                data.related_requests = related.map(row => ({
+                    exception_id: row.exception_id,
+                    occurred_at: row.occurred_at,
+                    ...row.request.toJSON()
+                }));
+            }
+
+            return {
+                success: true,
+                data
+            };
+
+        } catch (error) {
+            return {
+                success: false,
+                error: ErrorHandler.handleDatabaseError(error, 'getExceptionDetails')
+            };
+        }
+    }
+
+    /**
+     * Estadísticas de excepciones: serie de tiempo y conteo por tipo
+     */
+    async getExceptionStats(filters = {}) {
+        try {
+            // Validar período e intervalo
+            const timeValidation = ValidationUtils.validateTimePeriod(filters.period, filters.interval);
+            if (!timeValidation.isValid) {
+                return {
+                    success: false,
+                    error: ErrorHandler.handleValidationError(timeValidation.errors, 'time period')
+                };
+            }
+
+            // Validar origen si se proporciona
+            const sourceValidation = ValidationUtils.validateExceptionSource(filters.source);
+            if (!sourceValidation.isValid) {
+                return {
+                    success: false,
+                    error: ErrorHandler.handleValidationError([sourceValidation.error], 'source')
+                };
+            }
+
+            const fromDate = new Date(Date.now() - PERIOD_HOURS[timeValidation.period] * 60 * 60 * 1000);
+            const unit = INTERVAL_UNITS[timeValidation.interval];
+            const where = { occurred_at: { [Op.gte]: fromDate } };
+
+            if (sourceValidation.source) {
+                where.source = sourceValidation.source;
+            }
+
+            if (filters.type) {
+                where.type = ValidationUtils.sanitizeInput(filters.type).substring(0, 100);
+            }
+
+            const [overTime, byType] = await Promise.all([
+                models.Exception.findAll({
+                    attributes: [
+                        [sequelize.literal(`DATE_TRUNC('${unit}', occurred_at)`), 'time_bucket'],
+                        [sequelize.fn('COUNT', '*'), 'exception_count'],
+                        [sequelize.fn('COUNT', sequelize.literal('CASE WHEN request_id IS NULL THEN 1 END')), 'standalone_count']
+                    ],
+                    where,
+                    group: ['time_bucket'],
+                    order: [['time_bucket', 'ASC']],
+                    raw: true
+                }),
+                models.Exception.findAll({
+                    attributes: [
+                        'type',
+                        [sequelize.fn('COUNT', '*'), 'exception_count'],
+                        [sequelize.fn('COUNT', sequelize.fn('DISTINCT', sequelize.col('issue_id'))), 'issue_count'],
+                        [sequelize.fn('MAX', sequelize.col('occurred_at')), 'last_seen']
+                    ],
+                    where,
+                    group: ['type'],
+                    order: [[sequelize.literal('exception_count'), 'DESC']],
+                    raw: true
+                })
+            ]);
+
+            const count = value => parseInt(value) || 0;
+
+            return {
+                success: true,
+                data: {
+                    period: timeValidation.period,
+                    interval: timeValidation.interval,
+                    total: byType.reduce((sum, row) => sum + count(row.exception_count), 0),
+                    overTime: overTime.map(row => ({
+                        time_bucket: row.time_bucket,
+                        exception_count: count(row.exception_count),
+                        standalone_count: count(row.standalone_count)
+                    })),
+                    byType: byType.map(row => ({
+                        type: row.type,
+                        exception_count: count(row.exception_count),
+                        issue_count: count(row.issue_count),
+                        last_seen: row.last_seen
+                    }))
+                }
+            };
+
+        } catch (error) {
+            return {
+                success: false,
+                error: ErrorHandler.handleDatabaseError(error, 'getExceptionStats')
+            };
+        }
+    }
+}
+
+module.exports = ExceptionService;
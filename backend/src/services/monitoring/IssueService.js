@@ -0,0 +1,212 @@
+const { models } = require('../../models');
+const { Op } = require('sequelize');
+const ValidationUtils = require('../../utils/ValidationUtils');
+const { ErrorHandler } = require('../../utils/ErrorHandler');
+
+// Ocurrencias recientes incluidas en el detalle de un issue
+const RECENT_EXCEPTIONS = 20;
+
+/**
+ * IssueService
+ * Servicio para consultar los issues (excepciones agrupadas por fingerprint)
+ * y cambiar su estado: open, resolved o ignored
+ */
+class IssueService {
+
+    /**
+     * Obtiene issues con paginación y filtros
+     */
+    async getIssues(filters = {}) {
+        try {
+            // Validar paginación
+            const paginationValidation = ValidationUtils.validatePagination(
+                filters.page,
+                filters.limit
+            );
+
+            if (!paginationValidation.isValid) {
+                return {
+                    success: false,
+                    error: ErrorHandler.handleValidationError(
+                        paginationValidation.errors,
+                        'pagination'
+                    )
+                };
+            }
+
+            // Validar estado si se proporciona
+            const statusValidation = ValidationUtils.validateIssueStatus(filters.status);
+            if (!statusValidation.isValid) {
+                return {
+                    success: false,
+                    error: ErrorHandler.handleValidationError([statusValidation.error], 'status')
+                };
+            }
+
+            // Validar fechas si se proporcionan (sobre la última ocurrencia)
+            const dateValidation = ValidationUtils.validateDateFilters(filters.from, filters.to);
+            if (!dateValidation.isValid) {
+                return {
+                    success: false,
+                    error: ErrorHandler.handleValidationError(dateValidation.errors, 'date filters')
+                };
+            }
+
+            const { page, limit } = paginationValidation;
+            const offset = (page - 1) * limit;
+            const where = {};
+
+            if (statusValidation.status) {
+                where.status = statusValidation.status;
+            }
+
+            if (filters.type) {
+                where.type = filters.type;
+            }
+
+            if (dateValidation.fromDate || dateValidation.toDate) {
+                where.last_seen = {};
+                if (dateValidation.fromDate) where.last_seen[Op.gte] = dateValidation.fromDate;
+                if (dateValidation.toDate) where.last_seen[Op.lte] = dateValidation.toDate;
+            }
+
+            const { count, rows } = await models.Issue.findAndCountAll({
+                where,
+                limit: parseInt(limit),
+                offset: parseInt(offset),
+                order: [['last_seen', 'DESC']]
+            });
+
+            return {
+                success: true,
+                data: rows.map(row => row.toJSON()),
+                pagination: {
+                    current_page: parseInt(page),
+                    per_page: parseInt(limit),
+                    total: count,
+                    total_pages: Math.ceil(count / limit),
+                    has_next: page * limit < count,
+                    has_prev: page > 1
+                }
+            };
+
+        } catch (error) {
+            return {
+                success: false,
+                error: ErrorHandler.handleDatabaseError(error, 'getIssues')
+            };
+        }
+    }
+
+    /**
+     * Obtiene un issue con sus rutas afectadas y sus ocurrencias más recientes
+     */
+    async getIssueDetails(issueId) {
+        try {
+            // Validar UUID
+            if (!ValidationUtils.isValidUUID(issueId)) {
+                return {
+                    success: false,
+                    error: ErrorHandler.handleValidationError(
+                        ['Invalid UUID format'],
+                        'issueId'
+                    )
+                };
+            }
+
+            const issue = await models.Issue.findByPk(issueId, {
+                include: [{ model: models.IssueRoute, as: 'routes' }],
+                order: [[{ model: models.IssueRoute, as: 'routes' }, 'occurrences', 'DESC']]
+            });
+
+            if (!issue) {
+                return {
+                    success: false,
+                    error: ErrorHandler.handleNotFoundError('Issue', issueId)
+                };
+            }
+
+            const data = issue.toJSON();
+
+            data.recent_exceptions = await models.Exception.findAll({
+                where: { issue_id: issueId },
+                include: [{
+                    model: models.Request,
+                    as: 'request',
+                    required: false,
+                    attributes: ['request_id', 'path', 'route', 'controller', 'happened']
+                }],
+                order: [['occurred_at', 'DESC']],
+                limit: RECENT_EXCEPTIONS
+            });
+
+            return {
+                success: true,
+                data
+            };
+
+        } catch (error) {
+            return {
+                success: false,
+                error: ErrorHandler.handleDatabaseError(error, 'getIssueDetails')
+            };
+        }
+    }
+
+    /**
+     * Cambia el estado de un issue (resolver, ignorar o reabrir)
+     */
+    async updateIssueStatus(issueId, status) {
+        try {
+            if (!ValidationUtils.isValidUUID(issueId)) {
+                return {
+                    success: false,
+                    error: ErrorHandler.handleValidationError(
+                        ['Invalid UUID format'],
+                        'issueId'
+                    )
+                };
+            }
+
+            const statusValidation = ValidationUtils.validateIssueStatus(status);
+            if (!status || !statusValidation.isValid) {
+                return {
+                    success: false,
+                    error: ErrorHandler.handleValidationError(
+                        [statusValidation.error || 'status is required'],
+                        'status'
+                    )
+                };
+            }
+
+            const issue = await models.Issue.findByPk(issueId);
+            if (!issue) {
+                return {
+                    success: false,
+                    error: ErrorHandler.handleNotFoundError('Issue', issueId)
+                };
+            }
+
+            if (issue.status !== status) {
+                await issue.update({
+                    status,
+                    resolved_at: status === 'resolved' ? new Date() : null,
+                    updated_at: new Date()
+                });
+            }
+
+            return {
+                success: true,
+                data: issue.toJSON()
+            };
+
+        } catch (error) {
+            return {
+                success: false,
+                error: ErrorHandler.handleDatabaseError(error, 'updateIssueStatus')
+            };
+        }
+    }
+}
+
+module.exports = IssueService;
@@ -0,0 +1,333 @@
+const { models, sequelize } = require('../../models');
+const { Op } = require('sequelize');
+const ValidationUtils = require('../../utils/ValidationUtils');
+const { ErrorHandler } = require('../../utils/ErrorHandler');
+
+const PERIOD_HOURS = { '24h': 24, '7d': 24 * 7, '30d': 24 * 30 };
+
+// Cada fila representa 1 / sample_rate ejecuciones (la request pudo guardarse por muestreo)
+const WEIGHT = '(1.0 / "Request"."sample_rate")';
+
+// Plantilla de ruta (las requests anteriores a la columna route se agrupan por path)
+const ROUTE_KEY = 'COALESCE("Request"."route", "Request"."path")';
+
+// Expresión por la que se ordena el ranking de fingerprints
+const SORT_ORDER = {
+    total_time: 'total_time',
+    count: 'call_count',
+    p95: 'p95_duration'
+};
+
+// Ejecuciones más lentas incluidas en el detalle de un fingerprint
+const SLOWEST_SAMPLES = 10;
+
+/**
+ * QueryService
+ * Servicio para analizar las queries capturadas agrupadas por fingerprint
+ * (SQL normalizado sin literales ni bindings) y las requests con queries lentas
+ */
+class QueryService {
+
+    /**
+     * Ranking de fingerprints por tiempo total, cantidad de ejecuciones o p95
+     */
+    async getQueryFingerprints(filters = {}) {
+        try {
+            const limitValidation = ValidationUtils.validatePagination(1, filters.limit ?? 20);
+            if (!limitValidation.isValid) {
+                return {
+                    success: false,
+                    error: ErrorHandler.handleValidationError(limitValidation.errors, 'limit')
+                };
+            }
+
+            const sortValidation = ValidationUtils.validateQuerySort(filters.sort);
+            if (!sortValidation.isValid) {
+                return {
+                    success: false,
+                    error: ErrorHandler.handleValidationError([sortValidation.error], 'sort')
+                };
+            }
+
+            const timeValidation = ValidationUtils.validateTimePeriod(filters.period);
+            if (!timeValidation.isValid) {
+                return {
+                    success: false,
+                    error: ErrorHandler.handleValidationError(timeValidation.errors, 'time period')
+                };
+            }
+
+            const routeValidation = ValidationUtils.validateRoute(filters.route);
+            if (!routeValidation.isValid) {
+                return {
+                    success: false,
+                    error: ErrorHandler.handleValidationError([routeValidation.error], 'route')
+                };
+            }
+
+            const sanitizedSearch = ValidationUtils.sanitizeSearch(filters.search);
+            const type = filters.type ? ValidationUtils.sanitizeInput(String(filters.type)).toUpperCase().substring(0, 30) : null;
+
+            const rows = await sequelize.query(`
+                SELECT "Fingerprint"."fingerprint_id", "Fingerprint"."fingerprint",
+                    "Fingerprint"."normalized_sql", "Fingerprint"."type",
+                    ${this.aggregates()}
+                FROM queries AS "Query"
+                JOIN query_fingerprints AS "Fingerprint" ON "Fingerprint"."fingerprint_id" = "Query"."fingerprint_id"
+                JOIN requests AS "Request" ON "Request"."request_id" = "Query"."request_id"
+                WHERE "Query"."executed_at" >= :since
+                    ${routeValidation.route ? `AND ${ROUTE_KEY} = :route` : ''}
+                    ${type ? 'AND "Fingerprint"."type" = :type' : ''}
+                    ${sanitizedSearch ? 'AND "Fingerprint"."normalized_sql" ILIKE :search' : ''}
+                GROUP BY "Fingerprint"."fingerprint_id", "Fingerprint"."fingerprint",
+                    "Fingerprint"."normalized_sql", "Fingerprint"."type"
+                ORDER BY ${SORT_ORDER[sortValidation.sort]} DESC NULLS LAST
+                LIMIT :limit
+            `, {
+                replacements: {
+                    since: this.periodStart(timeValidation.period),
+                    route: routeValidation.route,
+                    type,
+                    search: `%${sanitizedSearch}%`,
+                    limit: parseInt(limitValidation.limit)
+                },
+                type: sequelize.QueryTypes.SELECT
+            });
+
+            return {
+                success: true,
+                data: rows.map(row => ({
+                    fingerprint_id: row.fingerprint_id,
+                    fingerprint: row.fingerprint,
+                    normalized_sql: row.normalized_sql,
+                    type: row.type,
+                    ...this.formatAggregates(row)
+                }))
+            };
+
+        } catch (error) {
+            return {
+                success: false,
+                error: ErrorHandler.handleDatabaseError(error, 'getQueryFingerprints')
+            };
+        }
+    }
+
+    /**
+     * Detalle de un fingerprint: totales, rutas que lo ejecutan y sus ejecuciones más lentas
+     */
+    async getQueryFingerprintDetails(fingerprintId, filters = {}) {
+        try {
+            const id = parseInt(fingerprintId);
+            if (isNaN(id) || id < 1 || String(id) !== String(fingerprintId)) {
+                return {
+                    success: false,
+                    error: ErrorHandler.handleValidationError(
+                        ['Fingerprint id must be a positive integer'],
+                        'fingerprintId'
+                    )
+                };
+            }
+
+            const timeValidation = ValidationUtils.validateTimePeriod(filters.period);
+            if (!timeValidation.isValid) {
+                return {
+                    success: false,
+                    error: ErrorHandler.handleValidationError(timeValidation.errors, 'time period')
+                };
+            }
+
+            const fingerprint = await models.QueryFingerprint.findByPk(id);
+            if (!fingerprint) {
+                return {
+                    success: false,
+                    error: ErrorHandler.handleNotFoundError('Query fingerprint', fingerprintId)
+                };
+            }
+
+            const since = this.periodStart(timeValidation.period);
+            const select = (sql) => sequelize.query(sql, {
+                replacements: { id, since },
+                type: sequelize.QueryTypes.SELECT
+            });
+            const scope = `
+                FROM queries AS "Query"
+                JOIN requests AS "Request" ON "Request"."request_id" = "Query"."request_id"
+                WHERE "Query"."fingerprint_id" = :id AND "Query"."executed_at" >= :since
+            `;
+
+            const [[totals], routes, slowest] = await Promise.all([
+                select(`SELECT ${this.aggregates()} ${scope}`),
+                select(`
+                    SELECT ${ROUTE_KEY} AS route, ${this.aggregates(false)}
+                    ${scope}
+                    GROUP BY ${ROUTE_KEY}
+                    ORDER BY total_time DESC
+                `),
+                models.Query.findAll({
+                    where: {
+                        fingerprint_id: id,
+                        executed_at: { [Op.gte]: since }
+                    },
+                    include: [{
+                        model: models.Request,
+                        as: 'request',
+                        attributes: ['request_id', 'path', 'route', 'controller', 'happened', 'slow_queries']
+                    }],
+                    order: [['duration', 'DESC']],
+                    limit: SLOWEST_SAMPLES
+                })
+            ]);
+
+            return {
+                success: true,
+                data: {
+                    ...fingerprint.toJSON(),
+                    period: timeValidation.period,
+                    ...this.formatAggregates(totals || {}),
+                    routes: routes.map(route => {
+                        const { route_count, ...aggregates } = this.formatAggregates(route);
+                        return { route: route.route, ...aggregates };
+                    }),
+                    slowest_queries: slowest
+                }
+            };
+
+        } catch (error) {
+            return {
+                success: false,
+                error: ErrorHandler.handleDatabaseError(error, 'getQueryFingerprintDetails')
+            };
+        }
+    }
+
+    /**
+     * Requests marcadas por ejecutar queries por encima del umbral de query lenta
+     */
+    async getSlowQueryRequests(filters = {}) {
+        try {
+            const paginationValidation = ValidationUtils.validatePagination(
+                filters.page,
+                filters.limit
+            );
+
+            if (!paginationValidation.isValid) {
+                return {
+                    success: false,
+                    error: ErrorHandler.handleValidationError(
+                        paginationValidation.errors,
+                        'pagination'
+                    )
+                };
+            }
+
+            const timeValidation = ValidationUtils.validateTimePeriod(filters.period);
+            if (!timeValidation.isValid) {
+                return {
+                    success: false,
+                    error: ErrorHandler.handleValidationError(timeValidation.errors, 'time period')
+                };
+            }
+
+            const routeValidation = ValidationUtils.validateRoute(filters.route);
+            if (!routeValidation.isValid) {
+                return {
+                    success: false,
+                    error: ErrorHandler.handleValidationError([routeValidation.error], 'route')
+                };
+            }
+
+            const { page, limit } = paginationValidation;
+            const offset = (page - 1) * limit;
+            const where = {
+                slow_queries: { [Op.gt]: 0 },
+                happened: { [Op.gte]: this.periodStart(timeValidation.period) }
+            };
+
+            if (routeValidation.route) {
+                where.route = routeValidation.route;
+            }
+
+            const { count, rows } = await models.Request.findAndCountAll({
+                where,
+                include: [
+                    { model: models.Status, as: 'status' },
+                    { model: models.Method, as: 'method' },
+                    {
+                        model: models.Query,
+                        as: 'queries',
+                        required: false,
+                        where: { slow: true },
+                        attributes: ['query_id', 'fingerprint_id', 'sql', 'duration', 'type', 'executed_at']
+                    }
+                ],
+                distinct: true,
+                limit: parseInt(limit),
+                offset: parseInt(offset),
+                order: [
+                    ['happened', 'DESC'],
+                    [{ model: models.Query, as: 'queries' }, 'duration', 'DESC']
+                ]
+            });
+
+            return {
+                success: true,
+                data: rows.map(row => row.toJSON()),
+                pagination: {
+                    current_page: parseInt(page),
+                    per_page: parseInt(limit),
+                    total: count,
+                    total_pages: Math.ceil(count / limit),
+                    has_next: page * limit < count,
+                    has_prev: page > 1
+                }
+            };
+
+        } catch (error) {
+            return {
+                success: false,
+                error: ErrorHandler.handleDatabaseError(error, 'getSlowQueryRequests')
+            };
+        }
+    }
+
+    /**
+     * Columnas agregadas de un grupo de queries (ejecuciones y tiempo total estimados según el muestreo)
+     */
+    aggregates(withRoutes = true) {
+        return `
+            SUM(${WEIGHT}) AS call_count,
+            SUM("Query"."duration" * ${WEIGHT}) AS total_time,
+            AVG("Query"."duration") AS avg_duration,
+            PERCENTILE_CONT(0.95) WITHIN GROUP (ORDER BY "Query"."duration") AS p95_duration,
+            MAX("Query"."duration") AS max_duration,
+            SUM(CASE WHEN "Query"."slow" THEN 1 ELSE 0 END) AS slow_count,
+            COUNT(DISTINCT "Query"."request_id") AS request_count,
+            ${withRoutes ? `COUNT(DISTINCT ${ROUTE_KEY}) AS route_count,` : ''}
+            MAX("Query"."executed_at") AS last_seen
+        `;
+    }
+
+    formatAggregates(row) {
+        const count = value => Math.round(parseFloat(value)) || 0;
+        const duration = value => value !== null && value !== undefined ? Math.round(parseFloat(value) * 100) / 100 : null;
+
+        return {
+            call_count: count(row.call_count),
+            total_time: duration(row.total_time) ?? 0,
+            avg_duration: duration(row.avg_duration),
+            p95_duration: duration(row.p95_duration),
+            max_duration: duration(row.max_duration),
+            slow_count: count(row.slow_count),
+            request_count: count(row.request_count),
+            route_count: count(row.route_count),
+            last_seen: row.last_seen || null
+        };
+    }
+
+    periodStart(period) {
+        return new Date(Date.now() - PERIOD_HOURS[period] * 60 * 60 * 1000);
+    }
+}
+
+module.exports = QueryService;
@@ -2,6 +2,8 @@ const { models, sequelize } = require('../../models');
 const { Op } = require('sequelize');
 const ValidationUtils = require('../../utils/ValidationUtils');
 const { ErrorHandler } = require('../../utils/ErrorHandler');
+const TraceService = require('./TraceService');
+const HeaderUtils = require('../../utils/HeaderUtils');
 
 /**
  * RequestService
@@ -63,6 +65,42 @@ class RequestService {
                 };
             }
 
+            // Validar plantilla de ruta si se proporciona
+            const routeValidation = ValidationUtils.validateRoute(filters.route);
+            if (!routeValidation.isValid) {
+                return {
+                    success: false,
+                    error: ErrorHandler.handleValidationError([routeValidation.error], 'route')
+                };
+            }
+
+            // Validar cómo terminó la request si se proporciona
+            const outcomeValidation = ValidationUtils.validateOutcome(filters.outcome);
+            if (!outcomeValidation.isValid) {
+                return {
+                    success: false,
+                    error: ErrorHandler.handleValidationError([outcomeValidation.error], 'outcome')
+                };
+            }
+
+            // Validar filtro por header (nombre:valor) si se proporciona
+            const headerValidation = ValidationUtils.validateHeaderFilter(filters.header);
+            if (!headerValidation.isValid) {
+                return {
+                    success: false,
+                    error: ErrorHandler.handleValidationError([headerValidation.error], 'header')
+                };
+            }
+
+            // Validar filtros por parámetro de query capturado
+            const paramsValidation = ValidationUtils.validateParamFilters(filters.params);
+            if (!paramsValidation.isValid) {
+                return {
+                    success: false,
+                    error: ErrorHandler.handleValidationError(paramsValidation.errors, 'params')
+                };
+            }
+
             // Sanitizar búsqueda
             const sanitizedSearch = ValidationUtils.sanitizeSearch(filters.search);
 
@@ -108,6 +146,29 @@ class RequestService {
                 where.path = { [Op.iLike]: `%${sanitizedSearch}%` };
             }
 
+            if (routeValidation.route) {
+                where.route = routeValidation.route;
+            }
+
+            if (outcomeValidation.outcome) {
+                where.outcome = outcomeValidation.outcome;
+            }
+
+            if (filters.slowQueries) {
+                where.slow_queries = { [Op.gt]: 0 };
+            }
+
+            const conditions = Object.entries(paramsValidation.params)
+                .map(([name, value]) => this.paramCondition(name, value));
+
+            if (headerValidation.name) {
+                conditions.push(this.headerCondition(headerValidation));
+            }
+
+            if (conditions.length > 0) {
+                where[Op.and] = conditions;
+            }
+
             if (dateValidation.fromDate || dateValidation.toDate) {
                 where.happened = {};
                 if (dateValidation.fromDate) where.happened[Op.gte] = dateValidation.fromDate;
@@ -170,11 +231,8 @@ class RequestService {
                     { model: models.User, as: 'user' },
                     { model: models.Exception, as: 'exceptions' },
                     { model: models.Query, as: 'queries' },
-                    { 
-                        model: models.Header, 
-                        as: 'headers',
-                        through: { attributes: [] }
-                    }
+                    { model: models.RequestMetric, as: 'metrics' },
+                    { model: models.RequestTiming, as: 'timing' }
                 ]
             });
 
@@ -185,9 +243,33 @@ class RequestService {
                 };
             }
 
+            const data = request.toJSON();
+
+            // Logs por separado (en orden de emisión) para no multiplicar filas del join
+            data.logs = await models.Log.findAll({
+                where: { request_id: requestId },
+                order: [['logged_at', 'ASC'], ['log_id', 'ASC']],
+                raw: true
+            });
+
+            // Advertencias N+1: queries repetidas en bucle, la de más repeticiones primero
+            data.warnings = await this.getNPlusOneWarnings(requestId);
+
+            // Advertencias de datos descartados por superar el límite por request del contexto
+            data.warnings.push(...this.getContextLimitWarnings(data.metadata));
+
+            // Fases de tiempo ordenadas como waterfall
+            data.waterfall = this.buildWaterfall(data.timing);
+
+            // Headers de request y response con sus valores
+            data.headers = await this.getRequestHeaders(requestId);
+
+            // Enlazar con las requests padre/hijas de la misma traza
+            data.trace = await new TraceService().getRequestLinks(request);
+
             return {
                 success: true,
-                data: request
+                data
             };
 
         } catch (error) {
@@ -198,6 +280,85 @@ class RequestService {
         }
     }
 
+    /**
+     * Fases de la request con su inicio relativo a la llegada al proxy (o a la app si no
+     * hubo X-Request-Start). time_to_headers transcurre en paralelo al handler
+     */
+    buildWaterfall(timing) {
+        if (!timing) return [];
+
+        const queue = timing.queue_ms ?? 0;
+        const phases = [
+            { phase: 'queue', startMs: 0, durationMs: timing.queue_ms },
+            { phase: 'time_to_headers', startMs: queue, durationMs: timing.time_to_headers_ms },
+            { phase: 'handler', startMs: queue, durationMs: timing.handler_ms },
+            { phase: 'response_write', startMs: queue + (timing.handler_ms ?? 0), durationMs: timing.response_write_ms },
+            { phase: 'total', startMs: queue, durationMs: timing.total_ms }
+        ];
+
+        return phases
+            .filter(phase => phase.durationMs !== null && phase.durationMs !== undefined)
+            .map(phase => ({
+                ...phase,
+                startMs: Math.round(phase.startMs * 1000) / 1000,
+                endMs: Math.round((phase.startMs + phase.durationMs) * 1000) / 1000
+            }));
+    }
+
+    /**
+     * Headers de una request (recibidos y enviados) con sus valores
+     */
+    async getRequestHeaders(requestId) {
+        const rows = await models.RequestHeader.findAll({
+            where: { request_id: requestId },
+            include: [
+                { model: models.Header, as: 'header', attributes: ['name'] },
+                { model: models.HeaderValue, as: 'headerValue', attributes: ['value'] }
+            ],
+            order: [['direction', 'ASC'], [{ model: models.Header, as: 'header' }, 'name', 'ASC']]
+        });
+
+        return rows.map(row => ({
+            direction: row.direction,
+            name: row.header?.name,
+            value: row.headerValue ? row.headerValue.value : null
+        }));
+    }
+
+    /**
+     * Condición por valor de un parámetro de la query string. Los parámetros repetidos
+     * se guardan como arreglo, por eso se prueban ambas formas (las dos usan el índice GIN)
+     */
+    paramCondition(name, value) {
+        const single = sequelize.escape(JSON.stringify({ [name]: value }));
+        const repeated = sequelize.escape(JSON.stringify({ [name]: [value] }));
+
+        return sequelize.literal(
+            `("Request"."query_params" @> ${single}::jsonb OR "Request"."query_params" @> ${repeated}::jsonb)`
+        );
+    }
+
+    /**
+     * Condición sobre request_headers para filtrar por nombre y valor de header.
+     * El valor exacto se busca por su hash; con comodines (*) se usa ILIKE
+     */
+    headerCondition({ name, value, pattern }) {
+        const conditions = [`"h"."name" = ${sequelize.escape(name)}`];
+
+        if (pattern) {
+            conditions.push(`"hv"."value" ILIKE ${sequelize.escape(pattern)}`);
+        } else if (value !== null) {
+            conditions.push(`"hv"."value_hash" = ${sequelize.escape(HeaderUtils.hashValue(value))}`);
+        }
+
+        return sequelize.literal(`"Request"."request_id" IN (
+            SELECT "rh"."request_id" FROM request_headers AS "rh"
+            JOIN headers AS "h" ON "h"."header_id" = "rh"."header_id"
+            LEFT JOIN header_values AS "hv" ON "hv"."value_id" = "rh"."value_id"
+            WHERE ${conditions.join(' AND ')}
+        )`);
+    }
+
     /**
      * Obtiene datos para gráficos de requests por tiempo
      */
@@ -368,6 +529,46 @@ class RequestService {
         }
     }
 
+    /**
+     * Advertencias N+1 de una request con la query repetida y sus repeticiones
+     */
+    async getNPlusOneWarnings(requestId) {
+        const detections = await models.NPlusOneQuery.findAll({
+            where: { request_id: requestId },
+            include: [{ model: models.QueryFingerprint, as: 'fingerprint', attributes: ['normalized_sql'] }],
+            order: [['repeat_count', 'DESC']]
+        });
+
+        return detections.map(detection => ({
+            type: 'n_plus_one',
+            message: `Query executed ${detection.repeat_count} times in a loop`,
+            fingerprint_id: detection.fingerprint_id,
+            sql: detection.sql,
+            normalized_sql: detection.fingerprint ? detection.fingerprint.normalized_sql : null,
+            repeat_count: detection.repeat_count,
+            total_duration: detection.total_duration
+        }));
+    }
+
+    /**
+     * Advertencias por queries, excepciones o logs que no se guardaron porque la request alcanzó su límite
+     */
+    getContextLimitWarnings(metadata) {
+        const dropped = metadata && metadata._modr_dropped;
+        if (!dropped || typeof dropped !== 'object') {
+            return [];
+        }
+
+        return ['queries', 'exceptions', 'logs']
+            .filter(kind => Number(dropped[kind]) > 0)
+            .map(kind => ({
+                type: 'context_limit',
+                message: `${dropped[kind]} ${kind} dropped after reaching the per-request limit`,
+                kind,
+                dropped_count: Number(dropped[kind])
+            }));
+    }
+
     /**
      * Elimina una request específica y todos sus datos asociados en cascada
      */
@@ -407,7 +608,10 @@ class RequestService {
                 responseCount,
                 headersCount,
                 exceptionsCount,
-                queriesCount
+                queriesCount,
+                logsCount,
+                metricsCount,
+                timingCount
             ] = await Promise.all([
                 models.Payload.count({
                     where: { request_id: requestId },
@@ -433,6 +637,18 @@ class RequestService {
                 models.Query.count({
                     where: { request_id: requestId },
                     transaction
+                }),
+                models.Log.count({
+                    where: { request_id: requestId },
+                    transaction
+                }),
+                models.RequestMetric.count({
+                    where: { request_id: requestId },
+                    transaction
+                }),
+                models.RequestTiming.count({
+                    where: { request_id: requestId },
+                    transaction
                 })
             ]);
 
@@ -461,10 +677,29 @@ class RequestService {
                     where: { request_id: requestId },
                     transaction
                 }),
-                // Eliminar queries
+                // Eliminar queries y sus detecciones N+1
                 models.Query.destroy({
                     where: { request_id: requestId },
                     transaction
+                }),
+                models.NPlusOneQuery.destroy({
+                    where: { request_id: requestId },
+                    transaction
+                }),
+                // Eliminar logs
+                models.Log.destroy({
+                    where: { request_id: requestId },
+                    transaction
+                }),
+                // Eliminar métricas de recursos
+                models.RequestMetric.destroy({
+                    where: { request_id: requestId },
+                    transaction
+                }),
+                // Eliminar fases de tiempo
+                models.RequestTiming.destroy({
+                    where: { request_id: requestId },
+                    transaction
                 })
             ]);
 
@@ -486,7 +721,10 @@ class RequestService {
                         response: responseCount,
                         headers: headersCount,
                         exceptions: exceptionsCount,
-                        queries: queriesCount
+                        queries: queriesCount,
+                        logs: logsCount,
+                        metrics: metricsCount,
+                        timing: timingCount
                     },
                     message: 'Request and all associated data deleted successfully'
                 }
@@ -2,6 +2,33 @@ const { models, sequelize } = require('../../models');
 const { Op } = require('sequelize');
 const ValidationUtils = require('../../utils/ValidationUtils');
 const { ErrorHandler } = require('../../utils/ErrorHandler');
+const CaptureService = require('../request/CaptureService');
+
+// Con muestreo, cada request guardada representa 1 / sample_rate requests reales
+const WEIGHT = '(1.0 / "Request"."sample_rate")';
+
+// Plantilla de ruta (las requests anteriores a la columna route se agrupan por path)
+const ROUTE_KEY = 'COALESCE("Request"."route", "Request"."path")';
+
+// Tiempo total de CPU (user + system) de una request
+const CPU_MS = '("metrics"."cpu_user_ms" + "metrics"."cpu_system_ms")';
+
+// Expresión por la que se ordena cada ranking de recursos
+const RESOURCE_ORDER = {
+    routes: {
+        cpu: `SUM(${CPU_MS} * ${WEIGHT})`,           // CPU total consumida por la ruta
+        memory: 'AVG("metrics"."heap_delta_mb")',     // crecimiento medio del heap
+        event_loop: 'MAX("metrics"."event_loop_delay_ms")'
+    },
+    requests: {
+        cpu: CPU_MS,
+        memory: '"metrics"."heap_delta_mb"',
+        event_loop: '"metrics"."event_loop_delay_ms"'
+    }
+};
+
+// Fingerprints repetidos en bucle incluidos por ruta en las estadísticas N+1
+const N_PLUS_ONE_PATTERNS = 3;
 
 /**
  * StatsService
@@ -9,6 +36,73 @@ const { ErrorHandler } = require('../../utils/ErrorHandler');
  */
 class StatsService {
 
+    /**
+     * Conteo extrapolado de requests (suma de pesos de muestreo)
+     */
+    estimatedCount() {
+        return sequelize.fn('SUM', sequelize.literal(WEIGHT));
+    }
+
+    /**
+     * Conteo extrapolado de las requests que cumplen una condición SQL
+     */
+    estimatedCountWhere(condition) {
+        return sequelize.fn('SUM', sequelize.literal(`CASE WHEN ${condition} THEN ${WEIGHT} END`));
+    }
+
+    /**
+     * Promedio de duración ponderado por el peso de muestreo
+     */
+    weightedAverageDuration() {
+        return sequelize.literal(`SUM("Request"."duration" * ${WEIGHT}) / NULLIF(SUM(CASE WHEN "Request"."duration" IS NOT NULL THEN ${WEIGHT} END), 0)`);
+    }
+
+    /**
+     * Percentiles de duración ponderados por muestreo: primera duración cuyo peso acumulado
+     * (1 / sample_rate por request) alcanza la fracción del peso total
+     */
+    async weightedDurationPercentiles(fractions, since, route) {
+        const columns = fractions.map((fraction, index) =>
+            `MIN(CASE WHEN weighted.cumulative >= ${fraction} * weighted.total THEN weighted.duration END) AS p${index}`);
+
+        const [row] = await sequelize.query(`
+            SELECT ${columns.join(', ')}
+            FROM (
+                SELECT "Request"."duration",
+                    SUM(${WEIGHT}) OVER (ORDER BY "Request"."duration") AS cumulative,
+                    SUM(${WEIGHT}) OVER () AS total
+                FROM requests AS "Request"
+                WHERE "Request"."duration" IS NOT NULL AND "Request"."happened" >= :since
+                    ${route ? `AND ${ROUTE_KEY} = :route` : ''}
+            ) AS weighted
+        `, {
+            replacements: { since, route },
+            type: sequelize.QueryTypes.SELECT
+        });
+
+        return fractions.map((fraction, index) => row ? row[`p${index}`] : null);
+    }
+
+    /**
+     * Condición por plantilla de ruta para los filtros de estadísticas
+     */
+    routeWhere(route) {
+        return route ? sequelize.where(sequelize.literal(ROUTE_KEY), route) : {};
+    }
+
+    /**
+     * Ejecuta un conteo extrapolado con las mismas opciones de Model.count
+     */
+    async estimateCount(options = {}) {
+        const [row] = await models.Request.findAll({
+            ...options,
+            attributes: [[this.estimatedCount(), 'estimated']],
+            include: (options.include || []).map(include => ({ ...include, attributes: [] })),
+            raw: true
+        });
+        return row && row.estimated ? Math.round(parseFloat(row.estimated)) : 0;
+    }
+
     /**
      * Obtiene estadísticas generales del sistema
      */
@@ -18,6 +112,7 @@ class StatsService {
             const last7Days = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
 
             const [
+                storedRequests,
                 totalRequests,
                 errorRequests,
                 requests24h,
@@ -27,11 +122,14 @@ class StatsService {
                 avgDuration,
                 methodStats
             ] = await Promise.all([
-                // Total de requests
+                // Requests guardadas (sin extrapolar)
                 models.Request.count(),
+
+                // Total de requests
+                this.estimateCount(),
                 
                 // Total de errores
-                models.Request.count({
+                this.estimateCount({
                     include: [{
                         model: models.Status,
                         as: 'status',
@@ -41,12 +139,12 @@ class StatsService {
                 }),
                 
                 // Requests últimas 24h
-                models.Request.count({
+                this.estimateCount({
                     where: { happened: { [Op.gte]: last24Hours } }
                 }),
                 
                 // Errores últimas 24h
-                models.Request.count({
+                this.estimateCount({
                     where: { happened: { [Op.gte]: last24Hours } },
                     include: [{
                         model: models.Status,
@@ -57,19 +155,20 @@ class StatsService {
                 }),
                 
                 // Requests últimos 7 días
-                models.Request.count({
+                this.estimateCount({
                     where: { happened: { [Op.gte]: last7Days } }
                 }),
                 
                 // Requests lentas (> 1000ms)
-                models.Request.count({
+                this.estimateCount({
                     where: { duration: { [Op.gt]: 1000 } }
                 }),
                 
                 // Tiempo promedio de respuesta
-                models.Request.aggregate('duration', 'AVG', {
-                    where: { duration: { [Op.ne]: null } }
-                }),
+                models.Request.findAll({
+                    attributes: [[this.weightedAverageDuration(), 'avg_duration']],
+                    raw: true
+                }).then(([row]) => row ? row.avg_duration : null),
                 
                 // Estadísticas por método HTTP
                 models.Request.findAll({
@@ -77,7 +176,7 @@ class StatsService {
                     include: [{
                         model: models.Method,
                         as: 'method',
-                        attributes: ['name', [sequelize.fn('COUNT', '*'), 'count']]
+                        attributes: ['name', [this.estimatedCount(), 'count']]
                     }],
                     group: ['method.name'],
                     raw: true
@@ -89,6 +188,7 @@ class StatsService {
 
             const stats = {
                 total: totalRequests || 0,
+                stored: storedRequests || 0,
                 errors: errorRequests || 0,
                 successRate: parseFloat(successRate),
                 avgResponseTime: avgDuration ? Math.round(avgDuration) : 0,
@@ -97,7 +197,7 @@ class StatsService {
                 requests7d: requests7d || 0,
                 slowRequests: slowRequests || 0,
                 methodStats: methodStats.reduce((acc, stat) => {
-                    acc[stat['method.name']] = parseInt(stat['method.count']) || 0;
+                    acc[stat['method.name']] = Math.round(parseFloat(stat['method.count'])) || 0;
                     return acc;
                 }, {}),
                 lastUpdated: new Date().toISOString()
@@ -119,14 +219,22 @@ class StatsService {
     /**
      * Obtiene estadísticas de errores por tipo
      */
-    async getErrorStats() {
+    async getErrorStats(filters = {}) {
         try {
+            const routeValidation = ValidationUtils.validateRoute(filters.route);
+            if (!routeValidation.isValid) {
+                return {
+                    success: false,
+                    error: ErrorHandler.handleValidationError([routeValidation.error], 'route')
+                };
+            }
+
             const errorStats = await models.Request.findAll({
                 attributes: [
                     [sequelize.col('status.code'), 'status_code'],
                     [sequelize.col('status.description'), 'status_description'],
-                    [sequelize.fn('COUNT', '*'), 'count'],
-                    [sequelize.fn('AVG', sequelize.col('duration')), 'avg_duration']
+                    [this.estimatedCount(), 'count'],
+                    [this.weightedAverageDuration(), 'avg_duration']
                 ],
                 include: [{
                     model: models.Status,
@@ -134,15 +242,16 @@ class StatsService {
                     where: { code: { [Op.gte]: 400 } },
                     attributes: []
                 }],
+                where: this.routeWhere(routeValidation.route),
                 group: ['status.code', 'status.description'],
-                order: [[sequelize.fn('COUNT', '*'), 'DESC']],
+                order: [[this.estimatedCount(), 'DESC']],
                 raw: true
             });
 
             const processedStats = errorStats.map(stat => ({
                 statusCode: parseInt(stat.status_code),
                 description: stat.status_description,
-                count: parseInt(stat.count),
+                count: Math.round(parseFloat(stat.count)),
                 avgDuration: stat.avg_duration ? Math.round(stat.avg_duration) : 0
             }));
 
@@ -160,9 +269,9 @@ class StatsService {
     }
 
     /**
-     * Obtiene estadísticas de endpoints más utilizados
+     * Obtiene estadísticas de endpoints más utilizados, agrupados por plantilla de ruta o por path
      */
-    async getTopEndpoints(limit = 10) {
+    async getTopEndpoints(limit = 10, groupBy = 'route') {
         try {
             // Validar limit
             const limitValidation = ValidationUtils.validatePagination(1, limit);
@@ -173,29 +282,40 @@ class StatsService {
                 };
             }
 
+            const groupByValidation = ValidationUtils.validateGroupBy(groupBy);
+            if (!groupByValidation.isValid) {
+                return {
+                    success: false,
+                    error: ErrorHandler.handleValidationError([groupByValidation.error], 'groupBy')
+                };
+            }
+
+            const column = groupByValidation.groupBy;
+            const key = column === 'route' ? sequelize.literal(ROUTE_KEY) : sequelize.col('Request.path');
+
             const topEndpoints = await models.Request.findAll({
                 attributes: [
-                    'path',
-                    [sequelize.fn('COUNT', '*'), 'request_count'],
-                    [sequelize.fn('AVG', sequelize.col('duration')), 'avg_duration'],
-                    [sequelize.fn('COUNT', sequelize.literal("CASE WHEN \"status\".\"code\" >= 400 THEN 1 END")), 'error_count']
+                    [key, 'endpoint'],
+                    [this.estimatedCount(), 'request_count'],
+                    [this.weightedAverageDuration(), 'avg_duration'],
+                    [this.estimatedCountWhere('"status"."code" >= 400'), 'error_count']
                 ],
                 include: [{
                     model: models.Status,
                     as: 'status',
                     attributes: []
                 }],
-                group: ['path'],
-                order: [[sequelize.fn('COUNT', '*'), 'DESC']],
+                group: [key],
+                order: [[this.estimatedCount(), 'DESC']],
                 limit: parseInt(limitValidation.limit),
                 raw: true
             });
 
             const processedEndpoints = topEndpoints.map(endpoint => ({
-                path: endpoint.path,
-                requestCount: parseInt(endpoint.request_count),
+                [column]: endpoint.endpoint,
+                requestCount: Math.round(parseFloat(endpoint.request_count)),
                 avgDuration: endpoint.avg_duration ? Math.round(endpoint.avg_duration) : 0,
-                errorCount: parseInt(endpoint.error_count) || 0,
+                errorCount: Math.round(parseFloat(endpoint.error_count)) || 0,
                 errorRate: endpoint.request_count > 0 ? 
                     ((endpoint.error_count / endpoint.request_count) * 100).toFixed(2) : 0
             }));
@@ -216,37 +336,56 @@ class StatsService {
     /**
      * Obtiene estadísticas de performance
      */
-    async getPerformanceStats() {
+    async getPerformanceStats(filters = {}) {
         try {
-            const performanceStats = await models.Request.findAll({
-                attributes: [
-                    [sequelize.fn('COUNT', '*'), 'total_requests'],
-                    [sequelize.fn('AVG', sequelize.col('duration')), 'avg_response_time'],
-                    [sequelize.fn('MIN', sequelize.col('duration')), 'min_response_time'],
-                    [sequelize.fn('MAX', sequelize.col('duration')), 'max_response_time'],
-                    [sequelize.fn('PERCENTILE_CONT', sequelize.literal('0.5')), 'median_response_time'],
-                    [sequelize.fn('PERCENTILE_CONT', sequelize.literal('0.95')), 'p95_response_time'],
-                    [sequelize.fn('PERCENTILE_CONT', sequelize.literal('0.99')), 'p99_response_time']
-                ],
-                where: {
-                    duration: { [Op.ne]: null },
-                    happened: { [Op.gte]: new Date(Date.now() - 24 * 60 * 60 * 1000) }
-                },
-                raw: true
-            });
+            const routeValidation = ValidationUtils.validateRoute(filters.route);
+            if (!routeValidation.isValid) {
+                return {
+                    success: false,
+                    error: ErrorHandler.handleValidationError([routeValidation.error], 'route')
+                };
+            }
+
+            const since = new Date(Date.now() - 24 * 60 * 60 * 1000);
+
+            const [performanceStats, [median, p95, p99]] = await Promise.all([
+                models.Request.findAll({
+                    attributes: [
+                        [this.estimatedCount(), 'total_requests'],
+                        [this.weightedAverageDuration(), 'avg_response_time'],
+                        [sequelize.fn('MIN', sequelize.col('duration')), 'min_response_time'],
+                        [sequelize.fn('MAX', sequelize.col('duration')), 'max_response_time']
+                    ],
+                    where: {
+                        [Op.and]: [
+                            { duration: { [Op.ne]: null } },
+                            { happened: { [Op.gte]: since } },
+                            this.routeWhere(routeValidation.route)
+                        ]
+                    },
+                    raw: true
+                }),
+                this.weightedDurationPercentiles([0.5, 0.95, 0.99], since, routeValidation.route)
+            ]);
+
+            const stats = {
+                ...(performanceStats[0] || {}),
+                median_response_time: median,
+                p95_response_time: p95,
+                p99_response_time: p99
+            };
 
-            const stats = performanceStats[0] || {};
-            
             return {
                 success: true,
                 data: {
-                    totalRequests: parseInt(stats.total_requests) || 0,
+                    totalRequests: Math.round(parseFloat(stats.total_requests)) || 0,
                     avgResponseTime: stats.avg_response_time ? Math.round(stats.avg_response_time) : 0,
                     minResponseTime: stats.min_response_time ? Math.round(stats.min_response_time) : 0,
                     maxResponseTime: stats.max_response_time ? Math.round(stats.max_response_time) : 0,
                     medianResponseTime: stats.median_response_time ? Math.round(stats.median_response_time) : 0,
                     p95ResponseTime: stats.p95_response_time ? Math.round(stats.p95_response_time) : 0,
                     p99ResponseTime: stats.p99_response_time ? Math.round(stats.p99_response_time) : 0,
+                    route: routeValidation.route,
                     period: 'Last 24 hours'
                 }
             };
@@ -258,6 +397,427 @@ class StatsService {
             };
         }
     }
+
+    /**
+     * Valida limit y métrica de los rankings de recursos
+     */
+    validateResourceRanking(limit, metric) {
+        const limitValidation = ValidationUtils.validatePagination(1, limit);
+        if (!limitValidation.isValid) {
+            return { error: ErrorHandler.handleValidationError(limitValidation.errors, 'limit') };
+        }
+
+        const metricValidation = ValidationUtils.validateResourceMetric(metric);
+        if (!metricValidation.isValid) {
+            return { error: ErrorHandler.handleValidationError([metricValidation.error], 'metric') };
+        }
+
+        return { limit: parseInt(limitValidation.limit), metric: metricValidation.metric };
+    }
+
+    /**
+     * Rutas ordenadas por consumo de recursos en las últimas 24 horas
+     */
+    async getResourceStats(limit = 10, metric = 'cpu') {
+        try {
+            const validation = this.validateResourceRanking(limit, metric);
+            if (validation.error) {
+                return { success: false, error: validation.error };
+            }
+
+            const key = sequelize.literal(ROUTE_KEY);
+            const round = value => value !== null && value !== undefined ? Math.round(parseFloat(value) * 100) / 100 : 0;
+
+            const routes = await models.Request.findAll({
+                attributes: [
+                    [key, 'route'],
+                    [this.estimatedCount(), 'request_count'],
+                    [sequelize.literal(`SUM(${CPU_MS} * ${WEIGHT})`), 'total_cpu_ms'],
+                    [sequelize.literal(`AVG(${CPU_MS})`), 'avg_cpu_ms'],
+                    [sequelize.literal('AVG("metrics"."cpu_user_ms")'), 'avg_cpu_user_ms'],
+                    [sequelize.literal('AVG("metrics"."cpu_system_ms")'), 'avg_cpu_system_ms'],
+                    [sequelize.literal('AVG("metrics"."heap_delta_mb")'), 'avg_heap_delta_mb'],
+                    [sequelize.literal('MAX("metrics"."heap_delta_mb")'), 'max_heap_delta_mb'],
+                    [sequelize.literal('AVG("metrics"."event_loop_delay_ms")'), 'avg_event_loop_delay_ms'],
+                    [sequelize.literal('MAX("metrics"."event_loop_delay_ms")'), 'max_event_loop_delay_ms']
+                ],
+                include: [{
+                    model: models.RequestMetric,
+                    as: 'metrics',
+                    required: true,
+                    attributes: []
+                }],
+                where: {
+                    happened: { [Op.gte]: new Date(Date.now() - 24 * 60 * 60 * 1000) }
+                },
+                group: [key],
+                order: [[sequelize.literal(RESOURCE_ORDER.routes[validation.metric]), 'DESC NULLS LAST']],
+                limit: validation.limit,
+                raw: true
+            });
+
+            return {
+                success: true,
+                data: routes.map(route => ({
+                    route: route.route,
+                    requestCount: Math.round(parseFloat(route.request_count)) || 0,
+                    totalCpuMs: round(route.total_cpu_ms),
+                    avgCpuMs: round(route.avg_cpu_ms),
+                    avgCpuUserMs: round(route.avg_cpu_user_ms),
+                    avgCpuSystemMs: round(route.avg_cpu_system_ms),
+                    avgHeapDeltaMb: round(route.avg_heap_delta_mb),
+                    maxHeapDeltaMb: round(route.max_heap_delta_mb),
+                    avgEventLoopDelayMs: round(route.avg_event_loop_delay_ms),
+                    maxEventLoopDelayMs: round(route.max_event_loop_delay_ms)
+                }))
+            };
+
+        } catch (error) {
+            return {
+                success: false,
+                error: ErrorHandler.handleDatabaseError(error, 'getResourceStats')
+            };
+        }
+    }
+
+    /**
+     * Requests individuales con mayor consumo de recursos en las últimas 24 horas
+     */
+    async getResourceHeavyRequests(limit = 10, metric = 'cpu') {
+        try {
+            const validation = this.validateResourceRanking(limit, metric);
+            if (validation.error) {
+                return { success: false, error: validation.error };
+            }
+
+            const requests = await models.Request.findAll({
+                attributes: ['request_id', 'path', 'route', 'happened', 'duration'],
+                include: [
+                    { model: models.RequestMetric, as: 'metrics', required: true },
+                    { model: models.Method, as: 'method', attributes: ['name'] },
+                    { model: models.Status, as: 'status', attributes: ['code'] }
+                ],
+                where: {
+                    happened: { [Op.gte]: new Date(Date.now() - 24 * 60 * 60 * 1000) }
+                },
+                order: [[sequelize.literal(RESOURCE_ORDER.requests[validation.metric]), 'DESC NULLS LAST']],
+                limit: validation.limit
+            });
+
+            return {
+                success: true,
+                data: requests.map(request => ({
+                    request_id: request.request_id,
+                    method: request.method?.name,
+                    statusCode: request.status?.code,
+                    path: request.path,
+                    route: request.route,
+                    happened: request.happened,
+                    duration: request.duration,
+                    cpuMs: Math.round(((request.metrics.cpu_user_ms || 0) + (request.metrics.cpu_system_ms || 0)) * 100) / 100,
+                    cpuUserMs: request.metrics.cpu_user_ms,
+                    cpuSystemMs: request.metrics.cpu_system_ms,
+                    heapUsedMb: request.metrics.heap_used_mb,
+                    heapDeltaMb: request.metrics.heap_delta_mb,
+                    eventLoopDelayMs: request.metrics.event_loop_delay_ms
+                }))
+            };
+
+        } catch (error) {
+            return {
+                success: false,
+                error: ErrorHandler.handleDatabaseError(error, 'getResourceHeavyRequests')
+            };
+        }
+    }
+
+    /**
+     * Parámetros de query que recibe cada ruta, con sus valores más comunes y la
+     * duración media con cada uno (últimas 24 horas)
+     */
+    async getQueryParamStats(filters = {}) {
+        try {
+            const limitValidation = ValidationUtils.validatePagination(1, filters.limit ?? 10);
+            if (!limitValidation.isValid) {
+                return {
+                    success: false,
+                    error: ErrorHandler.handleValidationError(limitValidation.errors, 'limit')
+                };
+            }
+
+            const valuesValidation = ValidationUtils.validatePagination(1, filters.values ?? 5);
+            if (!valuesValidation.isValid) {
+                return {
+                    success: false,
+                    error: ErrorHandler.handleValidationError(valuesValidation.errors, 'values')
+                };
+            }
+
+            const routeValidation = ValidationUtils.validateRoute(filters.route);
+            if (!routeValidation.isValid) {
+                return {
+                    success: false,
+                    error: ErrorHandler.handleValidationError([routeValidation.error], 'route')
+                };
+            }
+
+            const since = new Date(Date.now() - 24 * 60 * 60 * 1000);
+            const avgDuration = `SUM("Request"."duration" * ${WEIGHT}) / NULLIF(SUM(CASE WHEN "Request"."duration" IS NOT NULL THEN ${WEIGHT} END), 0)`;
+            const select = (sql, replacements) => sequelize.query(sql, {
+                replacements,
+                type: sequelize.QueryTypes.SELECT
+            });
+
+            // Rutas con más requests que traían parámetros
+            const routes = await select(`
+                SELECT ${ROUTE_KEY} AS route,
+                    SUM(${WEIGHT}) AS request_count,
+                    SUM(CASE WHEN "Request"."query_params" IS NOT NULL THEN ${WEIGHT} END) AS with_params,
+                    ${avgDuration} AS avg_duration
+                FROM requests AS "Request"
+                WHERE "Request"."happened" >= :since
+                    ${routeValidation.route ? `AND ${ROUTE_KEY} = :route` : ''}
+                GROUP BY ${ROUTE_KEY}
+                HAVING SUM(CASE WHEN "Request"."query_params" IS NOT NULL THEN ${WEIGHT} END) > 0
+                ORDER BY with_params DESC
+                LIMIT :limit
+            `, { since, route: routeValidation.route, limit: parseInt(limitValidation.limit) });
+
+            if (routes.length === 0) {
+                return { success: true, data: [] };
+            }
+
+            const scope = { since, routes: routes.map(route => route.route), values: parseInt(valuesValidation.limit) };
+            const expanded = (join = '') => `
+                FROM requests AS "Request"
+                CROSS JOIN LATERAL jsonb_each("Request"."query_params") AS param(name, value)
+                ${join}
+                WHERE "Request"."happened" >= :since AND ${ROUTE_KEY} IN (:routes)
+            `;
+
+            const [params, values] = await Promise.all([
+                select(`
+                    SELECT ${ROUTE_KEY} AS route, param.name,
+                        SUM(${WEIGHT}) AS request_count,
+                        ${avgDuration} AS avg_duration
+                    ${expanded()}
+                    GROUP BY ${ROUTE_KEY}, param.name
+                `, scope),
+                // Los parámetros repetidos cuentan cada uno de sus valores
+                select(`
+                    SELECT route, name, value, request_count, avg_duration FROM (
+                        SELECT ${ROUTE_KEY} AS route, param.name, item.value,
+                            SUM(${WEIGHT}) AS request_count,
+                            ${avgDuration} AS avg_duration,
+                            ROW_NUMBER() OVER (PARTITION BY ${ROUTE_KEY}, param.name ORDER BY SUM(${WEIGHT}) DESC) AS position
+                        ${expanded(`CROSS JOIN LATERAL jsonb_array_elements_text(
+                            CASE WHEN jsonb_typeof(param.value) = 'array' THEN param.value ELSE jsonb_build_array(param.value) END
+                        ) AS item(value)`)}
+                        GROUP BY ${ROUTE_KEY}, param.name, item.value
+                    ) AS ranked
+                    WHERE position <= :values
+                    ORDER BY request_count DESC
+                `, scope)
+            ]);
+
+            const count = value => Math.round(parseFloat(value)) || 0;
+            const duration = value => value !== null && value !== undefined ? Math.round(parseFloat(value)) : null;
+
+            const data = routes.map(route => {
+                const total = count(route.request_count);
+
+                return {
+                    route: route.route,
+                    requestCount: total,
+                    avgDuration: duration(route.avg_duration),
+                    params: params
+                        .filter(param => param.route === route.route)
+                        .sort((a, b) => parseFloat(b.request_count) - parseFloat(a.request_count))
+                        .map(param => ({
+                            name: param.name,
+                            requestCount: count(param.request_count),
+                            usage: total > 0 ? ((parseFloat(param.request_count) / parseFloat(route.request_count)) * 100).toFixed(2) : '0.00',
+                            avgDuration: duration(param.avg_duration),
+                            values: values
+                                .filter(value => value.route === route.route && value.name === param.name)
+                                .map(value => ({
+                                    value: value.value,
+                                    count: count(value.request_count),
+                                    avgDuration: duration(value.avg_duration)
+                                }))
+                        }))
+                };
+            });
+
+            return {
+                success: true,
+                data
+            };
+
+        } catch (error) {
+            return {
+                success: false,
+                error: ErrorHandler.handleDatabaseError(error, 'getQueryParamStats')
+            };
+        }
+    }
+
+    /**
+     * Rutas con peores patrones N+1 en las últimas 24 horas, ordenadas por las queries
+     * repetidas en bucle, con los fingerprints que más se repiten en cada una
+     */
+    async getNPlusOneStats(filters = {}) {
+        try {
+            const limitValidation = ValidationUtils.validatePagination(1, filters.limit ?? 10);
+            if (!limitValidation.isValid) {
+                return {
+                    success: false,
+                    error: ErrorHandler.handleValidationError(limitValidation.errors, 'limit')
+                };
+            }
+
+            const routeValidation = ValidationUtils.validateRoute(filters.route);
+            if (!routeValidation.isValid) {
+                return {
+                    success: false,
+                    error: ErrorHandler.handleValidationError([routeValidation.error], 'route')
+                };
+            }
+
+            const since = new Date(Date.now() - 24 * 60 * 60 * 1000);
+            const select = (sql, replacements) => sequelize.query(sql, {
+                replacements,
+                type: sequelize.QueryTypes.SELECT
+            });
+            const detections = `
+                FROM n_plus_one_queries AS "Detection"
+                JOIN requests AS "Request" ON "Request"."request_id" = "Detection"."request_id"
+            `;
+
+            // Una fila por request marcada: sus detecciones se suman antes de agrupar por ruta
+            const routes = await select(`
+                SELECT route,
+                    SUM(weight) AS request_count,
+                    SUM(repeats * weight) AS repeated_queries,
+                    MAX(max_repeats) AS max_repeat_count,
+                    SUM(duration * weight) AS total_duration
+                FROM (
+                    SELECT ${ROUTE_KEY} AS route, ${WEIGHT} AS weight,
+                        SUM("Detection"."repeat_count") AS repeats,
+                        MAX("Detection"."repeat_count") AS max_repeats,
+                        SUM("Detection"."total_duration") AS duration
+                    ${detections}
+                    WHERE "Request"."happened" >= :since
+                        ${routeValidation.route ? `AND ${ROUTE_KEY} = :route` : ''}
+                    GROUP BY "Request"."request_id", ${ROUTE_KEY}, ${WEIGHT}
+                ) AS flagged
+                GROUP BY route
+                ORDER BY repeated_queries DESC
+                LIMIT :limit
+            `, { since, route: routeValidation.route, limit: parseInt(limitValidation.limit) });
+
+            if (routes.length === 0) {
+                return { success: true, data: [] };
+            }
+
+            const scope = { since, routes: routes.map(route => route.route) };
+
+            const [totals, patterns] = await Promise.all([
+                select(`
+                    SELECT ${ROUTE_KEY} AS route, SUM(${WEIGHT}) AS request_count
+                    FROM requests AS "Request"
+                    WHERE "Request"."happened" >= :since AND ${ROUTE_KEY} IN (:routes)
+                    GROUP BY ${ROUTE_KEY}
+                `, scope),
+                select(`
+                    SELECT ${ROUTE_KEY} AS route, "Detection"."fingerprint_id",
+                        "Fingerprint"."normalized_sql",
+                        SUM(${WEIGHT}) AS request_count,
+                        SUM("Detection"."repeat_count" * ${WEIGHT}) AS repeated_queries,
+                        AVG("Detection"."repeat_count") AS avg_repeat_count,
+                        MAX("Detection"."repeat_count") AS max_repeat_count
+                    ${detections}
+                    LEFT JOIN query_fingerprints AS "Fingerprint" ON "Fingerprint"."fingerprint_id" = "Detection"."fingerprint_id"
+                    WHERE "Request"."happened" >= :since AND ${ROUTE_KEY} IN (:routes)
+                    GROUP BY ${ROUTE_KEY}, "Detection"."fingerprint_id", "Fingerprint"."normalized_sql"
+                    ORDER BY repeated_queries DESC
+                `, scope)
+            ]);
+
+            const count = value => Math.round(parseFloat(value)) || 0;
+            const round = value => value !== null && value !== undefined ? Math.round(parseFloat(value) * 100) / 100 : 0;
+
+            const data = routes.map(route => {
+                const total = totals.find(row => row.route === route.route);
+                const totalRequests = total ? parseFloat(total.request_count) : 0;
+
+                return {
+                    route: route.route,
+                    requestCount: count(route.request_count),
+                    flaggedRate: totalRequests > 0 ? ((parseFloat(route.request_count) / totalRequests) * 100).toFixed(2) : '0.00',
+                    repeatedQueries: count(route.repeated_queries),
+                    maxRepeatCount: count(route.max_repeat_count),
+                    totalDuration: round(route.total_duration),
+                    patterns: patterns
+                        .filter(pattern => pattern.route === route.route)
+                        .slice(0, N_PLUS_ONE_PATTERNS)
+                        .map(pattern => ({
+                            fingerprintId: pattern.fingerprint_id,
+                            normalizedSql: pattern.normalized_sql,
+                            requestCount: count(pattern.request_count),
+                            avgRepeatCount: round(pattern.avg_repeat_count),
+                            maxRepeatCount: count(pattern.max_repeat_count)
+                        }))
+                };
+            });
+
+            return {
+                success: true,
+                data
+            };
+
+        } catch (error) {
+            return {
+                success: false,
+                error: ErrorHandler.handleDatabaseError(error, 'getNPlusOneStats')
+            };
+        }
+    }
+
+    /**
+     * Obtiene métricas del pipeline de captura (cola en memoria, buffer en disco y pool de conexiones)
+     */
+    async getPipelineStats() {
+        try {
+            const pool = sequelize.connectionManager.pool;
+
+            return {
+                success: true,
+                data: {
+                    queue: CaptureService.queue.getMetrics(),
+                    spill: CaptureService.spill.getMetrics(),
+                    persist: CaptureService.getPersistMetrics(),
+                    context: CaptureService.getContextMetrics(),
+                    sampling: CaptureService.sampler.getMetrics(),
+                    export: CaptureService.exporter.getMetrics(),
+                    pool: pool ? {
+                        size: pool.size,
+                        available: pool.available,
+                        using: pool.using,
+                        waiting: pool.waiting,
+                        maxSize: pool.maxSize
+                    } : null,
+                    lastUpdated: new Date().toISOString()
+                }
+            };
+
+        } catch (error) {
+            return {
+                success: false,
+                error: ErrorHandler.handleInternalError(error, 'getPipelineStats')
+            };
+        }
+    }
 }
 
 module.exports = StatsService;
\ No newline at end of file
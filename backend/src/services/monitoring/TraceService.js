@@ -0,0 +1,155 @@
+const { models } = require('../../models');
+const { Op } = require('sequelize');
+const TraceContext = require('../../utils/TraceContext');
+const { ErrorHandler } = require('../../utils/ErrorHandler');
+
+const MAX_TRACE_SPANS = 1000;
+
+/**
+ * TraceService
+ * Servicio para reconstruir trazas W3C entre servicios a partir de las requests capturadas
+ */
+class TraceService {
+
+    /**
+     * Obtiene el árbol completo de requests de una traza
+     */
+    async getTrace(traceId) {
+        try {
+            const normalizedTraceId = typeof traceId === 'string' ? traceId.trim().toLowerCase() : traceId;
+            if (!TraceContext.isValidTraceId(normalizedTraceId)) {
+                return {
+                    success: false,
+                    error: ErrorHandler.handleValidationError(
+                        ['traceId must be a non-zero 32-character hex string'],
+                        'traceId'
+                    )
+                };
+            }
+
+            const requests = await models.Request.findAll({
+                where: { trace_id: normalizedTraceId },
+                include: [
+                    { model: models.Status, as: 'status', attributes: ['code'] },
+                    { model: models.Method, as: 'method', attributes: ['name'] }
+                ],
+                order: [['happened', 'ASC']],
+                limit: MAX_TRACE_SPANS
+            });
+
+            if (requests.length === 0) {
+                return {
+                    success: false,
+                    error: ErrorHandler.handleNotFoundError('Trace', normalizedTraceId)
+                };
+            }
+
+            const spans = requests.map(request => this.toSpan(request));
+            const roots = this.buildTree(spans);
+
+            const startedAt = Math.min(...spans.map(span => new Date(span.happened).getTime()));
+            const endedAt = Math.max(...spans.map(span => new Date(span.happened).getTime() + (span.duration || 0)));
+
+            return {
+                success: true,
+                data: {
+                    trace_id: normalizedTraceId,
+                    span_count: spans.length,
+                    error_count: spans.filter(span => span.status_code >= 400).length,
+                    started_at: new Date(startedAt).toISOString(),
+                    duration: endedAt - startedAt,
+                    truncated: spans.length >= MAX_TRACE_SPANS,
+                    roots
+                }
+            };
+
+        } catch (error) {
+            return {
+                success: false,
+                error: ErrorHandler.handleDatabaseError(error, 'getTrace')
+            };
+        }
+    }
+
+    /**
+     * Obtiene la request padre y las hijas directas de una request dentro de su traza
+     */
+    async getRequestLinks(request) {
+        if (!request.trace_id) {
+            return null;
+        }
+
+        const where = {
+            trace_id: request.trace_id,
+            request_id: { [Op.ne]: request.request_id }
+        };
+        const spanConditions = [{ parent_span_id: request.span_id }];
+        if (request.parent_span_id) {
+            spanConditions.push({ span_id: request.parent_span_id });
+        }
+
+        const related = request.span_id ? await models.Request.findAll({
+            where: { ...where, [Op.or]: spanConditions },
+            include: [
+                { model: models.Status, as: 'status', attributes: ['code'] },
+                { model: models.Method, as: 'method', attributes: ['name'] }
+            ],
+            order: [['happened', 'ASC']]
+        }) : [];
+
+        const spans = related.map(row => this.toSpan(row));
+
+        return {
+            trace_id: request.trace_id,
+            span_id: request.span_id,
+            parent_span_id: request.parent_span_id,
+            parent: spans.find(span => request.parent_span_id && span.span_id === request.parent_span_id) || null,
+            children: spans.filter(span => span.parent_span_id === request.span_id)
+        };
+    }
+
+    /**
+     * Resumen de una request como span de la traza
+     */
+    toSpan(request) {
+        return {
+            request_id: request.request_id,
+            span_id: request.span_id,
+            parent_span_id: request.parent_span_id,
+            method: request.method?.name || null,
+            path: request.path,
+            controller: request.controller,
+            route: request.route,
+            status_code: request.status?.code || null,
+            happened: request.happened,
+            duration: request.duration
+        };
+    }
+
+    /**
+     * Arma el árbol de spans. Los spans cuyo padre no fue capturado
+     * (otro servicio sin MODR, o descartado por muestreo) quedan como raíces
+     */
+    buildTree(spans) {
+        const nodes = spans.map(span => ({ ...span, children: [] }));
+        const bySpanId = new Map();
+        nodes.forEach(node => {
+            if (node.span_id) bySpanId.set(node.span_id, node);
+        });
+
+        const roots = [];
+        nodes.forEach(node => {
+            const parent = node.parent_span_id ? bySpanId.get(node.parent_span_id) : null;
+            if (parent && parent !== node) {
+                parent.children.push(node);
+            } else {
+                node.orphan = Boolean(node.parent_span_id);
+                roots.push(node);
+            }
+        });
+
+        return roots;
+    }
+}
+
+module.exports = TraceService;
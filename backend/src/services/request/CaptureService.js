@@ -1,7 +1,88 @@
 const { models, sequelize } = require('../../models');
 const { v4: uuidv4 } = require('uuid');
+const { Op } = require('sequelize');
 const ValidationUtils = require('../../utils/ValidationUtils');
 const { ErrorHandler } = require('../../utils/ErrorHandler');
+const CaptureQueue = require('../../core/queue/CaptureQueue');
+const SpillBuffer = require('../../core/queue/SpillBuffer');
+const RequestContext = require('../../core/context/RequestContext');
+const Redactor = require('../../utils/Redactor');
+const Sampler = require('../../core/sampling/Sampler');
+const TraceContext = require('../../utils/TraceContext');
+const OtlpExporter = require('../../core/export/OtlpExporter');
+const ResourceMonitor = require('../../core/metrics/ResourceMonitor');
+const LogUtils = require('../../utils/LogUtils');
+const RouteUtils = require('../../utils/RouteUtils');
+const HeaderUtils = require('../../utils/HeaderUtils');
+const QueryParamUtils = require('../../utils/QueryParamUtils');
+const BoundedCache = require('../../utils/BoundedCache');
+const IdentityResolver = require('../../core/identity/IdentityResolver');
+const ExceptionUtils = require('../../utils/ExceptionUtils');
+const StackTraceParser = require('../../core/stack/StackTraceParser');
+const SourceMapResolver = require('../../core/stack/SourceMapResolver');
+const SqlUtils = require('../../utils/SqlUtils');
+
+// Cola compartida por todas las instancias del servicio
+const captureQueue = new CaptureQueue();
+
+// Archivo local para las capturas que no se pudieron escribir con la base caída
+const spillBuffer = new SpillBuffer({
+    retryable: error => ErrorHandler.isConnectionError(error)
+});
+
+// Reglas de redacción compartidas (se aplican antes de persistir)
+const redactor = new Redactor();
+
+// Muestreo compartido (decide qué requests se persisten)
+const sampler = new Sampler();
+
+// Exportación OTLP compartida (deshabilitada por defecto)
+const otlpExporter = new OtlpExporter();
+
+// Medición de recursos por request compartida (CPU, heap y event loop)
+const resourceMonitor = new ResourceMonitor();
+
+// Resolución de frames con los source maps locales (cache compartida)
+const sourceMapResolver = new SourceMapResolver();
+
+// Caches de tablas catálogo (solo se llenan después del commit)
+const methodCache = new Map();
+const statusCache = new Map();
+const headerCache = new Map();
+const headerValueCache = new BoundedCache(10000);
+const identityCache = new BoundedCache(10000);
+const queryFingerprintCache = new BoundedCache(10000);
+
+// Umbral (ms) a partir del cual una query marca su request como lenta (null lo desactiva)
+const slowQueries = { threshold: 500 };
+
+// Detección de N+1: el mismo fingerprint ejecutado en bucle al menos `threshold` veces,
+// con a lo sumo `maxGap` queries distintas entre una repetición y la siguiente
+const nPlusOne = { enabled: true, threshold: 5, maxGap: 3 };
+
+// Largo máximo del preview de la respuesta (caracteres)
+const MAX_RESPONSE_PREVIEW_LENGTH = 100000;
+
+// Capturas descartadas por datos que la base rechaza (el resto de su lote sí se escribe)
+const persistMetrics = { dropped: 0, lastError: null };
+
+// Tamaño de las columnas requests.path y requests.controller (VARCHAR(255))
+const MAX_PATH_LENGTH = 255;
+
+// Duración máxima aceptada (5 minutos); las requests abortadas o con timeout se recortan a este valor
+const MAX_DURATION = 300000;
+
+const STATUS_DESCRIPTIONS = {
+    200: 'OK - Request successful',
+    201: 'Created - Resource created successfully',
+    400: 'Bad Request - Invalid request',
+    401: 'Unauthorized - Authentication required',
+    403: 'Forbidden - Access denied',
+    404: 'Not Found - Resource not found',
+    499: 'Client Closed Request - Client disconnected before the response',
+    500: 'Internal Server Error - Server error occurred',
+    504: 'Gateway Timeout - Request timed out'
+};
 
 /**
  * RequestCaptureService
@@ -12,6 +93,187 @@ class RequestCaptureService {
         this.io = socketIO;
     }
 
+    /**
+     * Cola de captura compartida por el proceso
+     */
+    static get queue() {
+        return captureQueue;
+    }
+
+    /**
+     * Buffer en disco compartido por el proceso
+     */
+    static get spill() {
+        return spillBuffer;
+    }
+
+    /**
+     * Configura el buffer en disco y su replayer
+     */
+    configureSpill(options = {}) {
+        spillBuffer.configure(options);
+        // Las capturas se derraman antes del commit, así que nunca se exportaron: al reescribirlas se exportan
+        spillBuffer.setHandler(items => this.writeBatch(items));
+        spillBuffer.start();
+        return spillBuffer;
+    }
+
+    /**
+     * Redactor compartido por el proceso
+     */
+    static get redactor() {
+        return redactor;
+    }
+
+    /**
+     * Configura las reglas de redacción aplicadas antes de persistir
+     */
+    configureRedaction(options = {}) {
+        redactor.configure(options);
+        return redactor;
+    }
+
+    /**
+     * Sampler compartido por el proceso
+     */
+    static get sampler() {
+        return sampler;
+    }
+
+    /**
+     * Configura las reglas de muestreo
+     */
+    configureSampling(options = {}) {
+        sampler.configure(options);
+        return sampler;
+    }
+
+    /**
+     * Exportador OTLP compartido por el proceso
+     */
+    static get exporter() {
+        return otlpExporter;
+    }
+
+    /**
+     * Configura la exportación OTLP/HTTP hacia un collector OpenTelemetry
+     */
+    configureExport(options = {}) {
+        otlpExporter.configure(options);
+        return otlpExporter;
+    }
+
+    /**
+     * Vacía la cache de valores de headers (después de eliminar valores huérfanos)
+     */
+    static clearHeaderValueCache() {
+        headerValueCache.clear();
+    }
+
+    /**
+     * Monitor de recursos compartido por el proceso
+     */
+    static get resources() {
+        return resourceMonitor;
+    }
+
+    /**
+     * Configura la medición de recursos por request
+     */
+    configureResources(options = {}) {
+        resourceMonitor.configure(options);
+        return resourceMonitor;
+    }
+
+    /**
+     * Configura la resolución de stack frames con source maps locales
+     */
+    configureSourceMaps(options = {}) {
+        sourceMapResolver.configure(options);
+        return sourceMapResolver;
+    }
+
+    /**
+     * Largo máximo de path y controller (el de sus columnas)
+     */
+    static get maxPathLength() {
+        return MAX_PATH_LENGTH;
+    }
+
+    /**
+     * Umbral vigente de query lenta en ms (null si está desactivado)
+     */
+    static get slowQueryThreshold() {
+        return slowQueries.threshold;
+    }
+
+    /**
+     * Configura el umbral con que se marcan las queries lentas
+     */
+    configureSlowQueries(options = {}) {
+        if (options.threshold !== undefined) {
+            slowQueries.threshold = options.threshold;
+        }
+        return slowQueries;
+    }
+
+    /**
+     * Configura la detección de queries N+1
+     */
+    configureNPlusOne(options = {}) {
+        Object.entries(options)
+            .filter(([key, value]) => key in nPlusOne && value !== undefined)
+            .forEach(([key, value]) => { nPlusOne[key] = value; });
+        return nPlusOne;
+    }
+
+    /**
+     * Registra esta instancia como la encargada de escribir los lotes de la cola
+     */
+    useQueue(options = {}) {
+        captureQueue.configure(options);
+        captureQueue.setHandler(batch => this.persistBatch(batch));
+        return captureQueue;
+    }
+
+    /**
+     * Escribe todas las capturas pendientes de la cola (por ejemplo, antes de cerrar el proceso)
+     */
+    async drainQueue() {
+        await captureQueue.drain();
+    }
+
+    /**
+     * Valida una request y la agrega a la cola para escribirla en lote
+     */
+    enqueueCapture(requestData) {
+        const validation = this.validateRequestData(requestData);
+        if (!validation.isValid) {
+            return {
+                success: false,
+                error: ErrorHandler.handleValidationError(validation.errors, 'request capture data')
+            };
+        }
+
+        const sanitizedData = this.sanitizeRequestData(validation.data);
+        sanitizedData.happened = sanitizedData.happened || new Date();
+
+        if (!captureQueue.enqueue(sanitizedData)) {
+            return {
+                success: false,
+                error: ErrorHandler.createError(
+                    ErrorHandler.ERROR_TYPES.INTERNAL,
+                    'Capture queue is full, request dropped'
+                )
+            };
+        }
+
+        return {
+            success: true,
+            data: { request_id: sanitizedData.uuid, queued: true }
+        };
+    }
+
     /**
      * Captura una request HTTP completa con validaciones
      */
@@ -28,13 +290,14 @@ class RequestCaptureService {
 
             // 2. Sanitizar y normalizar datos
             const sanitizedData = this.sanitizeRequestData(validation.data);
+            sanitizedData.happened = sanitizedData.happened || new Date();
 
             // 3. Ejecutar captura con transacción
-            const result = await this.executeCapture(sanitizedData);
+            const [result] = await this.persistBatch([sanitizedData]);
 
             return {
                 success: true,
-                data: result
+                data: result || { request_id: sanitizedData.uuid, spilled: true }
             };
 
         } catch (error) {
@@ -68,8 +331,8 @@ class RequestCaptureService {
         // Validar path
         if (!data.path || typeof data.path !== 'string') {
             errors.push('path is required and must be a string');
-        } else if (data.path.length > 2000) {
-            errors.push('path cannot exceed 2000 characters');
+        } else if (data.path.trim().length > MAX_PATH_LENGTH) {
+            errors.push(`path cannot exceed ${MAX_PATH_LENGTH} characters`);
         } else {
             validatedData.path = data.path.trim();
         }
@@ -93,25 +356,87 @@ class RequestCaptureService {
             validatedData.uuid = data.uuid || uuidv4();
         }
 
-        // Validar user_id si se proporciona
-        if (data.user_id && !ValidationUtils.isValidUUID(data.user_id)) {
-            errors.push('user_id must be a valid UUID format');
+        // Validar identidad del usuario (user_id se acepta como id con el provider por defecto)
+        const identity = data.identity ?? data.user_id ?? null;
+        if (identity !== null && identity !== '') {
+            validatedData.identity = IdentityResolver.normalize(identity);
+            if (!validatedData.identity) {
+                errors.push('identity must be an id or an object with id and optional provider ([A-Za-z0-9._-]), email and name');
+            }
+        } else {
+            validatedData.identity = null;
+        }
+
+        // Validar cómo terminó la request
+        if (data.outcome !== undefined && data.outcome !== null) {
+            const outcomeValidation = ValidationUtils.validateOutcome(data.outcome);
+            if (!outcomeValidation.isValid) {
+                errors.push(outcomeValidation.error);
+            } else {
+                validatedData.outcome = outcomeValidation.outcome;
+            }
         } else {
-            validatedData.user_id = data.user_id || '10000000-0000-0000-0000-000000000000';
+            validatedData.outcome = 'completed';
         }
 
+        // Las requests que no terminaron (abortadas, timeout) pueden superar el máximo: se recortan
+        const clampDurations = Boolean(validatedData.outcome) && validatedData.outcome !== 'completed';
+
         // Validar duration/responseTime
         if (data.responseTime !== undefined || data.duration !== undefined) {
-            const duration = data.responseTime || data.duration;
-            if (typeof duration !== 'number' || duration < 0 || duration > 300000) { // Max 5 minutes
-                errors.push('duration must be a non-negative number less than 300000ms');
+            const duration = data.responseTime ?? data.duration;
+            if (typeof duration !== 'number' || !Number.isFinite(duration) || duration < 0 ||
+                (duration > MAX_DURATION && !clampDurations)) {
+                errors.push(`duration must be a non-negative number less than ${MAX_DURATION}ms`);
             } else {
-                validatedData.duration = Math.round(duration);
+                // Precisión de microsegundos (las capturas miden con hrtime)
+                validatedData.duration = Math.round(Math.min(duration, MAX_DURATION) * 1000) / 1000;
             }
         } else {
             validatedData.duration = 0;
         }
 
+        // Validar tasa de muestreo con que se guardó la request
+        if (data.sampleRate !== undefined && data.sampleRate !== null) {
+            if (typeof data.sampleRate !== 'number' || !(data.sampleRate > 0 && data.sampleRate <= 1)) {
+                errors.push('sampleRate must be a number greater than 0 and up to 1');
+            } else {
+                validatedData.sampleRate = data.sampleRate;
+            }
+        } else {
+            validatedData.sampleRate = 1;
+        }
+
+        // Validar momento en que inició la request
+        if (data.happened !== undefined && data.happened !== null) {
+            const happened = new Date(data.happened);
+            if (isNaN(happened.getTime())) {
+                errors.push('happened must be a valid date');
+            } else {
+                validatedData.happened = happened;
+            }
+        }
+
+        // Validar identificadores de traza W3C (hex en minúsculas)
+        ['traceId', 'spanId', 'parentSpanId'].forEach(field => {
+            if (data[field] === undefined || data[field] === null) return;
+
+            const value = typeof data[field] === 'string' ? data[field].toLowerCase() : data[field];
+            const isValid = field === 'traceId'
+                ? TraceContext.isValidTraceId(value)
+                : TraceContext.isValidSpanId(value);
+
+            if (!isValid) {
+                errors.push(`${field} must be a non-zero ${field === 'traceId' ? 32 : 16}-character hex string`);
+            } else {
+                validatedData[field] = value;
+            }
+        });
+
+        if (validatedData.parentSpanId && !validatedData.traceId) {
+            errors.push('parentSpanId requires a traceId');
+        }
+
         // Validar IP address
         if (data.ipAddress && !ValidationUtils.isValidIPAddress(data.ipAddress)) {
             errors.push('ipAddress must be a valid IP address');
@@ -122,10 +447,23 @@ class RequestCaptureService {
         // Validar controller
         if (data.controller && typeof data.controller !== 'string') {
             errors.push('controller must be a string');
+        } else if (data.controller && data.controller.length > MAX_PATH_LENGTH) {
+            errors.push(`controller cannot exceed ${MAX_PATH_LENGTH} characters`);
         } else {
             validatedData.controller = data.controller || validatedData.path;
         }
 
+        // Validar route (plantilla); sin ella se normaliza el path
+        if (data.route !== undefined && data.route !== null && typeof data.route !== 'string') {
+            errors.push('route must be a string');
+        } else if (data.route && data.route.length > RouteUtils.MAX_ROUTE_LENGTH) {
+            errors.push(`route cannot exceed ${RouteUtils.MAX_ROUTE_LENGTH} characters`);
+        } else if (data.route) {
+            validatedData.route = data.route.trim();
+        } else if (validatedData.path) {
+            validatedData.route = RouteUtils.normalizePath(validatedData.path);
+        }
+
         // Validar request body
         if (data.requestBody !== undefined) {
             try {
@@ -150,6 +488,16 @@ class RequestCaptureService {
             }
         }
 
+        // Validar resumen de la respuesta enviada (bytes, tipo, encoding y preview)
+        if (data.response !== undefined && data.response !== null) {
+            const responseValidation = this.validateResponseData(data.response);
+            if (!responseValidation.isValid) {
+                responseValidation.errors.forEach(error => errors.push(`response: ${error}`));
+            } else {
+                validatedData.response = responseValidation.data;
+            }
+        }
+
         // Validar headers
         if (data.headers && typeof data.headers !== 'object') {
             errors.push('headers must be an object');
@@ -157,6 +505,13 @@ class RequestCaptureService {
             validatedData.headers = data.headers || {};
         }
 
+        // Validar headers de la respuesta
+        if (data.responseHeaders && (typeof data.responseHeaders !== 'object' || Array.isArray(data.responseHeaders))) {
+            errors.push('responseHeaders must be an object');
+        } else {
+            validatedData.responseHeaders = data.responseHeaders || {};
+        }
+
         // Validar error object
         if (data.error) {
             if (typeof data.error !== 'object') {
@@ -166,6 +521,118 @@ class RequestCaptureService {
             }
         }
 
+        // Validar queries ejecutadas durante la request
+        if (data.queries !== undefined && data.queries !== null) {
+            if (!Array.isArray(data.queries)) {
+                errors.push('queries must be an array');
+            } else if (data.queries.length > 1000) {
+                errors.push('queries cannot contain more than 1000 items');
+            } else {
+                validatedData.queries = [];
+                data.queries.forEach((query, index) => {
+                    const queryValidation = this.validateQueryData({
+                        ...query,
+                        requestId: validatedData.uuid
+                    });
+                    if (!queryValidation.isValid) {
+                        queryValidation.errors.forEach(error => errors.push(`queries[${index}]: ${error}`));
+                    } else {
+                        validatedData.queries.push(queryValidation.data);
+                    }
+                });
+            }
+        }
+
+        // Validar excepciones registradas durante la request
+        if (data.exceptions !== undefined && data.exceptions !== null) {
+            if (!Array.isArray(data.exceptions)) {
+                errors.push('exceptions must be an array');
+            } else if (data.exceptions.length > 100) {
+                errors.push('exceptions cannot contain more than 100 items');
+            } else {
+                validatedData.exceptions = [];
+                data.exceptions.forEach((exception, index) => {
+                    const exceptionValidation = this.validateExceptionData({
+                        ...exception,
+                        requestId: validatedData.uuid
+                    });
+                    if (!exceptionValidation.isValid) {
+                        exceptionValidation.errors.forEach(error => errors.push(`exceptions[${index}]: ${error}`));
+                    } else {
+                        validatedData.exceptions.push(exceptionValidation.data);
+                    }
+                });
+            }
+        }
+
+        // Validar logs emitidos durante la request
+        if (data.logs !== undefined && data.logs !== null) {
+            if (!Array.isArray(data.logs)) {
+                errors.push('logs must be an array');
+            } else if (data.logs.length > 1000) {
+                errors.push('logs cannot contain more than 1000 items');
+            } else {
+                validatedData.logs = [];
+                data.logs.forEach((log, index) => {
+                    const logValidation = this.validateLogData({
+                        ...log,
+                        requestId: validatedData.uuid
+                    });
+                    if (!logValidation.isValid) {
+                        logValidation.errors.forEach(error => errors.push(`logs[${index}]: ${error}`));
+                    } else {
+                        validatedData.logs.push(logValidation.data);
+                    }
+                });
+            }
+        }
+
+        // Validar consumo de recursos durante la request
+        if (data.resources !== undefined && data.resources !== null) {
+            const resourcesValidation = this.validateResourceData(data.resources);
+            if (!resourcesValidation.isValid) {
+                resourcesValidation.errors.forEach(error => errors.push(`resources: ${error}`));
+            } else {
+                validatedData.resources = resourcesValidation.data;
+            }
+        }
+
+        // Validar fases de tiempo de la request
+        if (data.timing !== undefined && data.timing !== null) {
+            const timingValidation = this.validateTimingData(data.timing, clampDurations);
+            if (!timingValidation.isValid) {
+                timingValidation.errors.forEach(error => errors.push(`timing: ${error}`));
+            } else {
+                validatedData.timing = timingValidation.data;
+            }
+        }
+
+        // Validar parámetros de la query string
+        if (data.queryParams !== undefined && data.queryParams !== null) {
+            if (typeof data.queryParams !== 'object' || Array.isArray(data.queryParams)) {
+                errors.push('queryParams must be an object');
+            } else {
+                validatedData.queryParams = data.queryParams;
+            }
+        }
+
+        // Validar metadata propia de la aplicación
+        if (data.metadata !== undefined && data.metadata !== null) {
+            if (typeof data.metadata !== 'object' || Array.isArray(data.metadata)) {
+                errors.push('metadata must be an object');
+            } else {
+                try {
+                    if (JSON.stringify(data.metadata).length > 20000) {
+                        errors.push('metadata cannot exceed 20000 characters once serialized');
+                    } else if (Object.keys(data.metadata).length > 0) {
+                        validatedData.metadata = data.metadata;
+                    }
+                } catch (e) {
+                    errors.push('metadata must be serializable as JSON');
+                }
+            }
+        }
+
         return {
             isValid: errors.length === 0,
             errors,
@@ -173,6 +640,150 @@ class RequestCaptureService {
         };
     }
 
+    /**
+     * Valida las métricas de recursos de una request (heap en MB, CPU y event loop en ms)
+     */
+    validateResourceData(resources) {
+        if (typeof resources !== 'object' || Array.isArray(resources)) {
+            return { isValid: false, errors: ['must be an object'], data: null };
+        }
+
+        const errors = [];
+        const data = {};
+        const fields = {
+            heapUsedMb: { min: 0 },
+            heapDeltaMb: { min: -Infinity }, // el GC puede liberar más de lo asignado
+            cpuUserMs: { min: 0 },
+            cpuSystemMs: { min: 0 },
+            eventLoopDelayMs: { min: 0 }
+        };
+
+        Object.entries(fields).forEach(([field, { min }]) => {
+            const value = resources[field];
+            if (value === undefined || value === null) return;
+
+            if (typeof value !== 'number' || !Number.isFinite(value) || value < min) {
+                errors.push(`${field} must be a ${min === 0 ? 'non-negative ' : ''}number`);
+            } else {
+                data[field] = value;
+            }
+        });
+
+        return {
+            isValid: errors.length === 0,
+            errors,
+            data: Object.keys(data).length > 0 ? data : null
+        };
+    }
+
+    /**
+     * Valida las fases de tiempo de la request (milisegundos); con clamp recorta las que superan el máximo
+     */
+    validateTimingData(timing, clamp = false) {
+        if (typeof timing !== 'object' || Array.isArray(timing)) {
+            return { isValid: false, errors: ['must be an object'], data: null };
+        }
+
+        const errors = [];
+        const data = {};
+        const fields = {
+            queueMs: 3600000, // 1 hora
+            timeToHeadersMs: MAX_DURATION,
+            handlerMs: MAX_DURATION,
+            responseWriteMs: MAX_DURATION,
+            totalMs: MAX_DURATION
+        };
+
+        Object.entries(fields).forEach(([field, max]) => {
+            const value = timing[field];
+            if (value === undefined || value === null) return;
+
+            if (typeof value !== 'number' || !Number.isFinite(value) || value < 0 || (value > max && !clamp)) {
+                errors.push(`${field} must be a non-negative number up to ${max}`);
+            } else {
+                data[field] = Math.min(value, max);
+            }
+        });
+
+        return {
+            isValid: errors.length === 0,
+            errors,
+            data: Object.keys(data).length > 0 ? data : null
+        };
+    }
+
+    /**
+     * Valida el resumen de la respuesta enviada al cliente
+     */
+    validateResponseData(response) {
+        const errors = [];
+
+        if (typeof response !== 'object' || Array.isArray(response)) {
+            return { isValid: false, errors: ['must be an object'], data: null };
+        }
+
+        if (response.bytes !== undefined && response.bytes !== null &&
+            (!Number.isInteger(response.bytes) || response.bytes < 0)) {
+            errors.push('bytes must be a non-negative integer');
+        }
+
+        if (response.contentType !== undefined && response.contentType !== null &&
+            (typeof response.contentType !== 'string' || response.contentType.length > 255)) {
+            errors.push('contentType must be a string of at most 255 characters');
+        }
+
+        if (response.encoding !== undefined && response.encoding !== null &&
+            (typeof response.encoding !== 'string' || response.encoding.length > 50)) {
+            errors.push('encoding must be a string of at most 50 characters');
+        }
+
+        if (response.preview !== undefined && response.preview !== null && typeof response.preview !== 'string') {
+            errors.push('preview must be a string');
+        }
+
+        const preview = typeof response.preview === 'string' ? response.preview : null;
+
+        return {
+            isValid: errors.length === 0,
+            errors,
+            data: {
+                bytes: response.bytes ?? null,
+                contentType: response.contentType || null,
+                encoding: response.encoding || null,
+                preview: preview ? preview.substring(0, MAX_RESPONSE_PREVIEW_LENGTH) : null,
+                truncated: Boolean(response.truncated) || (preview !== null && preview.length > MAX_RESPONSE_PREVIEW_LENGTH)
+            }
+        };
+    }
+
+    /**
+     * Aplica la redacción al preview de la respuesta. Si el body JSON completo ya se guarda
+     * en content, el preview se omite para no guardarlo dos veces
+     */
+    redactResponse(response, responseBody = null) {
+        if (!response || !response.preview) return response;
+
+        const json = /json/i.test(response.contentType || '');
+        const fullBody = responseBody !== null && typeof responseBody === 'object' && !responseBody._modr_truncated;
+        if (json && fullBody) {
+            return { ...response, preview: null, truncated: false };
+        }
+
+        if (json && !response.truncated) {
+            try {
+                return { ...response, preview: JSON.stringify(redactor.redact(JSON.parse(response.preview), 'body')) };
+            } catch (e) {
+                // No es JSON válido: se redacta como texto
+            }
+        }
+
+        // Preview cortado (o JSON inválido): reglas por llave sobre los pares del texto y reglas por valor
+        const preview = json
+            ? redactor.redactJsonText(response.preview, 'body')
+            : redactor.redact(response.preview, 'body');
+        return { ...response, preview };
+    }
+
     /**
      * Sanitiza los datos de la request
      */
@@ -181,9 +792,40 @@ class RequestCaptureService {
             ...data,
             path: ValidationUtils.sanitizeInput(data.path),
             controller: ValidationUtils.sanitizeInput(data.controller),
-            headers: this.sanitizeHeaders(data.headers),
-            requestBody: this.sanitizeJsonData(data.requestBody),
-            responseBody: this.sanitizeJsonData(data.responseBody)
+            route: ValidationUtils.sanitizeInput(data.route),
+            headers: redactor.redact(this.sanitizeHeaders(data.headers), 'headers'),
+            responseHeaders: redactor.redact(this.sanitizeHeaders(data.responseHeaders), 'headers'),
+            requestBody: this.sanitizeJsonData(redactor.redact(data.requestBody, 'body')),
+            responseBody: this.sanitizeJsonData(redactor.redact(data.responseBody, 'body')),
+            response: this.redactResponse(data.response, data.responseBody),
+            queryParams: redactor.redact(QueryParamUtils.normalize(data.queryParams), 'query'),
+            queries: (data.queries || []).map(query => ({
+                ...query,
+                sql: this.redactSql(query.sql),
+                bindings: redactor.redact(query.bindings, 'bindings')
+            })),
+            logs: (data.logs || []).map(log => this.redactLog(log)),
+            metadata: redactor.redact(data.metadata, 'metadata')
+        };
+    }
+
+    /**
+     * Redacción del SQL: los literales de texto se reemplazan por ? (pueden traer emails,
+     * tokens o contraseñas) y se aplican las reglas por valor del scope bindings
+     */
+    redactSql(sql) {
+        if (!redactor.options.enabled || typeof sql !== 'string') return sql;
+        return redactor.redact(SqlUtils.maskLiterals(sql), 'bindings') ?? '[REDACTED]';
+    }
+
+    /**
+     * Aplica la redacción al mensaje y al contexto de una línea de log
+     */
+    redactLog(log) {
+        return {
+            ...log,
+            message: redactor.redact(log.message, 'logs') ?? '[REDACTED]',
+            context: redactor.redact(log.context, 'logs')
         };
     }
 
@@ -191,16 +833,7 @@ class RequestCaptureService {
      * Sanitiza headers
      */
     sanitizeHeaders(headers) {
-        if (!headers || typeof headers !== 'object') return {};
-        
-        const sanitized = {};
-        Object.keys(headers).forEach(key => {
-            if (typeof key === 'string' && typeof headers[key] === 'string') {
-                sanitized[key.toLowerCase()] = ValidationUtils.sanitizeInput(headers[key]);
-            }
-        });
-        
-        return sanitized;
+        return HeaderUtils.normalize(headers);
     }
 
     /**
@@ -222,54 +855,226 @@ class RequestCaptureService {
     }
 
     /**
-     * Ejecuta la captura con transacción
+     * Ejecuta la captura de una sola request
      */
     async executeCapture(data) {
+        const [request] = await this.executeBatchCapture([data]);
+        return request;
+    }
+
+    /**
+     * Escribe un lote de requests. Si la base de datos no está disponible, el lote se
+     * guarda en el buffer en disco para reescribirlo después y se retorna []
+     */
+    async persistBatch(items) {
+        try {
+            return await this.writeBatch(items);
+        } catch (error) {
+            if (!ErrorHandler.isConnectionError(error) || !spillBuffer.options.enabled) {
+                throw error;
+            }
+
+            // Si la conexión se cayó a mitad del reintento, solo falta lo que no se escribió
+            const pending = error.pendingItems || items;
+            if (!await spillBuffer.write(pending)) {
+                throw error;
+            }
+
+            console.warn(`[MODR] Database unavailable, spilled ${pending.length} captures to disk: ${error.message}`);
+            return error.persisted || [];
+        }
+    }
+
+    /**
+     * Escribe un lote. Si falla por un dato que la base rechaza (no por la conexión),
+     * reintenta las capturas de a una y descarta solo las que vuelven a fallar
+     */
+    async writeBatch(items) {
+        try {
+            return await this.executeBatchCapture(items);
+        } catch (error) {
+            if (items.length <= 1 || ErrorHandler.isConnectionError(error)) {
+                throw error;
+            }
+        }
+
+        const requests = [];
+
+        for (let index = 0; index < items.length; index++) {
+            try {
+                requests.push(...await this.executeBatchCapture([items[index]]));
+            } catch (error) {
+                if (ErrorHandler.isConnectionError(error)) {
+                    error.pendingItems = items.slice(index);
+                    error.persisted = requests;
+                    throw error;
+                }
+
+                persistMetrics.dropped++;
+                persistMetrics.lastError = error.message;
+                console.error(`[MODR] Dropping capture ${items[index].uuid} (${items[index].method} ${items[index].path}) that cannot be written:`, error.message);
+            }
+        }
+
+        return requests;
+    }
+
+    /**
+     * Capturas descartadas al escribir por datos inválidos
+     */
+    static getPersistMetrics() {
+        return { ...persistMetrics };
+    }
+
+    /**
+     * Datos descartados porque la request en curso ya alcanzó su límite
+     */
+    static getContextMetrics() {
+        return RequestContext.getDropped();
+    }
+
+    /**
+     * Error de dato descartado (RequestContext ya lo contó; la request sigue en curso, todavía no existe en la base)
+     */
+    contextFull(label) {
+        return {
+            success: false,
+            error: ErrorHandler.createError(
+                ErrorHandler.ERROR_TYPES.INTERNAL,
+                `Request context is full, ${label} dropped`
+            )
+        };
+    }
+
+    /**
+     * Escribe un lote de requests en una sola transacción
+     */
+    async executeBatchCapture(items, options = {}) {
+        if (!items || items.length === 0) return [];
+
+        // Excepciones con sus frames resueltos (lee source maps, fuera de la transacción)
+        const exceptionEntries = items.flatMap(data => [
+            ...(data.error && data.error.message ? [data.error] : []),
+            ...(data.exceptions || [])
+        ].map(exception => ({
+            row: this.buildExceptionRow(data.uuid, exception),
+            route: data.route || data.path
+        })));
+
+        await this.resolveExceptionFrames(exceptionEntries.map(entry => entry.row));
+
         const transaction = await sequelize.transaction();
 
         try {
-            // 1. Obtener o crear método HTTP
-            const method = await this.getOrCreateMethod(data.method, transaction);
-            
-            // 2. Obtener o crear status HTTP
-            const status = await this.getOrCreateStatus(data.statusCode, transaction);
-            
-            // 3. Crear payload si hay datos
-            let payload = null;
-            if (data.requestBody && Object.keys(data.requestBody).length > 0) {
-                payload = await this.createPayload(data, transaction);
+            // 1. Resolver métodos, status y usuarios de todo el lote
+            const methodIds = await this.resolveMethods(items.map(item => item.method), transaction);
+            const statusIds = await this.resolveStatuses(items.map(item => item.statusCode), transaction);
+            const userIds = await this.resolveIdentities(items.map(item => item.identity).filter(Boolean), transaction);
+
+            // 2. Armar payloads, responses y requests
+            const payloadRows = [];
+            const responseRows = [];
+            const requestRows = items.map(data => {
+                const row = this.buildRequestRow(data, methodIds, statusIds, userIds);
+
+                if (data.requestBody && Object.keys(data.requestBody).length > 0) {
+                    const payload = this.buildPayloadRow(data);
+                    payloadRows.push(payload);
+                    row.payload_id = payload.payload_id;
+                }
+
+                if (data.responseBody || data.response) {
+                    const response = this.buildResponseRow(data);
+                    responseRows.push(response);
+                    row.response_id = response.response_id;
+                }
+
+                return row;
+            });
+
+            if (payloadRows.length > 0) {
+                await models.Payload.bulkCreate(payloadRows, { transaction });
+            }
+
+            if (responseRows.length > 0) {
+                await models.Response.bulkCreate(responseRows, { transaction });
+            }
+
+            // 3. Crear las requests principales
+            const requests = await models.Request.bulkCreate(requestRows, { transaction });
+
+            // 4. Procesar headers
+            await this.processHeaders(items, transaction);
+
+            // 5. Capturar excepciones si las hay, agrupadas en issues por fingerprint
+            const issueEvents = await this.processIssues(exceptionEntries, transaction);
+
+            const exceptions = exceptionEntries.length > 0
+                ? await models.Exception.bulkCreate(exceptionEntries.map(entry => entry.row), { transaction })
+                : [];
+
+            // 6. Guardar las queries ejecutadas durante cada request y sus patrones N+1
+            const queriesByRequest = items.map(data =>
+                (data.queries || []).map(query => this.buildQueryRow(data.uuid, query)));
+            const queryRows = queriesByRequest.flat();
+
+            if (queryRows.length > 0) {
+                await this.assignQueryFingerprints(queryRows, transaction);
+                await models.Query.bulkCreate(queryRows, { transaction });
+
+                const nPlusOneRows = queriesByRequest.flatMap(rows => this.detectNPlusOne(rows));
+                if (nPlusOneRows.length > 0) {
+                    await models.NPlusOneQuery.bulkCreate(nPlusOneRows, { transaction });
+                }
             }
 
-            // 4. Crear response si hay datos
-            let response = null;
-            if (data.responseBody) {
-                response = await this.createResponse(data, transaction);
+            // 7. Guardar las líneas de log emitidas durante cada request
+            const logRows = items.flatMap(data =>
+                (data.logs || []).map(log => this.buildLogRow(data.uuid, log)));
+
+            if (logRows.length > 0) {
+                await models.Log.bulkCreate(logRows, { transaction });
             }
 
-            // 5. Crear el request principal
-            const request = await this.createMainRequest({
-                ...data,
-                method_id: method.method_id,
-                status_id: status.status_id,
-                payload_id: payload?.payload_id || null,
-                response_id: response?.response_id || null
-            }, transaction);
+            // 8. Guardar el consumo de recursos de cada request
+            const metricRows = items
+                .filter(data => data.resources)
+                .map(data => this.buildMetricRow(data.uuid, data.resources));
 
-            // 6. Procesar headers
-            await this.processHeaders(request.request_id, data.headers, transaction);
+            if (metricRows.length > 0) {
+                await models.RequestMetric.bulkCreate(metricRows, { transaction });
+            }
 
-            // 7. Capturar excepciones si las hay
-            if (data.error && data.error.message) {
-                await this.captureException(request.request_id, data.error, transaction);
+            // 9. Guardar las fases de tiempo de cada request
+            const timingRows = items
+                .filter(data => data.timing)
+                .map(data => this.buildTimingRow(data.uuid, data.timing));
+
+            if (timingRows.length > 0) {
+                await models.RequestTiming.bulkCreate(timingRows, { transaction });
             }
 
             await transaction.commit();
 
-            // 8. Emitir evento en tiempo real
-            this.emitRequestEvent(request, method, status);
+            // 10. Emitir eventos en tiempo real
+            requests.forEach((request, index) => {
+                this.emitRequestEvent(request, items[index].method, items[index].statusCode);
+            });
+            exceptions
+                .filter(exception => exception.source !== 'request')
+                .forEach(exception => this.emitExceptionEvent(exception));
+            issueEvents.forEach(event => this.emitIssueEvent(event));
+
+            // 11. Exportar al collector OTLP (en segundo plano, sin bloquear la escritura);
+            // los spans recibidos por OTLP no se exportan (volverían al collector del que vienen)
+            if (options.export !== false) {
+                otlpExporter.export(items).catch(error => {
+                    console.error('[MODR] Error exporting capture batch:', error);
+                });
+            }
+
+            return requests;
 
-            return request;
-            
         } catch (error) {
             await transaction.rollback();
             throw error;
@@ -285,13 +1090,24 @@ class RequestCaptureService {
             const validation = this.validateQueryData(queryData);
             if (!validation.isValid) {
                 return {
-                    success: false,
-                    error: ErrorHandler.handleValidationError(validation.errors, 'query capture data')
+                    success: false,
+                    error: ErrorHandler.handleValidationError(validation.errors, 'query capture data')
+                };
+            }
+
+            const { requestId, sql, duration, type, bindings, executedAt } = validation.data;
+
+            // Si la request sigue en curso, la query se guarda junto con ella al terminar
+            if (RequestContext.getRequestId() === requestId) {
+                if (!RequestContext.addQuery(validation.data)) {
+                    return this.contextFull('query');
+                }
+                return {
+                    success: true,
+                    data: { request_id: requestId, deferred: true }
                 };
             }
 
-            const { requestId, sql, duration, type, bindings } = validation.data;
-
             // Verificar que el request existe
             const request = await models.Request.findByPk(requestId);
             if (!request) {
@@ -301,13 +1117,23 @@ class RequestCaptureService {
                 };
             }
 
-            // Crear la query
-            const query = await models.Query.create({
-                request_id: requestId,
-                sql: sql,
-                duration: duration,
-                type: type,
-                bindings: bindings
+            // Crear la query con su fingerprint; si es lenta, la request queda marcada
+            const row = this.buildQueryRow(requestId, {
+                sql: this.redactSql(sql),
+                duration,
+                type,
+                bindings: redactor.redact(bindings, 'bindings'),
+                executedAt
+            });
+
+            const query = await sequelize.transaction(async transaction => {
+                await this.assignQueryFingerprints([row], transaction);
+
+                if (row.slow) {
+                    await request.increment('slow_queries', { transaction });
+                }
+
+                return await models.Query.create(row, { transaction });
             });
 
             return {
@@ -331,11 +1157,14 @@ class RequestCaptureService {
         const errors = [];
         const validatedData = {};
 
-        // Validar requestId
-        if (!data.requestId || !ValidationUtils.isValidUUID(data.requestId)) {
-            errors.push('requestId is required and must be a valid UUID');
+        // Validar requestId (por defecto, la request en curso)
+        const requestId = data.requestId || RequestContext.getRequestId();
+        if (!requestId) {
+            errors.push('requestId is required outside of a request context');
+        } else if (!ValidationUtils.isValidUUID(requestId)) {
+            errors.push('requestId must be a valid UUID');
         } else {
-            validatedData.requestId = data.requestId;
+            validatedData.requestId = requestId;
         }
 
         // Validar SQL
@@ -351,9 +1180,9 @@ class RequestCaptureService {
 
         // Validar duration
         if (data.duration !== undefined) {
-            const duration = parseInt(data.duration);
+            const duration = parseFloat(data.duration);
             if (isNaN(duration) || duration < 0) {
-                errors.push('duration must be a non-negative integer');
+                errors.push('duration must be a non-negative number');
             } else {
                 validatedData.duration = duration;
             }
@@ -365,7 +1194,19 @@ class RequestCaptureService {
         if (data.type && typeof data.type !== 'string') {
             errors.push('type must be a string');
         } else {
-            validatedData.type = data.type || 'query';
+            validatedData.type = (data.type || 'query').substring(0, 30);
+        }
+
+        // Validar fecha de ejecución
+        if (data.executedAt) {
+            const executedAt = new Date(data.executedAt);
+            if (isNaN(executedAt.getTime())) {
+                errors.push('executedAt must be a valid date');
+            } else {
+                validatedData.executedAt = executedAt;
+            }
+        } else {
+            validatedData.executedAt = new Date();
         }
 
         // Validar bindings
@@ -390,7 +1231,7 @@ class RequestCaptureService {
     /**
      * Captura una excepción con validaciones
      */
-    async captureException(exceptionData) {
+    async captureException(exceptionData, options = {}) {
         try {
             // Validar datos de entrada
             const validation = this.validateExceptionData(exceptionData);
@@ -401,28 +1242,60 @@ class RequestCaptureService {
                 };
             }
 
-            const { requestId, message, type, stackTrace, file, line, code } = validation.data;
+            const { requestId, message, type, stackTrace, file, line, code, source, processInfo } = validation.data;
 
-            // Verificar que el request existe
-            const request = await models.Request.findByPk(requestId);
-            if (!request) {
+            // Si la request sigue en curso, la excepción se guarda junto con ella al terminar
+            if (requestId && RequestContext.getRequestId() === requestId) {
+                if (!RequestContext.addException(validation.data)) {
+                    return this.contextFull('exception');
+                }
                 return {
-                    success: false,
-                    error: ErrorHandler.handleNotFoundError('Request', requestId)
+                    success: true,
+                    data: { request_id: requestId, deferred: true }
                 };
             }
 
-            // Crear la excepción
-            const exception = await models.Exception.create({
+            // Verificar que el request existe (las excepciones de proceso no tienen request)
+            let request = null;
+            if (requestId) {
+                request = await models.Request.findByPk(requestId);
+                if (!request) {
+                    return {
+                        success: false,
+                        error: ErrorHandler.handleNotFoundError('Request', requestId)
+                    };
+                }
+            }
+
+            // Crear la excepción y agregarla a su issue
+            const row = {
                 request_id: requestId,
                 message: message,
                 type: type,
                 stack_trace: stackTrace,
-                file: file,
-                line: line,
-                code: code
+                source: source,
+                process_info: processInfo || null,
+                file: file ? file.substring(0, 500) : null,
+                line: line ?? null,
+                code: code || null
+            };
+            await this.resolveExceptionFrames([row]);
+
+            const { exception, issueEvents } = await sequelize.transaction(async transaction => {
+                const issueEvents = await this.processIssues([{ row, route: request ? request.route || request.path : null }], transaction);
+                const exception = await models.Exception.create(row, { transaction });
+                return { exception, issueEvents };
             });
 
+            this.emitExceptionEvent(exception);
+            issueEvents.forEach(event => this.emitIssueEvent(event));
+
+            if (options.export !== false) {
+                otlpExporter.exportExceptions([validation.data]).catch(error => {
+                    console.error('[MODR] Error exporting exception:', error);
+                });
+            }
+
             return {
                 success: true,
                 data: exception
@@ -444,11 +1317,41 @@ class RequestCaptureService {
         const errors = [];
         const validatedData = {};
 
-        // Validar requestId
-        if (!data.requestId || !ValidationUtils.isValidUUID(data.requestId)) {
-            errors.push('requestId is required and must be a valid UUID');
+        // Validar requestId (por defecto, la request en curso; sin request es una excepción de proceso)
+        const requestId = data.requestId || RequestContext.getRequestId();
+        if (!requestId) {
+            validatedData.requestId = null;
+        } else if (!ValidationUtils.isValidUUID(requestId)) {
+            errors.push('requestId must be a valid UUID');
+        } else {
+            validatedData.requestId = requestId;
+        }
+
+        // Validar source
+        const sourceValidation = ValidationUtils.validateExceptionSource(data.source);
+        if (!sourceValidation.isValid) {
+            errors.push(sourceValidation.error);
+        } else if (data.source === 'request' && !requestId) {
+            errors.push('source request requires a requestId');
         } else {
-            validatedData.requestId = data.requestId;
+            validatedData.source = data.source || (requestId ? 'request' : 'process');
+        }
+
+        // Validar metadata del proceso
+        if (data.processInfo !== undefined && data.processInfo !== null) {
+            if (typeof data.processInfo !== 'object' || Array.isArray(data.processInfo)) {
+                errors.push('processInfo must be an object');
+            } else {
+                try {
+                    if (JSON.stringify(data.processInfo).length > 5000) {
+                        errors.push('processInfo cannot exceed 5000 characters once serialized');
+                    } else {
+                        validatedData.processInfo = data.processInfo;
+                    }
+                } catch (e) {
+                    errors.push('processInfo must be serializable as JSON');
+                }
+            }
         }
 
         // Validar message
@@ -506,6 +1409,142 @@ class RequestCaptureService {
         };
     }
 
+    /**
+     * Captura una línea de log con validaciones
+     */
+    async captureLog(logData) {
+        try {
+            // Validar datos de entrada
+            const validation = this.validateLogData(logData);
+            if (!validation.isValid) {
+                return {
+                    success: false,
+                    error: ErrorHandler.handleValidationError(validation.errors, 'log capture data')
+                };
+            }
+
+            const { requestId } = validation.data;
+
+            // Si la request sigue en curso, el log se guarda junto con ella al terminar
+            if (RequestContext.getRequestId() === requestId) {
+                if (!RequestContext.addLog(validation.data)) {
+                    return this.contextFull('log');
+                }
+                return {
+                    success: true,
+                    data: { request_id: requestId, deferred: true }
+                };
+            }
+
+            // Verificar que el request existe
+            const request = await models.Request.findByPk(requestId);
+            if (!request) {
+                return {
+                    success: false,
+                    error: ErrorHandler.handleNotFoundError('Request', requestId)
+                };
+            }
+
+            // Crear el log
+            const log = await models.Log.create(
+                this.buildLogRow(requestId, this.redactLog(validation.data))
+            );
+
+            return {
+                success: true,
+                data: log
+            };
+
+        } catch (error) {
+            console.error('[MODR] Error in captureLog:', error);
+            return {
+                success: false,
+                error: ErrorHandler.handleDatabaseError(error, 'captureLog')
+            };
+        }
+    }
+
+    /**
+     * Valida datos de log
+     */
+    validateLogData(data) {
+        const errors = [];
+        const validatedData = {};
+
+        // Validar requestId (por defecto, la request en curso)
+        const requestId = data.requestId || RequestContext.getRequestId();
+        if (!requestId) {
+            errors.push('requestId is required outside of a request context');
+        } else if (!ValidationUtils.isValidUUID(requestId)) {
+            errors.push('requestId must be a valid UUID');
+        } else {
+            validatedData.requestId = requestId;
+        }
+
+        // Validar level
+        const level = LogUtils.normalizeLevel(data.level === undefined ? 'info' : data.level);
+        if (!level) {
+            errors.push(`level must be one of: ${LogUtils.LEVELS.join(', ')}`);
+        } else {
+            validatedData.level = level;
+        }
+
+        // Validar message
+        if (typeof data.message !== 'string') {
+            errors.push('message is required and must be a string');
+        } else if (data.message.length > LogUtils.MAX_MESSAGE_LENGTH) {
+            errors.push(`message cannot exceed ${LogUtils.MAX_MESSAGE_LENGTH} characters`);
+        } else {
+            validatedData.message = data.message;
+        }
+
+        // Validar context
+        if (data.context !== undefined && data.context !== null) {
+            if (typeof data.context !== 'object' || Array.isArray(data.context)) {
+                errors.push('context must be an object');
+            } else {
+                try {
+                    if (JSON.stringify(data.context).length > LogUtils.MAX_CONTEXT_LENGTH) {
+                        errors.push(`context cannot exceed ${LogUtils.MAX_CONTEXT_LENGTH} characters once serialized`);
+                    } else {
+                        validatedData.context = data.context;
+                    }
+                } catch (e) {
+                    errors.push('context must be serializable as JSON');
+                }
+            }
+        }
+
+        // Validar source
+        if (data.source !== undefined && data.source !== null) {
+            if (typeof data.source !== 'string' || data.source.length > 20) {
+                errors.push('source must be a string of at most 20 characters');
+            } else {
+                validatedData.source = data.source;
+            }
+        } else {
+            validatedData.source = 'api';
+        }
+
+        // Validar fecha del log
+        if (data.loggedAt) {
+            const loggedAt = new Date(data.loggedAt);
+            if (isNaN(loggedAt.getTime())) {
+                errors.push('loggedAt must be a valid date');
+            } else {
+                validatedData.loggedAt = loggedAt;
+            }
+        } else {
+            validatedData.loggedAt = new Date();
+        }
+
+        return {
+            isValid: errors.length === 0,
+            errors,
+            data: validatedData
+        };
+    }
+
     /**
      * Obtiene estadísticas de captura
      */
@@ -535,138 +1574,611 @@ class RequestCaptureService {
         }
     }
 
-    // Métodos privados existentes (getOrCreateMethod, getOrCreateStatus, etc.)
-    async getOrCreateMethod(methodName, transaction) {
-        let method = await models.Method.findOne({ 
-            where: { name: methodName },
-            transaction 
+    // Métodos privados
+    async resolveMethods(names, transaction) {
+        return await this.resolveLookup({
+            model: models.Method,
+            keyField: 'name',
+            idField: 'method_id',
+            cache: methodCache,
+            buildRow: name => ({ name, description: `HTTP ${name} method` })
+        }, names, transaction);
+    }
+
+    async resolveStatuses(codes, transaction) {
+        return await this.resolveLookup({
+            model: models.Status,
+            keyField: 'code',
+            idField: 'status_id',
+            cache: statusCache,
+            buildRow: code => ({ code, description: STATUS_DESCRIPTIONS[code] || `HTTP ${code}` })
+        }, codes, transaction);
+    }
+
+    async resolveHeaders(names, transaction) {
+        return await this.resolveLookup({
+            model: models.Header,
+            keyField: 'name',
+            idField: 'header_id',
+            cache: headerCache,
+            buildRow: name => ({ name, description: `${name} header` })
+        }, names, transaction);
+    }
+
+    async resolveQueryFingerprints(entries, transaction) {
+        const entriesByHash = new Map(entries.map(entry => [entry.hash, entry]));
+
+        return await this.resolveLookup({
+            model: models.QueryFingerprint,
+            keyField: 'fingerprint',
+            idField: 'fingerprint_id',
+            cache: queryFingerprintCache,
+            buildRow: hash => ({
+                fingerprint: hash,
+                normalized_sql: entriesByHash.get(hash).normalized,
+                type: entriesByHash.get(hash).type
+            })
+        }, [...entriesByHash.keys()], transaction);
+    }
+
+    /**
+     * Asigna a cada query el fingerprint de su SQL normalizado
+     */
+    async assignQueryFingerprints(rows, transaction) {
+        const entries = rows.map(row => {
+            const normalized = SqlUtils.normalize(row.sql);
+            return { normalized, hash: SqlUtils.fingerprint(normalized), type: SqlUtils.detectType(normalized) };
         });
-        
-        if (!method) {
-            method = await models.Method.create({
-                name: methodName,
-                description: `HTTP ${methodName} method`
-            }, { transaction });
+
+        const fingerprintIds = await this.resolveQueryFingerprints(entries, transaction);
+
+        rows.forEach((row, index) => {
+            row.fingerprint_id = fingerprintIds.get(entries[index].hash) ?? null;
+        });
+    }
+
+    async resolveHeaderValues(entries, transaction) {
+        const valuesByHash = new Map(entries.map(entry => [entry.hash, entry.value]));
+
+        return await this.resolveLookup({
+            model: models.HeaderValue,
+            keyField: 'value_hash',
+            idField: 'value_id',
+            cache: headerValueCache,
+            buildRow: hash => ({ value_hash: hash, value: valuesByHash.get(hash) })
+        }, [...valuesByHash.keys()], transaction);
+    }
+
+    /**
+     * Obtiene el usuario de MODR de cada identidad. Las identidades nuevas se vinculan
+     * al usuario con ese user_id o email, o a un usuario creado para ellas
+     */
+    async resolveIdentities(identities, transaction) {
+        const userIds = new Map();
+        const missing = new Map();
+
+        identities.forEach(identity => {
+            const key = IdentityResolver.key(identity);
+            if (identityCache.has(key)) {
+                userIds.set(key, identityCache.get(key));
+            } else if (!missing.has(key) || identity.name || identity.email) {
+                // Si se repite en el lote, se prefiere la que trae nombre o email
+                missing.set(key, identity);
+            }
+        });
+
+        if (missing.size === 0) return userIds;
+
+        const findIdentities = () => models.UserIdentity.findAll({
+            where: {
+                [Op.or]: [...missing.values()].map(identity => ({ provider: identity.provider, external_id: identity.id }))
+            },
+            transaction
+        });
+
+        const known = new Set((await findIdentities()).map(row => `${row.provider}:${row.external_id}`));
+        const unlinked = [...missing.values()].filter(identity => !known.has(IdentityResolver.key(identity)));
+
+        if (unlinked.length > 0) {
+            const users = await this.resolveIdentityUsers(unlinked, transaction);
+
+            await models.UserIdentity.bulkCreate(unlinked.map(identity => ({
+                user_id: users.get(IdentityResolver.key(identity)),
+                provider: identity.provider,
+                external_id: identity.id
+            })), { transaction, ignoreDuplicates: true });
         }
-        
-        return method;
+
+        const rows = await findIdentities();
+        rows.forEach(row => userIds.set(`${row.provider}:${row.external_id}`, row.user_id));
+
+        // Solo cachear si la transacción se confirma
+        transaction.afterCommit(() => {
+            rows.forEach(row => identityCache.set(`${row.provider}:${row.external_id}`, row.user_id));
+        });
+
+        return userIds;
     }
 
-    async getOrCreateStatus(statusCode, transaction) {
-        let status = await models.Status.findOne({ 
-            where: { code: statusCode },
-            transaction 
+    /**
+     * Usuario de MODR para identidades sin vincular: el que tiene ese user_id (apps que
+     * ya usan los ids de MODR), el que tiene ese email, o uno nuevo con rol 'user'
+     */
+    async resolveIdentityUsers(identities, transaction) {
+        const emailOf = identity => identity.email ||
+            (/^[^\s@]+@[^\s@]+$/.test(identity.id) ? identity.id.toLowerCase() : null) ||
+            `${identity.provider.toLowerCase()}.${HeaderUtils.hashValue(identity.id).substring(0, 16)}@identities.modr.local`;
+
+        const uuids = identities.map(identity => identity.id).filter(id => ValidationUtils.isValidUUID(id));
+        const emails = identities.map(emailOf);
+
+        // Los emails de las identidades van en minúsculas; los de users pueden tener mayúsculas
+        const lowerEmailIn = values => sequelize.where(
+            sequelize.fn('LOWER', sequelize.col('email')),
+            { [Op.in]: values }
+        );
+
+        const existing = await models.User.findAll({
+            where: {
+                [Op.or]: [
+                    ...(uuids.length > 0 ? [{ user_id: uuids }] : []),
+                    lowerEmailIn(emails)
+                ]
+            },
+            transaction
         });
-        
-        if (!status) {
-            const statusDescriptions = {
-                200: 'OK - Request successful',
-                201: 'Created - Resource created successfully',
-                400: 'Bad Request - Invalid request',
-                401: 'Unauthorized - Authentication required',
-                403: 'Forbidden - Access denied',
-                404: 'Not Found - Resource not found',
-                500: 'Internal Server Error - Server error occurred'
-            };
 
-            status = await models.Status.create({
-                code: statusCode,
-                description: statusDescriptions[statusCode] || `HTTP ${statusCode}`
-            }, { transaction });
+        const byId = new Map(existing.map(user => [user.user_id, user.user_id]));
+        const byEmail = new Map(existing.map(user => [user.email.toLowerCase(), user.user_id]));
+        const userOf = identity => byId.get(identity.id) ?? byEmail.get(emailOf(identity));
+
+        const toCreate = identities.filter(identity => !userOf(identity));
+        if (toCreate.length > 0) {
+            // Rol de los usuarios registrados a partir de una identidad (se crea si falta)
+            await sequelize.query(
+                "INSERT INTO roles (name, description) VALUES ('user', 'Usuario regular') ON CONFLICT (name) DO NOTHING",
+                { transaction }
+            );
+            const [role] = await sequelize.query(
+                "SELECT role_id FROM roles WHERE name = 'user'",
+                { type: sequelize.QueryTypes.SELECT, transaction }
+            );
+
+            const rows = new Map(toCreate.map(identity => {
+                const [firstName, ...lastName] = (identity.name || identity.id).split(/\s+/);
+                return [emailOf(identity), {
+                    first_name: firstName.substring(0, 50),
+                    last_name: lastName.join(' ').substring(0, 50) || identity.provider.substring(0, 50),
+                    email: emailOf(identity),
+                    role_id: role.role_id
+                }];
+            }));
+
+            await models.User.bulkCreate([...rows.values()], { transaction, ignoreDuplicates: true });
+
+            const created = await models.User.findAll({
+                where: lowerEmailIn([...rows.keys()]),
+                transaction
+            });
+            created.forEach(user => byEmail.set(user.email.toLowerCase(), user.user_id));
         }
-        
-        return status;
+
+        return new Map(identities.map(identity => [IdentityResolver.key(identity), userOf(identity)]));
+    }
+
+    /**
+     * Obtiene (o crea) los ids de una tabla catálogo para un conjunto de valores
+     */
+    async resolveLookup({ model, keyField, idField, cache, buildRow }, values, transaction) {
+        const ids = new Map();
+        const missing = [];
+
+        for (const value of new Set(values)) {
+            if (cache.has(value)) {
+                ids.set(value, cache.get(value));
+            } else {
+                missing.push(value);
+            }
+        }
+
+        if (missing.length === 0) return ids;
+
+        await model.bulkCreate(missing.map(buildRow), {
+            transaction,
+            ignoreDuplicates: true
+        });
+
+        const rows = await model.findAll({
+            where: { [keyField]: missing },
+            transaction
+        });
+
+        rows.forEach(row => ids.set(row[keyField], row[idField]));
+
+        // Solo cachear si la transacción se confirma
+        transaction.afterCommit(() => {
+            rows.forEach(row => cache.set(row[keyField], row[idField]));
+        });
+
+        return ids;
     }
 
-    async createPayload(requestData, transaction) {
-        return await models.Payload.create({
+    buildPayloadRow(requestData) {
+        return {
+            payload_id: uuidv4(),
             payload_json: requestData.requestBody,
             sent_from: requestData.ipAddress
-        }, { transaction });
+        };
     }
 
-    async createResponse(requestData, transaction) {
-        const responseSize = requestData.responseBody 
-            ? Buffer.byteLength(JSON.stringify(requestData.responseBody), 'utf8') / 1024 
-            : 0;
+    buildResponseRow(requestData) {
+        const sent = requestData.response || {};
+        const bytes = Number.isInteger(sent.bytes)
+            ? sent.bytes
+            : requestData.responseBody ? Buffer.byteLength(JSON.stringify(requestData.responseBody), 'utf8') : 0;
 
-        return await models.Response.create({
-            content: requestData.responseBody,
-            size: responseSize
-        }, { transaction });
+        return {
+            response_id: uuidv4(),
+            content: requestData.responseBody || null,
+            size: bytes / 1024,
+            bytes,
+            content_type: sent.contentType || null,
+            content_encoding: sent.encoding || null,
+            preview: sent.preview || null,
+            truncated: Boolean(sent.truncated)
+        };
     }
 
-    async createMainRequest(data, transaction) {
-        return await models.Request.create({
+    buildRequestRow(data, methodIds, statusIds, userIds) {
+        return {
             request_id: data.uuid,
-            status_id: data.status_id,
-            method_id: data.method_id,
-            payload_id: data.payload_id,
-            response_id: data.response_id,
+            status_id: statusIds.get(data.statusCode),
+            method_id: methodIds.get(data.method),
+            payload_id: null,
+            response_id: null,
             path: data.path,
             controller: data.controller,
-            happened: new Date(),
+            route: data.route || null,
+            query_params: data.queryParams || null,
+            outcome: data.outcome || 'completed',
+            slow_queries: (data.queries || []).filter(query => this.isSlowQuery(query.duration)).length,
+            happened: data.happened || new Date(),
             duration: data.duration,
-            made_by: data.user_id
-        }, { transaction });
-    }
-
-    async processHeaders(requestId, headers, transaction) {
-        if (!headers) return;
-
-        const importantHeaders = [
-            'user-agent', 
-            'content-type', 
-            'accept', 
-            'origin', 
-            'referer',
-            'x-forwarded-for'
-        ];
-
-        for (const headerName of importantHeaders) {
-            if (headers[headerName]) {
-                let header = await models.Header.findOne({ 
-                    where: { name: headerName },
-                    transaction 
-                });
-                
-                if (!header) {
-                    header = await models.Header.create({
-                        name: headerName,
-                        description: `${headerName} header`
-                    }, { transaction });
+            made_by: data.identity ? userIds.get(IdentityResolver.key(data.identity)) ?? null : null,
+            sample_rate: data.sampleRate || 1,
+            trace_id: data.traceId || null,
+            span_id: data.spanId || null,
+            parent_span_id: data.parentSpanId || null,
+            metadata: data.metadata || null
+        };
+    }
+
+    buildExceptionRow(requestId, error) {
+        return {
+            request_id: requestId,
+            message: String(error.message).substring(0, 2000),
+            type: String(error.type || 'Error').substring(0, 100),
+            stack_trace: error.stack || error.stackTrace || null,
+            source: error.source || 'request',
+            process_info: error.processInfo || null,
+            file: typeof error.file === 'string' ? error.file.substring(0, 500) : null,
+            line: Number.isInteger(error.line) ? error.line : null,
+            code: error.code !== undefined && error.code !== null ? String(error.code).substring(0, 100) : null
+        };
+    }
+
+    /**
+     * Parsea el stack de cada fila en frames, los resuelve con source maps y completa
+     * file/line con el primer frame de la aplicación cuando no se informaron
+     */
+    async resolveExceptionFrames(rows) {
+        await Promise.all(rows.map(async row => {
+            const parsed = StackTraceParser.parse(row.stack_trace);
+            if (parsed.length === 0) {
+                row.frames = null;
+                return;
+            }
+
+            const frames = await sourceMapResolver.resolve(parsed);
+            row.frames = frames;
+
+            if (!row.file) {
+                const origin = frames.find(frame => frame.inApp) || frames.find(frame => !frame.internal);
+                if (origin) {
+                    row.file = String(origin.file).substring(0, 500);
+                    row.line = origin.line;
                 }
-                
-                // Insertar relación en request_headers
-                await sequelize.query(
-                    'INSERT INTO request_headers (request_id, header_id) VALUES (?, ?) ON CONFLICT DO NOTHING',
-                    {
-                        replacements: [requestId, header.header_id],
-                        transaction
+            }
+        }));
+    }
+
+    buildQueryRow(requestId, query) {
+        return {
+            request_id: requestId,
+            fingerprint_id: null,
+            sql: query.sql,
+            duration: query.duration,
+            slow: this.isSlowQuery(query.duration),
+            type: query.type,
+            bindings: query.bindings || null,
+            executed_at: query.executedAt || new Date()
+        };
+    }
+
+    /**
+     * Fingerprints repetidos en bucle dentro de las queries de una request (en orden de
+     * ejecución). Por fingerprint se informa el bucle más largo que alcanza el umbral
+     */
+    detectNPlusOne(rows) {
+        if (!nPlusOne.enabled || rows.length < nPlusOne.threshold) return [];
+
+        const runs = new Map();
+        const loops = new Map();
+
+        rows.forEach((row, index) => {
+            if (row.fingerprint_id === null) return;
+
+            let run = runs.get(row.fingerprint_id);
+            if (!run || index - run.last - 1 > nPlusOne.maxGap) {
+                run = { row, count: 0, duration: 0 };
+                runs.set(row.fingerprint_id, run);
+            }
+
+            run.last = index;
+            run.count++;
+            run.duration += typeof row.duration === 'number' ? row.duration : 0;
+
+            const longest = loops.get(row.fingerprint_id);
+            if (run.count >= nPlusOne.threshold && (!longest || run.count >= longest.count)) {
+                loops.set(row.fingerprint_id, run);
+            }
+        });
+
+        return [...loops.entries()].map(([fingerprintId, loop]) => ({
+            request_id: loop.row.request_id,
+            fingerprint_id: fingerprintId,
+            sql: loop.row.sql,
+            repeat_count: loop.count,
+            total_duration: Math.round(loop.duration * 1000) / 1000,
+            detected_at: new Date()
+        }));
+    }
+
+    isSlowQuery(duration) {
+        const { threshold } = slowQueries;
+        return threshold !== null && threshold !== undefined && typeof duration === 'number' && duration >= threshold;
+    }
+
+    buildLogRow(requestId, log) {
+        return {
+            request_id: requestId,
+            level: log.level,
+            message: log.message,
+            context: log.context || null,
+            source: log.source ? String(log.source).substring(0, 20) : null,
+            logged_at: log.loggedAt || new Date()
+        };
+    }
+
+    buildMetricRow(requestId, resources) {
+        return {
+            request_id: requestId,
+            heap_used_mb: resources.heapUsedMb ?? null,
+            heap_delta_mb: resources.heapDeltaMb ?? null,
+            cpu_user_ms: resources.cpuUserMs ?? null,
+            cpu_system_ms: resources.cpuSystemMs ?? null,
+            event_loop_delay_ms: resources.eventLoopDelayMs ?? null
+        };
+    }
+
+    buildTimingRow(requestId, timing) {
+        return {
+            request_id: requestId,
+            queue_ms: timing.queueMs ?? null,
+            time_to_headers_ms: timing.timeToHeadersMs ?? null,
+            handler_ms: timing.handlerMs ?? null,
+            response_write_ms: timing.responseWriteMs ?? null,
+            total_ms: timing.totalMs ?? null
+        };
+    }
+
+    async processHeaders(items, transaction) {
+        const entries = [];
+
+        items.forEach(data => {
+            [['request', data.headers], ['response', data.responseHeaders]].forEach(([direction, headers]) => {
+                Object.entries(headers || {}).forEach(([name, value]) => {
+                    if (typeof value === 'string') {
+                        entries.push({ requestId: data.uuid, direction, name, value, hash: HeaderUtils.hashValue(value) });
                     }
-                );
+                });
+            });
+        });
+
+        if (entries.length === 0) return;
+
+        const headerIds = await this.resolveHeaders(entries.map(entry => entry.name), transaction);
+        const valueIds = await this.resolveHeaderValues(entries, transaction);
+
+        // Insertar relaciones en request_headers en una sola sentencia
+        const values = entries.map(() => '(?, ?, ?, ?)').join(', ');
+        const replacements = entries.flatMap(entry => [
+            entry.requestId,
+            headerIds.get(entry.name),
+            entry.direction,
+            valueIds.get(entry.hash)
+        ]);
+
+        await sequelize.query(
+            `INSERT INTO request_headers (request_id, header_id, direction, value_id) VALUES ${values} ON CONFLICT DO NOTHING`,
+            {
+                replacements,
+                transaction
             }
-        }
+        );
     }
 
-    emitRequestEvent(request, method, status) {
+    emitRequestEvent(request, methodName, statusCode) {
         if (!this.io) return;
 
         const eventData = {
             id: request.request_id,
-            method: method.name,
+            method: methodName,
             path: request.path,
-            statusCode: status.code,
+            statusCode: statusCode,
             duration: request.duration,
             timestamp: request.happened
         };
 
         this.io.emit('modr:new_request', eventData);
 
-        if (status.code >= 400) {
+        if (statusCode >= 400) {
             this.io.emit('modr:error_request', eventData);
         }
     }
+
+    /**
+     * Agrupa las excepciones en issues por fingerprint: crea los issues nuevos, suma
+     * ocurrencias y rutas, y reabre los resueltos. Asigna issue_id a cada fila y
+     * retorna los issues nuevos o reabiertos
+     */
+    async processIssues(entries, transaction) {
+        if (entries.length === 0) return [];
+
+        const now = new Date();
+        const groups = new Map();
+
+        entries.forEach(({ row, route }) => {
+            const fingerprint = ExceptionUtils.fingerprint(row.type, row.message, row.frames || row.stack_trace);
+            const seenAt = row.occurred_at ? new Date(row.occurred_at) : now;
+
+            if (!groups.has(fingerprint)) {
+                groups.set(fingerprint, {
+                    fingerprint,
+                    type: row.type,
+                    message: row.message,
+                    occurrences: 0,
+                    firstSeen: seenAt,
+                    lastSeen: seenAt,
+                    rows: [],
+                    routes: new Map()
+                });
+            }
+
+            const group = groups.get(fingerprint);
+            group.occurrences++;
+            if (seenAt < group.firstSeen) group.firstSeen = seenAt;
+            if (seenAt > group.lastSeen) group.lastSeen = seenAt;
+            group.rows.push(row);
+
+            if (route) {
+                const key = String(route).substring(0, 500);
+                const current = group.routes.get(key) || { occurrences: 0, lastSeen: seenAt };
+                current.occurrences++;
+                if (seenAt > current.lastSeen) current.lastSeen = seenAt;
+                group.routes.set(key, current);
+            }
+        });
+
+        // Orden fijo para que escrituras concurrentes bloqueen las filas en el mismo orden
+        const values = [...groups.values()].sort((a, b) => a.fingerprint.localeCompare(b.fingerprint));
+
+        const previous = await models.Issue.findAll({
+            attributes: ['fingerprint', 'status'],
+            where: { fingerprint: values.map(group => group.fingerprint) },
+            raw: true,
+            transaction
+        });
+        const previousStatus = new Map(previous.map(issue => [issue.fingerprint, issue.status]));
+
+        const [issues] = await sequelize.query(
+            `INSERT INTO issues (issue_id, fingerprint, type, message, occurrences, first_seen, last_seen)
+             VALUES ${values.map(() => '(?, ?, ?, ?, ?, ?, ?)').join(', ')}
+             ON CONFLICT (fingerprint) DO UPDATE SET
+                occurrences = issues.occurrences + EXCLUDED.occurrences,
+                last_seen = GREATEST(issues.last_seen, EXCLUDED.last_seen),
+                resolved_at = CASE WHEN issues.status = 'resolved' THEN NULL ELSE issues.resolved_at END,
+                reopened_count = issues.reopened_count + CASE WHEN issues.status = 'resolved' THEN 1 ELSE 0 END,
+                updated_at = CASE WHEN issues.status = 'resolved' THEN CURRENT_TIMESTAMP ELSE issues.updated_at END,
+                status = CASE WHEN issues.status = 'resolved' THEN 'open' ELSE issues.status END
+             RETURNING issue_id, fingerprint, type, message, status, occurrences`,
+            {
+                replacements: values.flatMap(group => [
+                    uuidv4(),
+                    group.fingerprint,
+                    group.type,
+                    group.message,
+                    group.occurrences,
+                    group.firstSeen,
+                    group.lastSeen
+                ]),
+                transaction
+            }
+        );
+
+        const issueIds = new Map(issues.map(issue => [issue.fingerprint, issue.issue_id]));
+        values.forEach(group => group.rows.forEach(row => {
+            row.issue_id = issueIds.get(group.fingerprint);
+        }));
+
+        // Rutas afectadas por cada issue
+        const routeRows = values.flatMap(group => [...group.routes.entries()].map(([route, stats]) => [
+            issueIds.get(group.fingerprint),
+            route,
+            stats.occurrences,
+            stats.lastSeen
+        ]));
+
+        if (routeRows.length > 0) {
+            await sequelize.query(
+                `INSERT INTO issue_routes (issue_id, route, occurrences, last_seen)
+                 VALUES ${routeRows.map(() => '(?, ?, ?, ?)').join(', ')}
+                 ON CONFLICT (issue_id, route) DO UPDATE SET
+                    occurrences = issue_routes.occurrences + EXCLUDED.occurrences,
+                    last_seen = GREATEST(issue_routes.last_seen, EXCLUDED.last_seen)`,
+                {
+                    replacements: routeRows.flat(),
+                    transaction
+                }
+            );
+        }
+
+        return issues
+            .filter(issue => !previousStatus.has(issue.fingerprint) || previousStatus.get(issue.fingerprint) === 'resolved')
+            .map(issue => ({
+                ...issue,
+                event: previousStatus.has(issue.fingerprint) ? 'reopened' : 'new'
+            }));
+    }
+
+    emitIssueEvent(issue) {
+        if (!this.io) return;
+
+        this.io.emit('modr:issue', {
+            id: issue.issue_id,
+            event: issue.event,
+            fingerprint: issue.fingerprint,
+            type: issue.type,
+            message: issue.message,
+            occurrences: issue.occurrences,
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    emitExceptionEvent(exception) {
+        if (!this.io || exception.source === 'request') return;
+
+        this.io.emit('modr:process_exception', {
+            id: exception.exception_id,
+            requestId: exception.request_id,
+            message: exception.message,
+            type: exception.type,
+            source: exception.source,
+            pid: exception.process_info?.pid || null,
+            hostname: exception.process_info?.hostname || null,
+            timestamp: exception.occurred_at
+        });
+    }
 }
 
-module.exports = RequestCaptureService;
\ No newline at end of file
+module.exports = RequestCaptureService;
@@ -0,0 +1,380 @@
+const { models } = require('../../models');
+const { Op } = require('sequelize');
+const { v4: uuidv4, v5: uuidv5 } = require('uuid');
+const CaptureService = require('./CaptureService');
+const OtlpUtils = require('../../utils/OtlpUtils');
+const SqlUtils = require('../../utils/SqlUtils');
+const ValidationUtils = require('../../utils/ValidationUtils');
+const { ErrorHandler } = require('../../utils/ErrorHandler');
+const IdentityResolver = require('../../core/identity/IdentityResolver');
+
+const MAX_SPANS_PER_EXPORT = 5000;
+const MAX_REPORTED_ERRORS = 20;
+
+// Namespace del uuid de las requests ingeridas: el mismo span siempre produce el mismo request_id
+const REQUEST_UUID_NAMESPACE = '3f6c1a52-8d0e-4b7a-9c55-2e41d7b0a9f3';
+
+/**
+ * OtlpIngestService
+ * Recibe spans OTLP/HTTP JSON y los mapea a los modelos de MODR:
+ *  - spans SERVER (o con método HTTP) → Request
+ *  - spans con db.system → Query de la request ancestra
+ *  - eventos 'exception' → Exception de la request ancestra
+ */
+class OtlpIngestService {
+    constructor(socketIO = null) {
+        this.captureService = new CaptureService(socketIO);
+    }
+
+    /**
+     * Procesa un ExportTraceServiceRequest
+     */
+    async ingestTraces(payload) {
+        try {
+            if (!payload || !Array.isArray(payload.resourceSpans)) {
+                return {
+                    success: false,
+                    error: ErrorHandler.handleValidationError(
+                        ['resourceSpans must be an array'],
+                        'OTLP traces payload'
+                    )
+                };
+            }
+
+            const spans = this.flattenSpans(payload.resourceSpans);
+            if (spans.length > MAX_SPANS_PER_EXPORT) {
+                return {
+                    success: false,
+                    error: ErrorHandler.handleValidationError(
+                        [`an export cannot contain more than ${MAX_SPANS_PER_EXPORT} spans`],
+                        'OTLP traces payload'
+                    )
+                };
+            }
+
+            const summary = { requests: 0, queries: 0, exceptions: 0, ignoredSpans: 0, duplicateSpans: 0, rejectedSpans: 0, errors: [] };
+            const reject = (span, message) => {
+                summary.rejectedSpans++;
+                if (summary.errors.length < MAX_REPORTED_ERRORS) {
+                    summary.errors.push(`span ${span.spanId || '?'}: ${message}`);
+                }
+            };
+
+            // 1. Spans que representan requests
+            const requestsBySpan = new Map();
+            spans.filter(span => this.isRequestSpan(span)).forEach(span => {
+                requestsBySpan.set(this.spanKey(span), { span, data: this.mapRequest(span) });
+            });
+
+            // 2. Queries y excepciones, asociadas a la request ancestra
+            const spansByKey = new Map(spans.map(span => [this.spanKey(span), span]));
+            const detached = [];
+
+            spans.forEach(span => {
+                const query = this.isQuerySpan(span) ? this.mapQuery(span) : null;
+                const exceptions = this.mapExceptions(span);
+
+                if (!query && exceptions.length === 0) {
+                    if (!requestsBySpan.has(this.spanKey(span))) summary.ignoredSpans++;
+                    return;
+                }
+
+                const owner = this.findOwner(span, spansByKey, requestsBySpan);
+                if (owner) {
+                    if (query) (owner.data.queries = owner.data.queries || []).push(query);
+                    owner.data.exceptions = [...(owner.data.exceptions || []), ...exceptions];
+                } else {
+                    detached.push({ span, query, exceptions });
+                }
+            });
+
+            // 3. Validar y persistir las requests en un solo lote
+            // (las ya guardadas vienen de un reintento del exporter y se dan por ingeridas junto con sus hijos)
+            const stored = await this.findStoredRequestUuids([...requestsBySpan.values()].map(({ data }) => data.uuid));
+            const items = [];
+            requestsBySpan.forEach(({ span, data }) => {
+                if (stored.has(data.uuid)) {
+                    summary.duplicateSpans++;
+                    return;
+                }
+
+                const validation = this.captureService.validateRequestData(data);
+                if (!validation.isValid) {
+                    reject(span, validation.errors.join(', '));
+                    return;
+                }
+                items.push(this.captureService.sanitizeRequestData(validation.data));
+            });
+
+            if (items.length > 0) {
+                // Sin reexportar: los spans ya vienen del collector
+                await this.captureService.executeBatchCapture(items, { export: false });
+                summary.requests = items.length;
+                summary.queries += items.reduce((total, item) => total + (item.queries || []).length, 0);
+                summary.exceptions += items.reduce((total, item) => total + (item.exceptions || []).length, 0);
+            }
+
+            // 4. Queries y excepciones de requests capturadas en exports anteriores
+            for (const { span, query, exceptions } of detached) {
+                const requestId = await this.findStoredRequestId(span, spansByKey);
+                if (!requestId) {
+                    reject(span, 'no captured request found in its trace');
+                    continue;
+                }
+
+                if (query) {
+                    const result = await this.captureService.captureQuery({ ...query, requestId });
+                    result.success ? summary.queries++ : reject(span, result.error.message);
+                }
+
+                for (const exception of exceptions) {
+                    const result = await this.captureService.captureException({ ...exception, requestId }, { export: false });
+                    result.success ? summary.exceptions++ : reject(span, result.error.message);
+                }
+            }
+
+            return {
+                success: true,
+                data: {
+                    ...summary,
+                    // Formato de respuesta parcial de OTLP
+                    partialSuccess: summary.rejectedSpans > 0 ? {
+                        rejectedSpans: summary.rejectedSpans,
+                        errorMessage: summary.errors.join('; ')
+                    } : {}
+                }
+            };
+
+        } catch (error) {
+            return {
+                success: false,
+                error: ErrorHandler.handleDatabaseError(error, 'ingestTraces')
+            };
+        }
+    }
+
+    /**
+     * Aplana resourceSpans → scopeSpans → spans, normalizando ids y atributos
+     */
+    flattenSpans(resourceSpans) {
+        return resourceSpans.flatMap(resourceSpan => {
+            const resource = OtlpUtils.fromAttributes(resourceSpan?.resource?.attributes);
+
+            return (resourceSpan?.scopeSpans || []).flatMap(scopeSpan =>
+                (scopeSpan?.spans || []).map(span => {
+                    const start = OtlpUtils.fromUnixNano(span.startTimeUnixNano);
+                    const end = OtlpUtils.fromUnixNano(span.endTimeUnixNano);
+
+                    return {
+                        traceId: OtlpUtils.normalizeId(span.traceId, 16),
+                        spanId: OtlpUtils.normalizeId(span.spanId, 8),
+                        parentSpanId: OtlpUtils.normalizeId(span.parentSpanId, 8),
+                        name: span.name || '',
+                        kind: OtlpUtils.parseEnum(span.kind, OtlpUtils.SPAN_KIND, 'SPAN_KIND_'),
+                        start,
+                        duration: start !== null && end !== null ? Math.max(end - start, 0) : undefined,
+                        attributes: OtlpUtils.fromAttributes(span.attributes),
+                        events: span.events || [],
+                        status: {
+                            code: OtlpUtils.parseEnum(span.status?.code, OtlpUtils.STATUS_CODE, 'STATUS_CODE_'),
+                            message: span.status?.message
+                        },
+                        resource
+                    };
+                })
+            );
+        });
+    }
+
+    spanKey(span) {
+        return `${span.traceId}:${span.spanId}`;
+    }
+
+    isRequestSpan(span) {
+        const method = span.attributes['http.request.method'] || span.attributes['http.method'];
+        return span.kind === OtlpUtils.SPAN_KIND.SERVER ||
+            (Boolean(method) && span.kind !== OtlpUtils.SPAN_KIND.CLIENT);
+    }
+
+    isQuerySpan(span) {
+        return Boolean(span.attributes['db.system'] || span.attributes['db.system.name']) &&
+            Boolean(this.getStatement(span));
+    }
+
+    getStatement(span) {
+        return span.attributes['db.query.text'] || span.attributes['db.statement'] || null;
+    }
+
+    /**
+     * Span SERVER → datos de captura de request
+     */
+    mapRequest(span) {
+        const attributes = span.attributes;
+        const target = attributes['url.path'] || attributes['http.target'] || this.pathFromUrl(attributes['url.full'] || attributes['http.url']);
+        const path = (target || attributes['http.route'] || span.name || '/').split('?')[0];
+        const statusCode = attributes['http.response.status_code'] || attributes['http.status_code'] ||
+            (span.status.code === OtlpUtils.STATUS_CODE.ERROR ? 500 : 200);
+        const ipAddress = attributes['client.address'] || attributes['net.peer.ip'] || attributes['http.client_ip'];
+        const userAgent = attributes['user_agent.original'] || attributes['http.user_agent'];
+        const bodySize = attributes['http.response.body.size'] ?? attributes['http.response_content_length'];
+        // Los headers en semconv son string[]
+        const contentType = [].concat(attributes['http.response.header.content-type'] ?? [])[0];
+
+        return {
+            uuid: this.requestUuid(span),
+            happened: span.start !== null ? new Date(span.start) : undefined,
+            method: String(attributes['http.request.method'] || attributes['http.method'] || 'GET').toUpperCase(),
+            path,
+            controller: attributes['http.route'] || path,
+            route: attributes['http.route'] || undefined,
+            statusCode: parseInt(statusCode),
+            duration: span.duration,
+            ipAddress: ValidationUtils.isValidIPAddress(ipAddress) ? ipAddress : undefined,
+            headers: userAgent ? { 'user-agent': userAgent } : {},
+            identity: this.mapIdentity(attributes),
+            response: Number.isInteger(bodySize) || contentType
+                ? {
+                    bytes: Number.isInteger(bodySize) && bodySize >= 0 ? bodySize : null,
+                    contentType: typeof contentType === 'string' ? contentType.substring(0, 255) : null
+                }
+                : undefined,
+            traceId: span.traceId,
+            spanId: span.spanId,
+            parentSpanId: span.parentSpanId,
+            metadata: span.resource['service.name'] ? { service: span.resource['service.name'] } : undefined
+        };
+    }
+
+    /**
+     * UUID determinístico a partir de traceId + spanId (aleatorio si el span no los trae)
+     */
+    requestUuid(span) {
+        return span.traceId && span.spanId
+            ? uuidv5(this.spanKey(span), REQUEST_UUID_NAMESPACE)
+            : uuidv4();
+    }
+
+    /**
+     * Uuids de requests que ya existen en la base de datos
+     */
+    async findStoredRequestUuids(uuids) {
+        if (uuids.length === 0) return new Set();
+
+        const requests = await models.Request.findAll({
+            where: { request_id: { [Op.in]: uuids } },
+            attributes: ['request_id'],
+            raw: true
+        });
+        return new Set(requests.map(request => request.request_id));
+    }
+
+    /**
+     * enduser.id → identidad (provider 'otlp' si el span no trae el de MODR)
+     */
+    mapIdentity(attributes) {
+        const id = attributes['enduser.id'];
+        if (id === undefined || id === null) return undefined;
+
+        const provider = attributes['modr.identity.provider'];
+        return {
+            id,
+            provider: IdentityResolver.isValidProvider(provider) ? provider : 'otlp'
+        };
+    }
+
+    /**
+     * Span de base de datos → datos de captura de query
+     */
+    mapQuery(span) {
+        const sql = this.getStatement(span);
+        const end = span.start !== null ? span.start + (span.duration || 0) : Date.now();
+
+        return {
+            sql: SqlUtils.truncate(String(sql)),
+            duration: Math.round((span.duration || 0) * 1000) / 1000,
+            // Mismo tipo que la instrumentación de pg (db.operation.name es libre: 'findOne', 'select users', ...)
+            type: SqlUtils.detectType(String(sql)).substring(0, 30),
+            executedAt: new Date(end)
+        };
+    }
+
+    /**
+     * Eventos 'exception' del span → datos de captura de excepción
+     */
+    mapExceptions(span) {
+        return span.events
+            .filter(event => event && event.name === 'exception')
+            .map(event => {
+                const attributes = OtlpUtils.fromAttributes(event.attributes);
+                const type = attributes['exception.type'];
+                const message = attributes['exception.message'] || type || 'Unknown exception';
+
+                return {
+                    message: String(type && !message.startsWith(type) ? `${type}: ${message}` : message).substring(0, 2000),
+                    type: 'system',
+                    stackTrace: attributes['exception.stacktrace'] || undefined
+                };
+            });
+    }
+
+    /**
+     * Request (del mismo export) que contiene al span, subiendo por sus ancestros
+     */
+    findOwner(span, spansByKey, requestsBySpan) {
+        let current = span;
+        const visited = new Set();
+
+        while (current && !visited.has(this.spanKey(current))) {
+            const key = this.spanKey(current);
+            if (requestsBySpan.has(key)) return requestsBySpan.get(key);
+
+            visited.add(key);
+            current = current.parentSpanId
+                ? spansByKey.get(`${current.traceId}:${current.parentSpanId}`)
+                : null;
+        }
+
+        return null;
+    }
+
+    /**
+     * Busca en la base de datos la request ancestra capturada en un export anterior
+     */
+    async findStoredRequestId(span, spansByKey) {
+        if (!span.traceId) return null;
+
+        const candidates = [];
+        let current = span;
+        while (current && candidates.length < 50) {
+            if (current.spanId) candidates.push(current.spanId);
+            if (current.parentSpanId) candidates.push(current.parentSpanId);
+            current = current.parentSpanId
+                ? spansByKey.get(`${current.traceId}:${current.parentSpanId}`)
+                : null;
+        }
+
+        if (candidates.length === 0) return null;
+
+        const requests = await models.Request.findAll({
+            where: { trace_id: span.traceId, span_id: { [Op.in]: candidates } },
+            attributes: ['request_id', 'span_id']
+        });
+
+        // El ancestro más cercano gana
+        const bySpanId = new Map(requests.map(request => [request.span_id, request.request_id]));
+        const closest = candidates.find(spanId => bySpanId.has(spanId));
+        return closest ? bySpanId.get(closest) : null;
+    }
+
+    pathFromUrl(url) {
+        if (!url) return null;
+
+        try {
+            return new URL(url).pathname;
+        } catch (e) {
+            return null;
+        }
+    }
+}
+
+module.exports = OtlpIngestService;
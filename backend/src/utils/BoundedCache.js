@@ -0,0 +1,32 @@
+/**
+ * BoundedCache
+ * Map con un máximo de entradas; al llenarse descarta la menos usada.
+ * Para catálogos cuya cardinalidad no tiene límite (valores de headers)
+ */
+class BoundedCache extends Map {
+    constructor(maxEntries = 10000) {
+        super();
+        this.maxEntries = maxEntries;
+    }
+
+    get(key) {
+        if (!super.has(key)) return undefined;
+
+        // Reinsertar la mueve al final (más reciente)
+        const value = super.get(key);
+        super.delete(key);
+        super.set(key, value);
+        return value;
+    }
+
+    set(key, value) {
+        if (super.has(key)) {
+            super.delete(key);
+        } else if (this.size >= this.maxEntries) {
+            super.delete(this.keys().next().value);
+        }
+        return super.set(key, value);
+    }
+}
+
+module.exports = BoundedCache;
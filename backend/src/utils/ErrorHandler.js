@@ -84,6 +84,27 @@ class ErrorHandler {
         );
     }
 
+    /**
+     * Indica si el error se debe a que la base de datos no está disponible
+     * (conexión rechazada, caída o servidor reiniciándose), no a los datos
+     */
+    static isConnectionError(error) {
+        if (!error) return false;
+
+        if (error.name?.startsWith('SequelizeConnection') ||
+            ['SequelizeHostNotFoundError', 'SequelizeHostNotReachableError', 'SequelizeInvalidConnectionError', 'SequelizeAccessDeniedError'].includes(error.name)) {
+            return true;
+        }
+
+        const original = error.original || error.parent || error;
+        const code = String(original.code || '');
+
+        return ['ECONNREFUSED', 'ECONNRESET', 'ETIMEDOUT', 'EHOSTUNREACH', 'ENOTFOUND', 'EPIPE'].includes(code) ||
+            code.startsWith('08') ||                       // connection_exception
+            ['57P01', '57P02', '57P03'].includes(code) ||  // admin_shutdown, crash_shutdown, cannot_connect_now
+            /Connection terminated/i.test(original.message || '');
+    }
+
     /**
      * Maneja errores de validación
      */
@@ -215,20 +236,20 @@ class ResponseSanitizer {
     /**
      * Maneja respuesta del controlador
      */
-    static handleControllerResponse(res, result, successMessage = null) {
+    static handleControllerResponse(res, result, successMessage = null, successCode = 200) {
         try {
             if (result.success === false || result.error) {
-                const sanitizedError = this.error(result);
+                const sanitizedError = this.error(result.error || result);
                 return res.status(sanitizedError.httpCode).json(sanitizedError);
             }
             
             const sanitizedData = this.sanitizeOutput(result.data || result);
             
             if (result.pagination) {
-                return res.json(this.paginated(sanitizedData, result.pagination, successMessage));
+                return res.status(successCode).json(this.paginated(sanitizedData, result.pagination, successMessage));
             }
             
-            return res.json(this.success(sanitizedData, successMessage));
+            return res.status(successCode).json(this.success(sanitizedData, successMessage));
             
         } catch (error) {
             console.error('[MODR] Error in response handler:', error);
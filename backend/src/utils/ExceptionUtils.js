@@ -0,0 +1,64 @@
+const crypto = require('crypto');
+const StackTraceParser = require('../core/stack/StackTraceParser');
+
+// Frames del stack usados para agrupar (los más cercanos al error)
+const FINGERPRINT_FRAMES = 3;
+
+/**
+ * ExceptionUtils
+ * Utilidades para agrupar excepciones repetidas en issues
+ */
+class ExceptionUtils {
+
+    /**
+     * Fingerprint de una excepción: tipo, mensaje normalizado y frames superiores del stack
+     * (los frames resueltos con source maps, si los hay)
+     */
+    static fingerprint(type, message, stackOrFrames) {
+        const parts = [
+            type || 'Error',
+            this.normalizeMessage(message),
+            ...this.topFrames(stackOrFrames)
+        ];
+
+        return crypto.createHash('sha1').update(parts.join('\n')).digest('hex');
+    }
+
+    /**
+     * Reemplaza los valores variables del mensaje (ids, números, fechas, textos entre comillas)
+     * para que la misma falla con datos distintos produzca el mismo mensaje
+     */
+    static normalizeMessage(message) {
+        if (message === null || message === undefined) return '';
+
+        return String(message)
+            .substring(0, 2000)
+            .replace(/[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}/gi, '<uuid>')
+            .replace(/\b\d{4}-\d{2}-\d{2}[T ][\d:.]+(?:Z|[+-]\d{2}:?\d{2})?/g, '<date>')
+            .replace(/\b[\w.+-]+@[\w-]+\.[\w.-]+\b/g, '<email>')
+            .replace(/\bhttps?:\/\/\S+/g, '<url>')
+            .replace(/\b0x[0-9a-f]+\b/gi, '<hex>')
+            .replace(/\b[0-9a-f]{24,}\b/gi, '<hex>')
+            .replace(/(["'`])(?:(?!\1).){0,200}\1/g, '<str>')
+            .replace(/\b\d+(?:\.\d+)?\b/g, '<num>')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    /**
+     * Frames superiores como "función@archivo", sin números de línea (cambian con
+     * cada deploy) ni frames internos de Node. Acepta el stack o los frames ya parseados
+     */
+    static topFrames(stackOrFrames, count = FINGERPRINT_FRAMES) {
+        const frames = Array.isArray(stackOrFrames)
+            ? stackOrFrames
+            : StackTraceParser.parse(stackOrFrames);
+
+        return frames
+            .filter(frame => !frame.internal && frame.file)
+            .slice(0, count)
+            .map(frame => `${frame.function || '<anonymous>'}@${StackTraceParser.relativeFile(frame.file)}`);
+    }
+}
+
+module.exports = ExceptionUtils;
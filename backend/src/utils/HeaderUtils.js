@@ -0,0 +1,57 @@
+const crypto = require('crypto');
+
+/**
+ * HeaderUtils
+ * Normalización de headers de request y response antes de guardarlos
+ */
+class HeaderUtils {
+
+    static MAX_HEADERS = 100;
+
+    static MAX_NAME_LENGTH = 80;
+
+    static MAX_VALUE_LENGTH = 4000;
+
+    /**
+     * Nombres en minúsculas y valores como texto. Los headers repetidos (arrays) se unen
+     * con ', ' como en HTTP; los que no caben en las columnas se descartan o recortan
+     */
+    static normalize(headers) {
+        if (!headers || typeof headers !== 'object' || Array.isArray(headers)) return {};
+
+        const normalized = {};
+        for (const [name, raw] of Object.entries(headers)) {
+            if (Object.keys(normalized).length >= this.MAX_HEADERS) break;
+            if (typeof name !== 'string' || name.length === 0 || name.length > this.MAX_NAME_LENGTH) continue;
+
+            const value = this.toText(raw);
+            if (value === null) continue;
+
+            normalized[name.toLowerCase()] = value
+                .replace(/[\u0000-\u001F\u007F]/g, '')
+                .trim()
+                .substring(0, this.MAX_VALUE_LENGTH);
+        }
+
+        return normalized;
+    }
+
+    static toText(value) {
+        if (Array.isArray(value)) {
+            const parts = value.map(item => this.toText(item)).filter(item => item !== null);
+            return parts.length > 0 ? parts.join(', ') : null;
+        }
+        if (typeof value === 'string') return value;
+        if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+        return null;
+    }
+
+    /**
+     * Hash con el que se deduplican y buscan los valores
+     */
+    static hashValue(value) {
+        return crypto.createHash('md5').update(String(value)).digest('hex');
+    }
+}
+
+module.exports = HeaderUtils;
@@ -0,0 +1,107 @@
+/**
+ * LogUtils
+ * Normalización de líneas de log (niveles, mensajes y contexto) provenientes
+ * de console, pino, winston o de la API
+ */
+class LogUtils {
+
+    static LEVELS = ['trace', 'debug', 'info', 'warn', 'error', 'fatal'];
+
+    static MAX_MESSAGE_LENGTH = 10000;
+
+    static MAX_CONTEXT_LENGTH = 20000;
+
+    /**
+     * Niveles de otras librerías (winston npm/syslog, console) equivalentes a los de MODR
+     */
+    static ALIASES = {
+        log: 'info',
+        http: 'info',
+        notice: 'info',
+        verbose: 'debug',
+        silly: 'trace',
+        warning: 'warn',
+        err: 'error',
+        crit: 'fatal',
+        critical: 'fatal',
+        alert: 'fatal',
+        emerg: 'fatal'
+    };
+
+    /**
+     * Niveles numéricos de pino
+     */
+    static PINO_LEVELS = {
+        10: 'trace',
+        20: 'debug',
+        30: 'info',
+        40: 'warn',
+        50: 'error',
+        60: 'fatal'
+    };
+
+    /**
+     * Convierte un nivel (nombre o número de pino) a uno de LEVELS, o null si no se reconoce
+     */
+    static normalizeLevel(level) {
+        if (typeof level === 'number') {
+            const rounded = Math.min(Math.max(Math.floor(level / 10) * 10, 10), 60);
+            return this.PINO_LEVELS[rounded];
+        }
+
+        if (typeof level !== 'string') return null;
+
+        const name = level.trim().toLowerCase();
+        if (this.LEVELS.includes(name)) return name;
+        return this.ALIASES[name] || null;
+    }
+
+    /**
+     * Recorta el mensaje al largo máximo almacenado
+     */
+    static truncateMessage(message) {
+        const text = typeof message === 'string' ? message : String(message ?? '');
+        return text.length > this.MAX_MESSAGE_LENGTH
+            ? text.substring(0, this.MAX_MESSAGE_LENGTH - 3) + '...'
+            : text;
+    }
+
+    /**
+     * Copia serializable del contexto (Errors como objetos, sin funciones ni referencias circulares)
+     */
+    static toContext(fields, omit = []) {
+        if (!fields || typeof fields !== 'object') return null;
+
+        const context = {};
+        Object.entries(fields).forEach(([key, value]) => {
+            if (!omit.includes(key) && value !== undefined && typeof value !== 'function') {
+                context[key] = value;
+            }
+        });
+
+        if (Object.keys(context).length === 0) return null;
+
+        try {
+            const seen = new WeakSet();
+            const json = JSON.stringify(context, (key, value) => {
+                if (value instanceof Error) {
+                    return { type: value.name, message: value.message, stack: value.stack };
+                }
+                if (typeof value === 'bigint') return value.toString();
+                if (value && typeof value === 'object') {
+                    if (seen.has(value)) return '[Circular]';
+                    seen.add(value);
+                }
+                return value;
+            });
+
+            return json.length > this.MAX_CONTEXT_LENGTH
+                ? { _truncated: true, _originalSize: json.length }
+                : JSON.parse(json);
+        } catch (e) {
+            return { _unserializable: true };
+        }
+    }
+}
+
+module.exports = LogUtils;
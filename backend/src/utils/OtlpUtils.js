@@ -0,0 +1,153 @@
+/**
+ * OtlpUtils
+ * Conversión entre valores de JavaScript y el mapeo JSON de OTLP (OpenTelemetry Protocol)
+ * https://opentelemetry.io/docs/specs/otlp/#json-protobuf-encoding
+ */
+class OtlpUtils {
+
+    static SPAN_KIND = {
+        UNSPECIFIED: 0,
+        INTERNAL: 1,
+        SERVER: 2,
+        CLIENT: 3,
+        PRODUCER: 4,
+        CONSUMER: 5
+    };
+
+    static STATUS_CODE = {
+        UNSET: 0,
+        OK: 1,
+        ERROR: 2
+    };
+
+    static SEVERITY = {
+        TRACE: 1,
+        DEBUG: 5,
+        INFO: 9,
+        WARN: 13,
+        ERROR: 17,
+        FATAL: 21
+    };
+
+    /**
+     * Convierte un valor a AnyValue
+     */
+    static toAnyValue(value) {
+        if (Array.isArray(value)) {
+            return { arrayValue: { values: value.map(item => this.toAnyValue(item)) } };
+        }
+
+        switch (typeof value) {
+            case 'boolean':
+                return { boolValue: value };
+            case 'number':
+                return Number.isInteger(value) ? { intValue: String(value) } : { doubleValue: value };
+            case 'bigint':
+                return { intValue: value.toString() };
+            case 'object':
+                if (value === null) return { stringValue: '' };
+                if (value instanceof Date) return { stringValue: value.toISOString() };
+                return { kvlistValue: { values: this.toAttributes(value) } };
+            default:
+                return { stringValue: String(value) };
+        }
+    }
+
+    /**
+     * Convierte un AnyValue a un valor de JavaScript
+     */
+    static fromAnyValue(anyValue) {
+        if (!anyValue || typeof anyValue !== 'object') return null;
+
+        if ('stringValue' in anyValue) return anyValue.stringValue;
+        if ('boolValue' in anyValue) return Boolean(anyValue.boolValue);
+        if ('intValue' in anyValue) return Number(anyValue.intValue);
+        if ('doubleValue' in anyValue) return Number(anyValue.doubleValue);
+        if ('bytesValue' in anyValue) return anyValue.bytesValue;
+        if ('arrayValue' in anyValue) {
+            return (anyValue.arrayValue?.values || []).map(item => this.fromAnyValue(item));
+        }
+        if ('kvlistValue' in anyValue) {
+            return this.fromAttributes(anyValue.kvlistValue?.values);
+        }
+
+        return null;
+    }
+
+    /**
+     * Convierte un objeto plano en una lista de KeyValue (omite null/undefined)
+     */
+    static toAttributes(object = {}) {
+        return Object.entries(object)
+            .filter(([, value]) => value !== null && value !== undefined)
+            .map(([key, value]) => ({ key, value: this.toAnyValue(value) }));
+    }
+
+    /**
+     * Convierte una lista de KeyValue en un objeto plano
+     */
+    static fromAttributes(attributes) {
+        if (!Array.isArray(attributes)) return {};
+
+        return attributes.reduce((result, attribute) => {
+            if (attribute && typeof attribute.key === 'string') {
+                result[attribute.key] = this.fromAnyValue(attribute.value);
+            }
+            return result;
+        }, {});
+    }
+
+    /**
+     * Fecha (o milisegundos) a nanosegundos Unix como string
+     */
+    static toUnixNano(date) {
+        const ms = date instanceof Date ? date.getTime() : Number(date);
+        return (BigInt(Math.round(ms * 1000)) * 1000n).toString();
+    }
+
+    /**
+     * Nanosegundos Unix (string o número) a milisegundos
+     */
+    static fromUnixNano(value) {
+        if (value === null || value === undefined || value === '') return null;
+
+        try {
+            return Number(BigInt(String(value).split('.')[0]) / 1000n) / 1000;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * Valor de un enum OTLP, numérico o por nombre ('SPAN_KIND_SERVER', 'STATUS_CODE_ERROR')
+     */
+    static parseEnum(value, values, prefix) {
+        if (typeof value === 'number') return value;
+        if (typeof value !== 'string') return 0;
+
+        if (/^\d+$/.test(value)) return Number(value);
+        const name = value.toUpperCase().replace(prefix, '');
+        return values[name] ?? 0;
+    }
+
+    /**
+     * Normaliza un trace/span id a hex en minúsculas. El mapeo JSON usa hex,
+     * pero algunos exportadores envían base64
+     */
+    static normalizeId(id, bytes) {
+        if (typeof id !== 'string' || id.length === 0) return null;
+
+        let hex = null;
+        if (new RegExp(`^[0-9a-fA-F]{${bytes * 2}}$`).test(id)) {
+            hex = id.toLowerCase();
+        } else {
+            const decoded = Buffer.from(id, 'base64');
+            hex = decoded.length === bytes ? decoded.toString('hex') : null;
+        }
+
+        // Un id en ceros equivale a no tener id
+        return hex && /[1-9a-f]/.test(hex) ? hex : null;
+    }
+}
+
+module.exports = OtlpUtils;
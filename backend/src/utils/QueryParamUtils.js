@@ -0,0 +1,55 @@
+/**
+ * QueryParamUtils
+ * Normalización de la query string parseada (req.query) antes de guardarla
+ */
+class QueryParamUtils {
+
+    static MAX_PARAMS = 50;
+
+    static MAX_NAME_LENGTH = 100;
+
+    static MAX_VALUE_LENGTH = 500;
+
+    static MAX_ARRAY_ITEMS = 20;
+
+    /**
+     * Copia acotada de req.query: textos recortados, arreglos para parámetros repetidos
+     * y objetos anidados (parser extendido) como JSON. Retorna null si no hay parámetros
+     */
+    static normalize(query) {
+        if (!query || typeof query !== 'object' || Array.isArray(query)) return null;
+
+        const normalized = {};
+        for (const [name, value] of Object.entries(query)) {
+            if (Object.keys(normalized).length >= this.MAX_PARAMS) break;
+            if (name.length === 0 || name.length > this.MAX_NAME_LENGTH) continue;
+
+            const normalizedValue = Array.isArray(value)
+                ? value.slice(0, this.MAX_ARRAY_ITEMS).map(item => this.toText(item))
+                : this.toText(value);
+
+            normalized[name] = normalizedValue;
+        }
+
+        return Object.keys(normalized).length > 0 ? normalized : null;
+    }
+
+    static toText(value) {
+        if (value === null || value === undefined) return '';
+
+        let text;
+        if (typeof value === 'object') {
+            try {
+                text = JSON.stringify(value);
+            } catch (e) {
+                text = '';
+            }
+        } else {
+            text = String(value);
+        }
+
+        return text.length > this.MAX_VALUE_LENGTH ? text.substring(0, this.MAX_VALUE_LENGTH) : text;
+    }
+}
+
+module.exports = QueryParamUtils;
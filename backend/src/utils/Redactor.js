@@ -0,0 +1,306 @@
+const crypto = require('crypto');
+
+// Par "llave": valor de un texto JSON; el valor puede ser un string cortado al final del texto
+const JSON_PAIR = /"((?:[^"\\]|\\.)*)"(\s*:\s*)("(?:[^"\\]|\\.)*"?|-?[\w.+-]+)/g;
+
+/**
+ * Redactor
+ * Aplica reglas de redacción (máscara, hash o eliminación) a bodies,
+ * headers y demás datos capturados antes de persistirlos
+ *
+ * Cada regla selecciona datos por:
+ *  - path:  ruta JSON ('$.user.password', 'items[*].card', 'auth.*')
+ *  - key:   glob sobre el nombre de la llave ('*password*', 'x-api-?ey')
+ *  - value: regex (o nombre de patrón predefinido) sobre valores de texto
+ * y se limita a uno o más scopes: headers, body, query, bindings, metadata, logs
+ */
+class Redactor {
+
+    /**
+     * Patrones predefinidos para reglas por valor
+     */
+    static PATTERNS = {
+        creditCard: /\b(?:\d[ -]?){12,18}\d\b/g,
+        email: /[a-z0-9._%+-]+@[a-z0-9.-]+\.[a-z]{2,}/gi,
+        jwt: /\beyJ[a-zA-Z0-9_-]+\.[a-zA-Z0-9_-]+\.[a-zA-Z0-9_-]+/g,
+        bearer: /\bBearer\s+[a-zA-Z0-9._~+\/=-]+/g
+    };
+
+    /**
+     * Validaciones extra de algunos patrones (evita falsos positivos)
+     */
+    static VALIDATORS = {
+        creditCard: (match) => Redactor.passesLuhn(match.replace(/[ -]/g, ''))
+    };
+
+    static STRATEGIES = ['mask', 'hash', 'drop'];
+
+    static SCOPES = ['headers', 'body', 'query', 'bindings', 'metadata', 'logs'];
+
+    /**
+     * Reglas por defecto (equivalentes a lo que antes se eliminaba a mano)
+     */
+    static DEFAULT_RULES = [
+        { key: 'authorization', scope: 'headers', strategy: 'drop' },
+        { key: 'proxy-authorization', scope: 'headers', strategy: 'drop' },
+        { key: 'cookie', scope: 'headers', strategy: 'drop' },
+        { key: 'set-cookie', scope: 'headers', strategy: 'drop' },
+        { key: 'x-api-key', scope: 'headers', strategy: 'drop' },
+        { key: '*password*', strategy: 'mask' },
+        { key: '*passwd*', strategy: 'mask' },
+        { key: '*secret*', strategy: 'mask' },
+        { key: '*token*', strategy: 'mask' },
+        { key: 'api?key', strategy: 'mask' },
+        { key: 'api_key', strategy: 'mask' },
+        { key: 'cvv', strategy: 'mask' },
+        { value: 'creditCard', strategy: 'mask' },
+        { value: 'jwt', strategy: 'mask' }
+    ];
+
+    constructor(options = {}) {
+        this.options = {
+            enabled: true,
+            useDefaults: true,
+            rules: [],
+            replacement: '[REDACTED]',
+            hashSalt: process.env.MODR_REDACTION_SALT || ''
+        };
+        this.rules = [];
+        this.configure(options);
+    }
+
+    /**
+     * Configura las reglas de redacción
+     */
+    configure(options = {}) {
+        this.options = { ...this.options, ...options };
+
+        const rules = [
+            ...(this.options.useDefaults ? Redactor.DEFAULT_RULES : []),
+            ...(this.options.rules || [])
+        ];
+
+        this.rules = rules.map((rule, index) => this.compileRule(rule, index));
+        return this;
+    }
+
+    /**
+     * Valida y prepara una regla para su uso
+     */
+    compileRule(rule, index) {
+        if (!rule || typeof rule !== 'object') {
+            throw new Error(`[MODR] Redaction rule #${index} must be an object`);
+        }
+
+        if (!rule.path && !rule.key && !rule.value) {
+            throw new Error(`[MODR] Redaction rule #${index} needs a path, key or value selector`);
+        }
+
+        const strategy = rule.strategy || 'mask';
+        if (!Redactor.STRATEGIES.includes(strategy)) {
+            throw new Error(`[MODR] Redaction rule #${index} has an invalid strategy: ${strategy}`);
+        }
+
+        const scopes = rule.scope
+            ? (Array.isArray(rule.scope) ? rule.scope : [rule.scope])
+            : Redactor.SCOPES;
+
+        const invalidScope = scopes.find(scope => !Redactor.SCOPES.includes(scope));
+        if (invalidScope) {
+            throw new Error(`[MODR] Redaction rule #${index} has an invalid scope: ${invalidScope}`);
+        }
+
+        let value = null;
+        let validate = null;
+        if (rule.value) {
+            validate = typeof rule.value === 'string' ? Redactor.VALIDATORS[rule.value] || null : null;
+            const source = typeof rule.value === 'string' ? Redactor.PATTERNS[rule.value] : rule.value;
+            if (!(source instanceof RegExp)) {
+                throw new Error(`[MODR] Redaction rule #${index} has an unknown value pattern: ${rule.value}`);
+            }
+            // Siempre global para reemplazar todas las coincidencias
+            value = new RegExp(source.source, source.flags.includes('g') ? source.flags : source.flags + 'g');
+        }
+
+        return {
+            path: rule.path ? this.parsePath(rule.path) : null,
+            key: rule.key ? this.globToRegExp(rule.key) : null,
+            value,
+            validate,
+            strategy,
+            scopes,
+            replacement: rule.replacement || this.options.replacement
+        };
+    }
+
+    /**
+     * Convierte '$.a.b[0].c' o 'a.*.c' en segmentos ['a', 'b', '0', 'c']
+     */
+    parsePath(path) {
+        return String(path)
+            .replace(/^\$\.?/, '')
+            .replace(/\[(\*|\d+|'[^']*'|"[^"]*")\]/g, '.$1')
+            .split('.')
+            .filter(segment => segment.length > 0)
+            .map(segment => segment.replace(/^['"]|['"]$/g, ''));
+    }
+
+    globToRegExp(glob) {
+        const pattern = String(glob)
+            .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+            .replace(/\*/g, '.*')
+            .replace(/\?/g, '.');
+        return new RegExp(`^${pattern}$`, 'i');
+    }
+
+    /**
+     * Aplica las reglas del scope indicado. Retorna una copia, nunca muta la entrada
+     */
+    redact(data, scope = 'body') {
+        if (!this.options.enabled || data === null || data === undefined) {
+            return data;
+        }
+
+        const rules = this.rules.filter(rule => rule.scopes.includes(scope));
+        if (rules.length === 0) return data;
+
+        const result = this.redactNode(data, [], rules);
+        return result === Redactor.DROP ? null : result;
+    }
+
+    /**
+     * Aplica las reglas a un texto JSON que no se puede parsear (por ejemplo, un preview
+     * cortado): las reglas por llave a los pares "llave": valor y las reglas por valor al resto.
+     * Las reglas por path necesitan el documento completo y no se aplican
+     */
+    redactJsonText(text, scope = 'body') {
+        if (!this.options.enabled || typeof text !== 'string') {
+            return text;
+        }
+
+        const rules = this.rules.filter(rule => rule.scopes.includes(scope));
+        if (rules.length === 0) return text;
+
+        const keyRules = rules.filter(rule => rule.key);
+        const result = text.replace(JSON_PAIR, (pair, key, separator, value) => {
+            const rule = keyRules.find(candidate => candidate.key.test(key));
+            if (!rule) return pair;
+
+            // En texto no se puede quitar el par sin romperlo: drop se enmascara
+            const replacement = rule.strategy === 'hash'
+                ? this.hash(value.replace(/^"|"$/g, ''))
+                : rule.replacement;
+            return `"${key}"${separator}${JSON.stringify(replacement)}`;
+        });
+
+        const redacted = this.redactString(result, rules);
+        return redacted === Redactor.DROP ? null : redacted;
+    }
+
+    redactNode(node, path, rules) {
+        // Reglas por path o llave sobre el nodo actual
+        const key = path.length > 0 ? path[path.length - 1] : null;
+        for (const rule of rules) {
+            const matchesPath = rule.path && this.matchPath(rule.path, path);
+            const matchesKey = rule.key && key !== null && rule.key.test(String(key));
+            if (matchesPath || matchesKey) {
+                return this.applyStrategy(rule, node);
+            }
+        }
+
+        if (Array.isArray(node)) {
+            return node
+                .map((item, index) => this.redactNode(item, [...path, String(index)], rules))
+                .filter(item => item !== Redactor.DROP);
+        }
+
+        if (node && typeof node === 'object' && !(node instanceof Date) && !Buffer.isBuffer(node)) {
+            const result = {};
+            for (const [childKey, childValue] of Object.entries(node)) {
+                const redacted = this.redactNode(childValue, [...path, childKey], rules);
+                if (redacted !== Redactor.DROP) {
+                    result[childKey] = redacted;
+                }
+            }
+            return result;
+        }
+
+        if (typeof node === 'string') {
+            return this.redactString(node, rules);
+        }
+
+        return node;
+    }
+
+    /**
+     * Aplica las reglas por valor (regex) a un texto
+     */
+    redactString(text, rules) {
+        let result = text;
+
+        for (const rule of rules) {
+            if (!rule.value) continue;
+
+            const matches = (result.match(rule.value) || [])
+                .filter(match => !rule.validate || rule.validate(match));
+            if (matches.length === 0) continue;
+
+            if (rule.strategy === 'drop') {
+                return Redactor.DROP;
+            }
+
+            result = result.replace(rule.value, match => {
+                if (rule.validate && !rule.validate(match)) return match;
+                return rule.strategy === 'hash' ? this.hash(match) : rule.replacement;
+            });
+        }
+
+        return result;
+    }
+
+    applyStrategy(rule, value) {
+        switch (rule.strategy) {
+            case 'drop':
+                return Redactor.DROP;
+            case 'hash':
+                return this.hash(typeof value === 'string' ? value : JSON.stringify(value));
+            default:
+                return rule.replacement;
+        }
+    }
+
+    matchPath(rulePath, path) {
+        if (rulePath.length !== path.length) return false;
+        return rulePath.every((segment, index) => segment === '*' || segment === path[index]);
+    }
+
+    static passesLuhn(digits) {
+        let sum = 0;
+        let double = false;
+
+        for (let i = digits.length - 1; i >= 0; i--) {
+            let digit = parseInt(digits[i], 10);
+            if (double) {
+                digit *= 2;
+                if (digit > 9) digit -= 9;
+            }
+            sum += digit;
+            double = !double;
+        }
+
+        return digits.length >= 13 && sum % 10 === 0;
+    }
+
+    hash(value) {
+        const digest = crypto
+            .createHmac('sha256', this.options.hashSalt)
+            .update(String(value))
+            .digest('hex');
+        return `sha256:${digest.substring(0, 16)}`;
+    }
+}
+
+// Marcador interno para valores eliminados
+Redactor.DROP = Symbol('modrRedactedDrop');
+
+module.exports = Redactor;
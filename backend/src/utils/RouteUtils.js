@@ -0,0 +1,81 @@
+/**
+ * RouteUtils
+ * Obtiene la plantilla de ruta de una request (p. ej. /users/:id) para agrupar
+ * endpoints: la ruta de Express que hizo match o, si no hubo, una normalización
+ * heurística de los segmentos variables del path
+ */
+class RouteUtils {
+
+    static MAX_ROUTE_LENGTH = 500;
+
+    /**
+     * Segmentos variables reconocidos, en orden de prioridad
+     */
+    static PATTERNS = [
+        { name: ':uuid', regex: /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i },
+        { name: ':id', regex: /^\d+$/ },
+        { name: ':id', regex: /^[0-9a-f]{24}$/i },              // ObjectId de MongoDB
+        { name: ':hash', regex: /^[0-9a-f]{16,}$/i },           // md5, sha1, sha256...
+        { name: ':token', regex: /^(?=.*\d)(?=.*[a-z])[a-z0-9_-]{20,}$/i } // tokens y ids opacos largos
+    ];
+
+    /**
+     * Plantilla de la ruta de Express que hizo match, o null si no hubo ninguna.
+     * req.baseUrl contiene los valores reales de los parámetros de los routers montados,
+     * por eso se normaliza con la heurística
+     */
+    static fromExpress(req) {
+        const routePath = req?.route?.path;
+        if (routePath === undefined || routePath === null) {
+            return null;
+        }
+
+        const template = Array.isArray(routePath)
+            ? routePath.map(path => String(path)).join('|')
+            : String(routePath);
+
+        const base = req.baseUrl ? this.normalizePath(req.baseUrl) : '';
+        return this.clean(base + (template === '/' && base ? '' : template));
+    }
+
+    /**
+     * Reemplaza por marcadores los segmentos que parecen ids, uuids o hashes
+     */
+    static normalizePath(path) {
+        if (typeof path !== 'string' || path.length === 0) {
+            return '/';
+        }
+
+        const normalized = path
+            .split('?')[0]
+            .split('/')
+            .map(segment => {
+                if (segment.length === 0) return segment;
+                const pattern = this.PATTERNS.find(({ regex }) => regex.test(segment));
+                return pattern ? pattern.name : segment;
+            })
+            .join('/');
+
+        return this.clean(normalized);
+    }
+
+    /**
+     * Plantilla de una request: la de Express si existe, si no la heurística sobre el path
+     */
+    static resolve(req) {
+        return this.fromExpress(req) || this.normalizePath(req?.originalUrl || req?.url || req?.path);
+    }
+
+    static clean(route) {
+        let cleaned = route.replace(/\/{2,}/g, '/');
+        if (cleaned.length > 1 && cleaned.endsWith('/')) {
+            cleaned = cleaned.slice(0, -1);
+        }
+        if (!cleaned.startsWith('/')) {
+            cleaned = '/' + cleaned;
+        }
+        return cleaned.substring(0, this.MAX_ROUTE_LENGTH);
+    }
+}
+
+module.exports = RouteUtils;
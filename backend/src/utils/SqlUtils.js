@@ -0,0 +1,103 @@
+const crypto = require('crypto');
+
+/**
+ * SqlUtils
+ * Utilidades para procesar sentencias SQL capturadas
+ */
+class SqlUtils {
+
+    /**
+     * Obtiene el tipo de sentencia (SELECT, INSERT, ...) a partir del SQL
+     */
+    static detectType(sql) {
+        if (!sql || typeof sql !== 'string') return 'query';
+
+        const match = sql.trim().match(/^\(?\s*([a-z]+)/i);
+        return match ? match[1].toUpperCase() : 'query';
+    }
+
+    /**
+     * Recorta sentencias muy largas al límite aceptado por la captura
+     */
+    static truncate(sql, maxLength = 50000) {
+        if (typeof sql !== 'string' || sql.length <= maxLength) return sql;
+        return sql.substring(0, maxLength);
+    }
+
+    /**
+     * Reemplaza los literales de texto por ? y deja el resto de la sentencia como está
+     * (los valores de los WHERE y VALUES escritos en el SQL, además de los bindings)
+     */
+    static maskLiterals(sql) {
+        if (!sql || typeof sql !== 'string') return sql;
+        return sql.replace(/'(?:[^']|'')*'/g, '?');
+    }
+
+    /**
+     * SQL sin comentarios ni valores: literales y bindings ($1, :name, ?) quedan como ?,
+     * las listas IN (...) y las filas de VALUES se colapsan a una sola
+     */
+    static normalize(sql) {
+        if (!sql || typeof sql !== 'string') return '';
+
+        return sql
+            .replace(/'(?:[^']|'')*'/g, '?')
+            .replace(/\/\*[\s\S]*?\*\//g, ' ')
+            .replace(/--[^\n]*/g, ' ')
+            .replace(/\$\d+|(?<!:):[a-z_]\w*/gi, '?')
+            .replace(/(?<![\w$"])\d+(?:\.\d+)?(?:e[+-]?\d+)?(?![\w"])/gi, '?')
+            .replace(/\b(?:true|false)\b/gi, '?')
+            .replace(/\s+/g, ' ')
+            .replace(/\(\s*\?(?:\s*,\s*\?)+\s*\)/g, '(?)')
+            .replace(/\(\?\)(?:\s*,\s*\(\?\))+/g, '(?)')
+            .replace(/\s*;\s*$/, '')
+            .trim();
+    }
+
+    /**
+     * md5 del SQL normalizado: las sentencias que solo difieren en valores comparten fingerprint
+     */
+    static fingerprint(normalizedSql) {
+        return crypto.createHash('md5').update(normalizedSql).digest('hex');
+    }
+
+    /**
+     * Convierte los bindings a valores serializables como JSON
+     */
+    static normalizeBindings(bindings, maxItems = 100) {
+        if (bindings === null || bindings === undefined) return null;
+
+        const normalize = (value) => {
+            if (value === null || value === undefined) return null;
+            if (typeof value === 'bigint') return value.toString();
+            if (Buffer.isBuffer(value)) return `[Buffer ${value.length} bytes]`;
+            if (value instanceof Date) return value.toISOString();
+            if (typeof value === 'string' && value.length > 1000) {
+                return value.substring(0, 1000) + '...';
+            }
+            if (typeof value === 'object') {
+                try {
+                    return JSON.parse(JSON.stringify(value, (key, val) =>
+                        typeof val === 'bigint' ? val.toString() : val));
+                } catch (e) {
+                    return '[Unserializable]';
+                }
+            }
+            return value;
+        };
+
+        if (Array.isArray(bindings)) {
+            return bindings.slice(0, maxItems).map(normalize);
+        }
+
+        if (typeof bindings === 'object') {
+            return Object.fromEntries(
+                Object.entries(bindings).slice(0, maxItems).map(([key, value]) => [key, normalize(value)])
+            );
+        }
+
+        return normalize(bindings);
+    }
+}
+
+module.exports = SqlUtils;
@@ -0,0 +1,106 @@
+const crypto = require('crypto');
+
+const TRACEPARENT_REGEX = /^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})(-.*)?$/;
+const INVALID_TRACE_ID = '0'.repeat(32);
+const INVALID_SPAN_ID = '0'.repeat(16);
+const MAX_TRACESTATE_MEMBERS = 32;
+const MAX_TRACESTATE_LENGTH = 512;
+
+/**
+ * TraceContext
+ * Utilidades para los headers W3C Trace Context (traceparent / tracestate)
+ * https://www.w3.org/TR/trace-context/
+ */
+class TraceContext {
+
+    /**
+     * Parsea un header traceparent. Retorna null si es inválido
+     */
+    static parseTraceparent(header) {
+        if (typeof header !== 'string') return null;
+
+        const match = TRACEPARENT_REGEX.exec(header.trim().toLowerCase());
+        if (!match) return null;
+
+        const [, version, traceId, parentSpanId, flags, rest] = match;
+
+        // La versión ff es inválida; la 00 no admite campos extra
+        if (version === 'ff' || (version === '00' && rest)) return null;
+        if (traceId === INVALID_TRACE_ID || parentSpanId === INVALID_SPAN_ID) return null;
+
+        return {
+            version,
+            traceId,
+            parentSpanId,
+            flags,
+            sampled: (parseInt(flags, 16) & 0x01) === 0x01
+        };
+    }
+
+    /**
+     * Normaliza un header tracestate (solo se propaga si traceparent es válido)
+     */
+    static parseTracestate(header) {
+        const value = Array.isArray(header) ? header.join(',') : header;
+        if (typeof value !== 'string') return null;
+
+        const members = value
+            .split(',')
+            .map(member => member.trim())
+            .filter(member => /^[^=\s]+=[^,=\s][^,]*$/.test(member));
+
+        if (members.length === 0 || members.length > MAX_TRACESTATE_MEMBERS) return null;
+
+        const normalized = members.join(',');
+        return normalized.length <= MAX_TRACESTATE_LENGTH ? normalized : null;
+    }
+
+    /**
+     * Construye un header traceparent
+     */
+    static formatTraceparent(traceId, spanId, sampled = true) {
+        return `00-${traceId}-${spanId}-${sampled ? '01' : '00'}`;
+    }
+
+    static generateTraceId() {
+        let traceId;
+        do {
+            traceId = crypto.randomBytes(16).toString('hex');
+        } while (traceId === INVALID_TRACE_ID);
+        return traceId;
+    }
+
+    static generateSpanId() {
+        let spanId;
+        do {
+            spanId = crypto.randomBytes(8).toString('hex');
+        } while (spanId === INVALID_SPAN_ID);
+        return spanId;
+    }
+
+    static isValidTraceId(traceId) {
+        return typeof traceId === 'string' && /^[0-9a-f]{32}$/.test(traceId) && traceId !== INVALID_TRACE_ID;
+    }
+
+    static isValidSpanId(spanId) {
+        return typeof spanId === 'string' && /^[0-9a-f]{16}$/.test(spanId) && spanId !== INVALID_SPAN_ID;
+    }
+
+    /**
+     * Contexto de traza para una request entrante: continúa la traza del
+     * llamador si envió un traceparent válido, o inicia una nueva
+     */
+    static fromHeaders(headers = {}) {
+        const parent = this.parseTraceparent(headers.traceparent);
+
+        return {
+            traceId: parent ? parent.traceId : this.generateTraceId(),
+            spanId: this.generateSpanId(),
+            parentSpanId: parent ? parent.parentSpanId : null,
+            traceState: parent ? this.parseTracestate(headers.tracestate) : null,
+            sampled: parent ? parent.sampled : true
+        };
+    }
+}
+
+module.exports = TraceContext;
@@ -1,4 +1,5 @@
 const { Op } = require('sequelize');
+const net = require('net');
 
 /**
  * ValidationUtils
@@ -7,10 +8,10 @@ const { Op } = require('sequelize');
 class ValidationUtils {
     
     /**
-     * Valida UUID v4
+     * Valida UUID (cualquier versión, incluido el UUID nil del usuario de sistema)
      */
     static isValidUUID(uuid) {
-        const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+        const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
         return uuidRegex.test(uuid);
     }
 
@@ -89,6 +90,171 @@ class ValidationUtils {
         };
     }
 
+    /**
+     * Valida una plantilla de ruta usada como filtro (p. ej. /users/:id)
+     */
+    static validateRoute(route) {
+        if (!route) return { isValid: true, route: null };
+
+        const sanitized = this.sanitizeInput(route);
+        const isValid = sanitized.length > 0 && sanitized.length <= 500;
+
+        return {
+            isValid,
+            route: sanitized,
+            error: isValid ? null : 'route must be between 1 and 500 characters'
+        };
+    }
+
+    /**
+     * Valida un filtro por header: 'nombre' (tiene el header), 'nombre:valor' (valor exacto)
+     * o 'nombre:valor*' (comodines * sobre el valor, sin distinguir mayúsculas)
+     */
+    static validateHeaderFilter(header) {
+        if (!header) return { isValid: true, name: null };
+
+        if (typeof header !== 'string') {
+            return { isValid: false, error: 'header must be a string in the form name or name:value' };
+        }
+
+        const separator = header.indexOf(':');
+        const name = (separator === -1 ? header : header.substring(0, separator)).trim().toLowerCase();
+        const value = separator === -1 ? null : header.substring(separator + 1).trim();
+
+        if (!/^[!#$%&'*+.^_`|~0-9a-z-]{1,80}$/.test(name)) {
+            return { isValid: false, error: 'header name must be a valid HTTP header name of at most 80 characters' };
+        }
+
+        if (value !== null && value.length > 4000) {
+            return { isValid: false, error: 'header value cannot exceed 4000 characters' };
+        }
+
+        const pattern = value !== null && value.includes('*')
+            ? value.replace(/[\\%_]/g, '\\$&').replace(/\*/g, '%')
+            : null;
+
+        return { isValid: true, name, value, pattern };
+    }
+
+    /**
+     * Valida los filtros por parámetro de query capturado ({ nombre: valor })
+     */
+    static validateParamFilters(params) {
+        const entries = Object.entries(params || {});
+        const errors = [];
+
+        if (entries.length > 10) {
+            errors.push('No more than 10 param filters are allowed');
+        }
+
+        entries.forEach(([name, value]) => {
+            if (name.length > 100) {
+                errors.push(`param.${name.substring(0, 20)}... name cannot exceed 100 characters`);
+            }
+            if (typeof value !== 'string') {
+                errors.push(`param.${name} must be given once`);
+            } else if (value.length > 500) {
+                errors.push(`param.${name} value cannot exceed 500 characters`);
+            }
+        });
+
+        return {
+            isValid: errors.length === 0,
+            errors,
+            params: Object.fromEntries(entries)
+        };
+    }
+
+    /**
+     * Valida la métrica de recursos usada para ordenar rankings
+     */
+    static validateResourceMetric(metric) {
+        if (!metric) return { isValid: true, metric: 'cpu' };
+
+        const validMetrics = ['cpu', 'memory', 'event_loop'];
+
+        return {
+            isValid: validMetrics.includes(metric),
+            metric,
+            error: validMetrics.includes(metric) ? null : `metric must be one of: ${validMetrics.join(', ')}`
+        };
+    }
+
+    /**
+     * Valida la columna por la que se agrupan los endpoints
+     */
+    static validateGroupBy(groupBy) {
+        if (!groupBy) return { isValid: true, groupBy: 'route' };
+
+        const validColumns = ['route', 'path'];
+
+        return {
+            isValid: validColumns.includes(groupBy),
+            groupBy,
+            error: validColumns.includes(groupBy) ? null : `groupBy must be one of: ${validColumns.join(', ')}`
+        };
+    }
+
+    /**
+     * Valida cómo terminó una request
+     */
+    static validateOutcome(outcome) {
+        if (!outcome) return { isValid: true, outcome: null };
+
+        const validOutcomes = ['completed', 'aborted', 'timeout'];
+
+        return {
+            isValid: validOutcomes.includes(outcome),
+            outcome,
+            error: validOutcomes.includes(outcome) ? null : `outcome must be one of: ${validOutcomes.join(', ')}`
+        };
+    }
+
+    /**
+     * Valida el origen de una excepción (request o nivel de proceso)
+     */
+    static validateExceptionSource(source) {
+        if (!source) return { isValid: true, source: null };
+
+        const validSources = ['request', 'uncaughtException', 'unhandledRejection', 'process'];
+
+        return {
+            isValid: validSources.includes(source),
+            source,
+            error: validSources.includes(source) ? null : `source must be one of: ${validSources.join(', ')}`
+        };
+    }
+
+    /**
+     * Valida el estado de un issue
+     */
+    static validateIssueStatus(status) {
+        if (!status) return { isValid: true, status: null };
+
+        const validStatuses = ['open', 'resolved', 'ignored'];
+
+        return {
+            isValid: validStatuses.includes(status),
+            status,
+            error: validStatuses.includes(status) ? null : `status must be one of: ${validStatuses.join(', ')}`
+        };
+    }
+
+    /**
+     * Valida el criterio con que se ordena el ranking de queries
+     */
+    static validateQuerySort(sort) {
+        if (!sort) return { isValid: true, sort: 'total_time' };
+
+        const validSorts = ['total_time', 'count', 'p95'];
+
+        return {
+            isValid: validSorts.includes(sort),
+            sort,
+            error: validSorts.includes(sort) ? null : `sort must be one of: ${validSorts.join(', ')}`
+        };
+    }
+
     /**
      * Valida código de status HTTP
      */
@@ -179,6 +345,27 @@ class ValidationUtils {
         return sanitized.length > 0 ? sanitized : null;
     }
 
+    /**
+     * Valida dirección IP (v4 o v6)
+     */
+    static isValidIPAddress(ip) {
+        return typeof ip === 'string' && net.isIP(ip) !== 0;
+    }
+
+    /**
+     * Sanitiza un valor de texto antes de persistirlo
+     */
+    static sanitizeInput(value) {
+        if (value === null || value === undefined) {
+            return value;
+        }
+
+        // Remover caracteres de control y espacios sobrantes
+        return String(value)
+            .replace(/[\u0000-\u001F\u007F]/g, '')
+            .trim();
+    }
+
     /**
      * Valida data de captura de request
      */
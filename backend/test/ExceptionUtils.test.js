@@ -0,0 +1,64 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const ExceptionUtils = require('../src/utils/ExceptionUtils');
+
+describe('ExceptionUtils.normalizeMessage', () => {
+    it('replaces variable values with placeholders', () => {
+        assert.equal(
+            ExceptionUtils.normalizeMessage('User 3f2b8c1e-9d4a-4b6f-8e2d-1a2b3c4d5e6f not found'),
+            'User <uuid> not found'
+        );
+        assert.equal(
+            ExceptionUtils.normalizeMessage('Timeout after 3000ms at 2024-05-01T10:00:00.000Z'),
+            'Timeout after 3000ms at <date>'
+        );
+        assert.equal(
+            ExceptionUtils.normalizeMessage('Order 1234 for ana@example.com failed: "out of stock"'),
+            'Order <num> for <email> failed: <str>'
+        );
+        assert.equal(
+            ExceptionUtils.normalizeMessage('GET https://api.example.com/v1/items?id=9 returned 0x1f'),
+            'GET <url> returned <hex>'
+        );
+    });
+
+    it('produces the same message for the same failure with different data', () => {
+        assert.equal(
+            ExceptionUtils.normalizeMessage("Cannot read properties of undefined (reading 'id') in item 7"),
+            ExceptionUtils.normalizeMessage("Cannot read properties of undefined (reading 'name') in item 12")
+        );
+    });
+
+    it('collapses whitespace and handles missing messages', () => {
+        assert.equal(ExceptionUtils.normalizeMessage('  a \n\t b  '), 'a b');
+        assert.equal(ExceptionUtils.normalizeMessage(null), '');
+        assert.equal(ExceptionUtils.normalizeMessage(undefined), '');
+    });
+});
+
+describe('ExceptionUtils.fingerprint', () => {
+    const stack = (line) => [
+        'Error: boom',
+        `    at loadUser (/app/src/users.js:${line}:5)`,
+        '    at processTicksAndRejections (node:internal/process/task_queues:95:5)',
+        '    at handler (/app/src/routes.js:10:3)'
+    ].join('\n');
+
+    it('ignores line numbers and internal frames', () => {
+        assert.equal(
+            ExceptionUtils.fingerprint('TypeError', 'User 1 not found', stack(10)),
+            ExceptionUtils.fingerprint('TypeError', 'User 2 not found', stack(42))
+        );
+        assert.deepEqual(
+            ExceptionUtils.topFrames(stack(10)),
+            ['loadUser@/app/src/users.js', 'handler@/app/src/routes.js']
+        );
+    });
+
+    it('separates different types and code paths', () => {
+        const base = ExceptionUtils.fingerprint('TypeError', 'boom', stack(10));
+
+        assert.notEqual(ExceptionUtils.fingerprint('RangeError', 'boom', stack(10)), base);
+        assert.notEqual(ExceptionUtils.fingerprint('TypeError', 'boom', stack(10).replace('loadUser', 'loadOrder')), base);
+    });
+});
@@ -0,0 +1,60 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const ModrMiddleware = require('../src/middlewares/MonitoringMiddleware');
+
+describe('MonitoringMiddleware response bodies', () => {
+    const captures = [];
+    let server;
+    let baseUrl;
+
+    before(async () => {
+        const monitoring = new ModrMiddleware(null);
+
+        // Se registra el resultado de la validación real en lugar de encolar la captura
+        monitoring.captureService.enqueueCapture = (requestData) => {
+            const validation = monitoring.captureService.validateRequestData(requestData);
+            captures.push({ requestData, validation });
+            return { success: validation.isValid };
+        };
+
+        const app = express();
+        app.use(monitoring.capture());
+        app.get('/text', (req, res) => res.send('hello world'));
+        app.get('/html', (req, res) => res.type('html').send('<h1>Orders</h1>'));
+        app.get('/json', (req, res) => res.json({ id: 1 }));
+        app.get('/json-string', (req, res) => res.type('json').send('{"id":2}'));
+
+        await new Promise(resolve => {
+            server = app.listen(0, '127.0.0.1', resolve);
+        });
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(() => new Promise(resolve => server.close(resolve)));
+
+    // La captura se arma en 'finish', después de que el cliente recibe la respuesta
+    const request = async (path) => {
+        const count = captures.length;
+        await (await fetch(baseUrl + path)).text();
+        while (captures.length === count) {
+            await new Promise(resolve => setTimeout(resolve, 5));
+        }
+        return captures[captures.length - 1];
+    };
+
+    it('records text and HTML responses with the body only in the preview', async () => {
+        for (const [path, preview] of [['/text', 'hello world'], ['/html', '<h1>Orders</h1>']]) {
+            const { requestData, validation } = await request(path);
+
+            assert.equal(validation.isValid, true, validation.errors.join(', '));
+            assert.equal(requestData.responseBody, null);
+            assert.equal(requestData.response.preview, preview);
+        }
+    });
+
+    it('keeps JSON responses as the response body', async () => {
+        assert.deepEqual((await request('/json')).requestData.responseBody, { id: 1 });
+        assert.deepEqual((await request('/json-string')).requestData.responseBody, { id: 2 });
+    });
+});
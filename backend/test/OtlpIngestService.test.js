@@ -0,0 +1,90 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const OtlpIngestService = require('../src/services/request/OtlpIngestService');
+
+const TRACE_ID = '4bf92f3577b34da6a3ce929d0e0e4736';
+
+// Export con un span SERVER y un span de base de datos hijo
+const payload = (operation = 'findOne') => ({
+    resourceSpans: [{
+        resource: { attributes: [] },
+        scopeSpans: [{
+            spans: [
+                {
+                    traceId: TRACE_ID,
+                    spanId: '00f067aa0ba902b7',
+                    name: 'GET /users',
+                    kind: 2,
+                    startTimeUnixNano: '1700000000000000000',
+                    endTimeUnixNano: '1700000000050000000',
+                    attributes: [
+                        { key: 'http.request.method', value: { stringValue: 'GET' } },
+                        { key: 'url.path', value: { stringValue: '/users' } },
+                        { key: 'http.response.status_code', value: { intValue: 200 } }
+                    ]
+                },
+                {
+                    traceId: TRACE_ID,
+                    spanId: '00f067aa0ba902b8',
+                    parentSpanId: '00f067aa0ba902b7',
+                    name: 'db',
+                    kind: 3,
+                    startTimeUnixNano: '1700000000010000000',
+                    endTimeUnixNano: '1700000000020000000',
+                    attributes: [
+                        { key: 'db.system', value: { stringValue: 'postgresql' } },
+                        { key: 'db.operation.name', value: { stringValue: operation } },
+                        { key: 'db.query.text', value: { stringValue: 'select * from users where id = $1' } }
+                    ]
+                }
+            ]
+        }]
+    }]
+});
+
+describe('OtlpIngestService.ingestTraces', () => {
+    let service;
+    let written;
+    let stored;
+
+    beforeEach(() => {
+        service = new OtlpIngestService();
+        written = [];
+        stored = new Set();
+
+        // Base de datos en memoria: los uuids escritos quedan guardados para el siguiente export
+        service.findStoredRequestUuids = async uuids => new Set(uuids.filter(uuid => stored.has(uuid)));
+        service.captureService.executeBatchCapture = async items => {
+            items.forEach(item => stored.add(item.uuid));
+            written.push(...items);
+            return items;
+        };
+    });
+
+    it('derives the same request uuid from the same span', async () => {
+        const other = new OtlpIngestService();
+        const [first] = service.flattenSpans(payload().resourceSpans);
+        const [second] = other.flattenSpans(payload().resourceSpans);
+
+        assert.equal(service.mapRequest(first).uuid, other.mapRequest(second).uuid);
+    });
+
+    it('skips request spans already ingested by an earlier export', async () => {
+        const first = await service.ingestTraces(payload());
+        const retry = await service.ingestTraces(payload());
+
+        assert.equal(first.data.requests, 1);
+        assert.equal(first.data.queries, 1);
+        assert.equal(retry.data.requests, 0);
+        assert.equal(retry.data.queries, 0);
+        assert.equal(retry.data.duplicateSpans, 1);
+        assert.equal(retry.data.rejectedSpans, 0);
+        assert.equal(written.length, 1);
+    });
+
+    it('detects the query type from the statement instead of db.operation.name', async () => {
+        await service.ingestTraces(payload('findOne'));
+
+        assert.equal(written[0].queries[0].type, 'SELECT');
+    });
+});
@@ -0,0 +1,32 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const ProcessInstrumentation = require('../src/instrumentation/ProcessInstrumentation');
+
+describe('ProcessInstrumentation.handle', () => {
+    it('logs an error raised while another one is being captured', async (t) => {
+        const logged = t.mock.method(console, 'error', () => {});
+
+        // La primera captura queda pendiente hasta que se libera
+        let release;
+        const captured = [];
+        const captureService = {
+            captureException: data => {
+                captured.push(data.message);
+                return new Promise(resolve => { release = () => resolve({ success: true }); });
+            }
+        };
+
+        const target = new EventEmitter();
+        new ProcessInstrumentation(captureService, { exitOnUnhandledRejection: false }).instrument(target);
+
+        target.emit('unhandledRejection', new Error('first'));
+        target.emit('unhandledRejection', new Error('second'));
+        release();
+        await new Promise(resolve => setImmediate(resolve));
+
+        assert.deepEqual(captured, ['first']);
+        assert.equal(logged.mock.callCount(), 1);
+        assert.equal(logged.mock.calls[0].arguments[1].message, 'second');
+    });
+});
@@ -0,0 +1,89 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const Redactor = require('../src/utils/Redactor');
+
+describe('Redactor', () => {
+    it('masks sensitive keys with the default rules', () => {
+        const redactor = new Redactor();
+        const result = redactor.redact({ user: 'ana', password: 'hunter2', nested: { accessToken: 'abc' } });
+
+        assert.deepEqual(result, { user: 'ana', password: '[REDACTED]', nested: { accessToken: '[REDACTED]' } });
+    });
+
+    it('drops credential headers only in the headers scope', () => {
+        const redactor = new Redactor();
+
+        assert.deepEqual(redactor.redact({ authorization: 'Bearer x', accept: 'json' }, 'headers'), { accept: 'json' });
+        assert.deepEqual(redactor.redact({ cookie: 'a=1' }, 'body'), { cookie: 'a=1' });
+    });
+
+    it('never mutates its input', () => {
+        const redactor = new Redactor();
+        const input = { password: 'hunter2', items: [{ secret: 1 }] };
+
+        redactor.redact(input);
+
+        assert.deepEqual(input, { password: 'hunter2', items: [{ secret: 1 }] });
+    });
+
+    it('masks card numbers that pass the Luhn check and keeps other digit runs', () => {
+        const redactor = new Redactor();
+
+        assert.equal(redactor.redact('card 4111 1111 1111 1111 ok'), 'card [REDACTED] ok');
+        assert.equal(redactor.redact('order 1234567890123'), 'order 1234567890123');
+    });
+
+    it('applies path rules with wildcards', () => {
+        const redactor = new Redactor({
+            useDefaults: false,
+            rules: [{ path: '$.items[*].card', strategy: 'drop' }]
+        });
+
+        assert.deepEqual(
+            redactor.redact({ items: [{ id: 1, card: 'x' }, { id: 2, card: 'y' }], card: 'z' }),
+            { items: [{ id: 1 }, { id: 2 }], card: 'z' }
+        );
+    });
+
+    it('hashes values deterministically with the configured salt', () => {
+        const rules = [{ key: 'email', strategy: 'hash' }];
+        const first = new Redactor({ useDefaults: false, rules, hashSalt: 'a' });
+        const second = new Redactor({ useDefaults: false, rules, hashSalt: 'b' });
+
+        const hashed = first.redact({ email: 'ana@example.com' }).email;
+
+        assert.match(hashed, /^sha256:[0-9a-f]{16}$/);
+        assert.equal(first.redact({ email: 'ana@example.com' }).email, hashed);
+        assert.notEqual(second.redact({ email: 'ana@example.com' }).email, hashed);
+    });
+
+    it('drops whole strings matched by a value rule with the drop strategy', () => {
+        const redactor = new Redactor({ useDefaults: false, rules: [{ value: 'email', strategy: 'drop', scope: 'metadata' }] });
+
+        assert.deepEqual(redactor.redact(['keep', 'mail ana@example.com'], 'metadata'), ['keep']);
+    });
+
+    it('applies key and value rules to JSON text cut in the middle', () => {
+        const redactor = new Redactor();
+        const text = '{"user":"ana","password":"hunter2","card":"4111 1111 1111 1111","nested":{"accessToken":"abc';
+
+        assert.equal(
+            redactor.redactJsonText(text),
+            '{"user":"ana","password":"[REDACTED]","card":"[REDACTED]","nested":{"accessToken":"[REDACTED]"'
+        );
+    });
+
+    it('returns the data untouched when disabled', () => {
+        const redactor = new Redactor({ enabled: false });
+        const input = { password: 'hunter2' };
+
+        assert.equal(redactor.redact(input), input);
+    });
+
+    it('rejects invalid rules', () => {
+        assert.throws(() => new Redactor({ rules: [{ strategy: 'mask' }] }), /needs a path, key or value selector/);
+        assert.throws(() => new Redactor({ rules: [{ key: 'a', strategy: 'encrypt' }] }), /invalid strategy/);
+        assert.throws(() => new Redactor({ rules: [{ key: 'a', scope: 'cookies' }] }), /invalid scope/);
+        assert.throws(() => new Redactor({ rules: [{ value: 'phone' }] }), /unknown value pattern/);
+    });
+});
@@ -0,0 +1,56 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const RequestContext = require('../src/core/context/RequestContext');
+const RequestService = require('../src/services/monitoring/RequestService');
+
+describe('RequestContext limits', () => {
+    it('counts the items dropped by a full context on the request and in the totals', () => {
+        const before = RequestContext.getDropped();
+        const context = RequestContext.create('req-1', { maxQueries: 2, maxLogs: 1 });
+
+        RequestContext.run(context, () => {
+            // Mismas llamadas que hacen las instrumentaciones, que ignoran el valor de retorno
+            for (let i = 0; i < 5; i++) {
+                RequestContext.addQuery({ sql: `SELECT ${i}` });
+            }
+            RequestContext.addLog({ message: 'first' });
+            RequestContext.addLog({ message: 'second' });
+        });
+
+        assert.equal(context.queries.length, 2);
+        assert.deepEqual(context.dropped, { queries: 3, exceptions: 0, logs: 1 });
+
+        const after = RequestContext.getDropped();
+        assert.equal(after.queries - before.queries, 3);
+        assert.equal(after.logs - before.logs, 1);
+        assert.equal(after.exceptions - before.exceptions, 0);
+    });
+
+    it('does not count items added outside a request', () => {
+        const before = RequestContext.getDropped();
+
+        assert.equal(RequestContext.addQuery({ sql: 'SELECT 1' }), false);
+        assert.deepEqual(RequestContext.getDropped(), before);
+    });
+});
+
+describe('RequestService.getContextLimitWarnings', () => {
+    const service = new RequestService();
+
+    it('reports each kind of dropped item as a warning', () => {
+        const warnings = service.getContextLimitWarnings({
+            _modr_dropped: { queries: 12, exceptions: 0, logs: 3 }
+        });
+
+        assert.deepEqual(warnings.map(warning => [warning.kind, warning.dropped_count]), [
+            ['queries', 12],
+            ['logs', 3]
+        ]);
+        assert.ok(warnings.every(warning => warning.type === 'context_limit'));
+    });
+
+    it('returns no warnings when nothing was dropped', () => {
+        assert.deepEqual(service.getContextLimitWarnings(null), []);
+        assert.deepEqual(service.getContextLimitWarnings({ tenant: 'acme' }), []);
+    });
+});
@@ -0,0 +1,108 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const Sampler = require('../src/core/sampling/Sampler');
+
+const summary = (overrides = {}) => ({
+    method: 'GET',
+    path: '/api/orders',
+    statusCode: 200,
+    duration: 10,
+    outcome: 'completed',
+    ...overrides
+});
+
+describe('Sampler', () => {
+    it('keeps every request at the default rate', () => {
+        const sampler = new Sampler();
+
+        assert.deepEqual(sampler.decideHead('GET', '/api/orders'), { sampled: true, rate: 1 });
+    });
+
+    it('uses the first route rule that matches the method and path', () => {
+        const sampler = new Sampler({
+            rate: 0.5,
+            routes: [
+                { path: '/api/health', rate: 0 },
+                { path: '/api/orders/*', method: 'post', rate: 1 },
+                { path: '/api/orders/*', rate: 0.1 }
+            ]
+        });
+
+        assert.equal(sampler.getRate('GET', '/api/health'), 0);
+        assert.equal(sampler.getRate('POST', '/api/orders/7'), 1);
+        assert.equal(sampler.getRate('GET', '/api/orders/7'), 0.1);
+        assert.equal(sampler.getRate('GET', '/api/users'), 0.5);
+    });
+
+    it('never samples a route with rate 0', () => {
+        const sampler = new Sampler({ routes: [{ path: '/api/health', rate: 0 }] });
+
+        for (let i = 0; i < 20; i++) {
+            assert.equal(sampler.decideHead('GET', '/api/health').sampled, false);
+        }
+    });
+
+    it('keeps errors, interrupted, slow and listed-user requests dropped by head sampling', () => {
+        const sampler = new Sampler({ rate: 0, alwaysKeep: { slowerThan: 1000, users: [42] } });
+        const head = sampler.decideHead('GET', '/api/orders');
+
+        assert.deepEqual(sampler.decideTail(head, summary({ statusCode: 503 })), { keep: true, rate: 1, reason: 'errors' });
+        assert.deepEqual(sampler.decideTail(head, summary({ outcome: 'timeout' })), { keep: true, rate: 1, reason: 'errors' });
+        assert.deepEqual(sampler.decideTail(head, summary({ duration: 1500 })), { keep: true, rate: 1, reason: 'slow' });
+        assert.deepEqual(sampler.decideTail(head, summary({ userId: '42' })), { keep: true, rate: 1, reason: 'users' });
+        assert.deepEqual(sampler.decideTail(head, summary()), { keep: false, rate: 0, reason: 'head' });
+    });
+
+    it('lets the tail function override the head decision', () => {
+        const sampler = new Sampler({
+            rate: 0,
+            alwaysKeep: { errors: false },
+            tail: ({ statusCode }) => statusCode === 404 ? true : null
+        });
+        const head = sampler.decideHead('GET', '/api/orders');
+
+        assert.deepEqual(sampler.decideTail(head, summary({ statusCode: 404 })), { keep: true, rate: 1, reason: 'tail' });
+        assert.deepEqual(sampler.decideTail(head, summary()), { keep: false, rate: 0, reason: 'head' });
+    });
+
+    it('clamps tail rates to the 0 - 1 range', () => {
+        const sampler = new Sampler();
+
+        assert.equal(sampler.normalizeTailRate(3), 1);
+        assert.equal(sampler.normalizeTailRate(-1), 0);
+        assert.equal(sampler.normalizeTailRate(false), 0);
+        assert.equal(sampler.normalizeTailRate('0.5'), null);
+    });
+
+    it('can only keep late requests when an always keep rule or tail is set', () => {
+        assert.equal(new Sampler({ alwaysKeep: { errors: false } }).canKeepLate(), false);
+        assert.equal(new Sampler().canKeepLate(), true);
+    });
+
+    it('counts the decisions in its metrics', () => {
+        const sampler = new Sampler({ rate: 0 });
+        const head = sampler.decideHead('GET', '/api/orders');
+
+        sampler.decideTail(head, summary());
+        sampler.decideTail(head, summary({ statusCode: 500 }));
+
+        const metrics = sampler.getMetrics();
+        assert.equal(metrics.seen, 2);
+        assert.equal(metrics.kept, 1);
+        assert.equal(metrics.dropped, 1);
+        assert.equal(metrics.keptBy.errors, 1);
+    });
+
+    it('keeps everything with rate 1 when disabled', () => {
+        const sampler = new Sampler({ enabled: false, rate: 0 });
+
+        assert.deepEqual(sampler.decideHead('GET', '/api/orders'), { sampled: true, rate: 1 });
+        assert.deepEqual(sampler.decideTail({ sampled: false, rate: 0 }, summary()), { keep: true, rate: 1, reason: 'head' });
+    });
+
+    it('rejects invalid configurations', () => {
+        assert.throws(() => new Sampler({ rate: 2 }), /Invalid sampling rate/);
+        assert.throws(() => new Sampler({ routes: [{ rate: 1 }] }), /needs a path/);
+        assert.throws(() => new Sampler({ tail: 0.5 }), /tail must be a function/);
+    });
+});
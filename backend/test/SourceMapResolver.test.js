@@ -0,0 +1,63 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const SourceMapResolver = require('../src/core/stack/SourceMapResolver');
+
+// Mapa mínimo: la línea 1 del archivo generado viene de la línea 1 de src/orders.ts
+const SOURCE_MAP = JSON.stringify({ version: 3, sources: ['src/orders.ts'], names: [], mappings: 'AAAA' });
+
+describe('SourceMapResolver', () => {
+    let root;
+    let outside;
+
+    const frame = (file) => ({ function: 'load', file, line: 1, column: 1, inApp: true, internal: false });
+
+    before(async () => {
+        root = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), 'modr-maps-')));
+        outside = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), 'modr-outside-')));
+
+        for (const directory of [root, outside]) {
+            await fs.writeFile(path.join(directory, 'orders.js'), 'load();\n//# sourceMappingURL=orders.js.map\n');
+            await fs.writeFile(path.join(directory, 'orders.js.map'), SOURCE_MAP);
+        }
+        await fs.symlink(path.join(outside, 'orders.js'), path.join(root, 'linked.js'));
+    });
+
+    after(async () => {
+        await fs.rm(root, { recursive: true, force: true });
+        await fs.rm(outside, { recursive: true, force: true });
+    });
+
+    it('resolves frames of generated files under a root', async () => {
+        const [resolved] = await new SourceMapResolver({ roots: [root] }).resolve([frame(path.join(root, 'orders.js'))]);
+
+        assert.equal(resolved.file, path.join(root, 'src/orders.ts'));
+        assert.equal(resolved.line, 1);
+        assert.equal(resolved.generated.file, path.join(root, 'orders.js'));
+    });
+
+    it('leaves frames outside the roots untouched', async () => {
+        const original = frame(path.join(outside, 'orders.js'));
+        const resolver = new SourceMapResolver({ roots: [root] });
+
+        assert.deepEqual(await resolver.resolve([original]), [original]);
+        assert.deepEqual(await resolver.resolve([frame(path.join(root, '..', path.basename(outside), 'orders.js'))]),
+            [frame(path.join(root, '..', path.basename(outside), 'orders.js'))]);
+    });
+
+    it('does not follow symlinks out of the roots', async () => {
+        const original = frame(path.join(root, 'linked.js'));
+
+        assert.deepEqual(await new SourceMapResolver({ roots: [root] }).resolve([original]), [original]);
+    });
+
+    it('skips files over the size limit and non regular files', async () => {
+        const large = frame(path.join(root, 'orders.js'));
+        const device = frame('/dev/zero');
+
+        assert.deepEqual(await new SourceMapResolver({ roots: [root], maxFileSize: 10 }).resolve([large]), [large]);
+        assert.deepEqual(await new SourceMapResolver({ roots: ['/dev'] }).resolve([device]), [device]);
+    });
+});
@@ -0,0 +1,77 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const SpillBuffer = require('../src/core/queue/SpillBuffer');
+
+const items = ['a', 'b', 'c'].map(uuid => ({ uuid }));
+
+describe('SpillBuffer.replay', () => {
+    let directory;
+
+    beforeEach(async () => {
+        directory = await fs.mkdtemp(path.join(os.tmpdir(), 'modr-spill-test-'));
+    });
+
+    afterEach(async () => {
+        await fs.rm(directory, { recursive: true, force: true });
+    });
+
+    it('counts the captures the handler could not write as discarded', async () => {
+        const buffer = new SpillBuffer({ directory });
+        buffer.setHandler(async batch => batch.filter(item => item.uuid !== 'b'));
+
+        await buffer.write(items);
+        await buffer.replay();
+
+        const metrics = buffer.getMetrics();
+        assert.equal(metrics.replayed, 2);
+        assert.equal(metrics.discarded, 1);
+        assert.equal(metrics.pending, 0);
+    });
+
+    it('keeps only the captures not yet written when the database goes away mid batch', async () => {
+        const written = [];
+        const buffer = new SpillBuffer({ directory, retryable: error => error.retryable });
+
+        buffer.setHandler(async batch => {
+            written.push(batch[0].uuid);
+            throw Object.assign(new Error('connection lost'), { retryable: true, pendingItems: batch.slice(1) });
+        });
+        await buffer.write(items);
+        await buffer.replay();
+
+        buffer.setHandler(async batch => {
+            written.push(...batch.map(item => item.uuid));
+            return batch;
+        });
+        await buffer.replay();
+
+        assert.deepEqual(written, ['a', 'b', 'c']);
+        assert.equal(buffer.getMetrics().pending, 0);
+    });
+});
+
+describe('SpillBuffer.write', () => {
+    let parent;
+
+    beforeEach(async () => {
+        parent = await fs.mkdtemp(path.join(os.tmpdir(), 'modr-spill-test-'));
+    });
+
+    afterEach(async () => {
+        await fs.rm(parent, { recursive: true, force: true });
+    });
+
+    it('creates the directory and spill files readable only by the process user', async () => {
+        const directory = path.join(parent, 'spill');
+        const buffer = new SpillBuffer({ directory });
+
+        await buffer.write(items);
+
+        const [name] = await fs.readdir(directory);
+        assert.equal((await fs.stat(directory)).mode & 0o777, 0o700);
+        assert.equal((await fs.stat(path.join(directory, name))).mode & 0o777, 0o600);
+    });
+});
@@ -0,0 +1,74 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const SqlUtils = require('../src/utils/SqlUtils');
+
+describe('SqlUtils.normalize', () => {
+    it('replaces literals and bindings with ?', () => {
+        assert.equal(
+            SqlUtils.normalize("SELECT * FROM users WHERE id = 42 AND name = 'O''Brien' AND active = true"),
+            'SELECT * FROM users WHERE id = ? AND name = ? AND active = ?'
+        );
+        assert.equal(
+            SqlUtils.normalize('SELECT * FROM users WHERE id = $1 AND email = :email'),
+            'SELECT * FROM users WHERE id = ? AND email = ?'
+        );
+    });
+
+    it('keeps digits that are part of identifiers and casts', () => {
+        assert.equal(
+            SqlUtils.normalize('SELECT "t1"."col2" FROM table3 AS t1 WHERE created::date = 1.5e3'),
+            'SELECT "t1"."col2" FROM table3 AS t1 WHERE created::date = ?'
+        );
+    });
+
+    it('collapses IN lists and VALUES rows', () => {
+        assert.equal(
+            SqlUtils.normalize('SELECT * FROM users WHERE id IN (1, 2, 3)'),
+            'SELECT * FROM users WHERE id IN (?)'
+        );
+        assert.equal(
+            SqlUtils.normalize("INSERT INTO tags (name) VALUES ('a'), ('b'), ('c')"),
+            'INSERT INTO tags (name) VALUES (?)'
+        );
+    });
+
+    it('strips comments, extra whitespace and the trailing semicolon', () => {
+        assert.equal(
+            SqlUtils.normalize('/* app:orders */ SELECT *\n  FROM orders -- latest\n  LIMIT 10;'),
+            'SELECT * FROM orders LIMIT ?'
+        );
+    });
+
+    it('returns an empty string for missing SQL', () => {
+        assert.equal(SqlUtils.normalize(null), '');
+        assert.equal(SqlUtils.normalize(42), '');
+    });
+
+    it('gives statements that only differ in values the same fingerprint', () => {
+        const first = SqlUtils.fingerprint(SqlUtils.normalize('SELECT * FROM users WHERE id = 1'));
+        const second = SqlUtils.fingerprint(SqlUtils.normalize('SELECT * FROM users WHERE id = 2'));
+        const other = SqlUtils.fingerprint(SqlUtils.normalize('SELECT * FROM posts WHERE id = 1'));
+
+        assert.match(first, /^[0-9a-f]{32}$/);
+        assert.equal(first, second);
+        assert.notEqual(first, other);
+    });
+});
+
+describe('SqlUtils.detectType', () => {
+    it('returns the statement keyword in upper case', () => {
+        assert.equal(SqlUtils.detectType('  select 1'), 'SELECT');
+        assert.equal(SqlUtils.detectType('(SELECT 1) UNION (SELECT 2)'), 'SELECT');
+        assert.equal(SqlUtils.detectType(''), 'query');
+    });
+});
+
+describe('SqlUtils.maskLiterals', () => {
+    it('replaces text literals and keeps the rest of the statement', () => {
+        assert.equal(
+            SqlUtils.maskLiterals("SELECT * FROM users WHERE email = 'ana@example.com' AND note = 'it''s' AND id = 7"),
+            'SELECT * FROM users WHERE email = ? AND note = ? AND id = 7'
+        );
+        assert.equal(SqlUtils.maskLiterals(null), null);
+    });
+});
@@ -0,0 +1,56 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const StackTraceParser = require('../src/core/stack/StackTraceParser');
+
+describe('StackTraceParser.parse', () => {
+    it('parses named, anonymous and async frames', () => {
+        const frames = StackTraceParser.parse([
+            'TypeError: Cannot read properties of undefined',
+            '    at UserService.load (/app/src/services/UserService.js:42:17)',
+            '    at /app/src/routes/users.js:8:5',
+            '    at async Promise.all (index 0)',
+            '    at new Router (file:///app/src/router.mjs:3:9)'
+        ].join('\n'));
+
+        assert.deepEqual(frames, [
+            { function: 'UserService.load', file: '/app/src/services/UserService.js', line: 42, column: 17, inApp: true, internal: false },
+            { function: null, file: '/app/src/routes/users.js', line: 8, column: 5, inApp: true, internal: false },
+            { function: 'Promise.all', file: 'index 0', line: null, column: null, inApp: false, internal: true },
+            { function: 'Router', file: '/app/src/router.mjs', line: 3, column: 9, inApp: true, internal: false }
+        ]);
+    });
+
+    it('flags Node internals and dependencies as not in app', () => {
+        const [internal, dependency] = StackTraceParser.parse([
+            'Error',
+            '    at listOnTimeout (node:internal/timers:573:17)',
+            '    at Query.run (/app/node_modules/sequelize/lib/query.js:10:2)'
+        ].join('\n'));
+
+        assert.equal(internal.internal, true);
+        assert.equal(internal.inApp, false);
+        assert.equal(dependency.internal, false);
+        assert.equal(dependency.inApp, false);
+    });
+
+    it('stops at the frame limit', () => {
+        const stack = ['Error', ...Array.from({ length: 10 }, (_, i) => `    at f${i} (/app/a.js:${i + 1}:1)`)].join('\n');
+
+        assert.equal(StackTraceParser.parse(stack, 3).length, 3);
+        assert.equal(StackTraceParser.parse(stack).length, 10);
+    });
+
+    it('returns no frames for empty or non string stacks', () => {
+        assert.deepEqual(StackTraceParser.parse(''), []);
+        assert.deepEqual(StackTraceParser.parse(null), []);
+        assert.deepEqual(StackTraceParser.parse('Error: no frames here'), []);
+    });
+});
+
+describe('StackTraceParser.relativeFile', () => {
+    it('strips the project directory and everything before node_modules', () => {
+        assert.equal(StackTraceParser.relativeFile(`${process.cwd()}/src/app.js`), 'src/app.js');
+        assert.equal(StackTraceParser.relativeFile('/srv/x/node_modules/pg/lib/client.js'), 'node_modules/pg/lib/client.js');
+        assert.equal(StackTraceParser.relativeFile('/other/file.js'), '/other/file.js');
+    });
+});
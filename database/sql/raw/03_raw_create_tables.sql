@@ -23,6 +23,16 @@ CREATE TABLE users (
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Tabla: user_identities (ids de usuario de cada aplicación vinculados a un usuario de MODR)
+CREATE TABLE user_identities (
+    identity_id SERIAL PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+    provider VARCHAR(50) NOT NULL, -- Esquema del id: default, email, jwt, o el que configure la aplicación
+    external_id VARCHAR(255) NOT NULL, -- Id del usuario en la aplicación (numérico, email, sub, UUID)
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (provider, external_id)
+);
+
 -- Tabla: status
 CREATE TABLE status (
     status_id SERIAL PRIMARY KEY,
@@ -61,6 +71,11 @@ CREATE TABLE responses (
     response_id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
     content JSON,
     size FLOAT, -- Tamaño de la respuesta en KB
+    bytes BIGINT, -- Bytes exactos del body enviados al cliente
+    content_type VARCHAR(255),
+    content_encoding VARCHAR(50), -- gzip, br, deflate (NULL si no hubo compresión)
+    preview TEXT, -- Primeros bytes del body, solo para tipos de texto
+    truncated BOOLEAN NOT NULL DEFAULT FALSE, -- El preview no contiene el body completo
     sent_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
@@ -73,34 +88,137 @@ CREATE TABLE requests (
     response_id UUID REFERENCES responses(response_id) ON DELETE SET NULL,
     path VARCHAR(255) NOT NULL,
     controller VARCHAR(255) NOT NULL,
+    route VARCHAR(500), -- Plantilla de la ruta (/users/:id) para agrupar endpoints
     happened TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
     duration FLOAT, -- Duración en milisegundos
     made_by UUID REFERENCES users(user_id) ON DELETE SET NULL,
+    trace_id CHAR(32), -- W3C trace-id compartido por todos los servicios de la traza
+    span_id CHAR(16), -- W3C span-id de esta request
+    parent_span_id CHAR(16), -- span-id del llamador (NULL si es la raíz)
+    sample_rate REAL NOT NULL DEFAULT 1 CHECK (sample_rate > 0 AND sample_rate <= 1), -- Probabilidad con que se guardó
+    query_params JSONB, -- Query string parseada (req.query), ya redactada
+    outcome VARCHAR(10) NOT NULL DEFAULT 'completed' CHECK (outcome IN ('completed', 'aborted', 'timeout')),
+    slow_queries INTEGER NOT NULL DEFAULT 0, -- Queries que superaron el umbral de query lenta
+    metadata JSONB, -- Datos propios asociados por la aplicación durante la request
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Tabla: header_values (valores deduplicados: user-agent, accept, etc. se repiten en casi todas las requests)
+CREATE TABLE header_values (
+    value_id SERIAL PRIMARY KEY,
+    value_hash CHAR(32) NOT NULL UNIQUE, -- md5 del valor, para buscar y deduplicar sin indexar el texto completo
+    value TEXT NOT NULL -- Valor ya redactado
+);
+
 -- Tabla: request_headers (relación muchos a muchos)
 CREATE TABLE request_headers (
     request_id UUID NOT NULL REFERENCES requests(request_id) ON DELETE CASCADE,
     header_id INTEGER NOT NULL REFERENCES headers(header_id) ON DELETE CASCADE,
-    PRIMARY KEY (request_id, header_id)
+    direction VARCHAR(8) NOT NULL DEFAULT 'request' CHECK (direction IN ('request', 'response')),
+    value_id INTEGER REFERENCES header_values(value_id) ON DELETE SET NULL,
+    PRIMARY KEY (request_id, direction, header_id)
+);
+
+-- Tabla: query_fingerprints (sentencias normalizadas: sin literales ni bindings)
+CREATE TABLE query_fingerprints (
+    fingerprint_id SERIAL PRIMARY KEY,
+    fingerprint CHAR(32) NOT NULL UNIQUE, -- md5 del SQL normalizado
+    normalized_sql TEXT NOT NULL,
+    type VARCHAR(30) -- SELECT, INSERT, UPDATE, DELETE, etc.
 );
 
 -- Tabla: queries
 CREATE TABLE queries (
     query_id SERIAL PRIMARY KEY,
     request_id UUID NOT NULL REFERENCES requests(request_id) ON DELETE CASCADE,
+    fingerprint_id INTEGER REFERENCES query_fingerprints(fingerprint_id) ON DELETE SET NULL,
     sql TEXT NOT NULL,
     duration FLOAT NOT NULL, -- Duración en milisegundos
+    slow BOOLEAN NOT NULL DEFAULT FALSE, -- Superó el umbral de query lenta al capturarse
+    type VARCHAR(30), -- SELECT, INSERT, UPDATE, DELETE, etc.
+    bindings JSON, -- Parámetros enviados con la sentencia
     executed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Tabla: n_plus_one_queries (fingerprints repetidos en bucle dentro de una request)
+CREATE TABLE n_plus_one_queries (
+    detection_id SERIAL PRIMARY KEY,
+    request_id UUID NOT NULL REFERENCES requests(request_id) ON DELETE CASCADE,
+    fingerprint_id INTEGER REFERENCES query_fingerprints(fingerprint_id) ON DELETE SET NULL,
+    sql TEXT NOT NULL, -- Primera ejecución del bucle
+    repeat_count INTEGER NOT NULL, -- Ejecuciones del fingerprint dentro del bucle
+    total_duration FLOAT NOT NULL DEFAULT 0, -- Suma de sus duraciones en milisegundos
+    detected_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Tabla: issues
+CREATE TABLE issues (
+    issue_id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    fingerprint VARCHAR(40) NOT NULL UNIQUE, -- sha1 de tipo, mensaje normalizado y frames superiores
+    type VARCHAR(100),
+    message TEXT NOT NULL, -- Mensaje de la primera ocurrencia
+    status VARCHAR(10) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'resolved', 'ignored')),
+    occurrences INTEGER NOT NULL DEFAULT 0,
+    first_seen TIMESTAMP NOT NULL,
+    last_seen TIMESTAMP NOT NULL,
+    resolved_at TIMESTAMP,
+    reopened_count INTEGER NOT NULL DEFAULT 0,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Tabla: issue_routes
+CREATE TABLE issue_routes (
+    issue_id UUID NOT NULL REFERENCES issues(issue_id) ON DELETE CASCADE,
+    route VARCHAR(500) NOT NULL, -- Plantilla de la ruta (o path) donde ocurrió
+    occurrences INTEGER NOT NULL DEFAULT 0,
+    last_seen TIMESTAMP NOT NULL,
+    PRIMARY KEY (issue_id, route)
+);
+
 -- Tabla: exceptions
 CREATE TABLE exceptions (
     exception_id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
-    request_id UUID NOT NULL REFERENCES requests(request_id) ON DELETE CASCADE,
+    request_id UUID REFERENCES requests(request_id) ON DELETE CASCADE, -- NULL si ocurrió fuera de una request
+    issue_id UUID REFERENCES issues(issue_id) ON DELETE SET NULL,
     message TEXT NOT NULL,
     type VARCHAR(100), -- Tipo de excepción: 'business', 'validation', 'system'
     stack_trace TEXT, -- Opcional, para errores técnicos
+    frames JSONB, -- Frames parseados del stack (function, file, line, column, inApp), resueltos con source maps
+    file VARCHAR(500), -- Archivo de origen (informado o primer frame de la aplicación)
+    line INTEGER,
+    code VARCHAR(100), -- Código del error (ECONNREFUSED, ERR_INVALID_ARG_TYPE...)
+    source VARCHAR(30) NOT NULL DEFAULT 'request', -- request, uncaughtException, unhandledRejection, process
+    process_info JSONB, -- pid, host, versión de Node, memoria y uptime del proceso
     occurred_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-);
\ No newline at end of file
+);
+
+-- Tabla: logs
+CREATE TABLE logs (
+    log_id SERIAL PRIMARY KEY,
+    request_id UUID NOT NULL REFERENCES requests(request_id) ON DELETE CASCADE,
+    level VARCHAR(10) NOT NULL, -- trace, debug, info, warn, error, fatal
+    message TEXT NOT NULL,
+    context JSONB, -- Datos estructurados de la línea de log
+    source VARCHAR(20), -- console, pino, winston, api
+    logged_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Tabla: request_metrics
+CREATE TABLE request_metrics (
+    request_id UUID PRIMARY KEY REFERENCES requests(request_id) ON DELETE CASCADE,
+    heap_used_mb REAL, -- Heap usado al terminar la request
+    heap_delta_mb REAL, -- Variación del heap durante la request (negativa si corrió el GC)
+    cpu_user_ms REAL, -- Tiempo de CPU en modo usuario (diferencia de process.cpuUsage)
+    cpu_system_ms REAL, -- Tiempo de CPU en modo sistema
+    event_loop_delay_ms REAL -- Mayor retraso del event loop observado durante la request
+);
+
+-- Tabla: request_timings
+CREATE TABLE request_timings (
+    request_id UUID PRIMARY KEY REFERENCES requests(request_id) ON DELETE CASCADE,
+    queue_ms DOUBLE PRECISION, -- Espera desde el proxy (X-Request-Start) hasta llegar a la app
+    time_to_headers_ms DOUBLE PRECISION, -- Hasta enviar los headers de la respuesta
+    handler_ms DOUBLE PRECISION, -- Hasta que la aplicación llamó a res.end()
+    response_write_ms DOUBLE PRECISION, -- Desde res.end() hasta entregar la respuesta al socket
+    total_ms DOUBLE PRECISION -- Desde que la request llegó a la app hasta terminar la respuesta
+);
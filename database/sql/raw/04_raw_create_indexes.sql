@@ -8,28 +8,58 @@ CREATE INDEX idx_requests_status_happened ON requests(status_id, happened);
 CREATE INDEX idx_requests_user_happened ON requests(made_by, happened);
 CREATE INDEX idx_requests_path ON requests(path);
 CREATE INDEX idx_requests_controller ON requests(controller);
+CREATE INDEX idx_requests_route_happened ON requests(route, happened);
 CREATE INDEX idx_requests_duration ON requests(duration);
+CREATE INDEX idx_requests_trace ON requests(trace_id) WHERE trace_id IS NOT NULL;
 CREATE INDEX idx_requests_composite ON requests(status_id, method_id, happened);
+CREATE INDEX idx_requests_outcome ON requests(outcome, happened) WHERE outcome <> 'completed';
+CREATE INDEX idx_requests_slow_queries ON requests(happened) WHERE slow_queries > 0;
+CREATE INDEX idx_requests_query_params ON requests USING gin(query_params jsonb_path_ops);
 
 -- Índices para tabla queries
 CREATE INDEX idx_queries_request_id ON queries(request_id);
 CREATE INDEX idx_queries_duration ON queries(duration);
 CREATE INDEX idx_queries_executed_at ON queries(executed_at);
 CREATE INDEX idx_queries_request_executed ON queries(request_id, executed_at);
+CREATE INDEX idx_queries_fingerprint_executed ON queries(fingerprint_id, executed_at);
+CREATE INDEX idx_queries_slow ON queries(executed_at) WHERE slow;
+
+-- Índices para tabla n_plus_one_queries
+CREATE INDEX idx_n_plus_one_queries_request_id ON n_plus_one_queries(request_id);
+CREATE INDEX idx_n_plus_one_queries_detected_at ON n_plus_one_queries(detected_at);
 
 -- Índices para tabla exceptions
 CREATE INDEX idx_exceptions_request_id ON exceptions(request_id);
 CREATE INDEX idx_exceptions_occurred_at ON exceptions(occurred_at);
 CREATE INDEX idx_exceptions_type ON exceptions(type);
+CREATE INDEX idx_exceptions_standalone ON exceptions(occurred_at) WHERE request_id IS NULL;
+CREATE INDEX idx_exceptions_source_occurred ON exceptions(source, occurred_at);
+CREATE INDEX idx_exceptions_issue_occurred ON exceptions(issue_id, occurred_at);
+
+-- Índices para tabla issues
+CREATE INDEX idx_issues_status_last_seen ON issues(status, last_seen);
+
+-- Índices para tabla logs
+CREATE INDEX idx_logs_request_logged ON logs(request_id, logged_at);
+CREATE INDEX idx_logs_level ON logs(level);
+
+-- Índices para tabla request_metrics (ranking por costo)
+CREATE INDEX idx_request_metrics_cpu ON request_metrics((cpu_user_ms + cpu_system_ms));
 
 -- Índices para tabla users
 CREATE INDEX idx_users_email ON users(email);
 CREATE INDEX idx_users_status ON users(status);
 CREATE INDEX idx_users_role_id ON users(role_id);
 
+-- Índices para tabla user_identities
+CREATE INDEX idx_user_identities_user_id ON user_identities(user_id);
+
 -- Índices para tabla request_headers
 CREATE INDEX idx_request_headers_request_id ON request_headers(request_id);
-CREATE INDEX idx_request_headers_header_id ON request_headers(header_id);
+CREATE INDEX idx_request_headers_header_value ON request_headers(header_id, value_id);
+
+-- Índices para tabla header_values (búsqueda parcial por valor)
+CREATE INDEX idx_header_values_value_trgm ON header_values USING gin (value gin_trgm_ops);
 
 -- Índices para optimizar búsquedas de texto
 CREATE INDEX idx_requests_path_trgm ON requests USING gin(path gin_trgm_ops);
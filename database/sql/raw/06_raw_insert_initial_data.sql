@@ -27,6 +27,7 @@ INSERT INTO status (code, description) VALUES
 (405, 'Method Not Allowed - Método no permitido'),
 (422, 'Unprocessable Entity - Entidad no procesable'),
 (429, 'Too Many Requests - Demasiadas solicitudes'),
+(499, 'Client Closed Request - El cliente cerró la conexión antes de la respuesta'),
 -- 5xx Server Error
 (500, 'Internal Server Error - Error interno del servidor'),
 (502, 'Bad Gateway - Gateway incorrecto'),
@@ -77,18 +78,57 @@ VALUES (
 -- =============================================
 
 -- Comentarios en las tablas principales
+COMMENT ON TABLE user_identities IS 'Vincula los ids de usuario de cada aplicación (numéricos, emails, sub de JWT) con usuarios de MODR';
 COMMENT ON TABLE requests IS 'Tabla principal que almacena información de todas las solicitudes HTTP';
 COMMENT ON TABLE queries IS 'Almacena todas las consultas SQL ejecutadas por cada request';
+COMMENT ON TABLE n_plus_one_queries IS 'Patrones N+1: el mismo fingerprint ejecutado en bucle dentro de una request';
+COMMENT ON TABLE query_fingerprints IS 'Sentencias SQL normalizadas; agrupa las queries que solo difieren en literales o bindings';
 COMMENT ON TABLE exceptions IS 'Registra errores y excepciones ocurridas durante el procesamiento';
+COMMENT ON TABLE issues IS 'Agrupa las excepciones repetidas por fingerprint, con su estado de resolución';
+COMMENT ON TABLE issue_routes IS 'Rutas afectadas por cada issue y sus ocurrencias';
+COMMENT ON TABLE logs IS 'Líneas de log emitidas por la aplicación durante cada request';
+COMMENT ON TABLE request_metrics IS 'Consumo de recursos del proceso (heap, CPU, event loop) durante cada request';
+COMMENT ON TABLE request_timings IS 'Fases de tiempo de cada request medidas con process.hrtime (ms con precisión de microsegundos)';
+COMMENT ON TABLE header_values IS 'Valores de headers deduplicados y referenciados desde request_headers';
 COMMENT ON TABLE responses IS 'Contiene las respuestas devueltas por el servidor';
 COMMENT ON TABLE payloads IS 'Almacena los datos enviados en las solicitudes';
 
 -- Comentarios en campos importantes
 COMMENT ON COLUMN requests.duration IS 'Duración total de la request en milisegundos';
 COMMENT ON COLUMN requests.happened IS 'Timestamp exacto cuando ocurrió la solicitud';
+COMMENT ON COLUMN requests.made_by IS 'Usuario de MODR vinculado a la identidad que hizo la request; NULL si fue anónima';
+COMMENT ON COLUMN requests.route IS 'Plantilla de la ruta de Express que atendió la request, o el path con ids, uuids y hashes normalizados';
+COMMENT ON COLUMN requests.query_params IS 'Parámetros de la query string; los repetidos se guardan como arreglo';
+COMMENT ON COLUMN requests.slow_queries IS 'Cantidad de queries de la request que superaron el umbral de query lenta configurado';
+COMMENT ON COLUMN requests.outcome IS 'completed: respuesta terminada; aborted: el cliente se desconectó antes; timeout: timeout del socket o del watchdog';
+COMMENT ON COLUMN requests.trace_id IS 'Identificador W3C Trace Context de la traza entre servicios';
+COMMENT ON COLUMN requests.parent_span_id IS 'span-id de la request que originó esta (traceparent entrante)';
+COMMENT ON COLUMN requests.sample_rate IS 'Tasa de muestreo con que se guardó la request; cada fila representa 1 / sample_rate requests';
 COMMENT ON COLUMN queries.duration IS 'Tiempo de ejecución de la query en milisegundos';
+COMMENT ON COLUMN queries.bindings IS 'Parámetros (bind/replacements) de la sentencia';
+COMMENT ON COLUMN queries.slow IS 'La duración superó el umbral de query lenta vigente al capturarla';
+COMMENT ON COLUMN n_plus_one_queries.repeat_count IS 'Ejecuciones consecutivas del fingerprint (con a lo sumo unas pocas queries distintas entre ellas)';
+COMMENT ON COLUMN query_fingerprints.normalized_sql IS 'SQL sin comentarios, con literales y bindings como ? y listas IN/VALUES colapsadas';
+COMMENT ON COLUMN logs.context IS 'Objeto de contexto de la línea de log (campos de pino/winston)';
+COMMENT ON COLUMN logs.source IS 'Origen de la línea: console, pino, winston o api';
+COMMENT ON COLUMN request_metrics.heap_delta_mb IS 'Variación del heap en MB; incluye lo asignado por requests concurrentes';
+COMMENT ON COLUMN request_metrics.event_loop_delay_ms IS 'Mayor retraso del event loop en ms mientras la request estaba en curso';
+COMMENT ON COLUMN user_identities.provider IS 'Esquema del id en la aplicación; junto con external_id identifica al usuario';
+COMMENT ON COLUMN request_timings.queue_ms IS 'Tiempo en cola según el header X-Request-Start del proxy; NULL si no vino o los relojes no coinciden';
+COMMENT ON COLUMN request_headers.direction IS 'request para headers recibidos, response para headers enviados';
+COMMENT ON COLUMN header_values.value_hash IS 'md5 del valor; la búsqueda exacta por valor usa este campo';
 COMMENT ON COLUMN responses.size IS 'Tamaño de la respuesta en kilobytes';
+COMMENT ON COLUMN responses.bytes IS 'Bytes exactos del body escritos en la respuesta (res.write/res.end, pipe, sendFile)';
+COMMENT ON COLUMN responses.preview IS 'Primeros bytes del body decodificados, solo para content types de texto';
+COMMENT ON COLUMN responses.truncated IS 'Indica si el preview se cortó por el límite de bytes';
 COMMENT ON COLUMN exceptions.type IS 'Tipo de excepción: business, validation, system';
+COMMENT ON COLUMN exceptions.request_id IS 'Request en curso cuando ocurrió; NULL para errores a nivel de proceso';
+COMMENT ON COLUMN exceptions.source IS 'Origen: request, uncaughtException, unhandledRejection o process';
+COMMENT ON COLUMN exceptions.frames IS 'Frames del stack; los resueltos con un .map local guardan su posición generada en generated';
+COMMENT ON COLUMN exceptions.issue_id IS 'Issue al que pertenece según su fingerprint';
+COMMENT ON COLUMN issues.status IS 'open, resolved o ignored; un issue resuelto se reabre al repetirse';
+COMMENT ON COLUMN issues.fingerprint IS 'sha1 de tipo, mensaje sin valores variables y frames superiores del stack';
+COMMENT ON COLUMN exceptions.process_info IS 'Metadata del proceso (pid, host, Node, memoria, uptime) al ocurrir el error';
 
 -- =============================================
 -- Verificación de la instalación